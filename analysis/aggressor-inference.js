@@ -0,0 +1,113 @@
+const config = require('../config');
+
+const CONFIDENCE_LEVELS = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Aggressor side for prints the feed sent without one. The print price is placed against the
+// NBBO it traded into (bid/ask on the print): at or through the ask is a buy, at or through the
+// bid a sell (HIGH), inside the spread but close to one side leans that way (MEDIUM). Prints
+// around the mid, or without a quote, fall back to the tick test against the previous print on
+// the same contract (LOW). The feed's own side always wins; reported_side keeps what it sent.
+class AggressorInference {
+  constructor() {
+    this.settings = config.rules.aggressor;
+  }
+
+  infer(records) {
+    if (!records || records.length === 0) return [];
+
+    const ticks = this.tickDirections(records);
+
+    return records.map((record, index) => {
+      if (record.side_inferred) return record; // already inferred upstream (live blocks)
+
+      const reported = record.side === 'BUY' || record.side === 'SELL' ? record.side : null;
+      if (reported) {
+        return {
+          ...record,
+          reported_side: reported,
+          side_inferred: false,
+          side_method: 'reported',
+          side_confidence: null
+        };
+      }
+
+      const inference = this.fromQuote(record) || this.fromTick(ticks.get(index));
+      return {
+        ...record,
+        side: inference ? inference.side : null,
+        reported_side: null,
+        side_inferred: Boolean(inference),
+        side_method: inference ? inference.method : null,
+        side_confidence: inference ? inference.confidence : null
+      };
+    });
+  }
+
+  fromQuote(record) {
+    const price = parseFloat(record.price);
+    const bid = parseFloat(record.bid);
+    const ask = parseFloat(record.ask);
+    if (!(price > 0) || !(bid > 0) || !(ask >= bid)) return null;
+
+    if (price >= ask) return { side: 'BUY', method: 'nbbo', confidence: 'HIGH' };
+    if (price <= bid) return { side: 'SELL', method: 'nbbo', confidence: 'HIGH' };
+
+    const position = (price - bid) / (ask - bid); // 0 at the bid, 1 at the ask
+    if (position >= 1 - this.settings.nearQuoteFraction) return { side: 'BUY', method: 'nbbo', confidence: 'MEDIUM' };
+    if (position <= this.settings.nearQuoteFraction) return { side: 'SELL', method: 'nbbo', confidence: 'MEDIUM' };
+
+    return null;
+  }
+
+  fromTick(direction) {
+    if (!direction) return null;
+    return { side: direction > 0 ? 'BUY' : 'SELL', method: 'tick', confidence: 'LOW' };
+  }
+
+  // index -> +1 uptick / -1 downtick, per contract in time order; a zero tick carries the last
+  // non-zero one forward, and a contract's first print has none
+  tickDirections(records) {
+    const byContract = new Map();
+    records.forEach((record, index) => {
+      const price = parseFloat(record.price);
+      if (!(price > 0)) return;
+      const key = `${record.symbol}|${record.option_type}|${record.strike}|${record.expiration}`;
+      if (!byContract.has(key)) byContract.set(key, []);
+      byContract.get(key).push({ index, price, time: new Date(record.timestamp).getTime() });
+    });
+
+    const directions = new Map();
+    byContract.forEach(prints => {
+      prints.sort((a, b) => a.time - b.time);
+      let lastPrice = null;
+      let lastDirection = 0;
+      prints.forEach(print => {
+        if (lastPrice !== null && print.price !== lastPrice) {
+          lastDirection = print.price > lastPrice ? 1 : -1;
+        }
+        if (lastDirection !== 0) directions.set(print.index, lastDirection);
+        lastPrice = print.price;
+      });
+    });
+
+    return directions;
+  }
+
+  // Reported vs inferred side counts, for reports
+  static summarize(records) {
+    const inferred = Object.fromEntries(CONFIDENCE_LEVELS.map(level => [level, 0]));
+    let reported = 0;
+    let unresolved = 0;
+
+    records.forEach(record => {
+      if (record.side_inferred) inferred[record.side_confidence]++;
+      else if (record.side) reported++;
+      else unresolved++;
+    });
+
+    const inferredTotal = CONFIDENCE_LEVELS.reduce((sum, level) => sum + inferred[level], 0);
+    return { reported, inferred, inferredTotal, unresolved, total: records.length };
+  }
+}
+
+module.exports = AggressorInference;
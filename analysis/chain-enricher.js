@@ -0,0 +1,168 @@
+const moment = require('moment-timezone');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+const GREEK_FIELDS = ['delta', 'gamma', 'vega', 'theta', 'mid_iv'];
+
+// Attaches greeks, mid IV, open interest and day volume to option prints from Tradier chain
+// snapshots (one chain per symbol/expiration, cached for the chain TTL). The chain only describes
+// the current session, so past sessions keep the feed's delta or fall back to an estimate;
+// greeks_source / delta_estimated record which one a print ended up with.
+class ChainEnricher {
+  constructor(tradier) {
+    this.tradier = tradier;
+    this.logger = new Logger('chain-enricher');
+    this.snapshots = new Map(); // `${symbol}|${expiration}` -> { contracts: Map, expires }
+    this.ttlMs = config.apis.tradier.cacheTtlMs.chain;
+  }
+
+  // useChain: look contracts up in the live chain (only meaningful for today's prints)
+  async enrich(records, spotPrice, { useChain = true } = {}) {
+    if (!records || records.length === 0) return [];
+
+    const snapshots = useChain ? await this.loadSnapshots(records) : new Map();
+
+    return records.map(record => {
+      const snapshot = snapshots.get(this.snapshotKey(record.symbol, record.expiration));
+      const contract = snapshot ? snapshot.get(this.contractKey(record.option_type, record.strike)) : null;
+
+      if (contract) {
+        // Chain fields win, but a missing one never erases what the feed sent
+        const known = Object.fromEntries(Object.entries(contract).filter(([, value]) => value !== null));
+        return {
+          ...record,
+          ...known,
+          real_delta: contract.delta,
+          greeks_source: 'chain',
+          delta_estimated: false
+        };
+      }
+
+      if (Number.isFinite(record.real_delta)) {
+        return {
+          ...record,
+          delta: record.real_delta,
+          greeks_source: 'feed',
+          delta_estimated: false
+        };
+      }
+
+      const estimate = ChainEnricher.estimateDelta(record, spotPrice);
+      return {
+        ...record,
+        delta: estimate,
+        real_delta: estimate,
+        greeks_source: 'estimate',
+        delta_estimated: true
+      };
+    });
+  }
+
+  // Unexpired expirations only; Tradier has no chain for past dates
+  async loadSnapshots(records) {
+    const today = moment.tz(clock.now(), config.app.timezone).format('YYYY-MM-DD');
+    const wanted = new Map();
+
+    records.forEach(record => {
+      if (!record.symbol || !record.expiration || record.expiration < today) return;
+      wanted.set(this.snapshotKey(record.symbol, record.expiration), record);
+    });
+
+    const snapshots = new Map();
+    await Promise.all(Array.from(wanted.entries()).map(async ([key, record]) => {
+      const snapshot = await this.getSnapshot(record.symbol, record.expiration);
+      if (snapshot) snapshots.set(key, snapshot);
+    }));
+
+    return snapshots;
+  }
+
+  async getSnapshot(symbol, expiration) {
+    const key = this.snapshotKey(symbol, expiration);
+    const cached = this.snapshots.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.contracts;
+    }
+
+    try {
+      const chain = await this.tradier.getOptionsChain(symbol, expiration);
+      const options = chain && chain.option ? [].concat(chain.option) : [];
+      const contracts = new Map();
+
+      options.forEach(option => {
+        const greeks = option.greeks || {};
+        const fields = {
+          open_interest: this.toNumber(option.open_interest),
+          day_volume: this.toNumber(option.volume),
+          greeks_updated_at: greeks.updated_at || null
+        };
+        GREEK_FIELDS.forEach(name => {
+          fields[name] = this.toNumber(greeks[name]);
+        });
+
+        // A contract without a delta is no better than the fallback
+        if (fields.delta === null) return;
+
+        contracts.set(this.contractKey(option.option_type, option.strike), fields);
+      });
+
+      this.snapshots.set(key, { contracts, expires: Date.now() + this.ttlMs });
+      this.pruneSnapshots();
+      return contracts;
+
+    } catch (error) {
+      this.logger.warn(`Chain unavailable for ${symbol} ${expiration}: ${error.message}`);
+      return null;
+    }
+  }
+
+  pruneSnapshots() {
+    const now = Date.now();
+    for (const [key, entry] of this.snapshots.entries()) {
+      if (entry.expires <= now) this.snapshots.delete(key);
+    }
+  }
+
+  // Moneyness buckets: ±2% of spot is at the money, otherwise ITM 0.7 / OTM 0.3
+  static estimateDelta(record, spotPrice) {
+    const sign = record.option_type === 'PUT' ? -1 : 1;
+    if (!spotPrice || !record.strike) return sign * 0.5;
+
+    const distancePercent = ((record.strike - spotPrice) / spotPrice) * 100;
+    if (Math.abs(distancePercent) < 2) return sign * 0.5;
+
+    const inTheMoney = record.option_type === 'PUT' ? distancePercent > 0 : distancePercent < 0;
+    return sign * (inTheMoney ? 0.7 : 0.3);
+  }
+
+  // Share of prints by greeks source, for reports
+  static summarize(records) {
+    const counts = { chain: 0, feed: 0, estimate: 0 };
+    records.forEach(record => {
+      if (counts[record.greeks_source] !== undefined) counts[record.greeks_source]++;
+    });
+
+    const total = records.length;
+    return {
+      ...counts,
+      total,
+      estimatedPercent: total > 0 ? Math.round((counts.estimate / total) * 100) : 0
+    };
+  }
+
+  snapshotKey(symbol, expiration) {
+    return `${String(symbol).toUpperCase()}|${expiration}`;
+  }
+
+  contractKey(optionType, strike) {
+    return `${String(optionType).toUpperCase()}|${Number(strike)}`;
+  }
+
+  toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+module.exports = ChainEnricher;
@@ -1,9 +1,12 @@
 const Logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const SharedMap = require('../storage/shared-map');
+const { getStateStore } = require('../storage/state-store');
 
 class DivergenceDetector {
   constructor(flowAnalyzer = null) {
     this.logger = new Logger('divergence-detector');
-    this.liveDivergences = new Map(); // symbol -> recent divergences
+    this.liveDivergences = new SharedMap(getStateStore(), 'live-divergences'); // symbol -> recent divergences
     this.patternHistory = new Map(); // symbol -> pattern history
     this.liveThresholds = {
       rapidReversal: 1000000, // $1M threshold for rapid reversal
@@ -32,7 +35,7 @@ class DivergenceDetector {
     if (popFade.confidence > 50) divergences.push(popFade);
     
     // Check for HEDGE_THEN_CONVICTION
-    const hedgeConviction = this.detectHedgeThenConviction(flowData);
+    const hedgeConviction = this.detectHedgeThenConviction(flowData, hourlyBreakdown);
     if (hedgeConviction.confidence > 50) divergences.push(hedgeConviction);
     
     // Check for DEALER_PIN_RISK
@@ -58,7 +61,7 @@ class DivergenceDetector {
   // NEW: Live divergence detection using WebSocket data
   detectLiveDivergences(symbol, liveBlocks, spotPrice, timeframeMinutes = 5) {
     const divergences = [];
-    const now = new Date();
+    const now = clock.date();
     const cutoffTime = new Date(now.getTime() - timeframeMinutes * 60000);
     
     // Filter blocks within timeframe
@@ -255,6 +258,15 @@ class DivergenceDetector {
   }
 
   detectDealerHedgingPressure(recentBlocks, spotPrice) {
+    // Prefer the live spot over the caller's snapshot when connected to the flow analyzer
+    const symbol = recentBlocks.length > 0 ? recentBlocks[0].symbol : null;
+    const liveSpot = this.flowAnalyzer && symbol ? this.flowAnalyzer.priceService.getSpot(symbol) : null;
+    spotPrice = liveSpot || spotPrice;
+    
+    if (!spotPrice) {
+      return { type: 'DEALER_HEDGING_PRESSURE', confidence: 0, explanation: '', guidance: '' };
+    }
+    
     // Analyze blocks near current price for dealer impact
     const nearStrikeBlocks = recentBlocks.filter(block => {
       if (!block.strike) return false;
@@ -268,10 +280,9 @@ class DivergenceDetector {
     
     const totalNotional = nearStrikeBlocks.reduce((sum, b) => sum + (b.notional || 0), 0);
     
-    // Estimate dealer delta hedge required
+    // Dealer delta hedge required, from each block's chain delta (ATM approximation when it has none)
     const estimatedDeltaHedge = nearStrikeBlocks.reduce((sum, block) => {
-      let delta = 0.5; // Approximate ATM delta
-      if (block.option_type === 'PUT') delta = -0.5;
+      const delta = Number.isFinite(block.real_delta) ? block.real_delta : (block.option_type === 'PUT' ? -0.5 : 0.5);
       return sum + (block.notional || 0) * delta;
     }, 0);
     
@@ -329,31 +340,48 @@ class DivergenceDetector {
     return { type: 'GAMMA_TRAP', confidence: 0, explanation: '', guidance: '' };
   }
 
-  // Original detection methods (kept for compatibility)
+  // Morning = first 40% of the session, afternoon = last 45%, in session minutes so half-days
+  // split the same way (a full session gives roughly 09:30-12:00 and 13:00-16:00)
+  sessionWindows(hourlyBreakdown) {
+    const length = hourlyBreakdown && hourlyBreakdown.session ? hourlyBreakdown.session.minutes : 390;
+    return {
+      length,
+      isMorning: minute => minute < length * 0.4,
+      isAfternoon: minute => minute >= length * 0.55
+    };
+  }
+
+  // Original detection methods (kept for compatibility), now on the configured intraday buckets
   detectShortTermPopLongFade(hourlyBreakdown) {
-    const { hourly } = hourlyBreakdown;
-    
-    const morningHours = [9, 10, 11];
-    const afternoonHours = [13, 14, 15];
+    const buckets = hourlyBreakdown.buckets || [];
+    const { isMorning, isAfternoon } = this.sessionWindows(hourlyBreakdown);
     
     let morningNet = 0;
     let afternoonNet = 0;
     
-    morningHours.forEach(hour => {
-      if (hourly[hour]) morningNet += hourly[hour].netFlow;
-    });
-    
-    afternoonHours.forEach(hour => {
-      if (hourly[hour]) afternoonNet += hourly[hour].netFlow;
+    // A bucket belongs to the window its midpoint falls in
+    buckets.forEach(bucket => {
+      const midpoint = (bucket.startMinute + bucket.endMinute) / 2;
+      if (isMorning(midpoint)) morningNet += bucket.netFlow;
+      if (isAfternoon(midpoint)) afternoonNet += bucket.netFlow;
     });
     
     const confidence = this.calculateDivergenceConfidence(morningNet, afternoonNet);
     
     if (confidence > 50 && morningNet > 0 && afternoonNet < 0) {
+      // Where cumulative net buying topped out
+      let cumulative = 0;
+      let peak = null;
+      buckets.forEach(bucket => {
+        cumulative += bucket.netFlow;
+        if (!peak || cumulative > peak.cumulative) peak = { cumulative, end: bucket.end };
+      });
+      
       return {
         type: 'SHORT_TERM_POP_LONG_FADE',
         confidence: Math.min(confidence, 95),
-        explanation: `Strong morning buying ($${this.formatNumber(morningNet)}) followed by afternoon selling ($${this.formatNumber(Math.abs(afternoonNet))}) suggests institutions taking profits into strength`,
+        explanation: `Strong morning buying ($${this.formatNumber(morningNet)}) followed by afternoon selling ($${this.formatNumber(Math.abs(afternoonNet))}) suggests institutions taking profits into strength` +
+          (peak ? ` (net buying peaked at ${peak.end} ET)` : ''),
         guidance: 'SCALP - Fade morning strength, sell into afternoon rallies'
       };
     }
@@ -361,16 +389,14 @@ class DivergenceDetector {
     return { type: 'SHORT_TERM_POP_LONG_FADE', confidence: 0, explanation: '', guidance: '' };
   }
 
-  detectHedgeThenConviction(flowData) {
-    const earlyFlow = flowData.filter(f => {
-      const hour = f.timestamp.getHours();
-      return hour >= 9 && hour <= 11;
-    });
+  // Session windows from the print's exchange-time session minute
+  detectHedgeThenConviction(flowData, hourlyBreakdown = null) {
+    const { length, isMorning, isAfternoon } = this.sessionWindows(hourlyBreakdown);
+    const inSession = f => Number.isFinite(f.session_minute) && f.session_minute >= 0 && f.session_minute <= length;
     
-    const lateFlow = flowData.filter(f => {
-      const hour = f.timestamp.getHours();
-      return hour >= 13 && hour <= 15;
-    });
+    const earlyFlow = flowData.filter(f => inSession(f) && isMorning(f.session_minute));
+    
+    const lateFlow = flowData.filter(f => inSession(f) && isAfternoon(f.session_minute));
     
     const earlyPuts = earlyFlow.filter(f => f.option_type === 'PUT' && f.side === 'BUY');
     const lateCalls = lateFlow.filter(f => f.option_type === 'CALL' && f.side === 'BUY');
@@ -0,0 +1,140 @@
+const config = require('../config');
+
+const EXECUTIONS = ['SWEEP', 'FLOOR', 'BLOCK', 'SINGLE'];
+
+// OPRA trade conditions, plus the plain labels some feeds send instead
+const SWEEP_CODES = new Set(['ISOI', 'ISO', 'SWEEP']);
+const FLOOR_CODES = new Set(['SLFT', 'MLFT', 'TLFT', 'FLOOR']);
+// Crosses and auctions are paired before they print, ISO flag or not
+const NEGOTIATED_CODES = new Set(['SLAN', 'SLAI', 'SLCN', 'SLCI', 'MLAT', 'MLCT', 'TLAT', 'TLCT', 'CROSS', 'BLOCK']);
+
+// Execution style per print from its venue and condition codes. Fills on the same contract and
+// side that land within milliseconds of each other across venues (or carry an intermarket sweep
+// condition) are one SWEEP; floor-crossed prints are FLOOR; crosses, auctions and outsized
+// single-venue prints are negotiated BLOCKs; everything else is a SINGLE electronic fill.
+// Prints without venue or conditions can only ever be SINGLE or a size-based BLOCK.
+class ExecutionClassifier {
+  constructor() {
+    this.settings = config.rules.execution;
+  }
+
+  // Adds execution, execution_id (shared by a sweep's fills), execution_venues and execution_urgent
+  classify(records) {
+    if (!records || records.length === 0) return [];
+
+    const labels = new Map();
+    records.forEach((record, index) => {
+      const codes = this.codes(record);
+      if (codes.some(code => FLOOR_CODES.has(code))) labels.set(index, { execution: 'FLOOR' });
+      else if (codes.some(code => NEGOTIATED_CODES.has(code))) labels.set(index, { execution: 'BLOCK' });
+    });
+
+    const candidates = records.map((record, index) => index).filter(index => !labels.has(index));
+    this.sweepClusters(records, candidates).forEach((cluster, sequence) => {
+      const fills = cluster.map(index => records[index]);
+      const venues = new Set(fills.map(fill => fill.exchange).filter(Boolean));
+      const iso = fills.some(fill => this.codes(fill).some(code => SWEEP_CODES.has(code)));
+      if (!iso && (fills.length < 2 || venues.size < this.settings.sweepMinVenues)) return;
+
+      const id = `${String(fills[0].symbol || '').toUpperCase()}-SW${sequence + 1}`;
+      const urgent = venues.size >= this.settings.urgentVenues || this.tookQuote(fills);
+      cluster.forEach(index => labels.set(index, {
+        execution: 'SWEEP',
+        execution_id: id,
+        execution_venues: venues.size,
+        execution_urgent: urgent
+      }));
+    });
+
+    return records.map((record, index) => {
+      const label = labels.get(index) || {
+        execution: record.contracts >= this.settings.blockMinContracts ? 'BLOCK' : 'SINGLE'
+      };
+      return {
+        ...record,
+        execution_id: null,
+        execution_venues: record.exchange ? 1 : 0,
+        execution_urgent: false,
+        ...label
+      };
+    });
+  }
+
+  codes(record) {
+    return Array.isArray(record.conditions) ? record.conditions : [];
+  }
+
+  // Index clusters per contract and side, chained while each fill follows the first within the window
+  sweepClusters(records, indexes) {
+    const byContract = new Map();
+    indexes.forEach(index => {
+      const record = records[index];
+      const key = `${record.symbol}|${record.option_type}|${record.strike}|${record.expiration}|${record.side}`;
+      if (!byContract.has(key)) byContract.set(key, []);
+      byContract.get(key).push({ index, time: new Date(record.timestamp).getTime() });
+    });
+
+    const clusters = [];
+    byContract.forEach(fills => {
+      fills.sort((a, b) => a.time - b.time);
+      let cluster = [];
+      fills.forEach(fill => {
+        if (cluster.length > 0 && fill.time - cluster[0].time > this.settings.sweepWindowMs) {
+          clusters.push(cluster.map(entry => entry.index));
+          cluster = [];
+        }
+        cluster.push(fill);
+      });
+      if (cluster.length > 0) clusters.push(cluster.map(entry => entry.index));
+    });
+
+    return clusters;
+  }
+
+  // Every quoted fill paid the ask (buys) or hit the bid (sells)
+  tookQuote(fills) {
+    const quoted = fills.filter(fill => parseFloat(fill.bid) > 0 && parseFloat(fill.ask) > 0 && parseFloat(fill.price) > 0);
+    if (quoted.length === 0) return false;
+    return quoted.every(fill => (fill.side === 'BUY'
+      ? parseFloat(fill.price) >= parseFloat(fill.ask)
+      : fill.side === 'SELL' && parseFloat(fill.price) <= parseFloat(fill.bid)));
+  }
+
+  // Executions, prints and notional per style; a sweep counts once however many fills it took
+  static summarize(records) {
+    const styles = Object.fromEntries(EXECUTIONS.map(style => [style, { count: 0, prints: 0, notional: 0 }]));
+    const sweeps = new Set();
+    const urgent = new Set();
+    let urgentNotional = 0;
+    let withVenueData = 0;
+
+    records.forEach(record => {
+      const entry = styles[record.execution];
+      if (!entry) return;
+      entry.prints++;
+      entry.notional += record.notional || 0;
+      if (record.exchange || (Array.isArray(record.conditions) && record.conditions.length > 0)) withVenueData++;
+
+      if (record.execution !== 'SWEEP') {
+        entry.count++;
+        return;
+      }
+      sweeps.add(record.execution_id);
+      if (record.execution_urgent) {
+        urgent.add(record.execution_id);
+        urgentNotional += record.notional || 0;
+      }
+    });
+    styles.SWEEP.count = sweeps.size;
+
+    return {
+      ...styles,
+      urgentSweeps: urgent.size,
+      urgentNotional,
+      withVenueData,
+      total: records.length
+    };
+  }
+}
+
+module.exports = ExecutionClassifier;
@@ -1,26 +1,57 @@
 const TradierAPI = require('../api/tradier');
+const { getPriceService } = require('../api/price-service');
 const UnusualWhalesWebSocket = require('../api/unusual-whales-ws'); // WebSocket version
 const TierAnalyzer = require('./tier-analyzer');
 const DivergenceDetector = require('./divergence-detector');
+const ChainEnricher = require('./chain-enricher');
+const GammaExposureModel = require('./gamma-exposure');
+const VolatilityRegimeAnalyzer = require('./volatility-regime');
+const MomentumTracker = require('./momentum-tracker');
+const PositioningCycleDetector = require('./positioning-cycles');
+const ParticipantClassifier = require('./participant-classifier');
+const AggressorInference = require('./aggressor-inference');
+const MultiLegReconstructor = require('./multi-leg-reconstructor');
+const ExecutionClassifier = require('./execution-classifier');
+const OpenInterestTracker = require('./open-interest-tracker');
+const SessionCloseJobs = require('./session-close-jobs');
 const Logger = require('../utils/logger');
+const { getMarketCalendar } = require('../utils/market-calendar');
+const clock = require('../utils/clock');
+const TradeDeduplicator = require('../utils/trade-deduplicator');
+const Provenance = require('../utils/provenance');
+const config = require('../config');
 const moment = require('moment-timezone');
 const _ = require('lodash');
 
 class FlowAnalyzer {
   constructor() {
     this.tradier = new TradierAPI();
+    this.priceService = getPriceService(); // live spot (streamed, polled as fallback)
     this.unusualWhales = new UnusualWhalesWebSocket(); // WebSocket version
     this.tierAnalyzer = new TierAnalyzer();
     this.divergenceDetector = new DivergenceDetector(this); // Pass self for WebSocket integration
+    this.chainEnricher = new ChainEnricher(this.tradier); // greeks / IV / OI from the options chain
+    this.gammaModel = new GammaExposureModel(this.tradier); // dealer GEX from chain open interest
+    this.volatilityRegime = new VolatilityRegimeAnalyzer(this.tradier); // IV term structure, skew, IV rank
+    this.momentumTracker = new MomentumTracker(this); // momentum oscillator history
+    this.positioningCycles = new PositioningCycleDetector(this.tradier); // multi-day accumulation/distribution
+    this.participantClassifier = new ParticipantClassifier(); // likely hedger / speculator / seller / dealer per print
+    this.aggressorInference = new AggressorInference(); // NBBO / tick-test side for prints sent without one
+    this.multiLegReconstructor = new MultiLegReconstructor(); // spreads, straddles, condors... from single prints
+    this.executionClassifier = new ExecutionClassifier(); // sweeps, floor trades, negotiated blocks
+    this.openInterest = new OpenInterestTracker(this); // opening vs closing from day-over-day OI
+    this.closeJobs = new SessionCloseJobs(this); // OI, IV and positioning snapshots once the session has closed
     this.logger = new Logger('flow-analyzer');
     
     // Initialize WebSocket connection
     this.initializeWebSocket();
+    this.momentumTracker.start();
+    this.closeJobs.start();
   }
 
   initializeWebSocket() {
-    // Start WebSocket connection
-    this.unusualWhales.connect();
+    // Join leader election - the leader opens the WebSocket connection
+    this.unusualWhales.start();
     
     // Log WebSocket status
     this.logger.info('Initialized Unusual Whales WebSocket connection');
@@ -30,6 +61,9 @@ class FlowAnalyzer {
     
     // Monitor WebSocket connection status
     setInterval(() => {
+      // Followers receive prints over pub/sub and never hold the socket
+      if (!this.unusualWhales.isLeader()) return;
+      
       const stats = this.unusualWhales.getConnectionStats();
       if (stats.isConnected) {
         this.logger.debug(`WebSocket connected for ${stats.symbolsWithData} symbols, ${stats.messageCount} messages`);
@@ -42,13 +76,19 @@ class FlowAnalyzer {
     // Handle graceful shutdown
     process.on('SIGINT', () => {
       this.logger.info('Shutting down WebSocket connection (SIGINT)...');
-      this.unusualWhales.disconnect();
+      this.unusualWhales.shutdown();
+      this.priceService.stop();
+      this.momentumTracker.stop();
+      this.closeJobs.stop();
       process.exit(0);
     });
     
     process.on('SIGTERM', () => {
       this.logger.info('Shutting down WebSocket connection (SIGTERM)...');
-      this.unusualWhales.disconnect();
+      this.unusualWhales.shutdown();
+      this.priceService.stop();
+      this.momentumTracker.stop();
+      this.closeJobs.stop();
       process.exit(0);
     });
   }
@@ -82,14 +122,17 @@ class FlowAnalyzer {
       
       this.logger.info(`New block detected: ${block.symbol} ${block.strike}${block.option_type === 'CALL' ? 'C' : 'P'} $${this.formatNumber(block.notional)}`);
       
-      // Get current price for divergence detection
-      this.tradier.getQuote(block.symbol)
-        .then(quote => {
+      // Current price for divergence detection (only the first block of a symbol waits on a poll)
+      const spot = this.priceService.getSpot(block.symbol);
+      const spotPromise = spot !== null ? Promise.resolve(spot) : this.priceService.resolveSpot(block.symbol);
+      
+      spotPromise
+        .then(spotPrice => {
           // Detect live divergences
           const divergences = this.divergenceDetector.detectLiveDivergences(
             block.symbol,
             [block],
-            quote.price || 100,
+            spotPrice || 100,
             2 // Last 2 minutes
           );
           
@@ -150,20 +193,20 @@ class FlowAnalyzer {
   async checkSymbolLiveDivergences(symbol) {
     try {
       // Get live blocks from last 5 minutes
-      const liveBlocks = await this.unusualWhales.getLiveBlocks(symbol, 5);
+      const liveBlocks = await this.getLiveBlocks(symbol, 5);
       
       if (liveBlocks.length === 0) {
         return;
       }
       
-      // Get current quote
-      const quote = await this.tradier.getQuote(symbol).catch(() => ({ price: 100 }));
+      // Get current spot
+      const spotPrice = await this.priceService.resolveSpot(symbol);
       
       // Detect live divergences
       const liveDivergences = this.divergenceDetector.detectLiveDivergences(
         symbol,
         liveBlocks,
-        quote.price || 100,
+        spotPrice || 100,
         5
       );
       
@@ -181,7 +224,7 @@ class FlowAnalyzer {
 
   async analyzeSymbolFlow(symbol, date = null) {
     // Determine target date for analysis
-    const targetDate = date || moment().format('YYYY-MM-DD');
+    const targetDate = date || getMarketCalendar().getTradingDate();
     const isLiveAnalysis = !date && this.isMarketOpen();
     
     this.logger.info(`Analyzing institutional flow for ${symbol} on ${targetDate} ${isLiveAnalysis ? '(LIVE)' : '(HISTORICAL)'}`);
@@ -212,11 +255,17 @@ class FlowAnalyzer {
         })
       ]);
 
+      // Live sessions price off the streamed spot rather than the quote snapshot
+      const liveSpot = isLiveAnalysis ? this.priceService.getSpot(symbol) : null;
+      if (liveSpot) {
+        quote.price = liveSpot;
+      }
+
       // NEW: Get live divergences if it's a live analysis
       let liveDivergences = [];
       if (isLiveAnalysis) {
         try {
-          const liveBlocks = await this.unusualWhales.getLiveBlocks(symbol, 10);
+          const liveBlocks = await this.getLiveBlocks(symbol, 10);
           if (liveBlocks.length > 0) {
             liveDivergences = this.divergenceDetector.detectLiveDivergences(
               symbol,
@@ -234,7 +283,7 @@ class FlowAnalyzer {
       if (flowData.length === 0) {
         // Try to get live blocks if no historical data
         if (isLiveAnalysis) {
-          const liveBlocks = await this.unusualWhales.getLiveBlocks(symbol, 10);
+          const liveBlocks = await this.getLiveBlocks(symbol, 10);
           if (liveBlocks.length > 0) {
             this.logger.info(`Using ${liveBlocks.length} live blocks for ${symbol}`);
             flowData.push(...liveBlocks);
@@ -246,19 +295,95 @@ class FlowAnalyzer {
         }
       }
 
-      // Process flow data with proper date context
-      const processedFlow = this.processFlowData(flowData, quote.price || 100, targetDate);
-      const hourlyBreakdown = this.calculateHourlyBreakdown(processedFlow, targetDate);
-      const tierAnalysis = this.tierAnalyzer.analyzeTiers(processedFlow, quote.price);
+      // Symbols analyzed today get their after-close snapshots even when nobody subscribed to them
+      const isToday = getMarketCalendar().isToday(targetDate);
+      if (isToday) {
+        this.closeJobs.noteAnalyzed(symbol, targetDate);
+      }
+
+      const {
+        flow: processedFlow,
+        structures,
+        duplicatesDropped,
+        sideCoverage,
+        greeksCoverage,
+        positionEffects,
+        hourlyBreakdown,
+        tierAnalysis,
+        atmFlow,
+        totals
+      } = await this.runFlowPipeline(symbol, flowData, quote.price, targetDate);
       const tierComposition = this.analyzeTierComposition(processedFlow);
-      const atmFlow = this.calculateATMFlow(processedFlow, quote.price || 100);
-      const complexAnalysis = this.analyzeComplexTrades(complexTrades);
+      // Structures the feed did not flag itself join the reported complex trades
+      const reconstructed = structures.filter(structure => !structure.upstream);
+      const complexAnalysis = this.analyzeComplexTrades([...complexTrades, ...reconstructed]);
       const deltaAnalysis = this.analyzeDeltaConcentration(deltaConcentration, quote.price || 100);
       const divergences = this.divergenceDetector.detectDivergences(processedFlow, hourlyBreakdown);
       const institutionalLevels = this.calculateInstitutionalLevels(deltaAnalysis, quote.price || 100);
 
-      // Calculate totals
-      const totals = this.calculateTotals(processedFlow, tierAnalysis, atmFlow);
+      // Dealer gamma needs the current chain, so only for today's session
+      let gammaExposure = null;
+      if (config.features.gammaAnalysis && isToday) {
+        gammaExposure = await this.gammaModel.build(symbol, quote.price, processedFlow).catch(error => {
+          this.logger.warn(`Gamma exposure unavailable for ${symbol}: ${error.message}`);
+          return null;
+        });
+      }
+
+      // Today's chain is measured; past dates fall back to the snapshot taken at their close
+      const volatilityRegime = await this.volatilityRegime.analyze(symbol, quote.price, {
+        date: targetDate,
+        live: isToday,
+        gammaExposure
+      }).catch(error => {
+        this.logger.warn(`Volatility regime unavailable for ${symbol}: ${error.message}`);
+        return null;
+      });
+
+      // Momentum history; a live session adds this reading to the series
+      const momentumReading = MomentumTracker.calculateReading(hourlyBreakdown, totals, tierAnalysis);
+      const momentumHistory = await this.momentumTracker.describe(symbol, momentumReading.value, {
+        date: targetDate,
+        record: isToday && this.isMarketOpen()
+      }).catch(error => {
+        this.logger.warn(`Momentum history unavailable for ${symbol}: ${error.message}`);
+        return null;
+      });
+
+      // Today joins the history provisionally; the after-close job stores it at the session close
+      const positioningCycles = await this.positioningCycles.update(symbol, targetDate, processedFlow, {
+        spotPrice: quote.price,
+        live: isToday
+      }).catch(error => {
+        this.logger.warn(`Positioning cycles unavailable for ${symbol}: ${error.message}`);
+        return null;
+      });
+
+      // Top 5 blocks, execution style read across the whole block list so sweep fills stay together
+      const topBlocks = await this.chainEnricher.enrich(this.executionClassifier.classify(blocks).slice(0, 5), quote.price, { useChain: isToday });
+      const liveBlocks = isLiveAnalysis ? await this.getLiveBlocks(symbol, 10).catch(() => []) : [];
+
+      // Where the records behind each section came from; the overall split counts a print stored
+      // on both the flow and block channels once
+      const provenance = {
+        ...Provenance.summarize([
+          ...TradeDeduplicator.dedupe([...processedFlow, ...blocks]).records,
+          ...complexTrades,
+          ...reconstructed,
+          ...deltaConcentration
+        ]),
+        sections: {
+          flow: Provenance.summarize(processedFlow),
+          blocks: Provenance.summarize(blocks),
+          complexTrades: Provenance.summarize([...complexTrades, ...reconstructed]),
+          deltaConcentration: Provenance.summarize(deltaConcentration),
+          liveBlocks: Provenance.summarize(liveBlocks)
+        }
+      };
+      
+      if (provenance.simulated > 0 || provenance.unknown > 0) {
+        this.logger.warn(`${symbol} analysis includes ${provenance.simulated} simulated and ${provenance.unknown} unknown-source records of ${provenance.total}`);
+      }
 
       return {
         symbol,
@@ -276,9 +401,18 @@ class FlowAnalyzer {
         divergences,
         liveDivergences, // NEW: Add live divergences
         institutionalLevels,
+        gammaExposure,
+        volatilityRegime,
+        momentumHistory,
+        positioningCycles,
         totals,
-        blocks: blocks.slice(0, 5), // Top 5 blocks
-        liveBlocks: isLiveAnalysis ? await this.unusualWhales.getLiveBlocks(symbol, 10).catch(() => []) : [], // NEW: Live blocks
+        provenance,
+        greeksCoverage,
+        sideCoverage,
+        positionEffects,
+        duplicatesDropped,
+        blocks: topBlocks,
+        liveBlocks, // NEW: Live blocks
         config: {
           timezone: process.env.TIMEZONE || 'America/New_York',
           atmRange: process.env.ATM_RANGE || 0.02,
@@ -291,39 +425,86 @@ class FlowAnalyzer {
     }
   }
 
+  // Raw prints -> the labelled flow every analysis reads, plus the summaries built straight from
+  // it. One path for the full report, momentum snapshots and the /live preview so they agree.
+  async runFlowPipeline(symbol, flowData, spotPrice, targetDate) {
+    const isToday = getMarketCalendar().isToday(targetDate);
+
+    // One copy per print before anything is summed (live blocks may repeat flow prints)
+    const { records: uniqueFlow, dropped: duplicatesDropped } = TradeDeduplicator.dedupe(flowData);
+    if (duplicatesDropped > 0) {
+      this.logger.info(`Dropped ${duplicatesDropped} duplicate prints from ${symbol} flow`);
+    }
+
+    // Aggressor side for prints the feed sent without one, before anything splits buys from sells
+    const sidedFlow = this.aggressorInference.infer(uniqueFlow);
+    const sideCoverage = AggressorInference.summarize(sidedFlow);
+    if (sideCoverage.inferredTotal > 0 || sideCoverage.unresolved > 0) {
+      this.logger.info(`${symbol}: ${sideCoverage.inferredTotal} sides inferred, ${sideCoverage.unresolved} unresolved of ${sideCoverage.total} prints`);
+    }
+
+    // Real greeks for today's prints; past sessions keep the feed delta or an estimate
+    const enrichedFlow = await this.chainEnricher.enrich(sidedFlow, spotPrice, { useChain: isToday });
+    const greeksCoverage = ChainEnricher.summarize(enrichedFlow);
+    if (greeksCoverage.estimate > 0) {
+      this.logger.info(`${symbol}: ${greeksCoverage.estimate}/${greeksCoverage.total} prints use an estimated delta`);
+    }
+
+    // Execution style from the raw fills (sweep clustering needs their original timestamps)
+    const executedFlow = this.executionClassifier.classify(enrichedFlow);
+
+    // Process flow data with proper date context, rebuild multi-leg structures from the prints,
+    // then tag each print's likely participant
+    const { records: legTaggedFlow, structures } = this.multiLegReconstructor.reconstruct(
+      this.processFlowData(executedFlow, spotPrice || 100, targetDate)
+    );
+    const classifiedFlow = this.participantClassifier.classify(legTaggedFlow);
+
+    const flow = await this.openInterest.label(symbol, targetDate, classifiedFlow).catch(error => {
+      this.logger.warn(`Opening/closing labels unavailable for ${symbol}: ${error.message}`);
+      return classifiedFlow;
+    });
+
+    const hourlyBreakdown = this.calculateHourlyBreakdown(flow, targetDate);
+    const tierAnalysis = this.tierAnalyzer.analyzeTiers(flow, spotPrice, false, null, {
+      openingOnly: config.rules.openInterest.openingOnlyTiers
+    });
+    const atmFlow = this.calculateATMFlow(flow, spotPrice || 100);
+
+    return {
+      flow,
+      structures,
+      duplicatesDropped,
+      sideCoverage,
+      greeksCoverage,
+      positionEffects: OpenInterestTracker.summarize(flow),
+      hourlyBreakdown,
+      tierAnalysis,
+      atmFlow,
+      totals: this.calculateTotals(flow, tierAnalysis, atmFlow)
+    };
+  }
+
+  // Holidays closed, half-days end at the early close
   isMarketOpen() {
-    const now = moment().tz('America/New_York');
-    const day = now.day();
-    const hour = now.hour();
-    const minute = now.minute();
-    
-    // Market closed on weekends
-    if (day === 0 || day === 6) return false;
-    
-    // Market hours: 9:30 AM - 4:00 PM ET
-    if (hour < 9 || hour > 16) return false;
-    if (hour === 9 && minute < 30) return false;
-    if (hour === 16 && minute > 0) return false;
-    
-    return true;
+    return getMarketCalendar().isMarketOpen();
   }
 
   processFlowData(flowData, spotPrice, targetDate) {
     if (!flowData || flowData.length === 0) return [];
     
+    const calendar = getMarketCalendar();
+    const session = targetDate ? this.getSessionBounds(targetDate) : null;
+    
     return flowData.map(flow => {
       // Calculate distance from spot
       const distancePercent = spotPrice > 0 ? ((flow.strike - spotPrice) / spotPrice) * 100 : 0;
       const distanceAbsolute = flow.strike - spotPrice;
       
-      // Calculate real delta (if not provided)
-      let realDelta = flow.real_delta || 0;
-      if (!realDelta && spotPrice > 0) {
-        // Simple approximation if real delta not available
-        const atmDelta = Math.abs(distancePercent) < 2 ? 0.5 : 
-                        distancePercent < 0 ? 0.3 : 0.7;
-        realDelta = flow.option_type === 'CALL' ? atmDelta : -atmDelta;
-      }
+      // Delta from the chain enricher or the feed; estimated (and flagged) only when neither has one
+      const hasDelta = Number.isFinite(flow.real_delta);
+      const realDelta = hasDelta ? flow.real_delta : ChainEnricher.estimateDelta(flow, spotPrice);
+      const deltaEstimated = hasDelta ? Boolean(flow.delta_estimated) : true;
       
       // Calculate delta exposure
       const deltaExposure = realDelta * flow.notional;
@@ -339,28 +520,31 @@ class FlowAnalyzer {
       const isStockOptionCombo = flow.stock_option_combo || 
                                 (stockPrice > 0 && flow.option_type && flow.strike);
       
-      // Parse timestamp and ensure it's from target date
-      let flowTimestamp = new Date(flow.timestamp);
-      if (targetDate) {
-        // Ensure timestamp matches target date for consistency
-        const flowDate = flowTimestamp.toISOString().split('T')[0];
-        if (flowDate !== targetDate) {
-          // Adjust timestamp to target date while keeping time
-          const [year, month, day] = targetDate.split('-').map(Number);
-          flowTimestamp.setFullYear(year, month - 1, day);
-        }
+      // Parse timestamp and ensure it's from target date (both in exchange time)
+      let marketTime = calendar.toMoment(new Date(flow.timestamp));
+      if (targetDate && marketTime.format('YYYY-MM-DD') !== targetDate) {
+        // Adjust timestamp to target date while keeping the exchange-time clock
+        marketTime = moment.tz(`${targetDate} ${marketTime.format('HH:mm:ss.SSS')}`, 'YYYY-MM-DD HH:mm:ss.SSS', calendar.timezone);
       }
+      const flowTimestamp = marketTime.toDate();
       
       return {
         ...flow,
         real_delta: realDelta,
         delta_exposure: deltaExposure,
+        delta_estimated: deltaEstimated,
+        greeks_source: flow.greeks_source || (deltaEstimated ? 'estimate' : 'feed'),
         distance_percent: distancePercent,
         distance_absolute: distanceAbsolute,
         atm: Math.abs(distancePercent) <= 2,
         flow_type: flowType,
-        hour: flowTimestamp.getHours(),
+        hour: marketTime.hour(),
+        market_time: marketTime.format('HH:mm'),
+        // Minutes since the session open (negative before it, past the close after it)
+        session_minute: session ? this.minuteOfDay(marketTime) - this.minuteOfDay(session.open) : null,
         stock_price: stockPrice,
+        // Provenance: websocket, rest, webhook or simulated
+        source: flow.source || 'unknown',
         stock_option_combo: isStockOptionCombo,
         // Add DTE calculation
         dte: flow.dte || this.calculateDTE(flow.expiration, flowTimestamp),
@@ -372,54 +556,99 @@ class FlowAnalyzer {
     });
   }
 
-  calculateDTE(expirationDate, flowDate = new Date()) {
-    if (!expirationDate) return 0;
-    try {
-      const exp = new Date(expirationDate);
-      const diffTime = exp - flowDate;
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-      return Math.max(0, diffDays);
-    } catch (error) {
-      return 0;
-    }
+  // Calendar days from the print's market date; tier assignment may count trading days instead
+  calculateDTE(expirationDate, flowDate = clock.date()) {
+    return getMarketCalendar().dte(expirationDate, flowDate, 'calendar');
   }
 
-  calculateHourlyBreakdown(flowData, targetDate) {
-    const hourly = {};
-    
-    // Initialize hours 9-16 (market hours)
-    for (let hour = 9; hour <= 16; hour++) {
-      hourly[hour] = {
+  // Session open/close for a date from the exchange calendar (half-days close early); days the
+  // calendar has no session for fall back to the configured session hours
+  getSessionBounds(date) {
+    const session = getMarketCalendar().getSession(date);
+    if (session) return session;
+    return {
+      date,
+      open: moment.tz(`${date} ${config.app.sessionStart}`, 'YYYY-MM-DD HH:mm', config.app.timezone),
+      close: moment.tz(`${date} ${config.app.sessionEnd}`, 'YYYY-MM-DD HH:mm', config.app.timezone),
+      earlyClose: false
+    };
+  }
+
+  // Wall-clock minute of the exchange day (DST-safe, unlike a diff from midnight)
+  minuteOfDay(marketTime) {
+    return marketTime.hour() * 60 + marketTime.minute() + marketTime.second() / 60;
+  }
+
+  formatMinuteOfDay(minute) {
+    return `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+  }
+
+  // Fixed-width buckets over the session in exchange time, aligned to the clock (with 60m the
+  // first bucket runs 09:30-10:00). Prints outside the session are counted, not bucketed.
+  bucketFlow(flowData, session, minutes) {
+    const open = this.minuteOfDay(session.open);
+    const close = this.minuteOfDay(session.close);
+    const buckets = [];
+
+    for (let edge = Math.floor(open / minutes) * minutes; edge < close; edge += minutes) {
+      const start = Math.max(edge, open);
+      const end = Math.min(edge + minutes, close);
+      buckets.push({
+        label: `${this.formatMinuteOfDay(start)}-${this.formatMinuteOfDay(end)}`,
+        start: this.formatMinuteOfDay(start),
+        end: this.formatMinuteOfDay(end),
+        startMinute: start - open, // minutes into the session
+        endMinute: end - open,
         netFlow: 0,
         buyFlow: 0,
         sellFlow: 0,
         trades: 0,
         calls: 0,
         puts: 0
-      };
+      });
     }
-    
-    // Aggregate by hour
+
+    let outsideSession = 0;
     flowData.forEach(flow => {
-      const hour = flow.hour;
-      if (hour >= 9 && hour <= 16 && hourly[hour]) {
-        hourly[hour].trades++;
-        
-        if (flow.side === 'BUY') {
-          hourly[hour].buyFlow += flow.notional;
-          hourly[hour].netFlow += flow.notional;
-        } else if (flow.side === 'SELL') {
-          hourly[hour].sellFlow += flow.notional;
-          hourly[hour].netFlow -= flow.notional;
-        }
-        
-        if (flow.option_type === 'CALL') {
-          hourly[hour].calls++;
-        } else {
-          hourly[hour].puts++;
-        }
+      const minute = this.minuteOfDay(moment.tz(flow.timestamp, config.app.timezone)) - open;
+      if (minute < 0 || minute > close - open) {
+        outsideSession++;
+        return;
+      }
+      // The closing print belongs to the last bucket
+      const bucket = buckets.find(entry => minute < entry.endMinute) || buckets[buckets.length - 1];
+
+      bucket.trades++;
+      if (flow.side === 'BUY') {
+        bucket.buyFlow += flow.notional;
+        bucket.netFlow += flow.notional;
+      } else if (flow.side === 'SELL') {
+        bucket.sellFlow += flow.notional;
+        bucket.netFlow -= flow.notional;
       }
+      if (flow.option_type === 'CALL') {
+        bucket.calls++;
+      } else {
+        bucket.puts++;
+      }
+    });
+
+    return { buckets, outsideSession };
+  }
+
+  // Hourly view for the report plus config.app.bucketMinutes buckets for the detectors, all in
+  // exchange time over the session bounds
+  calculateHourlyBreakdown(flowData, targetDate) {
+    const date = targetDate || getMarketCalendar().getTradingDate();
+    const session = this.getSessionBounds(date);
+    const bucketMinutes = config.app.bucketMinutes;
+
+    // Keyed by clock hour for existing readers
+    const hourly = {};
+    this.bucketFlow(flowData, session, 60).buckets.forEach(bucket => {
+      hourly[parseInt(bucket.start, 10)] = bucket;
     });
+    const { buckets, outsideSession } = this.bucketFlow(flowData, session, bucketMinutes);
     
     // Find strongest hour
     let strongestHour = null;
@@ -431,17 +660,37 @@ class FlowAnalyzer {
         strongestHour = hour;
       }
     });
+
+    const strongestBucket = buckets.reduce((best, bucket) => (
+      Math.abs(bucket.netFlow) > Math.abs(best ? best.netFlow : 0) ? bucket : best
+    ), null);
     
     // Generate insights
     const insights = this.generateHourlyInsights(hourly);
     
     return {
       hourly,
+      buckets,
+      bucketMinutes,
+      session: {
+        date,
+        open: session.open.format('HH:mm'),
+        close: session.close.format('HH:mm'),
+        minutes: this.minuteOfDay(session.close) - this.minuteOfDay(session.open),
+        earlyClose: session.earlyClose
+      },
+      outsideSession,
       strongestHour: {
         hour: strongestHour,
+        label: strongestHour ? hourly[strongestHour].label : null,
         netFlow: maxFlow,
         trades: strongestHour ? hourly[strongestHour].trades : 0
       },
+      strongestBucket: strongestBucket ? {
+        label: strongestBucket.label,
+        netFlow: strongestBucket.netFlow,
+        trades: strongestBucket.trades
+      } : null,
       insights,
       analysisDate: targetDate
     };
@@ -525,7 +774,9 @@ class FlowAnalyzer {
     if (!complexTrades || complexTrades.length === 0) {
       return {
         total: 0,
+        reconstructed: 0,
         byType: {},
+        byIntent: {},
         dominantStrategy: null
       };
     }
@@ -535,17 +786,26 @@ class FlowAnalyzer {
       'PUT_SPREAD': { count: 0, notional: 0, intent: 'bearish' },
       'STRADDLE': { count: 0, notional: 0, intent: 'volatility' },
       'STRANGLE': { count: 0, notional: 0, intent: 'volatility' },
+      'CALENDAR': { count: 0, notional: 0, intent: 'volatility' },
+      'RISK_REVERSAL': { count: 0, notional: 0, intent: 'mixed' },
+      'BUTTERFLY': { count: 0, notional: 0, intent: 'pinning' },
+      'CONDOR': { count: 0, notional: 0, intent: 'pinning' },
       'PROTECTIVE_PUT': { count: 0, notional: 0, intent: 'hedge' },
       'COVERED_CALL': { count: 0, notional: 0, intent: 'income' },
       'COLLAR': { count: 0, notional: 0, intent: 'protected' },
       'COMBO': { count: 0, notional: 0, intent: 'mixed' }
     };
+    const byIntent = {};
     
     complexTrades.forEach(trade => {
       const type = trade.strategy_type || 'COMBO';
       if (byType[type]) {
         byType[type].count++;
         byType[type].notional += trade.notional || 0;
+        
+        // Reconstructed structures know their direction from the legs (credit vs debit)
+        const intent = trade.source === 'reconstructed' ? trade.intent : byType[type].intent;
+        byIntent[intent] = (byIntent[intent] || 0) + 1;
       }
     });
     
@@ -562,7 +822,9 @@ class FlowAnalyzer {
     
     return {
       total: complexTrades.length,
+      reconstructed: complexTrades.filter(trade => trade.source === 'reconstructed').length,
       byType,
+      byIntent,
       dominantStrategy: dominant
     };
   }
@@ -685,9 +947,10 @@ class FlowAnalyzer {
     // Calculate net delta exposure
     const netDeltaExposure = flowData.reduce((sum, f) => sum + f.delta_exposure, 0);
     
-    // Classification rate (percentage of flow with clear side)
+    // Classification rate (percentage of flow with clear side, reported or inferred)
     const classifiedTrades = flowData.filter(f => f.side).length;
     const classificationRate = totalTrades > 0 ? (classifiedTrades / totalTrades * 100).toFixed(1) : 0;
+    const inferredTrades = flowData.filter(f => f.side && f.side_inferred).length;
     
     return {
       totalNotional,
@@ -700,6 +963,8 @@ class FlowAnalyzer {
       sellPercent,
       netDeltaExposure,
       classificationRate,
+      reportedTrades: classifiedTrades - inferredTrades,
+      inferredTrades,
       bullish: netFlow > totalNotional * 0.1,
       bearish: netFlow < -totalNotional * 0.1,
       neutral: Math.abs(netFlow) <= totalNotional * 0.1
@@ -876,17 +1141,28 @@ class FlowAnalyzer {
     } : null;
   }
 
+  // Live blocks with the aggressor side filled in where the feed left it out, chain greeks and
+  // their execution style
+  async getLiveBlocks(symbol, minutesBack) {
+    const liveBlocks = await this.unusualWhales.getLiveBlocks(symbol, minutesBack);
+    if (liveBlocks.length === 0) return [];
+
+    const spotPrice = await this.priceService.resolveSpot(symbol).catch(() => null);
+    const enriched = await this.chainEnricher.enrich(this.aggressorInference.infer(liveBlocks), spotPrice || 100);
+    return this.executionClassifier.classify(enriched);
+  }
+
   // NEW: Enhanced live flow method with divergences
   async getLiveFlow(symbol, minutesBack = 10) {
     try {
-      const liveBlocks = await this.unusualWhales.getLiveBlocks(symbol, minutesBack);
-      const quote = await this.tradier.getQuote(symbol).catch(() => ({ price: 100 }));
+      const liveBlocks = await this.getLiveBlocks(symbol, minutesBack);
+      const spotPrice = await this.priceService.resolveSpot(symbol);
       
       // Get live divergences
       const liveDivergences = this.divergenceDetector.detectLiveDivergences(
         symbol,
         liveBlocks,
-        quote.price || 100,
+        spotPrice || 100,
         minutesBack
       );
       
@@ -900,8 +1176,9 @@ class FlowAnalyzer {
         divergenceStatus,
         count: liveBlocks.length,
         totalNotional: liveBlocks.reduce((sum, block) => sum + (block.notional || 0), 0),
-        spotPrice: quote.price || 100,
-        timestamp: new Date(),
+        provenance: Provenance.summarize(liveBlocks),
+        spotPrice: spotPrice || 100,
+        timestamp: clock.date(),
         hasHighConfidenceDivergence: liveDivergences.some(d => d.confidence > 70)
       };
     } catch (error) {
@@ -951,12 +1228,11 @@ class FlowAnalyzer {
   async getLiveAnalysisSummary(symbol) {
     try {
       const liveFlow = await this.getLiveFlow(symbol, 5);
-      const quote = await this.tradier.getQuote(symbol).catch(() => ({ price: 100 }));
       
       const summary = {
         symbol,
         timestamp: new Date(),
-        spotPrice: quote.price || 100,
+        spotPrice: liveFlow.spotPrice,
         blockCount: liveFlow.count,
         totalNotional: liveFlow.totalNotional,
         liveDivergences: liveFlow.liveDivergences,
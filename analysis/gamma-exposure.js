@@ -0,0 +1,240 @@
+const moment = require('moment-timezone');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const BlackScholes = require('../utils/black-scholes');
+
+// Dealer gamma exposure (GEX) from the options chain. Dealers are assumed long the open interest
+// in calls and short it in puts (customers overwrite calls and buy puts); today's observed flow is
+// then netted against that: customer buys leave dealers shorter, customer sells leave them longer.
+// GEX is dollar gamma per 1% move: gamma * contracts * 100 * S^2 * 0.01. Positive = dealers long
+// gamma (hedging dampens moves), negative = short gamma (hedging accelerates moves).
+class GammaExposureModel {
+  constructor(tradier) {
+    this.tradier = tradier;
+    this.logger = new Logger('gamma-exposure');
+    this.settings = config.rules.gammaExposure;
+    this.riskFreeRate = config.rules.riskFreeRate;
+  }
+
+  async build(symbol, spotPrice, flow = []) {
+    if (!spotPrice) return null;
+
+    const contracts = await this.loadContracts(symbol, spotPrice);
+    if (contracts.length === 0) return null;
+
+    const flowAdjusted = this.applyDealerPositioning(contracts, flow);
+
+    // Per-strike exposure at the current spot (chain gamma where Tradier has it)
+    const byStrike = new Map();
+    contracts.forEach(contract => {
+      const gamma = contract.gamma !== null
+        ? contract.gamma
+        : BlackScholes.gamma(spotPrice, contract.strike, contract.years, this.riskFreeRate, contract.iv);
+      const gex = this.dollarGamma(gamma, contract.dealerContracts, spotPrice);
+
+      if (!byStrike.has(contract.strike)) {
+        byStrike.set(contract.strike, { strike: contract.strike, callGex: 0, putGex: 0, netGex: 0, openInterest: 0 });
+      }
+      const level = byStrike.get(contract.strike);
+      level[contract.optionType === 'CALL' ? 'callGex' : 'putGex'] += gex;
+      level.netGex += gex;
+      level.openInterest += contract.openInterest;
+    });
+
+    const range = this.settings.gridRange;
+    const strikes = Array.from(byStrike.values())
+      .filter(level => Math.abs(level.strike - spotPrice) <= spotPrice * range)
+      .sort((a, b) => a.strike - b.strike);
+    const totalGex = Array.from(byStrike.values()).reduce((sum, level) => sum + level.netGex, 0);
+
+    const profile = this.gammaProfile(contracts, spotPrice);
+    const flip = this.findFlip(profile, spotPrice);
+    const zones = this.findZones(strikes, spotPrice);
+
+    return {
+      symbol,
+      spotPrice,
+      totalGex,
+      regime: totalGex >= 0 ? 'LONG_GAMMA' : 'SHORT_GAMMA',
+      flipLevel: flip ? flip.level : null,
+      aboveFlip: flip ? flip.above : null,
+      strikes,
+      accelerationZones: zones.acceleration,
+      suppressionZones: zones.suppression,
+      profile,
+      expirations: [...new Set(contracts.map(contract => contract.expiration))],
+      contracts: contracts.length,
+      flowAdjusted,
+      asOf: clock.date()
+    };
+  }
+
+  // Nearest expirations inside maxDte; contracts without open interest carry no dealer position
+  async loadContracts(symbol, spotPrice) {
+    const today = moment.tz(clock.now(), config.app.timezone).format('YYYY-MM-DD');
+    const lastDate = moment.tz(clock.now(), config.app.timezone).add(this.settings.maxDte, 'days').format('YYYY-MM-DD');
+
+    let expirations;
+    try {
+      expirations = [].concat(await this.tradier.getExpirations(symbol) || [])
+        .filter(date => date >= today && date <= lastDate)
+        .sort()
+        .slice(0, this.settings.maxExpirations);
+    } catch (error) {
+      this.logger.warn(`No expirations for ${symbol}: ${error.message}`);
+      return [];
+    }
+
+    const chains = await Promise.all(expirations.map(expiration =>
+      this.tradier.getOptionsChain(symbol, expiration)
+        .then(chain => ({ expiration, options: chain && chain.option ? [].concat(chain.option) : [] }))
+        .catch(error => {
+          this.logger.warn(`Chain unavailable for ${symbol} ${expiration}: ${error.message}`);
+          return { expiration, options: [] };
+        })));
+
+    const contracts = [];
+    chains.forEach(({ expiration, options }) => {
+      const years = BlackScholes.yearsToExpiry(expiration);
+
+      options.forEach(option => {
+        const openInterest = parseInt(option.open_interest || 0, 10);
+        const strike = parseFloat(option.strike);
+        if (!openInterest || !strike) return;
+
+        const optionType = String(option.option_type).toUpperCase();
+        const greeks = option.greeks || {};
+        const gamma = parseFloat(greeks.gamma);
+        const mid = option.bid > 0 && option.ask > 0 ? (option.bid + option.ask) / 2 : null;
+        const iv = parseFloat(greeks.mid_iv) || parseFloat(greeks.smv_vol) ||
+          (mid ? BlackScholes.impliedVolatility(optionType, mid, spotPrice, strike, years, this.riskFreeRate) : null);
+
+        contracts.push({
+          optionType,
+          strike,
+          expiration,
+          years,
+          openInterest,
+          gamma: Number.isFinite(gamma) ? gamma : null,
+          iv: iv || null,
+          dealerContracts: 0
+        });
+      });
+    });
+
+    return contracts.filter(contract => contract.gamma !== null || contract.iv);
+  }
+
+  // Sets dealerContracts on each contract; returns how many prints adjusted a position
+  applyDealerPositioning(contracts, flow) {
+    const customerNet = new Map();
+    let matched = 0;
+
+    flow.forEach(print => {
+      if (print.side !== 'BUY' && print.side !== 'SELL') return;
+      const key = this.contractKey(print.option_type, print.strike, print.expiration);
+      const size = (print.contracts || 0) * (print.side === 'BUY' ? 1 : -1);
+      customerNet.set(key, (customerNet.get(key) || 0) + size);
+    });
+
+    contracts.forEach(contract => {
+      const baseline = contract.optionType === 'CALL' ? contract.openInterest : -contract.openInterest;
+      const key = this.contractKey(contract.optionType, contract.strike, contract.expiration);
+      const net = customerNet.get(key) || 0;
+      if (net !== 0) matched++;
+
+      contract.dealerContracts = baseline - net;
+    });
+
+    return matched;
+  }
+
+  dollarGamma(gamma, contracts, spotPrice) {
+    return gamma * contracts * 100 * spotPrice * spotPrice * 0.01;
+  }
+
+  // Total dealer GEX re-priced at each spot on the grid
+  gammaProfile(contracts, spotPrice) {
+    const { gridRange, gridSteps } = this.settings;
+    const priced = contracts.filter(contract => contract.iv);
+    const profile = [];
+
+    for (let i = 0; i <= gridSteps; i++) {
+      const spot = spotPrice * (1 - gridRange + (2 * gridRange * i) / gridSteps);
+      const gex = priced.reduce((sum, contract) => {
+        const gamma = BlackScholes.gamma(spot, contract.strike, contract.years, this.riskFreeRate, contract.iv);
+        return sum + this.dollarGamma(gamma, contract.dealerContracts, spot);
+      }, 0);
+      profile.push({ spot, gex });
+    }
+
+    return profile;
+  }
+
+  // Zero crossing of the profile nearest to spot, interpolated between grid points
+  findFlip(profile, spotPrice) {
+    let best = null;
+
+    for (let i = 0; i < profile.length - 1; i++) {
+      const a = profile[i];
+      const b = profile[i + 1];
+      if (a.gex === 0 || Math.sign(a.gex) === Math.sign(b.gex)) continue;
+
+      const level = a.spot + (b.spot - a.spot) * (Math.abs(a.gex) / (Math.abs(a.gex) + Math.abs(b.gex)));
+      if (!best || Math.abs(level - spotPrice) < Math.abs(best.level - spotPrice)) {
+        best = { level, above: b.gex > 0 ? 'LONG' : 'SHORT' };
+      }
+    }
+
+    return best;
+  }
+
+  // Runs of adjacent strikes with the same sign: negative = acceleration, positive = suppression
+  findZones(strikes, spotPrice) {
+    const nearby = strikes.filter(level => Math.abs(level.strike - spotPrice) <= spotPrice * 0.05 && level.netGex !== 0);
+    const runs = [];
+
+    nearby.forEach(level => {
+      const last = runs[runs.length - 1];
+      if (last && Math.sign(last.netGex) === Math.sign(level.netGex)) {
+        last.high = level.strike;
+        last.netGex += level.netGex;
+      } else {
+        runs.push({ low: level.strike, high: level.strike, netGex: level.netGex });
+      }
+    });
+
+    const describe = run => ({
+      ...run,
+      direction: run.low > spotPrice ? 'UPSIDE' : (run.high < spotPrice ? 'DOWNSIDE' : 'AT_SPOT')
+    });
+    const bySize = (a, b) => Math.abs(b.netGex) - Math.abs(a.netGex);
+
+    return {
+      acceleration: runs.filter(run => run.netGex < 0).sort(bySize).slice(0, 3).map(describe),
+      suppression: runs.filter(run => run.netGex > 0).sort(bySize).slice(0, 3).map(describe)
+    };
+  }
+
+  // Dealer gamma added by a single print (the dealer takes the other side; unknown side adds none)
+  static blockGex(block, spotPrice) {
+    if (!block || !spotPrice || !block.strike || !block.expiration) return 0;
+    if (block.side !== 'BUY' && block.side !== 'SELL') return 0;
+
+    const years = BlackScholes.yearsToExpiry(block.expiration);
+    const gamma = Number.isFinite(block.gamma)
+      ? block.gamma
+      : BlackScholes.gamma(spotPrice, block.strike, years, config.rules.riskFreeRate, block.mid_iv || null);
+    if (!gamma) return 0;
+    const dealerContracts = (block.contracts || 0) * (block.side === 'SELL' ? 1 : -1);
+
+    return gamma * dealerContracts * 100 * spotPrice * spotPrice * 0.01;
+  }
+
+  contractKey(optionType, strike, expiration) {
+    return `${String(optionType).toUpperCase()}|${Number(strike)}|${expiration}`;
+  }
+}
+
+module.exports = GammaExposureModel;
@@ -0,0 +1,210 @@
+const moment = require('moment-timezone');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const SeriesStore = require('../storage/series-store');
+
+const LOOKBACKS = { '1H': 60, '4H': 240 };
+
+// Flow momentum oscillator (0-100) and its history. Subscribed symbols are snapshotted on a fixed
+// cadence during the session; every live report adds a point too. Points are kept per trading day
+// (series "momentum", row = { date, points: [{ t, v }], close }) so the 1H/4H readings can reach
+// back into the previous session and Daily compares against the previous close.
+class MomentumTracker {
+  constructor(flowAnalyzer, seriesStore = null) {
+    this.flowAnalyzer = flowAnalyzer;
+    this.settings = config.rules.momentum;
+    this.store = seriesStore || new SeriesStore('momentum', { maxRows: this.settings.historyDays });
+    this.timezone = config.app.timezone;
+    this.logger = new Logger('momentum-tracker');
+    this.timer = null;
+    this.recording = new Map(); // symbol -> pending record() chain
+  }
+
+  // Components are 0-100; the reading weights them 40/30/20/10
+  static calculateReading(hourlyBreakdown, totals, tierAnalysis) {
+    const directionalBias = Math.min(100, Math.max(0,
+      (totals.netFlow / Math.max(totals.totalNotional, 1)) * 200 + 50
+    ));
+
+    const flowIntensity = Math.min(100,
+      (Math.log10(totals.totalNotional / 1000000) / Math.log10(100)) * 100
+    );
+
+    const executionUrgency = tierAnalysis.tier1.calls.avgSize > 500000 ?
+      Math.min(100, (tierAnalysis.tier1.calls.avgSize / 1000000) * 30 + 70) : 50;
+
+    const strikeClustering = hourlyBreakdown.insights.length > 2 ? 80 : 50;
+
+    const value = Math.min(100, Math.max(0,
+      (directionalBias * 0.4) +
+      (flowIntensity * 0.3) +
+      (executionUrgency * 0.2) +
+      (strikeClustering * 0.1)
+    ));
+
+    return { value, directionalBias, flowIntensity, executionUrgency, strikeClustering };
+  }
+
+  static zone(value) {
+    const { overbought, oversold } = config.rules.momentum;
+    if (value > overbought) return '🔴 OVERBOUGHT';
+    if (value > 60) return '🟢 BULLISH MOMENTUM';
+    if (value > 40) return '🟡 NEUTRAL';
+    if (value > oversold) return '🔵 BEARISH MOMENTUM';
+    return '🟣 OVERSOLD';
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.snapshotAll().catch(error => this.logger.error(`Momentum snapshots failed: ${error.message}`));
+    }, this.settings.snapshotIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // One writer per deployment: only the leader instance takes cadence snapshots
+  async snapshotAll() {
+    const unusualWhales = this.flowAnalyzer.unusualWhales;
+    if (!unusualWhales.isLeader() || !this.flowAnalyzer.isMarketOpen()) return;
+
+    for (const symbol of unusualWhales.getSubscribedSymbols()) {
+      try {
+        await this.snapshot(symbol);
+      } catch (error) {
+        this.logger.error(`Momentum snapshot failed for ${symbol}: ${error.message}`);
+      }
+    }
+  }
+
+  // Reading from the session's flow so far; null when there is no flow yet
+  async snapshot(symbol) {
+    const analyzer = this.flowAnalyzer;
+    const date = moment.tz(clock.now(), this.timezone).format('YYYY-MM-DD');
+
+    const flowData = await analyzer.unusualWhales.getInstitutionalFlow(symbol, date);
+    if (!flowData || flowData.length === 0) return null;
+
+    // Same pipeline as the full report, so a snapshot matches the reading a report would show
+    const spotPrice = await analyzer.priceService.resolveSpot(symbol) || 100;
+    const { hourlyBreakdown, totals, tierAnalysis } = await analyzer.runFlowPipeline(symbol, flowData, spotPrice, date);
+
+    const reading = MomentumTracker.calculateReading(hourlyBreakdown, totals, tierAnalysis);
+    await this.record(symbol, reading.value);
+    return reading;
+  }
+
+  // A point closer than half the cadence to the previous one replaces it
+  async record(symbol, value, at = clock.now()) {
+    const previous = this.recording.get(symbol) || Promise.resolve();
+    const write = previous.then(() => this.appendPoint(symbol, value, at));
+    const settled = write.catch(() => {});
+
+    this.recording.set(symbol, settled);
+    try {
+      await write;
+    } finally {
+      if (this.recording.get(symbol) === settled) this.recording.delete(symbol);
+    }
+  }
+
+  async appendPoint(symbol, value, at) {
+    const time = moment.tz(at, this.timezone);
+    const date = time.format('YYYY-MM-DD');
+    const row = await this.store.get(symbol, date) || { date, points: [] };
+    const point = { t: time.toISOString(), v: Math.round(value * 10) / 10 };
+
+    const last = row.points[row.points.length - 1];
+    if (last && time.diff(moment(last.t)) < this.settings.snapshotIntervalMs / 2) {
+      row.points[row.points.length - 1] = point;
+    } else {
+      row.points.push(point);
+    }
+    row.close = point.v;
+
+    await this.store.upsert(symbol, row);
+  }
+
+  // Stored points oldest first, across the last `days` stored sessions
+  async getSeries(symbol, { to = null, days = 2 } = {}) {
+    const rows = await this.store.read(symbol, { to, limit: days });
+    return rows.flatMap(row => row.points.map(point => ({ ...point, date: row.date })));
+  }
+
+  // Trend readings against the stored history. date: the session being reported; for a past
+  // session "now" is its last stored point. record: add `current` to the series first.
+  async describe(symbol, current, { date = null, record = false } = {}) {
+    if (record) {
+      await this.record(symbol, current);
+    }
+
+    const targetDate = date || moment.tz(clock.now(), this.timezone).format('YYYY-MM-DD');
+    const rows = await this.store.read(symbol, { to: targetDate, limit: this.settings.historyDays });
+    const todayRow = rows.length > 0 && rows[rows.length - 1].date === targetDate ? rows[rows.length - 1] : null;
+    const previousRow = todayRow ? rows[rows.length - 2] : rows[rows.length - 1];
+    const points = rows.flatMap(row => row.points);
+
+    let asOf = null;
+    if (record) {
+      asOf = moment.tz(clock.now(), this.timezone);
+    } else if (todayRow && todayRow.points.length > 0) {
+      asOf = moment(todayRow.points[todayRow.points.length - 1].t);
+    }
+
+    const trends = {};
+    Object.entries(LOOKBACKS).forEach(([label, minutes]) => {
+      if (!asOf) {
+        trends[label] = null;
+        return;
+      }
+      const cutoff = asOf.clone().subtract(minutes, 'minutes');
+      const past = points.filter(point => !moment(point.t).isAfter(cutoff)).pop();
+      trends[label] = past ? this.trend(past.v, current, moment(past.t)) : null;
+    });
+    trends.Daily = previousRow && previousRow.close !== undefined
+      ? this.trend(previousRow.close, current, moment.tz(previousRow.date, this.timezone))
+      : null;
+
+    return {
+      trends,
+      crossings: this.findCrossings(todayRow ? todayRow.points : []),
+      points: todayRow ? todayRow.points : [],
+      historyDays: rows.length
+    };
+  }
+
+  trend(past, current, at) {
+    const change = current - past;
+    return {
+      value: past,
+      change,
+      direction: change > 2 ? '↗️' : (change < -2 ? '↘️' : '→'),
+      at: at.toISOString()
+    };
+  }
+
+  // Entries into and exits from the overbought/oversold bands, in order
+  findCrossings(points) {
+    const { overbought, oversold } = this.settings;
+    const crossings = [];
+
+    for (let i = 1; i < points.length; i++) {
+      const before = points[i - 1].v;
+      const after = points[i].v;
+      const time = moment.tz(points[i].t, this.timezone).format('HH:mm');
+
+      if (before <= overbought && after > overbought) crossings.push({ time, band: 'OVERBOUGHT', event: 'ENTERED', value: after });
+      if (before > overbought && after <= overbought) crossings.push({ time, band: 'OVERBOUGHT', event: 'EXITED', value: after });
+      if (before > oversold && after <= oversold) crossings.push({ time, band: 'OVERSOLD', event: 'ENTERED', value: after });
+      if (before <= oversold && after > oversold) crossings.push({ time, band: 'OVERSOLD', event: 'EXITED', value: after });
+    }
+
+    return crossings;
+  }
+}
+
+module.exports = MomentumTracker;
@@ -0,0 +1,207 @@
+const config = require('../config');
+
+// Rebuilds multi-leg structures from single prints: prints on one underlying that land within a
+// short window with matching size ratios are tested against known leg patterns (verticals,
+// calendars, straddles, strangles, risk reversals, collars, butterflies, condors). Legs are
+// tagged with the structure they belong to, and tier_notional carries the structure's net
+// premium on the legs of its net side only, so a spread is not counted once per leg.
+class MultiLegReconstructor {
+  constructor() {
+    this.settings = config.rules.multiLeg;
+  }
+
+  // Returns { records, structures }; records keep their order, legs gain structure_* fields
+  reconstruct(records) {
+    if (!records || records.length === 0) return { records: [], structures: [] };
+
+    const tagged = records.map(record => ({ ...record, tier_notional: record.notional || 0 }));
+    const structures = [];
+
+    this.timeClusters(tagged).forEach(cluster => {
+      const unassigned = new Set(cluster);
+
+      // Larger patterns first so a condor is not read as two verticals
+      for (const size of [4, 3, 2]) {
+        let found = true;
+        while (found && unassigned.size >= size) {
+          found = false;
+          for (const legs of this.combinations(Array.from(unassigned), size)) {
+            const match = this.classify(legs);
+            if (!match) continue;
+
+            const structure = this.buildStructure(match, legs, structures.length + 1);
+            structures.push(structure);
+            legs.forEach(leg => unassigned.delete(leg));
+            found = true;
+            break;
+          }
+        }
+      }
+    });
+
+    return { records: tagged, structures };
+  }
+
+  // Prints per symbol, chained while each one follows the cluster's first within the window
+  timeClusters(records) {
+    const bySymbol = new Map();
+    records.forEach(record => {
+      if (!record.option_type || !record.strike || !record.expiration || !(record.contracts > 0)) return;
+      const symbol = String(record.symbol || '').toUpperCase();
+      if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+      bySymbol.get(symbol).push(record);
+    });
+
+    const clusters = [];
+    bySymbol.forEach(prints => {
+      prints.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      let cluster = [];
+      prints.forEach(print => {
+        const start = cluster.length > 0 ? new Date(cluster[0].timestamp).getTime() : null;
+        if (start !== null && (new Date(print.timestamp).getTime() - start > this.settings.windowMs ||
+            cluster.length >= this.settings.maxClusterPrints)) {
+          if (cluster.length > 1) clusters.push(cluster);
+          cluster = [];
+        }
+        cluster.push(print);
+      });
+      if (cluster.length > 1) clusters.push(cluster);
+    });
+
+    return clusters;
+  }
+
+  * combinations(items, size, start = 0, picked = []) {
+    if (picked.length === size) {
+      yield picked;
+      return;
+    }
+    for (let i = start; i <= items.length - (size - picked.length); i++) {
+      yield* this.combinations(items, size, i + 1, [...picked, items[i]]);
+    }
+  }
+
+  sameSize(a, b, ratio = 1) {
+    return Math.abs(a.contracts * ratio - b.contracts) <= b.contracts * this.settings.sizeTolerance;
+  }
+
+  // { type, intent } for a recognised pattern, null otherwise. Every leg needs a side.
+  classify(legs) {
+    if (legs.some(leg => leg.side !== 'BUY' && leg.side !== 'SELL')) return null;
+
+    // By strike, puts before calls at the same strike
+    const sorted = [...legs].sort((a, b) => a.strike - b.strike || (a.option_type === 'PUT' ? -1 : 1) - (b.option_type === 'PUT' ? -1 : 1));
+    const expirations = new Set(legs.map(leg => leg.expiration));
+    const types = new Set(legs.map(leg => leg.option_type));
+
+    if (legs.length === 2) return this.classifyPair(sorted, expirations.size === 1);
+    if (expirations.size !== 1) return null;
+    if (legs.length === 3 && types.size === 1) return this.classifyButterfly(sorted);
+    if (legs.length === 4) return this.classifyCondor(sorted, types.size);
+    return null;
+  }
+
+  classifyPair([low, high], sameExpiration) {
+    if (!this.sameSize(low, high)) return null;
+    const sameType = low.option_type === high.option_type;
+    const sameSide = low.side === high.side;
+
+    if (sameType && !sameExpiration) {
+      if (low.strike !== high.strike || sameSide) return null;
+      return { type: 'CALENDAR', intent: 'volatility' };
+    }
+    if (!sameExpiration) return null;
+
+    if (sameType) {
+      if (low.strike === high.strike || sameSide) return null;
+      const isCall = low.option_type === 'CALL';
+      // Long the lower call / higher put is a debit spread in that direction
+      const longLower = low.side === 'BUY';
+      const bullish = isCall ? longLower : !longLower;
+      return { type: isCall ? 'CALL_SPREAD' : 'PUT_SPREAD', intent: bullish ? 'bullish' : 'bearish' };
+    }
+
+    if (sameSide) {
+      return low.strike === high.strike
+        ? { type: 'STRADDLE', intent: 'volatility' }
+        : { type: 'STRANGLE', intent: 'volatility' };
+    }
+
+    const call = low.option_type === 'CALL' ? low : high;
+    const put = call === low ? high : low;
+    if (put.side === 'BUY' && call.side === 'SELL' && low.stock_option_combo === true && high.stock_option_combo === true) {
+      return { type: 'COLLAR', intent: 'protected' };
+    }
+    return { type: 'RISK_REVERSAL', intent: call.side === 'BUY' ? 'bullish' : 'bearish' };
+  }
+
+  // 1:2:1 across three strikes, body on the other side of the wings
+  classifyButterfly([lower, body, upper]) {
+    if (!(lower.strike < body.strike && body.strike < upper.strike)) return null;
+    if (!this.sameSize(lower, upper) || !this.sameSize(lower, body, 2)) return null;
+    if (lower.side !== upper.side || body.side === lower.side) return null;
+    return { type: 'BUTTERFLY', intent: 'pinning' };
+  }
+
+  // Four equal legs: wings on one side, inner strikes on the other (iron condor when put wing
+  // and call wing, iron butterfly when the inner strikes meet)
+  classifyCondor(sorted, typeCount) {
+    if (!sorted.every(leg => this.sameSize(sorted[0], leg))) return null;
+    const [outerLow, innerLow, innerHigh, outerHigh] = sorted;
+    if (outerLow.side !== outerHigh.side || innerLow.side !== innerHigh.side || outerLow.side === innerLow.side) return null;
+    if (!(outerLow.strike < innerLow.strike && innerHigh.strike < outerHigh.strike)) return null;
+
+    if (typeCount === 1) {
+      return innerLow.strike < innerHigh.strike ? { type: 'CONDOR', intent: 'pinning' } : null;
+    }
+    // Iron structures: puts below, calls above
+    if (outerLow.option_type !== 'PUT' || innerLow.option_type !== 'PUT' ||
+        innerHigh.option_type !== 'CALL' || outerHigh.option_type !== 'CALL') return null;
+    return innerLow.strike === innerHigh.strike
+      ? { type: 'BUTTERFLY', intent: 'pinning' }
+      : { type: 'CONDOR', intent: 'pinning' };
+  }
+
+  buildStructure(match, legs, sequence) {
+    const signed = legs.map(leg => (leg.side === 'BUY' ? 1 : -1) * (leg.notional || 0));
+    const netPremium = signed.reduce((sum, value) => sum + value, 0); // + debit, - credit
+    const grossPremium = legs.reduce((sum, leg) => sum + (leg.notional || 0), 0);
+    const netSide = netPremium >= 0 ? 'BUY' : 'SELL';
+    const netLegs = legs.filter(leg => leg.side === netSide);
+    const netLegNotional = netLegs.reduce((sum, leg) => sum + (leg.notional || 0), 0);
+    const id = `${String(legs[0].symbol || '').toUpperCase()}-ML${sequence}`;
+
+    legs.forEach(leg => {
+      leg.structure_id = id;
+      leg.structure_type = match.type;
+      leg.tier_notional = leg.side === netSide && netLegNotional > 0
+        ? Math.abs(netPremium) * ((leg.notional || 0) / netLegNotional)
+        : 0;
+    });
+
+    return {
+      id,
+      symbol: legs[0].symbol,
+      timestamp: legs[0].timestamp,
+      strategy_type: match.type,
+      intent: match.intent,
+      legs: legs.length,
+      notional: grossPremium,
+      net_premium: netPremium,
+      // The feed already reports structures whose prints it flagged as multi-leg
+      upstream: legs.every(leg => leg.complex_type),
+      components: legs.map(leg => ({
+        option_type: leg.option_type,
+        strike: leg.strike,
+        expiration: leg.expiration,
+        side: leg.side,
+        contracts: leg.contracts
+      })),
+      source: 'reconstructed',
+      // Simulated if any leg was, otherwise the feed the legs came from
+      leg_source: legs.some(leg => leg.source === 'simulated') ? 'simulated' : (legs[0].source || 'unknown')
+    };
+  }
+}
+
+module.exports = MultiLegReconstructor;
@@ -0,0 +1,152 @@
+const moment = require('moment-timezone');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const SeriesStore = require('../storage/series-store');
+const { getMarketCalendar } = require('../utils/market-calendar');
+
+const EFFECTS = ['OPENING', 'CLOSING', 'AMBIGUOUS'];
+
+// Opening vs closing from open interest. Chain OI during a session is the OCC figure from the
+// night before, so per-contract OI and day volume are snapshotted once per session (series "oi",
+// row = { date, contracts: { 'CALL|580|2026-10-22': [oi, volume] } }, taken by the after-close
+// job) and a print on day D is judged by the OI change between D's snapshot and the next one.
+// Until that next snapshot exists the day's prints stay AMBIGUOUS with basis "pending" (basis
+// "gap" when the next stored snapshot is not from the next trading day).
+class OpenInterestTracker {
+  constructor(flowAnalyzer, seriesStore = null) {
+    this.flowAnalyzer = flowAnalyzer;
+    this.tradier = flowAnalyzer.tradier;
+    this.settings = config.rules.openInterest;
+    this.store = seriesStore || new SeriesStore('oi', { maxRows: this.settings.historyDays });
+    this.timezone = config.app.timezone;
+    this.logger = new Logger('open-interest');
+  }
+
+  // Stores OI and day volume for every listed contract up to maxDte; re-running a day replaces it
+  async snapshot(symbol, date) {
+    const today = moment.tz(date, this.timezone);
+    const lastDate = today.clone().add(this.settings.maxDte, 'days').format('YYYY-MM-DD');
+
+    let expirations;
+    try {
+      expirations = [].concat(await this.tradier.getExpirations(symbol) || [])
+        .filter(expiration => expiration >= date && expiration <= lastDate)
+        .sort()
+        .slice(0, this.settings.maxExpirations);
+    } catch (error) {
+      this.logger.warn(`No expirations for ${symbol}: ${error.message}`);
+      return null;
+    }
+
+    const contracts = {};
+    for (const expiration of expirations) {
+      try {
+        const chain = await this.tradier.getOptionsChain(symbol, expiration);
+        const options = chain && chain.option ? [].concat(chain.option) : [];
+        options.forEach(option => {
+          const oi = parseInt(option.open_interest, 10) || 0;
+          const volume = parseInt(option.volume, 10) || 0;
+          if (oi === 0 && volume === 0) return;
+          contracts[this.contractKey(option.option_type, option.strike, expiration)] = [oi, volume];
+        });
+      } catch (error) {
+        this.logger.warn(`Chain unavailable for ${symbol} ${expiration}: ${error.message}`);
+      }
+    }
+
+    if (Object.keys(contracts).length === 0) return null;
+
+    const row = { date, takenAt: new Date().toISOString(), expirations, contracts };
+    await this.store.upsert(symbol, row);
+    return row;
+  }
+
+  // Adds position_effect (OPENING / CLOSING / AMBIGUOUS) and position_effect_basis to each print
+  async label(symbol, date, flow) {
+    if (!flow || flow.length === 0) return [];
+
+    const rows = (await this.store.read(symbol, { from: date })).slice(0, 2);
+    const base = rows[0] && rows[0].date === date ? rows[0] : null;
+    const next = base ? rows[1] : null;
+
+    // Only the very next session's OI isolates this day's change; a later one mixes in the days between
+    let basis = 'oi_change';
+    if (!base) basis = 'no_snapshot';
+    else if (!next) basis = 'pending';
+    else if (next.date !== getMarketCalendar().nextTradingDay(date)) basis = 'gap';
+    if (basis !== 'oi_change') {
+      return flow.map(print => ({ ...print, position_effect: 'AMBIGUOUS', position_effect_basis: basis }));
+    }
+
+    // Our contracts per contract for the day
+    const ours = new Map();
+    flow.forEach(print => {
+      const key = this.contractKey(print.option_type, print.strike, print.expiration);
+      ours.set(key, (ours.get(key) || 0) + (print.contracts || 0));
+    });
+
+    const effects = new Map();
+    ours.forEach((contracts, key) => effects.set(key, this.judge(key, contracts, base, next)));
+
+    return flow.map(print => {
+      const effect = effects.get(this.contractKey(print.option_type, print.strike, print.expiration));
+      return { ...print, position_effect: effect.effect, position_effect_basis: effect.basis, oi_change: effect.oiChange };
+    });
+  }
+
+  // The OI change has to cover a meaningful part of our contracts, and our contracts have to be
+  // a meaningful part of the day's volume, before it says anything about our prints
+  judge(key, contracts, base, next) {
+    const before = base.contracts[key];
+    const after = next.contracts[key];
+    const expiration = key.split('|')[2];
+
+    if (!before && !after) return { effect: 'AMBIGUOUS', basis: 'not_tracked', oiChange: null };
+    if (!after && expiration < next.date) return { effect: 'AMBIGUOUS', basis: 'expired', oiChange: null };
+    if (!(contracts > 0)) return { effect: 'AMBIGUOUS', basis: 'no_size', oiChange: null };
+
+    const oiChange = (after ? after[0] : 0) - (before ? before[0] : 0);
+    const volume = Math.max(before ? before[1] : 0, contracts);
+    const coverage = oiChange / contracts;
+
+    if (contracts / volume < this.settings.minFlowShare) {
+      return { effect: 'AMBIGUOUS', basis: 'small_share_of_volume', oiChange };
+    }
+    if (coverage >= this.settings.confirmShare) return { effect: 'OPENING', basis: 'oi_change', oiChange };
+    if (coverage <= -this.settings.confirmShare) return { effect: 'CLOSING', basis: 'oi_change', oiChange };
+    return { effect: 'AMBIGUOUS', basis: 'oi_change', oiChange };
+  }
+
+  contractKey(optionType, strike, expiration) {
+    return `${String(optionType).toUpperCase()}|${Number(strike)}|${expiration}`;
+  }
+
+  // Premium by position effect; net is buys minus sells, as in the daily totals
+  static summarize(flow) {
+    const effects = Object.fromEntries(EFFECTS.map(effect => [effect, { prints: 0, premium: 0, netPremium: 0 }]));
+    const bases = {};
+
+    flow.forEach(print => {
+      const entry = effects[print.position_effect];
+      if (!entry) return;
+      const sideSign = print.side === 'BUY' ? 1 : (print.side === 'SELL' ? -1 : 0);
+      entry.prints++;
+      entry.premium += print.notional || 0;
+      entry.netPremium += sideSign * (print.notional || 0);
+      bases[print.position_effect_basis] = (bases[print.position_effect_basis] || 0) + 1;
+    });
+
+    const totalPremium = EFFECTS.reduce((sum, effect) => sum + effects[effect].premium, 0);
+    const totalNet = EFFECTS.reduce((sum, effect) => sum + effects[effect].netPremium, 0);
+
+    return {
+      effects,
+      bases,
+      totalPremium,
+      totalNet,
+      pending: (bases.pending || 0) + (bases.no_snapshot || 0) + (bases.gap || 0) === flow.length && flow.length > 0
+    };
+  }
+}
+
+module.exports = OpenInterestTracker;
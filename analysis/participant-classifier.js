@@ -0,0 +1,125 @@
+const config = require('../config');
+
+// Ties go to the earlier class
+const CLASSES = ['DIRECTIONAL', 'HEDGING', 'INCOME', 'DEALER_FACILITATION'];
+
+// Heuristic read of who is likely behind each print, from what the tape shows: side, size, DTE,
+// moneyness, multi-leg structure, feed-flagged stock-option combos and repeat hits on the same
+// contract. Each class collects points from the features that fit it; the highest total wins
+// and participant_reasons records why. A guess per print, not an identity.
+class ParticipantClassifier {
+  constructor() {
+    this.settings = config.rules.participants;
+  }
+
+  classify(records) {
+    if (!records || records.length === 0) return [];
+
+    const repeats = this.findRepeats(records);
+
+    return records.map((record, index) => {
+      const scores = this.score(record, repeats.has(index));
+      const ranked = CLASSES
+        .map(name => ({ name, points: scores[name].points, reasons: scores[name].reasons }))
+        .sort((a, b) => b.points - a.points);
+      const total = ranked.reduce((sum, entry) => sum + entry.points, 0);
+
+      return {
+        ...record,
+        participant: ranked[0].name,
+        participant_confidence: total > 0 ? ranked[0].points / total : 0,
+        participant_reasons: ranked[0].reasons
+      };
+    });
+  }
+
+  // Indexes of prints that hit a contract already hit on the same side within the repeat window
+  findRepeats(records) {
+    const byContract = new Map();
+    records.forEach((record, index) => {
+      if (record.side !== 'BUY' && record.side !== 'SELL') return;
+      const key = `${record.option_type}|${record.strike}|${record.expiration}|${record.side}`;
+      if (!byContract.has(key)) byContract.set(key, []);
+      byContract.get(key).push({ index, time: new Date(record.timestamp).getTime() });
+    });
+
+    const repeats = new Set();
+    byContract.forEach(hits => {
+      hits.sort((a, b) => a.time - b.time);
+      for (let i = 1; i < hits.length; i++) {
+        if (hits[i].time - hits[i - 1].time <= this.settings.repeatWindowMs) {
+          repeats.add(hits[i - 1].index);
+          repeats.add(hits[i].index);
+        }
+      }
+    });
+
+    return repeats;
+  }
+
+  score(record, isRepeat) {
+    const scores = Object.fromEntries(CLASSES.map(name => [name, { points: 0, reasons: [] }]));
+    const add = (name, points, reason) => {
+      scores[name].points += points;
+      scores[name].reasons.push(reason);
+    };
+
+    const { otmPercent, largeNotional } = this.settings;
+    const atmPercent = config.rules.atmRange * 100;
+    const isCall = record.option_type === 'CALL';
+    const side = record.side === 'BUY' || record.side === 'SELL' ? record.side : null;
+    const dte = Number.isFinite(record.dte) ? record.dte : 0;
+    const distance = record.distance_percent || 0; // strike vs spot, %
+    const otm = isCall ? distance > otmPercent : distance < -otmPercent;
+    const nearMoney = Math.abs(distance) <= atmPercent;
+    const large = (record.notional || 0) >= largeNotional;
+    const structure = String(record.complex_type || record.structure_type ||
+      (record.flow_type !== 'SINGLE' ? record.flow_type || '' : '')).toUpperCase();
+    // Feed-flagged combos only: processFlowData also marks any print that carries an underlying price
+    const combo = record.stock_option_combo === true;
+
+    if (!side) {
+      add('DEALER_FACILITATION', 3, 'no aggressor side');
+    }
+
+    if (structure.includes('COLLAR')) add('HEDGING', 3, 'collar');
+    if (structure.includes('STRADDLE') || structure.includes('STRANGLE') || structure === 'COMBO') {
+      add('DEALER_FACILITATION', 2, `${structure.toLowerCase()} (delta-neutral structure)`);
+    } else if (structure.includes('SPREAD') && side === 'BUY') {
+      add('DIRECTIONAL', 1, 'bought vertical');
+    } else if (structure === 'RISK_REVERSAL') {
+      add('DIRECTIONAL', 1, 'risk reversal leg');
+    }
+
+    if (combo) {
+      if (!isCall && side === 'BUY') add('HEDGING', 3, 'put bought against stock');
+      else if (isCall && side === 'SELL') add('INCOME', 3, 'call sold against stock');
+      else if (side) add('DEALER_FACILITATION', 2, 'delta-hedged stock tie');
+    }
+
+    if (side === 'BUY') {
+      add('DIRECTIONAL', 1, 'bought');
+      if (!isCall && otm) {
+        add('HEDGING', 2, 'OTM put bought');
+        if (dte >= 14) add('HEDGING', 1, `${dte} DTE protection`);
+        if (large) add('HEDGING', 1, 'large size');
+      }
+      if (isCall) add('DIRECTIONAL', 1, 'call bought');
+      if (dte <= 14) add('DIRECTIONAL', 1, `${dte} DTE`);
+      if (nearMoney) add('DIRECTIONAL', 1, 'near the money');
+      if (isRepeat) add('DIRECTIONAL', 2, 'repeat hits on the contract');
+    }
+
+    if (side === 'SELL') {
+      add('INCOME', 1, 'sold');
+      if (otm) add('INCOME', 2, isCall ? 'OTM call sold' : 'OTM put sold');
+      if (dte >= 7 && dte <= 60) add('INCOME', 1, `${dte} DTE premium`);
+      if (isRepeat) add('DIRECTIONAL', 1, 'repeat hits on the contract');
+      if (large && nearMoney && dte <= 1) add('DEALER_FACILITATION', 1, 'large near-money 0DTE sale');
+    }
+
+    return scores;
+  }
+}
+
+module.exports = ParticipantClassifier;
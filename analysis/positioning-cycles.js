@@ -0,0 +1,270 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const SeriesStore = require('../storage/series-store');
+
+const PHASE_NAMES = {
+  ACCUMULATION: 'Accumulation',
+  DISTRIBUTION: 'Distribution',
+  NEUTRAL: 'Neutral'
+};
+
+// Multi-day positioning phases from per-symbol daily aggregates (series "daily"): signed net
+// premium, net delta and repeat-contract accumulation. Each day is scored -1..1 (bullish
+// positioning positive) and classified; runs of same-type days form phases, where a single
+// quiet day does not break a run but two in a row do. Cycle length and targets come from the
+// symbol's own completed phases of the same type. A session's aggregate is stored by the
+// after-close job at its close; until then today is analyzed from a provisional, unstored row.
+class PositioningCycleDetector {
+  constructor(tradier, seriesStore = null) {
+    this.tradier = tradier;
+    this.store = seriesStore || new SeriesStore('daily');
+    this.settings = config.rules.positioningCycles;
+    this.logger = new Logger('positioning-cycles');
+  }
+
+  // Analyzes the history up to the day: a live session joins as a provisional row at the current
+  // spot, a past one is stored with its own close
+  async update(symbol, date, flow, { spotPrice = null, live = true } = {}) {
+    let provisional = null;
+    if (flow && flow.length > 0) {
+      if (live) {
+        provisional = this.aggregate(date, flow, spotPrice);
+      } else {
+        await this.record(symbol, date, flow, await this.getClose(symbol, date))
+          .catch(() => {}); // logged by the store; earlier days still describe the cycle
+      }
+    }
+
+    return this.analyze(symbol, date, spotPrice, provisional);
+  }
+
+  // Stores the day's aggregate at the session close; re-running a day replaces it.
+  // Simulated prints never enter the history, whichever path stores the day
+  async record(symbol, date, flow, close) {
+    const prints = (flow || []).filter(print => print.source !== 'simulated');
+    if (prints.length === 0) return null;
+
+    const row = this.aggregate(date, prints, close);
+    await this.store.upsert(symbol, row);
+    return row;
+  }
+
+  // Past sessions are stored with their own close, not today's quote
+  async getClose(symbol, date) {
+    try {
+      const history = await this.tradier.getHistoricalQuotes(symbol, 'daily', date, date);
+      const day = history && history.day ? [].concat(history.day)[0] : null;
+      return day ? day.close : null;
+    } catch (error) {
+      this.logger.warn(`No close for ${symbol} ${date}: ${error.message}`);
+      return null;
+    }
+  }
+
+  aggregate(date, flow, spot) {
+    let netPremium = 0;
+    let grossPremium = 0;
+    let netDelta = 0;
+    let grossDelta = 0;
+    const contracts = new Map();
+
+    flow.forEach(print => {
+      const notional = print.notional || 0;
+      const direction = this.direction(print);
+      const sideSign = print.side === 'BUY' ? 1 : (print.side === 'SELL' ? -1 : 0);
+      const deltaExposure = print.delta_exposure || 0;
+
+      netPremium += direction * notional;
+      grossPremium += notional;
+      netDelta += sideSign * deltaExposure;
+      grossDelta += Math.abs(deltaExposure);
+
+      if (direction === 0) return;
+      const key = `${print.option_type}|${print.strike}|${print.expiration}`;
+      if (!contracts.has(key)) contracts.set(key, { key, prints: 0, signs: new Set(), notional: 0 });
+      const contract = contracts.get(key);
+      contract.prints++;
+      contract.signs.add(direction);
+      contract.notional += direction * notional;
+    });
+
+    // Repeat accumulation: the same contract hit several times in one direction
+    const repeats = Array.from(contracts.values())
+      .filter(contract => contract.prints >= this.settings.repeatMinPrints && contract.signs.size === 1)
+      .sort((a, b) => Math.abs(b.notional) - Math.abs(a.notional));
+    const repeatNet = repeats.reduce((sum, contract) => sum + contract.notional, 0);
+    const repeatGross = repeats.reduce((sum, contract) => sum + Math.abs(contract.notional), 0);
+
+    return {
+      date,
+      spot,
+      prints: flow.length,
+      netPremium,
+      grossPremium,
+      netDelta,
+      grossDelta,
+      repeatContracts: repeats.length,
+      repeatNetPremium: repeatNet,
+      repeatGrossPremium: repeatGross,
+      repeatKeys: repeats.slice(0, 10).map(contract => ({ key: contract.key, notional: contract.notional })),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  // +1 bullish (calls bought, puts sold), -1 bearish, 0 when the side is unknown
+  direction(print) {
+    const sideSign = print.side === 'BUY' ? 1 : (print.side === 'SELL' ? -1 : 0);
+    return (print.option_type === 'PUT' ? -1 : 1) * sideSign;
+  }
+
+  async analyze(symbol, date, spotPrice = null, provisional = null) {
+    let rows = await this.store.read(symbol, { to: date, limit: this.settings.lookbackDays });
+    if (provisional) {
+      rows = [...rows.filter(row => row.date !== provisional.date), provisional].slice(-this.settings.lookbackDays);
+    }
+    if (rows.length < this.settings.minDays) {
+      return { symbol, insufficientHistory: true, historyDays: rows.length, requiredDays: this.settings.minDays };
+    }
+
+    const days = rows.map(row => this.scoreDay(row));
+    const phases = this.buildPhases(days);
+    const current = phases[phases.length - 1];
+    const completed = phases.slice(0, -1).filter(phase => phase.type === current.type);
+
+    const lengths = completed.map(phase => phase.days.length);
+    const typicalLength = lengths.length > 0 ? Math.round(lengths.reduce((sum, n) => sum + n, 0) / lengths.length) : null;
+    const moves = completed.map(phase => phase.move).filter(Number.isFinite);
+    const spot = spotPrice || current.endSpot;
+
+    return {
+      symbol,
+      insufficientHistory: false,
+      historyDays: rows.length,
+      currentPhase: current.type,
+      phaseDays: current.days.length,
+      typicalLength,
+      phases: phases.slice(-4),
+      current,
+      completedSameType: completed.length,
+      metrics: this.phaseMetrics(current),
+      targets: current.type !== 'NEUTRAL' && moves.length > 0 && current.startSpot
+        ? this.targets(current.type, moves, current.startSpot, spot)
+        : null,
+      invalidation: this.invalidation(current),
+      spotPrice: spot
+    };
+  }
+
+  scoreDay(row) {
+    const premiumBias = row.grossPremium > 0 ? row.netPremium / row.grossPremium : 0;
+    const deltaBias = row.grossDelta > 0 ? row.netDelta / row.grossDelta : 0;
+    const repeatBias = row.repeatGrossPremium > 0 ? row.repeatNetPremium / row.repeatGrossPremium : 0;
+    const score = premiumBias * 0.4 + deltaBias * 0.4 + repeatBias * 0.2;
+
+    let type = 'NEUTRAL';
+    if (score >= this.settings.dayThreshold) type = 'ACCUMULATION';
+    if (score <= -this.settings.dayThreshold) type = 'DISTRIBUTION';
+
+    return { ...row, score, type };
+  }
+
+  buildPhases(days) {
+    const phases = [];
+
+    days.forEach((day, index) => {
+      const current = phases[phases.length - 1];
+      if (!current || (day.type !== current.type && day.type !== 'NEUTRAL')) {
+        phases.push({ type: day.type, days: [day], before: days[index - 1] || null });
+        return;
+      }
+
+      if (day.type === current.type) {
+        current.days.push(day);
+        return;
+      }
+
+      // Quiet day inside a directional phase: tolerated once, a second in a row ends the phase
+      const last = current.days[current.days.length - 1];
+      if (last.type !== 'NEUTRAL') {
+        current.days.push(day);
+        return;
+      }
+      current.days.pop();
+      phases.push({ type: 'NEUTRAL', days: [last, day], before: current.days[current.days.length - 1] });
+    });
+
+    return phases.map(phase => this.summarizePhase(phase));
+  }
+
+  // Move measured from the close before the phase began to its last close
+  summarizePhase({ type, days, before }) {
+    const startSpot = (before && before.spot) || days[0].spot || null;
+    const endSpot = days[days.length - 1].spot || null;
+
+    return {
+      type,
+      name: PHASE_NAMES[type],
+      start: days[0].date,
+      end: days[days.length - 1].date,
+      days,
+      startSpot,
+      endSpot,
+      move: startSpot && endSpot ? endSpot / startSpot - 1 : null,
+      netPremium: days.reduce((sum, day) => sum + day.netPremium, 0),
+      netDelta: days.reduce((sum, day) => sum + day.netDelta, 0),
+      score: days.reduce((sum, day) => sum + day.score, 0) / days.length
+    };
+  }
+
+  phaseMetrics(phase) {
+    const sign = phase.type === 'DISTRIBUTION' ? -1 : 1;
+    const directional = phase.days.filter(day => day.type === phase.type);
+    const withRepeats = phase.days.filter(day => day.repeatContracts > 0 && Math.sign(day.repeatNetPremium) === sign);
+
+    // Contracts accumulated on more than one day of the phase in the same direction
+    const seen = new Map();
+    phase.days.forEach(day => (day.repeatKeys || []).forEach(({ key, notional }) => {
+      const entry = seen.get(key) || { days: 0, sign: Math.sign(notional) };
+      if (entry.sign === Math.sign(notional)) entry.days++;
+      seen.set(key, entry);
+    }));
+    const carried = Array.from(seen.values()).filter(entry => entry.days > 1 && entry.sign === sign).length;
+
+    return {
+      intensity: Math.abs(phase.score) * 10,
+      participation: (withRepeats.length / phase.days.length) * 100,
+      conviction: (directional.length / phase.days.length) * 100,
+      carriedContracts: carried
+    };
+  }
+
+  // Smallest / median / largest past same-type move, projected from this phase's start
+  targets(type, moves, startSpot, spotPrice) {
+    const sorted = [...moves].sort((a, b) => (type === 'DISTRIBUTION' ? b - a : a - b));
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    const level = move => {
+      const price = startSpot * (1 + move);
+      return { price, fromSpot: spotPrice ? price / spotPrice - 1 : null };
+    };
+
+    return {
+      minimum: level(sorted[0]),
+      expected: level(median),
+      maximum: level(sorted[sorted.length - 1]),
+      samples: sorted.length
+    };
+  }
+
+  // Accumulation is undone below the phase's lowest close, distribution above its highest
+  invalidation(phase) {
+    const closes = phase.days.map(day => day.spot).filter(Number.isFinite);
+    if (phase.type === 'NEUTRAL' || closes.length === 0) return null;
+
+    return phase.type === 'ACCUMULATION'
+      ? { below: Math.min(...closes) }
+      : { above: Math.max(...closes) };
+  }
+}
+
+module.exports = PositioningCycleDetector;
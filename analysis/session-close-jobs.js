@@ -0,0 +1,113 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const { getMarketCalendar } = require('../utils/market-calendar');
+const SharedMap = require('../storage/shared-map');
+const { getStateStore } = require('../storage/state-store');
+
+// Once per trading day after its close (early on half-days), leader only: the end-of-day
+// snapshots the day-over-day analyses compare against (open interest, IV, the positioning
+// aggregate), for every subscribed symbol and every symbol analyzed that day on any instance.
+// Running after the close means each one describes the finished session, never an intraday moment.
+class SessionCloseJobs {
+  constructor(flowAnalyzer) {
+    this.flowAnalyzer = flowAnalyzer;
+    this.settings = config.rules.sessionClose;
+    this.logger = new Logger('session-close');
+    this.timer = null;
+    this.lastRun = null; // date of the last after-close run
+    this.done = new Set(); // symbols already snapshotted for lastRun
+    this.analyzed = new SharedMap(getStateStore(), 'close-jobs-analyzed'); // symbol -> last date analyzed
+  }
+
+  noteAnalyzed(symbol, date) {
+    const key = String(symbol).toUpperCase();
+    if (this.analyzed.get(key) !== date) this.analyzed.set(key, date);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.runAtClose().catch(error => this.logger.error(`After-close jobs failed: ${error.message}`));
+    }, this.settings.checkMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runAtClose() {
+    const unusualWhales = this.flowAnalyzer.unusualWhales;
+    const calendar = getMarketCalendar();
+    const now = clock.now();
+    const date = calendar.format(now);
+
+    if (!unusualWhales.isLeader() || !calendar.isAfterClose(now)) return;
+    if (this.lastRun !== date) {
+      this.lastRun = date;
+      this.done = new Set();
+    }
+
+    const analyzedToday = [];
+    Array.from(this.analyzed.entries()).forEach(([symbol, analyzedOn]) => {
+      if (analyzedOn === date) analyzedToday.push(symbol);
+      else if (analyzedOn < date) this.analyzed.delete(symbol);
+    });
+
+    // Later checks pick up symbols first analyzed (or subscribed) after the close
+    const symbols = new Set([...unusualWhales.getSubscribedSymbols(), ...analyzedToday]);
+    for (const symbol of symbols) {
+      if (this.done.has(symbol)) continue;
+      this.done.add(symbol);
+      await this.runForSymbol(symbol, date);
+    }
+  }
+
+  // Each snapshot is independent, so one failing leaves the others in place
+  async runForSymbol(symbol, date) {
+    const analyzer = this.flowAnalyzer;
+
+    await analyzer.openInterest.snapshot(symbol, date)
+      .catch(error => this.logger.error(`OI snapshot failed for ${symbol}: ${error.message}`));
+
+    const close = await this.getSessionClose(symbol, date);
+    if (!close) return;
+
+    await analyzer.volatilityRegime.snapshot(symbol, date, close)
+      .catch(error => this.logger.error(`IV snapshot failed for ${symbol}: ${error.message}`));
+
+    await this.recordPositioning(symbol, date, close)
+      .catch(error => this.logger.error(`Positioning aggregate failed for ${symbol}: ${error.message}`));
+  }
+
+  // The full session's flow through the report pipeline, stored at the session close.
+  // Simulated prints never enter the history
+  async recordPositioning(symbol, date, close) {
+    const analyzer = this.flowAnalyzer;
+    const flowData = (await analyzer.unusualWhales.getInstitutionalFlow(symbol, date))
+      .filter(print => print.source !== 'simulated');
+    if (flowData.length === 0) return null;
+
+    const { flow } = await analyzer.runFlowPipeline(symbol, flowData, close, date);
+    return analyzer.positioningCycles.record(symbol, date, flow, close);
+  }
+
+  // The session's daily bar; the last trade stands in when the bar is not published yet
+  async getSessionClose(symbol, date) {
+    const tradier = this.flowAnalyzer.tradier;
+    try {
+      const history = await tradier.getHistoricalQuotes(symbol, 'daily', date, date);
+      const day = history && history.day ? [].concat(history.day).find(bar => bar.date === date) : null;
+      if (day && day.close > 0) return day.close;
+
+      const quote = await tradier.getQuote(symbol);
+      return quote && quote.price > 0 ? quote.price : null;
+    } catch (error) {
+      this.logger.warn(`No session close for ${symbol} ${date}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = SessionCloseJobs;
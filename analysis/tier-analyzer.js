@@ -1,5 +1,10 @@
 const config = require('../config');
 const Logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const SharedMap = require('../storage/shared-map');
+const { getStateStore } = require('../storage/state-store');
+const ExecutionClassifier = require('./execution-classifier');
+const { getMarketCalendar } = require('../utils/market-calendar');
 
 class TierAnalyzer {
   constructor() {
@@ -8,14 +13,22 @@ class TierAnalyzer {
     
     // Live data tracking
     this.liveFlowTracker = new Map(); // symbol -> { timestamp: Date, flowData: [], spotPrice: number }
-    this.liveSignalHistory = new Map(); // symbol -> array of recent signals
+    this.liveSignalHistory = new SharedMap(getStateStore(), 'live-signal-history'); // symbol -> array of recent signals
   }
 
-  analyzeTiers(flowData, spotPrice, isLiveData = false, symbol = null) {
+  // openingOnly: only prints the open interest tracker confirmed as opening new positions. Until
+  // any print is labelled (the next session's snapshot is pending) every print is used instead
+  analyzeTiers(flowData, spotPrice, isLiveData = false, symbol = null, { openingOnly = false } = {}) {
+    const labelled = flowData.some(flow => flow.position_effect === 'OPENING' || flow.position_effect === 'CLOSING');
+    const openingOnlyFallback = openingOnly && !labelled;
+    if (openingOnly && labelled) {
+      flowData = flowData.filter(flow => flow.position_effect === 'OPENING');
+    }
+
     // Add WebSocket/live data context with symbol tracking
     this.currentContext = {
       isLiveData,
-      analysisTime: new Date(),
+      analysisTime: clock.date(),
       symbol,
       hasRecentFlow: this.hasRecentFlow(flowData, isLiveData),
       spotPrice
@@ -50,12 +63,14 @@ class TierAnalyzer {
       decision: this.makeTierDecision(tier1Analysis, tier2Analysis, hierarchy, signalChange),
       context: this.currentContext,
       liveSignalChange: signalChange,
-      isLiveData
+      isLiveData,
+      openingOnly: openingOnly && labelled,
+      openingOnlyFallback
     };
   }
 
   trackLiveFlow(symbol, flowData, spotPrice) {
-    const now = new Date();
+    const now = clock.date();
     
     if (!this.liveFlowTracker.has(symbol)) {
       this.liveFlowTracker.set(symbol, []);
@@ -79,7 +94,7 @@ class TierAnalyzer {
   }
 
   detectLiveSignalChange(symbol, tier1Analysis, hierarchy) {
-    const now = new Date();
+    const now = clock.date();
     const recentThreshold = 5 * 60 * 1000; // 5 minutes
     
     if (!this.liveSignalHistory.has(symbol)) {
@@ -102,6 +117,9 @@ class TierAnalyzer {
       signalHistory.shift();
     }
     
+    // Write back so the shared copy sees the update
+    this.liveSignalHistory.set(symbol, signalHistory);
+    
     // Check for signal changes
     if (signalHistory.length >= 3) {
       const recentSignals = signalHistory.slice(-3);
@@ -128,7 +146,7 @@ class TierAnalyzer {
   hasRecentFlow(flowData, isLiveData) {
     if (!isLiveData || !flowData || flowData.length === 0) return false;
     
-    const now = new Date();
+    const now = clock.date();
     const recentThreshold = 2 * 60 * 1000; // Reduced to 2 minutes for live data
     
     return flowData.some(flow => {
@@ -141,13 +159,7 @@ class TierAnalyzer {
     const { min, max } = this.rules.dteTiers[tierName];
     
     return flowData.filter(flow => {
-      // Handle both calculated DTE and raw expiration dates
-      let dte = flow.dte;
-      
-      // If DTE not provided, calculate it from expiration date
-      if (dte === undefined || dte === null) {
-        dte = this.calculateDTEFromExpiration(flow.expiration, flow.timestamp);
-      }
+      const dte = this.tierDte(flow);
       
       if (tierName === 'tier1') {
         return dte >= min && dte <= max;
@@ -159,18 +171,17 @@ class TierAnalyzer {
     });
   }
 
-  calculateDTEFromExpiration(expirationDate, flowDate = new Date()) {
-    if (!expirationDate) return 0;
-    
-    try {
-      const exp = new Date(expirationDate);
-      const flow = new Date(flowDate);
-      const diffTime = exp - flow;
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-      return Math.max(0, diffDays);
-    } catch (error) {
-      return 0;
+  // DTE for tier assignment: the print's own DTE (calendar days), recounted from the expiration
+  // when missing or when rules.dteMode is 'trading'
+  tierDte(flow) {
+    if (this.rules.dteMode === 'trading' || flow.dte === undefined || flow.dte === null) {
+      return this.calculateDTEFromExpiration(flow.expiration, flow.timestamp);
     }
+    return flow.dte;
+  }
+
+  calculateDTEFromExpiration(expirationDate, flowDate = clock.date()) {
+    return getMarketCalendar().dte(expirationDate, flowDate || clock.date());
   }
 
   validateNoOverlap(tier1, tier2) {
@@ -181,12 +192,12 @@ class TierAnalyzer {
     const tier2DtEs = new Set();
     
     tier1.forEach(f => {
-      const dte = f.dte || this.calculateDTEFromExpiration(f.expiration, f.timestamp);
+      const dte = this.tierDte(f);
       tier1DtEs.add(dte);
     });
     
     tier2.forEach(f => {
-      const dte = f.dte || this.calculateDTEFromExpiration(f.expiration, f.timestamp);
+      const dte = this.tierDte(f);
       tier2DtEs.add(dte);
     });
     
@@ -207,9 +218,12 @@ class TierAnalyzer {
       
       return {
         label: tierLabel,
-        calls: { notional: 0, prints: 0, realDelta: 0, avgDte: 0, avgSize: 0 },
-        puts: { notional: 0, prints: 0, realDelta: 0, avgDte: 0, avgSize: 0 },
+        calls: { notional: 0, bought: 0, sold: 0, prints: 0, realDelta: 0, avgDte: 0, avgSize: 0 },
+        puts: { notional: 0, bought: 0, sold: 0, prints: 0, realDelta: 0, avgDte: 0, avgSize: 0 },
         ratio: { notional: 'N/A', realDelta: 'N/A' },
+        bullishNotional: 0,
+        bearishNotional: 0,
+        unknownSideNotional: 0,
         netExposure: 0,
         directionalSignal: 'NEUTRAL',
         takeaway: isLiveData ? `${liveIndicator}No live flow detected` : 'No institutional flow detected',
@@ -218,11 +232,13 @@ class TierAnalyzer {
         atmImbalance: false,
         repeatStrikes: false,
         aggressiveExecution: false,
+        sweepUrgency: false,
+        execution: ExecutionClassifier.summarize(tierFlow),
         nearSpot: false,
         isLiveData: isLiveData,
         flowAge: this.getFlowAge(tierFlow),
         symbol: symbol,
-        lastUpdate: new Date()
+        lastUpdate: clock.date()
       };
     }
 
@@ -230,23 +246,33 @@ class TierAnalyzer {
     const calls = tierFlow.filter(f => f.option_type === 'CALL');
     const puts = tierFlow.filter(f => f.option_type === 'PUT');
 
+    // Legs of a reconstructed multi-leg structure carry its net premium (tier_notional), not their own
+    const tierNotional = f => (f.tier_notional !== undefined ? f.tier_notional : f.notional);
+    const sideNotional = (prints, side) => prints
+      .filter(f => f.side === side)
+      .reduce((sum, f) => sum + tierNotional(f), 0);
+
     // Calculate call metrics
-    const callNotional = calls.reduce((sum, f) => sum + f.notional, 0);
+    const callNotional = calls.reduce((sum, f) => sum + tierNotional(f), 0);
     const callPrints = calls.length;
     const callRealDelta = calls.reduce((sum, f) => sum + f.delta_exposure, 0);
     const callAvgDte = calls.length > 0 
       ? calls.reduce((sum, f) => sum + (f.dte || this.calculateDTEFromExpiration(f.expiration, f.timestamp)), 0) / calls.length 
       : 0;
     const callAvgSize = calls.length > 0 ? callNotional / calls.length : 0;
+    const callBought = sideNotional(calls, 'BUY');
+    const callSold = sideNotional(calls, 'SELL');
 
     // Calculate put metrics
-    const putNotional = puts.reduce((sum, f) => sum + f.notional, 0);
+    const putNotional = puts.reduce((sum, f) => sum + tierNotional(f), 0);
     const putPrints = puts.length;
     const putRealDelta = puts.reduce((sum, f) => sum + f.delta_exposure, 0);
     const putAvgDte = puts.length > 0 
       ? puts.reduce((sum, f) => sum + (f.dte || this.calculateDTEFromExpiration(f.expiration, f.timestamp)), 0) / puts.length 
       : 0;
     const putAvgSize = puts.length > 0 ? putNotional / puts.length : 0;
+    const putBought = sideNotional(puts, 'BUY');
+    const putSold = sideNotional(puts, 'SELL');
 
     // Calculate ratios
     const notionalRatio = putNotional > 0 
@@ -257,20 +283,24 @@ class TierAnalyzer {
       ? (callRealDelta / Math.abs(putRealDelta)).toFixed(2)
       : callRealDelta > 0 ? '∞' : '0';
 
-    // Net exposure
-    const netExposure = callNotional - putNotional;
-    const totalFlow = callNotional + Math.abs(putNotional);
+    // Direction from the side as well as the type: bought calls and sold puts are bullish,
+    // bought puts and sold calls bearish. Prints without a side carry no direction
+    const bullishNotional = callBought + putSold;
+    const bearishNotional = putBought + callSold;
+    const unknownSideNotional = callNotional + putNotional - bullishNotional - bearishNotional;
+    const netExposure = bullishNotional - bearishNotional;
+    const totalFlow = bullishNotional + bearishNotional;
     
     // Determine directional signal
     let directionalSignal = 'NEUTRAL';
     let signalStrength = 0;
     
-    if (callNotional > putNotional * 1.5) {
+    if (bullishNotional > bearishNotional * 1.5) {
       directionalSignal = 'BULLISH';
-      signalStrength = (callNotional / totalFlow) * 100;
-    } else if (putNotional > callNotional * 1.5) {
+      signalStrength = (bullishNotional / totalFlow) * 100;
+    } else if (bearishNotional > bullishNotional * 1.5) {
       directionalSignal = 'BEARISH';
-      signalStrength = (Math.abs(putNotional) / totalFlow) * 100;
+      signalStrength = (bearishNotional / totalFlow) * 100;
     }
 
     // Check for Tier-1 specific signals
@@ -279,7 +309,11 @@ class TierAnalyzer {
     let atmImbalance = false;
     let repeatStrikes = false;
     let aggressiveExecution = false;
+    let sweepUrgency = false;
     let nearSpot = false;
+
+    // Sweeps, floor trades and negotiated blocks in this tier
+    const execution = ExecutionClassifier.summarize(tierFlow);
     
     if (isTier1 && tierFlow.length > 0) {
       // 1. Check for ATM imbalance (±2%)
@@ -300,8 +334,8 @@ class TierAnalyzer {
       const recentFlows = tierFlow.filter(f => {
         if (!f.timestamp) return false;
         const flowTime = new Date(f.timestamp);
-        const hour = flowTime.getHours();
-        const now = new Date();
+        const hour = getMarketCalendar().toMoment(flowTime).hour(); // exchange time
+        const now = clock.date();
         const minutesAgo = (now - flowTime) / (1000 * 60);
         
         // For live data, use recent timeframe
@@ -313,13 +347,18 @@ class TierAnalyzer {
       
       aggressiveExecution = recentFlows.length > 0 && 
         recentFlows.some(f => f.notional >= 1000000);
+
+      // 3b. Urgent sweeps carry a meaningful share of the tier's notional
+      const grossNotional = tierFlow.reduce((sum, f) => sum + (f.notional || 0), 0);
+      sweepUrgency = execution.urgentSweeps > 0 && grossNotional > 0 &&
+        execution.urgentNotional / grossNotional >= this.rules.execution.urgencyShare;
       
       // 4. Check for near spot clustering
       const nearSpotFlow = tierFlow.filter(f => Math.abs(f.distance_percent) <= 1);
       nearSpot = nearSpotFlow.length >= tierFlow.length * 0.3;
       
       // Determine if Tier-1 has clear signal
-      hasClearSignal = atmImbalance || repeatStrikes || aggressiveExecution || nearSpot || 
+      hasClearSignal = atmImbalance || repeatStrikes || aggressiveExecution || sweepUrgency || nearSpot || 
                       (signalStrength >= 60);
     }
 
@@ -332,32 +371,39 @@ class TierAnalyzer {
       label: tierLabel,
       calls: {
         notional: callNotional,
+        bought: callBought,
+        sold: callSold,
         prints: callPrints,
         realDelta: callRealDelta,
         avgDte: callAvgDte.toFixed(1),
         avgSize: callAvgSize,
         recentPrints: isLiveData ? calls.filter(c => {
-          const flowTime = new Date(c.timestamp || new Date());
-          return (new Date() - flowTime) <= 300000; // Last 5 minutes
+          const flowTime = new Date(c.timestamp || clock.date());
+          return (clock.date() - flowTime) <= 300000; // Last 5 minutes
         }).length : 0
       },
       puts: {
         notional: putNotional,
+        bought: putBought,
+        sold: putSold,
         prints: putPrints,
         realDelta: putRealDelta,
         avgDte: putAvgDte.toFixed(1),
         avgSize: putAvgSize,
         recentPrints: isLiveData ? puts.filter(p => {
-          const flowTime = new Date(p.timestamp || new Date());
-          return (new Date() - flowTime) <= 300000; // Last 5 minutes
+          const flowTime = new Date(p.timestamp || clock.date());
+          return (clock.date() - flowTime) <= 300000; // Last 5 minutes
         }).length : 0
       },
       ratio: {
         notional: notionalRatio,
         realDelta: realDeltaRatio,
-        notionalBullish: parseFloat(notionalRatio) > 1.5,
+        notionalBullish: directionalSignal === 'BULLISH', // by side, not the raw call/put split
         realDeltaBullish: parseFloat(realDeltaRatio) > 1.5
       },
+      bullishNotional,
+      bearishNotional,
+      unknownSideNotional,
       netExposure,
       directionalSignal,
       signalStrength: signalStrength.toFixed(1),
@@ -366,21 +412,23 @@ class TierAnalyzer {
       atmImbalance,
       repeatStrikes,
       aggressiveExecution,
+      sweepUrgency,
+      execution,
       nearSpot,
       totalFlow,
       isLiveData,
       flowAge: this.getFlowAge(tierFlow),
       symbol: symbol,
-      lastUpdate: new Date(),
-      takeaway: this.generateTierTakeaway(callNotional, putNotional, callRealDelta, putRealDelta, 
-                                         tierLabel, directionalSignal, isLiveData, hasClearSignal)
+      lastUpdate: clock.date(),
+      takeaway: this.generateTierTakeaway(bullishNotional, bearishNotional, tierLabel, directionalSignal,
+                                         isLiveData, hasClearSignal)
     };
   }
 
   getFlowAge(flowData) {
     if (!flowData || flowData.length === 0) return 'N/A';
     
-    const now = new Date();
+    const now = clock.date();
     const timestamps = flowData
       .map(f => new Date(f.timestamp || f.timestamp_original || now))
       .filter(ts => !isNaN(ts.getTime()));
@@ -416,7 +464,7 @@ class TierAnalyzer {
       interpretation: '',
       isLiveData: isLiveData,
       symbol: symbol,
-      analysisTime: new Date()
+      analysisTime: clock.date()
     };
 
     // Enhanced live data checks
@@ -453,6 +501,11 @@ class TierAnalyzer {
         followConditions.push('Aggressive execution');
       }
       
+      // 4b) Tier-1 urgent sweeps (multi-venue or taking the quote) carry real size
+      if (tier1.sweepUrgency) {
+        followConditions.push('Sweep urgency');
+      }
+      
       // 5) Tier-1 flow clusters near spot price
       if (tier1.nearSpot) {
         followConditions.push('Near spot clustering');
@@ -515,7 +568,7 @@ class TierAnalyzer {
       guidance: '',
       dataContext: hierarchy.isLiveData ? '🔴 LIVE' : '📊 HISTORICAL',
       signalChange: signalChange,
-      timestamp: new Date()
+      timestamp: clock.date()
     };
 
     // Base confidence adjustments
@@ -579,31 +632,29 @@ class TierAnalyzer {
     return decision;
   }
 
-  generateTierTakeaway(callNotional, putNotional, callDelta, putDelta, tierLabel, direction, isLiveData, hasClearSignal) {
-    const total = callNotional + Math.abs(putNotional);
-    if (total === 0) return isLiveData ? '🔴 LIVE: No live flow detected' : '📊 No flow detected';
-    
-    const callPercent = (callNotional / total * 100).toFixed(1);
-    const putPercent = (Math.abs(putNotional) / total * 100).toFixed(1);
+  generateTierTakeaway(bullishNotional, bearishNotional, tierLabel, direction, isLiveData, hasClearSignal) {
+    const total = bullishNotional + bearishNotional;
+    if (total === 0) return isLiveData ? '🔴 LIVE: No directional flow detected' : '📊 No directional flow detected';
     
-    const netDelta = callDelta + putDelta;
+    const bullishPercent = (bullishNotional / total * 100).toFixed(1);
+    const bearishPercent = (bearishNotional / total * 100).toFixed(1);
     
     const livePrefix = isLiveData ? '🔴 LIVE: ' : '📊 ';
     const clearSignalIndicator = hasClearSignal ? '🚨 ' : '';
     
     if (tierLabel.includes('TIER-1')) {
       if (direction === 'BULLISH') {
-        return `${livePrefix}${clearSignalIndicator}URGENT: ${callPercent}% call-heavy speculation (Tier-1 PRIMARY direction)`;
+        return `${livePrefix}${clearSignalIndicator}URGENT: ${bullishPercent}% bullish premium, calls bought / puts sold (Tier-1 PRIMARY direction)`;
       } else if (direction === 'BEARISH') {
-        return `${livePrefix}${clearSignalIndicator}URGENT: ${putPercent}% put-heavy hedging (Tier-1 PRIMARY direction)`;
+        return `${livePrefix}${clearSignalIndicator}URGENT: ${bearishPercent}% bearish premium, puts bought / calls sold (Tier-1 PRIMARY direction)`;
       } else {
-        return `${livePrefix}${clearSignalIndicator}URGENT: Mixed flow (${callPercent}% calls, ${putPercent}% puts) - no clear signal`;
+        return `${livePrefix}${clearSignalIndicator}URGENT: Mixed flow (${bullishPercent}% bullish, ${bearishPercent}% bearish) - no clear signal`;
       }
     } else {
       if (direction === 'BULLISH') {
-        return `${livePrefix}🐘 PATIENT: ${callPercent}% call-heavy conviction (Tier-2 CONTEXT only)`;
+        return `${livePrefix}🐘 PATIENT: ${bullishPercent}% bullish conviction, calls bought / puts sold (Tier-2 CONTEXT only)`;
       } else if (direction === 'BEARISH') {
-        return `${livePrefix}🐘 PATIENT: ${putPercent}% put-heavy defense (Tier-2 CONTEXT only)`;
+        return `${livePrefix}🐘 PATIENT: ${bearishPercent}% bearish defense, puts bought / calls sold (Tier-2 CONTEXT only)`;
       } else {
         return `${livePrefix}🐘 PATIENT: Balanced institutional positioning`;
       }
@@ -0,0 +1,239 @@
+const moment = require('moment-timezone');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const BlackScholes = require('../utils/black-scholes');
+const SeriesStore = require('../storage/series-store');
+
+const IMPLICATIONS = {
+  'GAMMA-DRIVEN EXPANSION': 'Scalp gamma, avoid selling premium',
+  'EVENT PRICING': 'Near-term premium is bid; avoid selling front-month options',
+  'ELEVATED - MEAN REVERSION': 'Premium is rich versus its history; favour defined-risk premium selling',
+  'COMPRESSED - BREAKOUT RISK': 'Cheap premium with dealers short gamma; favour long options for breakouts',
+  'VOLATILITY COMPRESSION': 'Premium is cheap versus its history; favour buying options over selling them',
+  'NEUTRAL': 'No volatility edge; trade direction rather than premium'
+};
+
+// Volatility regime from the options chain: ATM IV per expiration, 25-delta skew and the slope
+// of the term structure. A 30-day ATM IV is snapshotted once per day per symbol (series "iv") by
+// the after-close job, at the session close, and IV rank/percentile are measured against those
+// snapshots. Past sessions have no chain, so they are described from their stored snapshot alone.
+class VolatilityRegimeAnalyzer {
+  constructor(tradier, seriesStore = null) {
+    this.tradier = tradier;
+    this.store = seriesStore || new SeriesStore('iv');
+    this.logger = new Logger('volatility-regime');
+    this.settings = config.rules.volatility;
+    this.riskFreeRate = config.rules.riskFreeRate;
+    this.timezone = config.app.timezone;
+  }
+
+  // live: measure the current chain; otherwise read the stored snapshot
+  async analyze(symbol, spotPrice, { date, live = true, gammaExposure = null } = {}) {
+    const targetDate = date || moment.tz(this.timezone).format('YYYY-MM-DD');
+
+    let termStructure = [];
+    let measurements = null;
+
+    if (live && spotPrice) {
+      termStructure = await this.buildTermStructure(symbol, spotPrice);
+      measurements = this.summarizeCurve(termStructure);
+    }
+
+    if (!measurements) {
+      const snapshot = await this.store.get(symbol, targetDate);
+      if (!snapshot) return null;
+      measurements = snapshot;
+    }
+
+    const history = await this.store.read(symbol, { to: targetDate, limit: this.settings.historyDays });
+    const ranking = this.rankIv(measurements.atmIv, history);
+    const regime = this.classify(measurements, ranking, gammaExposure);
+
+    return {
+      symbol,
+      date: targetDate,
+      source: termStructure.length > 0 ? 'chain' : 'snapshot',
+      termStructure,
+      atmIv: measurements.atmIv,
+      frontIv: measurements.frontIv,
+      frontDte: measurements.frontDte,
+      backIv: measurements.backIv,
+      backDte: measurements.backDte,
+      slope: measurements.slope,
+      termState: this.termState(measurements.slope),
+      skew25: measurements.skew25,
+      ...ranking,
+      regime,
+      tradingImplication: IMPLICATIONS[regime]
+    };
+  }
+
+  // The day's snapshot, measured against the session close; re-running a day replaces it
+  async snapshot(symbol, date, closePrice) {
+    const measurements = this.summarizeCurve(await this.buildTermStructure(symbol, closePrice));
+    if (!measurements) return null;
+
+    const row = { date, spot: closePrice, ...measurements, updatedAt: new Date().toISOString() };
+    await this.store.upsert(symbol, row);
+    return row;
+  }
+
+  async buildTermStructure(symbol, spotPrice) {
+    const today = moment.tz(this.timezone).startOf('day');
+    const lastDate = today.clone().add(this.settings.maxDte, 'days').format('YYYY-MM-DD');
+
+    let expirations;
+    try {
+      expirations = [].concat(await this.tradier.getExpirations(symbol) || [])
+        .filter(expiration => expiration >= today.format('YYYY-MM-DD') && expiration <= lastDate)
+        .sort()
+        .slice(0, this.settings.maxExpirations);
+    } catch (error) {
+      this.logger.warn(`No expirations for ${symbol}: ${error.message}`);
+      return [];
+    }
+
+    const points = await Promise.all(expirations.map(async expiration => {
+      try {
+        const chain = await this.tradier.getOptionsChain(symbol, expiration);
+        const options = chain && chain.option ? [].concat(chain.option) : [];
+        return this.measureExpiration(options, expiration, spotPrice, today);
+      } catch (error) {
+        this.logger.warn(`Chain unavailable for ${symbol} ${expiration}: ${error.message}`);
+        return null;
+      }
+    }));
+
+    return points.filter(point => point && point.atmIv);
+  }
+
+  // ATM IV interpolated between the strikes either side of spot (call/put IVs averaged per
+  // strike); skew is 25-delta put IV minus 25-delta call IV in vol points
+  measureExpiration(options, expiration, spotPrice, today) {
+    const years = BlackScholes.yearsToExpiry(expiration);
+    const byStrike = new Map();
+    const wings = { PUT: null, CALL: null };
+
+    options.forEach(option => {
+      const strike = parseFloat(option.strike);
+      const optionType = String(option.option_type).toUpperCase();
+      const greeks = option.greeks || {};
+      const mid = option.bid > 0 && option.ask > 0 ? (option.bid + option.ask) / 2 : null;
+      const iv = parseFloat(greeks.mid_iv) || parseFloat(greeks.smv_vol) ||
+        (mid ? BlackScholes.impliedVolatility(optionType, mid, spotPrice, strike, years, this.riskFreeRate) : null);
+      if (!strike || !iv) return;
+
+      if (!byStrike.has(strike)) byStrike.set(strike, []);
+      byStrike.get(strike).push(iv);
+
+      const delta = Number.isFinite(parseFloat(greeks.delta))
+        ? parseFloat(greeks.delta)
+        : BlackScholes.delta(optionType, spotPrice, strike, years, this.riskFreeRate, iv);
+      const distance = Math.abs(Math.abs(delta) - 0.25);
+      if (distance <= 0.1 && (!wings[optionType] || distance < wings[optionType].distance)) {
+        wings[optionType] = { iv, distance };
+      }
+    });
+
+    const strikes = Array.from(byStrike.entries())
+      .map(([strike, ivs]) => ({ strike, iv: ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length }))
+      .sort((a, b) => a.strike - b.strike);
+    if (strikes.length === 0) return null;
+
+    const below = strikes.filter(level => level.strike <= spotPrice).pop();
+    const above = strikes.find(level => level.strike >= spotPrice);
+
+    let atmIv;
+    if (below && above && above.strike !== below.strike) {
+      atmIv = below.iv + (above.iv - below.iv) * ((spotPrice - below.strike) / (above.strike - below.strike));
+    } else {
+      atmIv = (below || above).iv;
+    }
+
+    return {
+      expiration,
+      dte: moment.tz(expiration, this.timezone).diff(today, 'days'),
+      years,
+      atmIv,
+      skew25: wings.PUT && wings.CALL ? (wings.PUT.iv - wings.CALL.iv) * 100 : null
+    };
+  }
+
+  // 30-day ATM IV (interpolated in total variance), front/back of the curve and its slope
+  summarizeCurve(points) {
+    if (points.length === 0) return null;
+
+    const sorted = [...points].sort((a, b) => a.years - b.years);
+    // 0DTE IV swings with the last hours of the session, so the front is the first later expiry
+    const front = sorted.find(point => point.dte >= 1) || sorted[0];
+    const back = sorted[sorted.length - 1];
+
+    const target = 30 / 365;
+    const before = sorted.filter(point => point.years <= target).pop();
+    const after = sorted.find(point => point.years >= target);
+    let atmIv;
+    if (before && after && after.years !== before.years) {
+      const weight = (target - before.years) / (after.years - before.years);
+      const variance = before.atmIv ** 2 * before.years + (after.atmIv ** 2 * after.years - before.atmIv ** 2 * before.years) * weight;
+      atmIv = Math.sqrt(variance / target);
+    } else {
+      atmIv = (before || after).atmIv;
+    }
+
+    const skewed = sorted.filter(point => point.skew25 !== null);
+    const skewPoint = skewed.sort((a, b) => Math.abs(a.years - target) - Math.abs(b.years - target))[0];
+
+    return {
+      atmIv,
+      frontIv: front.atmIv,
+      frontDte: front.dte,
+      backIv: back.atmIv,
+      backDte: back.dte,
+      slope: back !== front ? (back.atmIv - front.atmIv) * 100 : null,
+      skew25: skewPoint ? skewPoint.skew25 : null
+    };
+  }
+
+  termState(slope) {
+    if (slope === null || slope === undefined) return 'Unknown';
+    if (slope > this.settings.flatSlope) return 'Contango';
+    if (slope < -this.settings.flatSlope) return 'Backwardation';
+    return 'Flat';
+  }
+
+  // Rank: position within the high-low range; percentile: share of days below today
+  rankIv(atmIv, history) {
+    const values = history.map(row => row.atmIv).filter(Number.isFinite);
+    if (!Number.isFinite(atmIv) || values.length < this.settings.minHistoryDays) {
+      return { ivRank: null, ivPercentile: null, historyDays: values.length };
+    }
+
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+
+    return {
+      ivRank: high > low ? ((atmIv - low) / (high - low)) * 100 : 50,
+      ivPercentile: (values.filter(value => value < atmIv).length / values.length) * 100,
+      historyDays: values.length
+    };
+  }
+
+  classify(measurements, ranking, gammaExposure) {
+    const shortGamma = gammaExposure ? gammaExposure.regime === 'SHORT_GAMMA' : false;
+    const state = this.termState(measurements.slope);
+    const { ivRank } = ranking;
+
+    if (state === 'Backwardation') {
+      return shortGamma ? 'GAMMA-DRIVEN EXPANSION' : 'EVENT PRICING';
+    }
+    if (ivRank !== null && ivRank >= this.settings.highIvRank) {
+      return 'ELEVATED - MEAN REVERSION';
+    }
+    if (ivRank !== null && ivRank <= this.settings.lowIvRank) {
+      return shortGamma ? 'COMPRESSED - BREAKOUT RISK' : 'VOLATILITY COMPRESSION';
+    }
+    return 'NEUTRAL';
+  }
+}
+
+module.exports = VolatilityRegimeAnalyzer;
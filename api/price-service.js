@@ -0,0 +1,133 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const TradierAPI = require('./tradier');
+const TradierStream = require('./tradier-stream');
+
+// Live last/bid/ask per symbol for synchronous readers. Prices come from the Tradier market
+// events stream; while it is down (or disabled) tracked symbols are polled through the
+// cached quote endpoint instead. Reading a symbol keeps it tracked until it goes idle.
+class PriceService {
+  constructor(options = {}) {
+    this.logger = new Logger('price-service');
+    this.settings = config.apis.tradier.stream;
+    this.tradier = options.tradier || new TradierAPI();
+    this.prices = new Map(); // symbol -> { symbol, last, bid, ask, updatedAt, source }
+    this.tracked = new Map(); // symbol -> last read (ms)
+    this.stream = this.settings.enabled && config.apis.tradier.key ? new TradierStream() : null;
+
+    if (this.stream) {
+      this.stream.on('quote', quote => this.update(quote.symbol, { bid: quote.bid, ask: quote.ask }, quote.timestamp, 'stream'));
+      this.stream.on('trade', trade => this.update(trade.symbol, { last: trade.price }, trade.timestamp, 'stream'));
+    }
+
+    this.timer = setInterval(() => this.tick(), this.settings.pollIntervalMs);
+  }
+
+  // Marks the symbol as in use so the stream (or poller) keeps it current
+  track(symbol) {
+    const key = String(symbol).toUpperCase();
+    const isNew = !this.tracked.has(key);
+    this.tracked.set(key, Date.now());
+
+    if (isNew && this.stream) {
+      this.stream.setSymbols(this.tracked.keys());
+    }
+    return key;
+  }
+
+  getPrice(symbol) {
+    return this.prices.get(this.track(symbol)) || null;
+  }
+
+  // Last trade, or the quote midpoint before the first trade; null until anything arrives
+  getSpot(symbol) {
+    const price = this.getPrice(symbol);
+    if (!price) return null;
+
+    if (price.last > 0) return price.last;
+    if (price.bid > 0 && price.ask > 0) return (price.bid + price.ask) / 2;
+    return null;
+  }
+
+  // For the first read of a symbol: polls once when nothing has streamed in yet
+  async resolveSpot(symbol) {
+    const spot = this.getSpot(symbol);
+    if (spot !== null) return spot;
+
+    await this.poll(String(symbol).toUpperCase());
+    return this.getSpot(symbol);
+  }
+
+  update(symbol, fields, timestamp, source) {
+    const current = this.prices.get(symbol) || { symbol, last: null, bid: null, ask: null };
+    const next = { ...current, updatedAt: timestamp || Date.now(), source };
+
+    Object.entries(fields).forEach(([name, value]) => {
+      if (Number.isFinite(value) && value > 0) next[name] = value;
+    });
+
+    this.prices.set(symbol, next);
+  }
+
+  async poll(symbol) {
+    try {
+      const quote = await this.tradier.getQuote(symbol);
+      this.update(symbol, { last: quote.price, bid: quote.bid, ask: quote.ask }, Date.now(), 'poll');
+    } catch (error) {
+      this.logger.debug(`Quote poll failed for ${symbol}: ${error.message}`);
+    }
+  }
+
+  // Drops idle symbols, then polls the rest if the stream is not delivering
+  tick() {
+    const cutoff = Date.now() - this.settings.idleMs;
+    let released = false;
+
+    for (const [symbol, lastRead] of this.tracked.entries()) {
+      if (lastRead < cutoff) {
+        this.tracked.delete(symbol);
+        this.prices.delete(symbol);
+        released = true;
+      }
+    }
+
+    if (released && this.stream) {
+      this.stream.setSymbols(this.tracked.keys());
+    }
+
+    if (this.isStreaming()) return;
+
+    this.tracked.forEach((lastRead, symbol) => this.poll(symbol));
+  }
+
+  isStreaming() {
+    return Boolean(this.stream && this.stream.isConnected);
+  }
+
+  getStats() {
+    return {
+      mode: this.isStreaming() ? 'stream' : 'poll',
+      tracked: this.tracked.size,
+      lastStreamEvent: this.stream ? this.stream.lastEventTime : null
+    };
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    if (this.stream) {
+      this.stream.close();
+    }
+  }
+}
+
+let instance = null;
+
+// Process-wide price service shared by the analyzers and reports
+function getPriceService() {
+  if (!instance) {
+    instance = new PriceService();
+  }
+  return instance;
+}
+
+module.exports = { PriceService, getPriceService };
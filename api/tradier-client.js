@@ -0,0 +1,175 @@
+const axios = require('axios');
+const config = require('../config');
+const Logger = require('../utils/logger');
+
+const MAX_CACHE_ENTRIES = 500;
+
+// HTTP layer shared by every TradierAPI instance so the limits below are process-wide:
+// - at most `concurrency` requests in flight, the rest wait in a FIFO queue
+// - identical requests already in flight share one response
+// - successful responses are cached for the TTL the caller passes (per endpoint)
+// - 429 / 5xx / network errors are retried with exponential backoff (Retry-After wins)
+class TradierClient {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || config.apis.tradier.baseUrl;
+    this.headers = options.headers || config.apis.tradier.headers;
+    this.timeout = options.timeout || config.apis.tradier.timeout;
+    this.retries = options.retries !== undefined ? options.retries : config.apis.tradier.retries;
+    this.concurrency = options.concurrency || config.apis.tradier.concurrency;
+    this.logger = new Logger('tradier-client');
+
+    this.cache = new Map(); // key -> { data, expires }
+    this.inFlight = new Map(); // key -> Promise
+    this.active = 0;
+    this.queue = [];
+
+    this.stats = {
+      requests: 0,
+      cacheHits: 0,
+      coalesced: 0,
+      retries: 0,
+      failures: 0
+    };
+  }
+
+  async get(path, params = {}, { ttlMs = 0 } = {}) {
+    const key = this.cacheKey(path, params);
+
+    if (ttlMs > 0) {
+      const entry = this.cache.get(key);
+      if (entry && entry.expires > Date.now()) {
+        this.stats.cacheHits++;
+        return entry.data;
+      }
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.coalesced++;
+      return this.inFlight.get(key);
+    }
+
+    const promise = this.requestWithRetry(path, params)
+      .then(data => {
+        if (ttlMs > 0) {
+          this.store(key, data, ttlMs);
+        }
+        return data;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  // Never cached or shared: each call creates something new (e.g. a streaming session)
+  async post(path, data = {}) {
+    return this.requestWithRetry(path, data, 'post');
+  }
+
+  async requestWithRetry(path, params, method = 'get') {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      try {
+        return await this.withSlot(async () => {
+          this.stats.requests++;
+          const response = await axios.request({
+            method,
+            url: `${this.baseUrl}${path}`,
+            headers: this.headers,
+            params: method === 'get' ? params : undefined,
+            data: method === 'get' ? undefined : new URLSearchParams(params).toString(),
+            timeout: this.timeout
+          });
+          return response.data || {};
+        });
+
+      } catch (error) {
+        lastError = error;
+        const status = error.response ? error.response.status : null;
+        const retryable = !status || status === 429 || status >= 500;
+
+        if (!retryable || attempt === this.retries) break;
+
+        const delay = this.getRetryDelay(error, attempt);
+        this.stats.retries++;
+        this.logger.warn(`Tradier ${path} failed (${status || error.code || error.message}), retry ${attempt + 1}/${this.retries} in ${delay}ms`);
+        await this.delay(delay);
+      }
+    }
+
+    this.stats.failures++;
+    throw lastError;
+  }
+
+  // Backoff does not hold a slot, so other requests keep moving while one waits
+  async withSlot(task) {
+    if (this.active >= this.concurrency) {
+      await new Promise(resolve => this.queue.push(resolve));
+    }
+
+    this.active++;
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      const next = this.queue.shift();
+      if (next) next();
+    }
+  }
+
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response && error.response.headers
+      ? parseInt(error.response.headers['retry-after'], 10)
+      : NaN;
+    if (!isNaN(retryAfter)) return retryAfter * 1000;
+
+    // 500ms, 1s, 2s ... with jitter so queued callers do not retry in lockstep
+    return Math.round(500 * Math.pow(2, attempt) * (0.8 + Math.random() * 0.4));
+  }
+
+  cacheKey(path, params) {
+    const sorted = Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+    return `${path}?${sorted}`;
+  }
+
+  store(key, data, ttlMs) {
+    this.cache.set(key, { data, expires: Date.now() + ttlMs });
+
+    if (this.cache.size > MAX_CACHE_ENTRIES) {
+      const now = Date.now();
+      for (const [cachedKey, entry] of this.cache.entries()) {
+        if (entry.expires <= now) this.cache.delete(cachedKey);
+      }
+
+      // Still full of live entries: drop the oldest
+      const excess = this.cache.size - MAX_CACHE_ENTRIES;
+      Array.from(this.cache.keys()).slice(0, Math.max(excess, 0)).forEach(cachedKey => this.cache.delete(cachedKey));
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.active,
+      queued: this.queue.length,
+      cached: this.cache.size
+    };
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+let instance = null;
+
+// Process-wide client so the concurrency cap covers every caller
+function getTradierClient() {
+  if (!instance) {
+    instance = new TradierClient();
+  }
+  return instance;
+}
+
+module.exports = { TradierClient, getTradierClient };
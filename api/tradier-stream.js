@@ -0,0 +1,154 @@
+const WebSocket = require('ws');
+const EventEmitter = require('events');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const { getTradierClient } = require('./tradier-client');
+
+// Tradier market events stream (quotes and trades). Each connection needs a fresh session id
+// from POST /markets/events/session; sending a new symbols payload replaces the subscription.
+class TradierStream extends EventEmitter {
+  constructor(client = getTradierClient()) {
+    super();
+    this.client = client;
+    this.url = config.apis.tradier.stream.url;
+    this.logger = new Logger('tradier-stream');
+    this.symbols = new Set();
+    this.ws = null;
+    this.isConnected = false;
+    this.connecting = false;
+    this.stopped = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.lastEventTime = null;
+  }
+
+  // Replaces the streamed symbol set; connects on first use
+  setSymbols(symbols) {
+    this.symbols = new Set(symbols);
+
+    if (this.isConnected) {
+      this.sendSymbols();
+    } else if (this.symbols.size > 0) {
+      this.connect();
+    }
+  }
+
+  async connect() {
+    if (this.connecting || this.isConnected || this.stopped || this.symbols.size === 0) return;
+    this.connecting = true;
+
+    try {
+      const data = await this.client.post('/markets/events/session');
+      const sessionId = data.stream && data.stream.sessionid;
+      if (!sessionId) {
+        throw new Error('No session id in response');
+      }
+
+      this.sessionId = sessionId;
+      this.ws = new WebSocket(this.url);
+      this.setupEventHandlers();
+
+    } catch (error) {
+      this.logger.warn(`Tradier streaming unavailable: ${error.message}`);
+      this.scheduleReconnect();
+    } finally {
+      this.connecting = false;
+    }
+  }
+
+  setupEventHandlers() {
+    this.ws.on('open', () => {
+      this.isConnected = true;
+      this.reconnectAttempts = 0;
+      this.logger.info(`Tradier stream connected (${this.symbols.size} symbols)`);
+      this.sendSymbols();
+      this.emit('connected');
+    });
+
+    // linebreak:true puts one event per line; a frame may carry several
+    this.ws.on('message', (data) => {
+      data.toString().split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          this.handleEvent(JSON.parse(line));
+        } catch (error) {
+          this.logger.debug(`Unparseable stream event: ${error.message}`);
+        }
+      });
+    });
+
+    this.ws.on('error', (error) => {
+      this.logger.error(`Tradier stream error: ${error.message}`);
+    });
+
+    this.ws.on('close', (code) => {
+      const wasConnected = this.isConnected;
+      this.isConnected = false;
+      this.ws = null;
+
+      if (wasConnected) {
+        this.logger.warn(`Tradier stream closed (${code})`);
+        this.emit('disconnected');
+      }
+      this.scheduleReconnect();
+    });
+  }
+
+  sendSymbols() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    this.ws.send(JSON.stringify({
+      symbols: Array.from(this.symbols),
+      sessionid: this.sessionId,
+      filter: ['quote', 'trade'],
+      linebreak: true
+    }));
+  }
+
+  handleEvent(event) {
+    if (!event || !event.symbol) return;
+    this.lastEventTime = Date.now();
+
+    if (event.type === 'quote') {
+      this.emit('quote', {
+        symbol: event.symbol,
+        bid: parseFloat(event.bid),
+        ask: parseFloat(event.ask),
+        timestamp: Number(event.biddate) || Date.now()
+      });
+    } else if (event.type === 'trade') {
+      this.emit('trade', {
+        symbol: event.symbol,
+        price: parseFloat(event.price || event.last),
+        size: parseInt(event.size || 0, 10),
+        timestamp: Number(event.date) || Date.now()
+      });
+    }
+  }
+
+  // 5s, 10s, 20s ... capped at 5 minutes
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer || this.symbols.size === 0) return;
+
+    const delay = Math.min(5000 * Math.pow(2, this.reconnectAttempts), 300000);
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  close() {
+    this.stopped = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+}
+
+module.exports = TradierStream;
@@ -1,29 +1,25 @@
-const axios = require('axios');
 const config = require('../config');
 const Logger = require('../utils/logger');
+const { getMarketCalendar } = require('../utils/market-calendar');
+const { getTradierClient } = require('./tradier-client');
 
 class TradierAPI {
   constructor() {
-    this.baseUrl = config.apis.tradier.baseUrl;
-    this.headers = config.apis.tradier.headers;
+    // Retries, caching, coalescing and the concurrency cap live in the shared client
+    this.client = getTradierClient();
+    this.ttl = config.apis.tradier.cacheTtlMs;
     this.logger = new Logger('tradier');
-    this.cache = new Map();
   }
 
   async getQuote(symbol) {
-    const cacheKey = `quote_${symbol}`;
-    
     try {
-      const response = await axios.get(`${this.baseUrl}/markets/quotes`, {
-        headers: this.headers,
-        params: {
-          symbols: symbol,
-          greeks: false
-        }
-      });
-
-      if (response.data.quotes && response.data.quotes.quote) {
-        const quote = response.data.quotes.quote;
+      const data = await this.client.get('/markets/quotes', {
+        symbols: symbol,
+        greeks: false
+      }, { ttlMs: this.ttl.quote });
+
+      if (data.quotes && data.quotes.quote) {
+        const quote = data.quotes.quote;
         return {
           symbol: quote.symbol,
           price: quote.last,
@@ -53,12 +49,9 @@ class TradierAPI {
         params.expiration = expiration;
       }
 
-      const response = await axios.get(`${this.baseUrl}/markets/options/chains`, {
-        headers: this.headers,
-        params: params
-      });
+      const data = await this.client.get('/markets/options/chains', params, { ttlMs: this.ttl.chain });
 
-      return response.data.options || null;
+      return data.options || null;
       
     } catch (error) {
       this.logger.error(`Tradier options chain error for ${symbol}: ${error.message}`);
@@ -76,12 +69,9 @@ class TradierAPI {
       if (start) params.start = start;
       if (end) params.end = end;
 
-      const response = await axios.get(`${this.baseUrl}/markets/history`, {
-        headers: this.headers,
-        params: params
-      });
+      const data = await this.client.get('/markets/history', params, { ttlMs: this.ttl.history });
 
-      return response.data.history || null;
+      return data.history || null;
       
     } catch (error) {
       this.logger.error(`Tradier historical error for ${symbol}: ${error.message}`);
@@ -91,15 +81,12 @@ class TradierAPI {
 
   async getOptionStrikes(symbol, expiration) {
     try {
-      const response = await axios.get(`${this.baseUrl}/markets/options/strikes`, {
-        headers: this.headers,
-        params: {
-          symbol: symbol,
-          expiration: expiration
-        }
-      });
-
-      return response.data.strikes.strike || [];
+      const data = await this.client.get('/markets/options/strikes', {
+        symbol: symbol,
+        expiration: expiration
+      }, { ttlMs: this.ttl.strikes });
+
+      return data.strikes.strike || [];
       
     } catch (error) {
       this.logger.error(`Tradier strikes error for ${symbol}: ${error.message}`);
@@ -109,15 +96,12 @@ class TradierAPI {
 
   async getExpirations(symbol) {
     try {
-      const response = await axios.get(`${this.baseUrl}/markets/options/expirations`, {
-        headers: this.headers,
-        params: {
-          symbol: symbol,
-          includeAllRoots: true
-        }
-      });
-
-      return response.data.expirations.date || [];
+      const data = await this.client.get('/markets/options/expirations', {
+        symbol: symbol,
+        includeAllRoots: true
+      }, { ttlMs: this.ttl.expirations });
+
+      return data.expirations.date || [];
       
     } catch (error) {
       this.logger.error(`Tradier expirations error for ${symbol}: ${error.message}`);
@@ -125,21 +109,13 @@ class TradierAPI {
     }
   }
 
+  getStats() {
+    return this.client.getStats();
+  }
+
   // Validate market hours
   isMarketOpen() {
-    const now = new Date();
-    const nyTime = new Date(now.toLocaleString('en-US', { timeZone: config.app.timezone }));
-    const hours = nyTime.getHours();
-    const minutes = nyTime.getMinutes();
-    const currentTime = hours * 60 + minutes;
-    
-    const [startHour, startMinute] = config.app.sessionStart.split(':').map(Number);
-    const [endHour, endMinute] = config.app.sessionEnd.split(':').map(Number);
-    
-    const startTime = startHour * 60 + startMinute;
-    const endTime = endHour * 60 + endMinute;
-    
-    return currentTime >= startTime && currentTime <= endTime;
+    return getMarketCalendar().isMarketOpen();
   }
 }
 
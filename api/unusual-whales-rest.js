@@ -0,0 +1,266 @@
+const axios = require('axios');
+const moment = require('moment-timezone');
+const config = require('../config');
+const Logger = require('../utils/logger');
+
+// REST endpoints used for historical / backfill data
+const ENDPOINTS = {
+  flow: '/option-trades/flow-alerts',
+  deltaConcentration: (symbol) => `/stock/${symbol}/greek-exposure/strike`
+};
+
+const PAGE_LIMIT = 200;
+const MAX_PAGES = 25;
+
+class UnusualWhalesREST {
+  constructor() {
+    this.baseUrl = config.apis.unusualWhales.baseUrl;
+    this.headers = config.apis.unusualWhales.headers;
+    this.timeout = config.apis.unusualWhales.timeout;
+    this.retries = config.apis.unusualWhales.retries;
+    this.logger = new Logger('unusual-whales-rest');
+    this.cache = new Map();
+  }
+
+  isConfigured() {
+    return Boolean(config.apis.unusualWhales.key);
+  }
+
+  // Institutional flow prints for a single trading date
+  async getFlow(symbol, date) {
+    return this.cached(`flow_${symbol}_${date}`, date, async () => {
+      const rows = await this.fetchPaginated(ENDPOINTS.flow, symbol, date, {});
+      return rows.map(row => this.normalizePrint(row, symbol));
+    });
+  }
+
+  async getBlocks(symbol, minSize, date) {
+    return this.cached(`blocks_${symbol}_${minSize}_${date}`, date, async () => {
+      const rows = await this.fetchPaginated(ENDPOINTS.flow, symbol, date, { min_size: minSize });
+      return rows
+        .map(row => this.normalizePrint(row, symbol))
+        .filter(block => block.contracts >= minSize);
+    });
+  }
+
+  // Multi-leg prints are flagged on the flow endpoint, there is no separate feed
+  async getComplexTrades(symbol, date) {
+    const flow = await this.getFlow(symbol, date);
+
+    return flow
+      .filter(print => print.complex_type)
+      .map(print => ({
+        symbol: print.symbol,
+        strategy_type: print.complex_type,
+        notional: print.notional,
+        timestamp: print.timestamp,
+        legs: print.legs, // only when the feed reports it
+        intent: this.complexIntent(print),
+        source: print.source
+      }));
+  }
+
+  // Bought calls and sold puts lean bullish, sold calls and bought puts bearish
+  complexIntent(print) {
+    if (print.side !== 'BUY' && print.side !== 'SELL') return 'neutral';
+    const sign = (print.option_type === 'PUT' ? -1 : 1) * (print.side === 'SELL' ? -1 : 1);
+    return sign > 0 ? 'bullish' : 'bearish';
+  }
+
+  async getDeltaConcentration(symbol, date) {
+    return this.cached(`delta_${symbol}_${date}`, date, async () => {
+      const data = await this.request(ENDPOINTS.deltaConcentration(symbol), { date });
+      const rows = Array.isArray(data) ? data : (data.data || []);
+      const concentrations = [];
+
+      rows.forEach(row => {
+        const strike = parseFloat(row.strike);
+        if (!strike) return;
+
+        const timestamp = this.toISO(row.timestamp || row.date || date);
+
+        concentrations.push({
+          symbol,
+          strike,
+          option_type: 'CALL',
+          real_delta: parseFloat(row.call_delta) || 0,
+          notional: parseFloat(row.call_premium) || 0,
+          timestamp,
+          callPrints: parseInt(row.call_trades || 0, 10),
+          putPrints: 0,
+          source: 'rest'
+        });
+
+        concentrations.push({
+          symbol,
+          strike,
+          option_type: 'PUT',
+          real_delta: parseFloat(row.put_delta) || 0,
+          notional: parseFloat(row.put_premium) || 0,
+          timestamp,
+          callPrints: 0,
+          putPrints: parseInt(row.put_trades || 0, 10),
+          source: 'rest'
+        });
+      });
+
+      return concentrations;
+    });
+  }
+
+  // Walks the endpoint backwards in time with older_than until the date is exhausted
+  async fetchPaginated(path, symbol, date, extraParams) {
+    const sessionStart = moment.tz(date, config.app.timezone).startOf('day');
+    const sessionEnd = sessionStart.clone().endOf('day');
+    const rows = [];
+    let olderThan = sessionEnd.toISOString();
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const data = await this.request(path, {
+        ticker_symbol: symbol,
+        limit: PAGE_LIMIT,
+        newer_than: sessionStart.toISOString(),
+        older_than: olderThan,
+        ...extraParams
+      });
+
+      const pageRows = Array.isArray(data) ? data : (data.data || []);
+      if (pageRows.length === 0) break;
+
+      const inDate = pageRows.filter(row => {
+        const ts = moment(this.getRowTimestamp(row));
+        return ts.isValid() && !ts.isBefore(sessionStart) && !ts.isAfter(sessionEnd);
+      });
+      rows.push(...inDate);
+
+      if (pageRows.length < PAGE_LIMIT) break;
+
+      const oldest = pageRows
+        .map(row => moment(this.getRowTimestamp(row)))
+        .filter(ts => ts.isValid())
+        .reduce((min, ts) => (min === null || ts.isBefore(min) ? ts : min), null);
+
+      if (!oldest || oldest.isBefore(sessionStart) || oldest.toISOString() === olderThan) break;
+      olderThan = oldest.toISOString();
+
+      if (page === MAX_PAGES - 1) {
+        this.logger.warn(`Pagination limit reached for ${symbol} on ${date}, results may be partial`);
+      }
+    }
+
+    this.logger.info(`Fetched ${rows.length} REST records for ${symbol} on ${date}`);
+    return rows;
+  }
+
+  async request(path, params = {}) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      try {
+        const response = await axios.get(`${this.baseUrl}${path}`, {
+          headers: this.headers,
+          params,
+          timeout: this.timeout
+        });
+
+        return response.data || {};
+
+      } catch (error) {
+        lastError = error;
+        const status = error.response ? error.response.status : null;
+        const retryable = !status || status === 429 || status >= 500;
+
+        if (!retryable || attempt === this.retries) break;
+
+        const retryAfter = error.response && error.response.headers
+          ? parseInt(error.response.headers['retry-after'], 10)
+          : NaN;
+        const delay = !isNaN(retryAfter) ? retryAfter * 1000 : 500 * Math.pow(2, attempt);
+
+        this.logger.warn(`Unusual Whales ${path} failed (${status || error.code || error.message}), retry ${attempt + 1}/${this.retries} in ${delay}ms`);
+        await this.delay(delay);
+      }
+    }
+
+    this.logger.error(`Unusual Whales REST error for ${path}: ${lastError.message}`);
+    throw lastError;
+  }
+
+  // Normalize a REST print into the same shape the WebSocket handlers store
+  normalizePrint(row, fallbackSymbol) {
+    const optionType = String(row.option_type || row.type || row.put_call || '').toUpperCase();
+    const contracts = parseInt(row.total_size || row.size || row.contracts || 0, 10);
+    const price = parseFloat(row.price || row.avg_price || 0);
+    const premium = parseFloat(row.total_premium || row.premium || row.notional || 0);
+
+    return {
+      symbol: (row.ticker || row.underlying_symbol || row.symbol || fallbackSymbol).toUpperCase(),
+      trade_id: row.id || row.trade_id || null,
+      timestamp: this.toISO(this.getRowTimestamp(row)),
+      option_type: optionType.startsWith('C') ? 'CALL' : (optionType.startsWith('P') ? 'PUT' : optionType),
+      strike: parseFloat(row.strike),
+      expiration: row.expiry || row.expiration || row.expiration_date || null,
+      contracts,
+      price,
+      notional: premium || contracts * price * 100,
+      side: this.normalizeSide(row),
+      real_delta: row.delta !== undefined && row.delta !== null ? parseFloat(row.delta) : undefined,
+      underlying_price: parseFloat(row.underlying_price || row.stock_price || 0) || undefined,
+      bid: row.nbbo_bid !== undefined ? parseFloat(row.nbbo_bid) : undefined,
+      ask: row.nbbo_ask !== undefined ? parseFloat(row.nbbo_ask) : undefined,
+      open_interest: row.open_interest !== undefined ? parseInt(row.open_interest, 10) : undefined,
+      complex_type: row.complex_type || row.strategy || (row.has_multileg ? 'COMBO' : null),
+      source: 'rest'
+    };
+  }
+
+  normalizeSide(row) {
+    const side = String(row.side || '').toLowerCase();
+    if (side === 'ask' || side === 'buy') return 'BUY';
+    if (side === 'bid' || side === 'sell') return 'SELL';
+
+    const askPremium = parseFloat(row.total_ask_side_prem || 0);
+    const bidPremium = parseFloat(row.total_bid_side_prem || 0);
+    if (askPremium > bidPremium) return 'BUY';
+    if (bidPremium > askPremium) return 'SELL';
+
+    return null;
+  }
+
+  getRowTimestamp(row) {
+    return row.executed_at || row.created_at || row.start_time || row.timestamp;
+  }
+
+  toISO(value) {
+    const parsed = typeof value === 'number' ? moment(value) : moment(new Date(value));
+    return parsed.isValid() ? parsed.toISOString() : null;
+  }
+
+  // Past sessions never change, so they can be cached much longer than today
+  async cached(key, date, loader) {
+    const entry = this.cache.get(key);
+    if (entry && entry.expires > Date.now()) {
+      return entry.data;
+    }
+
+    const data = await loader();
+    const isToday = date === moment.tz(config.app.timezone).format('YYYY-MM-DD');
+    this.cache.set(key, {
+      data,
+      expires: Date.now() + (isToday ? 60000 : 6 * 3600000)
+    });
+
+    if (this.cache.size > 200) {
+      const keys = Array.from(this.cache.keys()).slice(0, 100);
+      keys.forEach(k => this.cache.delete(k));
+    }
+
+    return data;
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = UnusualWhalesREST;
@@ -1,15 +1,67 @@
 const WebSocket = require('ws');
+const moment = require('moment-timezone');
 const config = require('../config');
 const Logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const { getMarketCalendar } = require('../utils/market-calendar');
 const EventEmitter = require('events');
+const UnusualWhalesREST = require('./unusual-whales-rest');
+const TickStore = require('../storage/tick-store');
+const WebSocketRecorder = require('./ws-recorder');
+const Quarantine = require('../storage/quarantine');
+const Validator = require('../utils/validator');
+const TradeDeduplicator = require('../utils/trade-deduplicator');
+const LeaderElector = require('../storage/leader-elector');
+const { getStateStore } = require('../storage/state-store');
+
+// In-memory window sizes per record type (also used for the shared Redis lists)
+// Flow and block channels carry the same prints, so they share one identity scope
+const DEDUP_SCOPES = {
+  blocks: 'prints',
+  flow: 'prints'
+};
+
+const WINDOW_LIMITS = {
+  blocks: 200,
+  flow: 1000,
+  complexTrades: 500,
+  deltaConcentration: 500
+};
+
+// Event emitted for each newly stored record type
+const EVENT_NAMES = {
+  flow: 'flow',
+  blocks: 'block',
+  complexTrades: 'complex_trade',
+  deltaConcentration: 'delta_concentration'
+};
+
+const CHANNELS = [
+  'institutional_flow',
+  'large_prints',
+  'complex_trades',
+  'delta_concentration'
+];
 
 class UnusualWhalesWebSocket extends EventEmitter {
-  constructor() {
+  // options.tickStore lets a replay run against scratch storage instead of the live tick files
+  constructor(options = {}) {
     super();
     this.logger = new Logger('unusual-whales-ws');
-    this.storedData = new Map(); // symbol -> { blocks: [], flow: [], timestamp }
+    this.rest = new UnusualWhalesREST();
+    this.storedData = new Map(); // symbol -> { blocks: [], flow: [], timestamp } (hot in-memory window)
+    this.tickStore = options.tickStore || new TickStore(); // durable copy of every stored record
+    this.stateStore = getStateStore();
+    this.recorder = config.storage.recording.enabled ? new WebSocketRecorder() : null;
+    this.quarantine = new Quarantine(); // records that failed schema validation
+    this.deduplicator = new TradeDeduplicator(); // one copy of each print across the flow and block channels
+    this.instanceId = config.storage.instanceId;
+    // Only the elected leader holds the upstream socket; followers receive prints over pub/sub
+    this.leaderElector = new LeaderElector(this.stateStore, 'unusual-whales-ws');
     this.simulationCache = new Map();
     this.activeSymbols = new Set(); // Track symbols with live data
+    this.subscriptions = new Map(); // symbol -> { demand: Map(chatId -> lastRequest), watchers: Set(chatId) }
+    this.defaultSymbols = new Set(config.apis.unusualWhales.defaultSymbols);
     this.ws = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
@@ -21,9 +73,57 @@ class UnusualWhalesWebSocket extends EventEmitter {
     this.messageCount = 0;
     this.lastMessageTime = null;
     
-    // Clean up old data periodically
-    setInterval(() => this.cleanupOldData(), 3600000); // Every hour
-    setInterval(() => this.connectionHealthCheck(), 30000); // Every 30 seconds
+    // Replicate prints and subscription changes between instances
+    if (this.stateStore.isShared) {
+      this.setupReplication();
+    }
+    
+    // Restore today's session, then apply retention periodically
+    this.rehydrate();
+    this.timers = [
+      setInterval(() => this.applyRetention(), 3600000), // Every hour
+      setInterval(() => this.connectionHealthCheck(), 30000), // Every 30 seconds
+      setInterval(() => this.releaseIdleSubscriptions(), 60000) // Every minute
+    ];
+  }
+
+  // Join leader election; the leader opens the upstream connection and runs the leader-only jobs
+  start() {
+    // Webhook-only deployments receive prints over HTTP and never open the socket, but still
+    // elect a leader for Telegram polling and the scheduled jobs
+    if (config.apis.unusualWhales.websocketEnabled) {
+      this.leaderElector.on('elected', () => this.connect());
+      this.leaderElector.on('revoked', () => this.disconnect());
+    } else {
+      this.logger.info('Unusual Whales WebSocket disabled, expecting webhook deliveries');
+    }
+    this.leaderElector.start();
+  }
+
+  isLeader() {
+    return this.leaderElector.isLeader;
+  }
+
+  setupReplication() {
+    this.stateStore.subscribe('uw:records', (message) => {
+      if (!message || message.origin === this.instanceId) return;
+      
+      if (!this.storeData(message.type, message.data, { share: false })) return;
+      
+      if (EVENT_NAMES[message.type]) {
+        this.emit(EVENT_NAMES[message.type], message.data);
+      }
+    }).catch(error => this.logger.error(`Record replication subscribe failed: ${error.message}`));
+    
+    this.stateStore.subscribe('uw:subscriptions', (message) => {
+      if (!message || message.origin === this.instanceId) return;
+      
+      if (message.action === 'subscribe') {
+        this.subscribeSymbol(message.symbol, message.chatId, { watch: message.watch, replicate: false });
+      } else if (message.action === 'unsubscribe') {
+        this.unsubscribeSymbol(message.symbol, message.chatId, { replicate: false });
+      }
+    }).catch(error => this.logger.error(`Subscription replication subscribe failed: ${error.message}`));
   }
 
   // Initialize WebSocket connection
@@ -70,7 +170,7 @@ class UnusualWhalesWebSocket extends EventEmitter {
       this.reconnectAttempts = 0;
       this.reconnectDelay = 5000;
       
-      // Subscribe to institutional flow channels
+      // Re-send the full subscription set (fresh connections start empty)
       this.subscribeToChannels();
       
       // Start ping interval to keep connection alive
@@ -84,11 +184,17 @@ class UnusualWhalesWebSocket extends EventEmitter {
       this.lastMessageTime = Date.now();
       this.messageCount++;
       
+      // Raw frame goes to the recording before parsing so malformed frames are replayable too
+      if (this.recorder) {
+        this.recorder.record(data, this.lastMessageTime);
+      }
+      
       try {
         const message = JSON.parse(data.toString());
         this.handleWebSocketMessage(message);
       } catch (error) {
         this.logger.error(`Error parsing WebSocket message: ${error.message}`);
+        this.quarantine.add('frame', { raw: data.toString().slice(0, 2000) }, ['frame: malformed JSON']);
       }
     });
 
@@ -111,36 +217,123 @@ class UnusualWhalesWebSocket extends EventEmitter {
   }
 
   subscribeToChannels() {
+    const symbols = this.getSubscribedSymbols();
+    if (symbols.length === 0) return;
+    
+    this.sendSubscription('subscribe', symbols);
+  }
+
+  sendSubscription(action, symbols) {
     if (!this.ws || !this.isConnected) return;
     
     try {
-      // Subscribe to institutional flow for major symbols
-      const subscribeMessage = {
-        action: 'subscribe',
-        channels: [
-          'institutional_flow',
-          'large_prints',
-          'complex_trades',
-          'delta_concentration'
-        ],
-        symbols: ['SPY', 'QQQ', 'AAPL', 'MSFT', 'TSLA', 'NVDA', 'AMZN', 'GOOGL', 'META'],
+      const message = {
+        action,
+        channels: CHANNELS,
+        symbols,
         timestamp: new Date().toISOString()
       };
       
-      this.ws.send(JSON.stringify(subscribeMessage));
-      this.logger.info('Subscribed to institutional flow channels');
+      this.ws.send(JSON.stringify(message));
+      this.logger.info(`${action === 'subscribe' ? 'Subscribed to' : 'Unsubscribed from'} ${symbols.join(', ')}`);
       
     } catch (error) {
       this.logger.error(`Subscription error: ${error.message}`);
     }
   }
 
+  // NEW: Reference-counted subscription for a chat. Watches are pinned and never go idle.
+  subscribeSymbol(symbol, chatId, { watch = false, replicate = true } = {}) {
+    const symbolUpper = symbol.toUpperCase();
+    const wasSubscribed = this.isSubscribed(symbolUpper);
+    
+    if (!this.subscriptions.has(symbolUpper)) {
+      this.subscriptions.set(symbolUpper, { demand: new Map(), watchers: new Set() });
+    }
+    
+    const entry = this.subscriptions.get(symbolUpper);
+    if (watch) {
+      entry.watchers.add(chatId);
+    } else {
+      entry.demand.set(chatId, Date.now());
+    }
+    
+    if (!wasSubscribed) {
+      this.sendSubscription('subscribe', [symbolUpper]);
+    }
+    
+    if (replicate) {
+      this.replicateSubscription({ action: 'subscribe', symbol: symbolUpper, chatId, watch });
+    }
+  }
+
+  unsubscribeSymbol(symbol, chatId, { replicate = true } = {}) {
+    const symbolUpper = symbol.toUpperCase();
+    
+    if (replicate) {
+      this.replicateSubscription({ action: 'unsubscribe', symbol: symbolUpper, chatId });
+    }
+    
+    const entry = this.subscriptions.get(symbolUpper);
+    if (!entry) return;
+    
+    entry.demand.delete(chatId);
+    entry.watchers.delete(chatId);
+    this.dropIfUnreferenced(symbolUpper);
+  }
+
+  replicateSubscription(change) {
+    if (!this.stateStore.isShared) return;
+    
+    this.stateStore.publish('uw:subscriptions', { origin: this.instanceId, ...change })
+      .catch(error => this.logger.error(`Subscription replication failed: ${error.message}`));
+  }
+
+  releaseIdleSubscriptions() {
+    const idleCutoff = Date.now() - config.apis.unusualWhales.subscriptionIdleMs;
+    
+    for (const [symbol, entry] of this.subscriptions.entries()) {
+      for (const [chatId, lastRequest] of entry.demand.entries()) {
+        if (lastRequest < idleCutoff) {
+          entry.demand.delete(chatId);
+        }
+      }
+      this.dropIfUnreferenced(symbol);
+    }
+  }
+
+  dropIfUnreferenced(symbol) {
+    const entry = this.subscriptions.get(symbol);
+    if (!entry || entry.demand.size > 0 || entry.watchers.size > 0) return;
+    
+    this.subscriptions.delete(symbol);
+    
+    if (!this.defaultSymbols.has(symbol)) {
+      this.sendSubscription('unsubscribe', [symbol]);
+    }
+  }
+
+  isSubscribed(symbol) {
+    return this.defaultSymbols.has(symbol) || this.subscriptions.has(symbol);
+  }
+
+  getSubscribedSymbols() {
+    return Array.from(new Set([...this.defaultSymbols, ...this.subscriptions.keys()]));
+  }
+
+  getWatchlist(chatId) {
+    return Array.from(this.subscriptions.entries())
+      .filter(([, entry]) => entry.watchers.has(chatId))
+      .map(([symbol]) => symbol);
+  }
+
   handleWebSocketMessage(message) {
     try {
       const { type, data, symbol, timestamp } = message;
       
       if (!type || !data) {
         this.logger.warn('Invalid message format');
+        this.quarantine.add('frame', message, ['frame: missing type or data']);
         return;
       }
       
@@ -188,73 +381,120 @@ class UnusualWhalesWebSocket extends EventEmitter {
       flowData = [flowData];
     }
     
-    flowData.forEach(flow => {
-      const processedFlow = {
-        symbol,
-        ...flow,
-        timestamp: timestamp || new Date().toISOString(),
-        source: 'websocket'
-      };
-      
-      this.storeData('flow', processedFlow);
+    const processedFlows = flowData.map(flow => ({
+      symbol,
+      ...flow,
+      timestamp: timestamp || clock.date().toISOString(),
+      source: 'websocket'
+    }));
+    
+    const accepted = this.validateRecords('flow', processedFlows);
+    
+    accepted.forEach(processedFlow => {
+      if (!this.storeData('flow', processedFlow)) return;
       
       // Emit flow event
       this.emit('flow', processedFlow);
     });
     
-    this.logger.debug(`Stored ${flowData.length} flow items for ${symbol}`);
+    this.logger.debug(`Stored ${accepted.length}/${flowData.length} flow items for ${symbol}`);
   }
 
   handleBlockTrade(blockData, symbol, timestamp) {
-    const processedBlock = {
+    const [processedBlock] = this.validateRecords('blocks', [{
       symbol,
       ...blockData,
-      timestamp: timestamp || new Date().toISOString(),
+      timestamp: timestamp || clock.date().toISOString(),
       source: 'websocket'
-    };
+    }]);
     
-    this.storeData('blocks', processedBlock);
+    if (!processedBlock || !this.storeData('blocks', processedBlock)) return;
     
     // Emit block event
     this.emit('block', processedBlock);
     
-    this.logger.debug(`Stored block trade for ${symbol}: ${blockData.contracts} contracts @ $${blockData.strike}`);
+    this.logger.debug(`Stored block trade for ${processedBlock.symbol}: ${processedBlock.contracts} contracts @ $${processedBlock.strike}`);
     
     // Log significant blocks
-    if (blockData.notional > 1000000) {
-      const type = blockData.option_type === 'CALL' ? 'C' : 'P';
-      this.logger.info(`🚨 Large block: ${symbol} ${blockData.strike}${type} $${(blockData.notional / 1000000).toFixed(1)}M`);
+    if (processedBlock.notional > 1000000) {
+      const type = processedBlock.option_type === 'CALL' ? 'C' : 'P';
+      this.logger.info(`🚨 Large block: ${processedBlock.symbol} ${processedBlock.strike}${type} $${(processedBlock.notional / 1000000).toFixed(1)}M`);
     }
   }
 
   handleComplexTrade(tradeData, symbol, timestamp) {
-    const processedTrade = {
+    const [processedTrade] = this.validateRecords('complexTrades', [{
       symbol,
       ...tradeData,
-      timestamp: timestamp || new Date().toISOString(),
+      timestamp: timestamp || clock.date().toISOString(),
       source: 'websocket'
-    };
+    }]);
     
-    this.storeData('complexTrades', processedTrade);
+    if (!processedTrade || !this.storeData('complexTrades', processedTrade)) return;
     
     // Emit complex trade event
     this.emit('complex_trade', processedTrade);
   }
 
   handleDeltaConcentration(deltaData, symbol, timestamp) {
-    const processedData = {
+    const [processedData] = this.validateRecords('deltaConcentration', [{
       symbol,
       ...deltaData,
-      timestamp: timestamp || new Date().toISOString(),
+      timestamp: timestamp || clock.date().toISOString(),
       source: 'websocket'
-    };
+    }]);
     
-    this.storeData('deltaConcentration', processedData);
+    if (!processedData || !this.storeData('deltaConcentration', processedData)) return;
     
     // Emit delta concentration event
     this.emit('delta_concentration', processedData);
   }
 
+  // Schema-checks incoming records; rejects are quarantined with their reasons instead of stored
+  validateRecords(type, records) {
+    const { accepted, rejected } = Validator.validateFlowData(records, type);
+    
+    rejected.forEach(reject => this.quarantine.add(type, reject.record, reject.reasons));
+    
+    if (rejected.length > 0) {
+      this.logger.warn(`Quarantined ${rejected.length} ${type} record(s): ${rejected[0].reasons.join('; ')}`);
+    }
+    
+    return accepted;
+  }
+
+  // Records pushed from outside the socket (webhook deliveries) are validated, de-duplicated,
+  // stored and emitted exactly like live prints
+  ingest(type, records) {
+    const accepted = this.validateRecords(type, records);
+    let stored = 0;
+    
+    accepted.forEach(record => {
+      if (!this.storeData(type, record)) return;
+      
+      stored++;
+      this.emit(EVENT_NAMES[type], record);
+    });
+    
+    return {
+      received: records.length,
+      rejected: records.length - accepted.length,
+      duplicates: accepted.length - stored,
+      stored
+    };
+  }
+
+  // De-duplicates a fetched history (files written before de-duplication, overlapping REST pages)
+  dedupeRecords(type, records, label) {
+    const { records: unique, dropped } = TradeDeduplicator.dedupe(records);
+    
+    if (dropped > 0) {
+      this.logger.info(`Dropped ${dropped} duplicate ${type} prints from ${label}`);
+    }
+    
+    return unique;
+  }
+
   handleHeartbeat(data) {
     // Send pong response if required
     if (data && data.requires_pong) {
@@ -322,13 +562,18 @@ class UnusualWhalesWebSocket extends EventEmitter {
     }
   }
 
-  // Store data by type and symbol
-  storeData(type, data) {
+  // Store data by type and symbol; returns false when the record was not stored
+  storeData(type, data, { persist = true, share = true } = {}) {
     const { symbol } = data;
     
     if (!symbol) {
       this.logger.warn('Cannot store data without symbol');
-      return;
+      return false;
+    }
+    
+    // Every stored record carries its provenance
+    if (!data.source) {
+      data.source = 'websocket';
     }
     
     // Track active symbol
@@ -346,39 +591,121 @@ class UnusualWhalesWebSocket extends EventEmitter {
     
     const symbolData = this.storedData.get(symbol);
     
-    switch (type) {
-      case 'blocks':
-        symbolData.blocks.push(data);
-        // Keep only recent blocks (last 200 for better live analysis)
-        if (symbolData.blocks.length > 200) {
-          symbolData.blocks = symbolData.blocks.slice(-200);
-        }
-        break;
-        
-      case 'flow':
-        symbolData.flow.push(data);
-        // Keep only recent flow (last 1000 for better live analysis)
-        if (symbolData.flow.length > 1000) {
-          symbolData.flow = symbolData.flow.slice(-1000);
-        }
-        break;
-        
-      case 'complexTrades':
-        symbolData.complexTrades.push(data);
-        break;
-        
-      case 'deltaConcentration':
-        symbolData.deltaConcentration.push(data);
-        break;
+    if (!WINDOW_LIMITS[type]) {
+      this.logger.warn(`Unknown data type: ${type}`);
+      return false;
+    }
+    
+    // The same print can arrive on the flow and block channels, by webhook, backfill or replication
+    if (this.deduplicator.isDuplicate(data, DEDUP_SCOPES[type] || type, type)) {
+      this.logger.debug(`Dropped duplicate ${type} print for ${symbol} (${data.source})`);
+      return false;
+    }
+    
+    // Keep only the recent window in memory; the tick store holds the full day
+    symbolData[type].push(data);
+    if (symbolData[type].length > WINDOW_LIMITS[type]) {
+      symbolData[type] = symbolData[type].slice(-WINDOW_LIMITS[type]);
     }
     
     symbolData.lastUpdated = new Date();
+    
+    if (persist) {
+      this.tickStore.append(type, data);
+    }
+    
+    if (share && this.stateStore.isShared) {
+      this.shareRecord(type, data);
+    }
+    
+    return true;
+  }
+
+  // Leader -> followers: keep the shared window in Redis and broadcast the record
+  shareRecord(type, data) {
+    const symbol = data.symbol;
+    
+    Promise.all([
+      this.stateStore.pushList(`uw:window:${symbol}:${type}`, data, WINDOW_LIMITS[type]),
+      this.stateStore.hset('uw:symbols', symbol, Date.now()),
+      this.stateStore.publish('uw:records', { origin: this.instanceId, type, data })
+    ]).catch(error => this.logger.error(`Failed to share ${type} for ${symbol}: ${error.message}`));
+  }
+
+  // Reload the in-memory window after a restart: from the shared window when running
+  // multiple instances, otherwise from today's tick store files
+  async rehydrate() {
+    if (this.stateStore.isShared) {
+      return this.rehydrateFromSharedState();
+    }
+    
+    try {
+      const today = moment.tz(config.app.timezone).format('YYYY-MM-DD');
+      const stored = await this.tickStore.loadDay(today);
+      let count = 0;
+      
+      Object.values(stored).forEach(byType => {
+        Object.entries(byType).forEach(([type, records]) => {
+          records.forEach(record => {
+            if (this.storeData(type, record, { persist: false, share: false })) count++;
+          });
+        });
+      });
+      
+      if (count > 0) {
+        this.logger.info(`Rehydrated ${count} records for ${Object.keys(stored).length} symbols from tick store`);
+      }
+    } catch (error) {
+      this.logger.error(`Tick store rehydration failed: ${error.message}`);
+    }
+  }
+
+  async rehydrateFromSharedState() {
+    try {
+      const symbols = Object.keys(await this.stateStore.hgetall('uw:symbols'));
+      let count = 0;
+      
+      for (const symbol of symbols) {
+        for (const type of Object.keys(WINDOW_LIMITS)) {
+          const records = await this.stateStore.getList(`uw:window:${symbol}:${type}`);
+          records.forEach(record => {
+            // Not re-persisted: this instance's tick store may already hold them
+            if (this.storeData(type, record, { persist: false, share: false })) count++;
+          });
+        }
+      }
+      
+      if (count > 0) {
+        this.logger.info(`Rehydrated ${count} records for ${symbols.length} symbols from shared state`);
+      }
+    } catch (error) {
+      this.logger.error(`Shared state rehydration failed: ${error.message}`);
+    }
+  }
+
+  // Full day of stored records from the tick store, falling back to the in-memory window
+  async getStoredRecords(symbol, type, targetDate) {
+    const symbolData = this.storedData.get(symbol);
+    const fromMemory = () => (symbolData ? this.filterByDate(symbolData[type], targetDate) : []);
+    
+    try {
+      const day = moment.tz(targetDate, config.app.timezone);
+      const records = await this.tickStore.query(symbol, type, {
+        from: day.clone().startOf('day'),
+        to: day.clone().endOf('day')
+      });
+      
+      return records.length > 0 ? this.dedupeRecords(type, records, `${symbol} tick store`) : fromMemory();
+    } catch (error) {
+      this.logger.warn(`Tick store query failed for ${symbol} ${type}: ${error.message}`);
+      return fromMemory();
+    }
   }
 
   // NEW: Get live blocks with improved filtering for divergence detection
   async getLiveBlocks(symbol, minutesBack = 5) {
     try {
-      const cutoff = new Date(Date.now() - minutesBack * 60 * 1000);
+      const cutoff = new Date(clock.now() - minutesBack * 60 * 1000);
       const symbolUpper = symbol.toUpperCase();
       
       if (this.storedData.has(symbolUpper)) {
@@ -386,13 +713,15 @@ class UnusualWhalesWebSocket extends EventEmitter {
         
         const recentBlocks = symbolData.blocks.filter(block => 
           new Date(block.timestamp) > cutoff
-        ).map(block => ({
-          ...block,
-          // Ensure required fields for divergence detection
-          notional: block.notional || (block.premium || 0) * (block.contracts || 0) * 100,
-          real_delta: block.real_delta || (block.option_type === 'CALL' ? 0.5 : -0.5) * 0.8,
-          delta_exposure: block.delta_exposure || ((block.real_delta || 0.5) * (block.notional || 0))
-        }));
+        ).map(block => {
+          // Ensure required fields for divergence detection; greeks are left to the chain enricher
+          const notional = block.notional || (block.premium || 0) * (block.contracts || 0) * 100;
+          return {
+            ...block,
+            notional,
+            delta_exposure: Number.isFinite(block.real_delta) ? block.real_delta * notional : null
+          };
+        });
         
         if (recentBlocks.length > 0) {
           // Sort by timestamp descending (newest first)
@@ -401,6 +730,7 @@ class UnusualWhalesWebSocket extends EventEmitter {
       }
       
       // If no recent blocks in WebSocket, simulate some
+      if (!this.canSimulate()) return [];
       return await this.simulateLiveBlocks(symbol, minutesBack);
       
     } catch (error) {
@@ -411,7 +741,7 @@ class UnusualWhalesWebSocket extends EventEmitter {
 
   // NEW: Get active symbols with recent data
   getActiveSymbols() {
-    const now = new Date();
+    const now = clock.date();
     const tenMinutesAgo = new Date(now.getTime() - 10 * 60 * 1000);
     
     const active = [];
@@ -434,7 +764,7 @@ class UnusualWhalesWebSocket extends EventEmitter {
 
   // NEW: Get recent data count for a symbol
   getRecentDataCount(symbol, minutesBack = 10) {
-    const cutoff = new Date(Date.now() - minutesBack * 60 * 1000);
+    const cutoff = new Date(clock.now() - minutesBack * 60 * 1000);
     const symbolUpper = symbol.toUpperCase();
     
     if (!this.storedData.has(symbolUpper)) {
@@ -464,9 +794,14 @@ class UnusualWhalesWebSocket extends EventEmitter {
       messageCount: this.messageCount,
       lastMessageTime: this.lastMessageTime,
       reconnectAttempts: this.reconnectAttempts,
+      isLeader: this.isLeader(),
+      instanceId: this.instanceId,
       symbolsWithData: this.storedData.size,
       activeSymbols: activeSymbols.length,
       activeSymbolsList: activeSymbols.slice(0, 10), // Top 10
+      subscribedSymbols: this.getSubscribedSymbols(),
+      rejects: this.quarantine.getStats(),
+      duplicates: this.deduplicator.getStats(),
       storedDataSizes: Array.from(this.storedData.entries()).map(([symbol, data]) => ({
         symbol,
         blocks: data.blocks.length,
@@ -483,18 +818,26 @@ class UnusualWhalesWebSocket extends EventEmitter {
     try {
       const targetDate = date || this.getTodayDate();
       
-      // Check if we have WebSocket data
-      if (this.storedData.has(symbol)) {
-        const symbolData = this.storedData.get(symbol);
-        const filteredFlow = this.filterByDate(symbolData.flow, targetDate);
-        
-        if (filteredFlow.length > 0) {
-          this.logger.info(`Using WebSocket data for ${symbol} on ${targetDate}: ${filteredFlow.length} flows`);
-          return this.processFlowData(filteredFlow, targetDate);
-        }
+      // Check if we have stored WebSocket data
+      const filteredFlow = await this.getStoredRecords(symbol, 'flow', targetDate);
+      if (filteredFlow.length > 0) {
+        this.logger.info(`Using WebSocket data for ${symbol} on ${targetDate}: ${filteredFlow.length} flows`);
+        return this.processFlowData(filteredFlow, targetDate);
+      }
+      
+      // Fall back to the REST API for history and after restarts
+      const restFlow = await this.fetchFromREST('flow', symbol, targetDate, () =>
+        this.rest.getFlow(symbol, targetDate));
+      if (restFlow.length > 0) {
+        this.logger.info(`Using REST data for ${symbol} on ${targetDate}: ${restFlow.length} flows`);
+        return this.processFlowData(restFlow, targetDate);
       }
       
-      // Fallback to simulation if no WebSocket data
+      // Simulation only when neither source has data
+      if (!this.canSimulate()) {
+        this.logger.warn(`No real flow for ${symbol} on ${targetDate} (strict real-data mode)`);
+        return [];
+      }
       this.logger.info(`Simulating institutional flow for ${symbol} on ${targetDate}`);
       const simulated = await this.simulateInstitutionalFlow(symbol, targetDate);
       return this.processFlowData(simulated, targetDate);
@@ -509,18 +852,21 @@ class UnusualWhalesWebSocket extends EventEmitter {
     try {
       const targetDate = date || this.getTodayDate();
       
-      // Check WebSocket data
-      if (this.storedData.has(symbol)) {
-        const symbolData = this.storedData.get(symbol);
-        const filteredBlocks = this.filterByDate(symbolData.blocks, targetDate)
-          .filter(block => block.contracts >= minSize);
-        
-        if (filteredBlocks.length > 0) {
-          return filteredBlocks;
-        }
+      // Check stored WebSocket data
+      const filteredBlocks = (await this.getStoredRecords(symbol, 'blocks', targetDate))
+        .filter(block => block.contracts >= minSize);
+      if (filteredBlocks.length > 0) {
+        return filteredBlocks;
+      }
+      
+      const restBlocks = await this.fetchFromREST('blocks', symbol, targetDate, () =>
+        this.rest.getBlocks(symbol, minSize, targetDate));
+      if (restBlocks.length > 0) {
+        return restBlocks;
       }
       
       // Fallback to simulation
+      if (!this.canSimulate()) return [];
       return await this.simulateBlocks(symbol, minSize, targetDate);
       
     } catch (error) {
@@ -550,6 +896,7 @@ class UnusualWhalesWebSocket extends EventEmitter {
       }
       
       // Fallback to simulation
+      if (!this.canSimulate()) return 0;
       return await this.simulateRealDelta(symbol, strike, optionType, targetDate);
       
     } catch (error) {
@@ -562,17 +909,20 @@ class UnusualWhalesWebSocket extends EventEmitter {
     try {
       const targetDate = date || this.getTodayDate();
       
-      // Check WebSocket data
-      if (this.storedData.has(symbol)) {
-        const symbolData = this.storedData.get(symbol);
-        const filteredTrades = this.filterByDate(symbolData.complexTrades, targetDate);
-        
-        if (filteredTrades.length > 0) {
-          return filteredTrades;
-        }
+      // Check stored WebSocket data
+      const filteredTrades = await this.getStoredRecords(symbol, 'complexTrades', targetDate);
+      if (filteredTrades.length > 0) {
+        return filteredTrades;
+      }
+      
+      const restTrades = await this.fetchFromREST('complexTrades', symbol, targetDate, () =>
+        this.rest.getComplexTrades(symbol, targetDate));
+      if (restTrades.length > 0) {
+        return restTrades;
       }
       
       // Fallback to simulation
+      if (!this.canSimulate()) return [];
       return await this.simulateComplexTrades(symbol, targetDate);
       
     } catch (error) {
@@ -585,17 +935,20 @@ class UnusualWhalesWebSocket extends EventEmitter {
     try {
       const targetDate = date || this.getTodayDate();
       
-      // Check WebSocket data
-      if (this.storedData.has(symbol)) {
-        const symbolData = this.storedData.get(symbol);
-        const filteredConcentration = this.filterByDate(symbolData.deltaConcentration, targetDate);
-        
-        if (filteredConcentration.length > 0) {
-          return filteredConcentration;
-        }
+      // Check stored WebSocket data
+      const filteredConcentration = await this.getStoredRecords(symbol, 'deltaConcentration', targetDate);
+      if (filteredConcentration.length > 0) {
+        return filteredConcentration;
+      }
+      
+      const restConcentration = await this.fetchFromREST('deltaConcentration', symbol, targetDate, () =>
+        this.rest.getDeltaConcentration(symbol, targetDate));
+      if (restConcentration.length > 0) {
+        return restConcentration;
       }
       
       // Fallback to simulation
+      if (!this.canSimulate()) return [];
       return await this.simulateDeltaConcentration(symbol, targetDate);
       
     } catch (error) {
@@ -604,14 +957,33 @@ class UnusualWhalesWebSocket extends EventEmitter {
     }
   }
 
+  canSimulate() {
+    return !config.dataIntegrity.strictRealData;
+  }
+
+  // REST failures are logged and treated as "no data" so callers keep their fallback chain.
+  // Results go through the same schema checks as WebSocket records.
+  async fetchFromREST(type, symbol, targetDate, loader) {
+    if (!this.rest.isConfigured()) return [];
+    
+    try {
+      const records = this.validateRecords(type, await loader() || []);
+      return this.dedupeRecords(type, records, `${symbol} REST`);
+    } catch (error) {
+      this.logger.warn(`REST ${type} unavailable for ${symbol} on ${targetDate}: ${error.message}`);
+      return [];
+    }
+  }
+
   // Utility methods
+  // Trading dates are exchange-time dates: a 19:00 ET print belongs to that day, not the next UTC one
   filterByDate(items, targetDate) {
     if (!items || items.length === 0) return [];
     
+    const calendar = getMarketCalendar();
     return items.filter(item => {
       if (!item.timestamp) return false;
-      const itemDate = new Date(item.timestamp).toISOString().split('T')[0];
-      return itemDate === targetDate;
+      return calendar.format(new Date(item.timestamp)) === targetDate;
     });
   }
 
@@ -620,7 +992,7 @@ class UnusualWhalesWebSocket extends EventEmitter {
       if (!flow.timestamp) return false;
       
       try {
-        const flowDate = new Date(flow.timestamp).toISOString().split('T')[0];
+        const flowDate = getMarketCalendar().format(new Date(flow.timestamp));
         const matchesDate = flowDate === targetDate;
         
         const isValid = flow.option_type && 
@@ -636,35 +1008,34 @@ class UnusualWhalesWebSocket extends EventEmitter {
       }
     }).map(flow => {
       try {
-        const expiration = flow.expiration ? new Date(flow.expiration) : null;
         const flowTimestamp = new Date(flow.timestamp);
-        const dte = expiration ? Math.ceil((expiration - flowTimestamp) / (1000 * 60 * 60 * 24)) : 0;
+        const dte = getMarketCalendar().dte(flow.expiration, flowTimestamp, 'calendar');
         
-        // Calculate delta exposure if not present
-        const realDelta = flow.real_delta || (flow.option_type === 'CALL' ? 0.5 : -0.5) * 0.8;
-        const deltaExposure = flow.delta_exposure || realDelta * flow.notional;
+        // Delta exposure only from a reported delta; FlowAnalyzer enriches the rest from the chain
+        const deltaExposure = Number.isFinite(flow.real_delta) ? flow.real_delta * flow.notional : null;
         
         return {
           ...flow,
-          real_delta: realDelta,
           delta_exposure: deltaExposure,
-          dte: Math.max(0, dte),
+          dte,
           timestamp: flowTimestamp,
           // Add fields for divergence detection
           distance_percent: 0, // Will be calculated in flow-analyzer
           distance_absolute: 0,
           atm: false,
-          hour: flowTimestamp.getHours(),
+          hour: moment.tz(flowTimestamp, config.app.timezone).hour(),
           stock_price: flow.stock_price || 0,
           stock_option_combo: flow.stock_option_combo || false,
-          flow_type: flow.complex_type || 'SINGLE'
+          flow_type: flow.complex_type || 'SINGLE',
+          source: flow.source || 'unknown'
         };
       } catch (error) {
         this.logger.warn(`Error processing flow: ${error.message}`);
         return {
           ...flow,
           dte: 0,
-          timestamp: new Date(flow.timestamp || targetDate)
+          timestamp: new Date(flow.timestamp || targetDate),
+          source: flow.source || 'unknown'
         };
       }
     });
@@ -683,7 +1054,8 @@ class UnusualWhalesWebSocket extends EventEmitter {
       const isCall = Math.random() > 0.4; // Slightly biased to calls
       const strike = Math.round(basePrice * (0.97 + Math.random() * 0.06));
       const contracts = Math.floor(Math.random() * 3000) + 500;
-      const pricePerContract = parseFloat((0.5 + Math.random() * 5).toFixed(2));
+      const quote = this.simulateQuote(0.5 + Math.random() * 5);
+      const pricePerContract = quote.price;
       const notional = contracts * pricePerContract * 100;
       const realDelta = isCall ? 0.4 + Math.random() * 0.4 : -0.4 - Math.random() * 0.4;
       
@@ -696,12 +1068,13 @@ class UnusualWhalesWebSocket extends EventEmitter {
         contracts,
         price: pricePerContract,
         notional,
-        side: Math.random() > 0.3 ? 'BUY' : 'SELL',
+        bid: quote.bid,
+        ask: quote.ask,
         real_delta: realDelta,
         delta_exposure: realDelta * notional,
         dte: Math.floor(Math.random() * 5),
         complex_type: Math.random() > 0.85 ? (isCall ? 'CALL_SPREAD' : 'PUT_SPREAD') : null,
-        source: 'simulation'
+        source: 'simulated'
       });
     }
     
@@ -750,7 +1123,8 @@ class UnusualWhalesWebSocket extends EventEmitter {
         notional: Math.random() * 2000000 + 1000000,
         timestamp: new Date(date).toISOString(),
         legs: Math.floor(Math.random() * 4) + 2,
-        intent: Math.random() > 0.5 ? 'bullish' : 'bearish'
+        intent: Math.random() > 0.5 ? 'bullish' : 'bearish',
+        source: 'simulated'
       });
     }
     
@@ -770,7 +1144,8 @@ class UnusualWhalesWebSocket extends EventEmitter {
         notional: Math.random() * 1500000 + 500000,
         timestamp: new Date(date).toISOString(),
         callPrints: i >= 0 ? Math.floor(Math.random() * 5) + 1 : 0,
-        putPrints: i < 0 ? Math.floor(Math.random() * 5) + 1 : 0
+        putPrints: i < 0 ? Math.floor(Math.random() * 5) + 1 : 0,
+        source: 'simulated'
       });
     }
     
@@ -791,7 +1166,8 @@ class UnusualWhalesWebSocket extends EventEmitter {
       const isCall = Math.random() > 0.5;
       const strike = Math.round(basePrice * (0.95 + Math.random() * 0.1));
       const contracts = Math.floor(Math.random() * 5000) + 100;
-      const pricePerContract = (0.5 + Math.random() * 5).toFixed(2);
+      const quote = this.simulateQuote(0.5 + Math.random() * 5);
+      const pricePerContract = quote.price;
       const notional = contracts * pricePerContract * 100;
       const realDelta = isCall ? 0.5 + Math.random() * 0.3 : -0.5 - Math.random() * 0.3;
       
@@ -802,9 +1178,10 @@ class UnusualWhalesWebSocket extends EventEmitter {
         strike,
         expiration: this.getRandomExpiration(timestamp),
         contracts,
-        price: parseFloat(pricePerContract),
+        price: pricePerContract,
         notional,
-        side: Math.random() > 0.3 ? 'BUY' : 'SELL',
+        bid: quote.bid,
+        ask: quote.ask,
         real_delta: realDelta,
         delta_exposure: realDelta * notional,
         dte: Math.floor(Math.random() * 14),
@@ -812,33 +1189,55 @@ class UnusualWhalesWebSocket extends EventEmitter {
         underlying_price: basePrice * (0.98 + Math.random() * 0.04),
         stock_price: basePrice * (0.99 + Math.random() * 0.02),
         stock_option_combo: Math.random() > 0.7,
-        source: 'simulation'
+        source: 'simulated'
       });
     }
     
     return flow.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
   }
 
+  // NBBO around a mid and a fill somewhere in it; simulated prints carry no side of their own,
+  // the aggressor inference reads it from where the fill landed
+  simulateQuote(mid) {
+    const halfSpread = Math.max(0.01, mid * 0.02);
+    const bid = parseFloat((mid - halfSpread).toFixed(2));
+    const ask = parseFloat((mid + halfSpread).toFixed(2));
+    const position = Math.random();
+    let price;
+    if (position < 0.45) price = ask;
+    else if (position < 0.8) price = bid;
+    else price = parseFloat((bid + (ask - bid) * Math.random()).toFixed(2));
+
+    return { bid, ask, price };
+  }
+
   getRandomExpiration(baseDate) {
     const date = new Date(baseDate);
     date.setDate(date.getDate() + Math.floor(Math.random() * 45) + 1);
     return date.toISOString().split('T')[0];
   }
 
+  // Today in exchange time
   getTodayDate() {
-    return new Date().toISOString().split('T')[0];
+    return getMarketCalendar().format(clock.now());
   }
 
-  cleanupOldData(daysToKeep = 7) {
-    const cutoff = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+  // Retention: durable files follow config.storage.tickRetentionDays, memory keeps the last 24h
+  async applyRetention() {
+    try {
+      await this.tickStore.applyRetention();
+    } catch (error) {
+      this.logger.error(`Tick store retention failed: ${error.message}`);
+    }
+    
+    const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
     
     for (const [symbol, data] of this.storedData.entries()) {
       if (data.lastUpdated < cutoff) {
         this.storedData.delete(symbol);
-        this.logger.info(`Cleaned up old data for ${symbol}`);
+        this.logger.info(`Released in-memory data for ${symbol}`);
       } else {
-        // Clean old items within the data
-        ['blocks', 'flow'].forEach(type => {
+        ['blocks', 'flow', 'complexTrades', 'deltaConcentration'].forEach(type => {
           data[type] = data[type].filter(item => 
             new Date(item.timestamp) > cutoff
           );
@@ -866,6 +1265,18 @@ class UnusualWhalesWebSocket extends EventEmitter {
     this.isConnected = false;
     this.logger.info('WebSocket disconnected');
   }
+
+  // Process shutdown: close the socket and flush buffered ticks to disk
+  shutdown() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.leaderElector.stop();
+    this.disconnect();
+    this.tickStore.close();
+    
+    if (this.recorder) {
+      this.recorder.close();
+    }
+  }
 }
 
 module.exports = UnusualWhalesWebSocket;
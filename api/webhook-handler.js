@@ -1,173 +1,181 @@
 // webhook-handler.js
-const Logger = require('./utils/logger');
+const crypto = require('crypto');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const UnusualWhalesREST = require('./unusual-whales-rest');
+const { getStateStore } = require('../storage/state-store');
 
+const SIGNATURE_HEADER = 'x-uw-signature';
+const TIMESTAMP_HEADER = 'x-uw-timestamp';
+
+// Event types that are block prints; anything else is treated as regular flow
+const BLOCK_EVENTS = ['block_trade', 'block_trades', 'large_print', 'large_prints'];
+
+// Receives signed Unusual Whales webhook deliveries. The signature is an HMAC-SHA256 (hex) of
+// "<timestamp>.<raw body>" with the shared secret; deliveries outside the tolerance window or
+// seen before are rejected. Accepted prints go through the same validation, de-duplication and
+// storage as WebSocket prints, so reports work without the WebSocket.
 class WebhookHandler {
-  constructor() {
+  constructor(sink) {
     this.logger = new Logger('webhook-handler');
-    this.pendingBlocks = new Map(); // symbol -> array of blocks
-    this.lastUpdate = new Map(); // symbol -> timestamp
-  }
-
-  // Simulate receiving webhook data (replace with actual webhook handler)
-  async simulateWebhookData(symbol, targetDate) {
-    this.logger.info(`Simulating webhook data for ${symbol} on ${targetDate}`);
-    
-    // Simulated data - replace with actual webhook parsing
-    const simulatedBlocks = this.generateSimulatedBlocks(symbol, targetDate);
-    const simulatedFlow = this.generateSimulatedFlow(symbol, targetDate);
-    
-    return {
-      blocks: simulatedBlocks,
-      flow: simulatedFlow,
-      deltaConcentration: this.generateSimulatedDelta(symbol),
-      complexTrades: this.generateSimulatedComplexTrades(symbol)
+    this.sink = sink; // UnusualWhalesWebSocket (ingest)
+    this.rest = new UnusualWhalesREST(); // shares the print normalizer
+    this.stateStore = getStateStore();
+    this.settings = config.apis.unusualWhales.webhook;
+    this.stats = {
+      received: 0,
+      accepted: 0,
+      rejected: 0,
+      lastDelivery: null
     };
   }
 
-  generateSimulatedBlocks(symbol, date) {
-    // Generate realistic simulated blocks
-    const blocks = [];
-    const basePrice = 100 + Math.random() * 100;
-    const today = new Date(date);
-    
-    for (let i = 0; i < 15; i++) {
-      const hour = 9 + Math.floor(Math.random() * 7); // 9 AM - 4 PM
-      const minute = Math.floor(Math.random() * 60);
-      const timestamp = new Date(today);
-      timestamp.setHours(hour, minute, 0, 0);
-      
-      const isCall = Math.random() > 0.5;
-      const strike = Math.round(basePrice * (0.95 + Math.random() * 0.1));
-      const contracts = Math.floor(Math.random() * 5000) + 100;
-      const pricePerContract = (0.5 + Math.random() * 5).toFixed(2);
-      const notional = contracts * pricePerContract * 100;
-      
-      blocks.push({
-        symbol,
-        timestamp: timestamp.toISOString(),
-        option_type: isCall ? 'CALL' : 'PUT',
-        strike,
-        expiration: this.getRandomExpiration(today),
-        contracts,
-        price: parseFloat(pricePerContract),
-        notional,
-        side: Math.random() > 0.3 ? 'BUY' : 'SELL',
-        real_delta: isCall ? 0.5 + Math.random() * 0.3 : -0.5 - Math.random() * 0.3,
-        dte: Math.floor(Math.random() * 14),
-        complex_type: Math.random() > 0.8 ? 'CALL_SPREAD' : null
-      });
-    }
-    
-    // Sort by timestamp
-    return blocks.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  isConfigured() {
+    return Boolean(this.settings.secret);
   }
 
-  generateSimulatedFlow(symbol, date) {
-    // Generate institutional flow data
-    const blocks = this.generateSimulatedBlocks(symbol, date);
-    return blocks.map(block => ({
-      ...block,
-      underlying_price: block.strike * (0.95 + Math.random() * 0.1),
-      stock_price: block.strike * (0.98 + Math.random() * 0.04),
-      stock_option_combo: Math.random() > 0.7,
-      complex_type: Math.random() > 0.8 ? (block.option_type === 'CALL' ? 'CALL_SPREAD' : 'PUT_SPREAD') : null
-    }));
-  }
+  // Returns { statusCode, body } for the HTTP layer
+  async handleRequest(rawBody, headers = {}) {
+    this.stats.received++;
 
-  generateSimulatedDelta(symbol) {
-    const deltaLevels = [];
-    const basePrice = 100;
-    
-    for (let i = -5; i <= 5; i++) {
-      const strike = basePrice + i;
-      deltaLevels.push({
-        strike,
-        option_type: i > 0 ? 'CALL' : 'PUT',
-        real_delta: i > 0 ? 0.3 + Math.random() * 0.4 : -0.3 - Math.random() * 0.4,
-        notional: Math.random() * 1000000 + 500000,
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    return deltaLevels;
-  }
+    try {
+      if (!this.isConfigured()) {
+        return this.reject(503, 'Webhook secret not configured');
+      }
 
-  generateSimulatedComplexTrades(symbol) {
-    const strategies = ['CALL_SPREAD', 'PUT_SPREAD', 'STRADDLE', 'STRANGLE', 'PROTECTIVE_PUT', 'COVERED_CALL', 'COLLAR'];
-    const trades = [];
-    
-    for (let i = 0; i < 5; i++) {
-      trades.push({
-        symbol,
-        strategy_type: strategies[Math.floor(Math.random() * strategies.length)],
-        notional: Math.random() * 2000000 + 1000000,
-        timestamp: new Date().toISOString(),
-        legs: Math.floor(Math.random() * 4) + 2
-      });
-    }
-    
-    return trades;
-  }
+      const timestamp = this.parseTimestamp(headers[TIMESTAMP_HEADER]);
+      if (timestamp === null) {
+        return this.reject(401, 'Missing or invalid timestamp');
+      }
 
-  getRandomExpiration(baseDate) {
-    const date = new Date(baseDate);
-    date.setDate(date.getDate() + Math.floor(Math.random() * 45) + 1);
-    return date.toISOString().split('T')[0];
-  }
+      const ageSeconds = Math.abs(Date.now() - timestamp) / 1000;
+      if (ageSeconds > this.settings.toleranceSeconds) {
+        return this.reject(401, `Timestamp outside ${this.settings.toleranceSeconds}s window`);
+      }
 
-  // For actual webhook integration
-  async handleWebhook(payload) {
-    try {
-      // Parse webhook payload from Unusual Whales
-      // This would be customized based on actual webhook format
-      const { symbol, blocks, flow, timestamp } = this.parseWebhookPayload(payload);
-      
-      // Store the data
-      if (!this.pendingBlocks.has(symbol)) {
-        this.pendingBlocks.set(symbol, []);
+      const signature = this.parseSignature(headers[SIGNATURE_HEADER]);
+      if (!signature || !this.verifySignature(headers[TIMESTAMP_HEADER], rawBody, signature)) {
+        return this.reject(401, 'Invalid signature');
+      }
+
+      // Kept for the whole window on either side, after which the timestamp check takes over
+      const firstDelivery = await this.stateStore.setIfAbsent(
+        `uw:webhook:seen:${signature}`,
+        Date.now(),
+        this.settings.toleranceSeconds * 2000
+      );
+      if (!firstDelivery) {
+        return this.reject(409, 'Duplicate delivery');
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(rawBody.toString('utf8'));
+      } catch (error) {
+        return this.reject(400, 'Malformed JSON');
       }
-      this.pendingBlocks.get(symbol).push(...blocks);
-      this.lastUpdate.set(symbol, new Date());
-      
-      this.logger.info(`Webhook processed for ${symbol}: ${blocks.length} blocks`);
-      
-      return { success: true, symbol, count: blocks.length };
-      
+
+      const result = this.handleWebhook(payload);
+      this.stats.accepted++;
+      this.stats.lastDelivery = new Date();
+
+      return { statusCode: 200, body: { success: true, ...result } };
+
     } catch (error) {
       this.logger.error(`Webhook handling error: ${error.message}`);
-      return { success: false, error: error.message };
+      return { statusCode: 500, body: { success: false, error: 'Internal error' } };
     }
   }
 
-  parseWebhookPayload(payload) {
-    // This would parse actual Unusual Whales webhook format
-    // For now, return simulated data
+  // Stores the prints of a verified payload
+  handleWebhook(payload) {
+    const { flow, blocks } = this.parseWebhookPayload(payload);
+
+    const flowResult = this.sink.ingest('flow', flow);
+    const blockResult = this.sink.ingest('blocks', blocks);
+
+    const symbols = [...new Set(flow.map(print => print.symbol).filter(Boolean))];
+    this.logger.info(`Webhook processed${symbols.length ? ` for ${symbols.join(', ')}` : ''}: ` +
+      `${flowResult.stored}/${flow.length} flow, ${blockResult.stored}/${blocks.length} blocks stored`);
+
     return {
-      symbol: payload.symbol || 'SPY',
-      blocks: payload.blocks || [],
-      flow: payload.flow || [],
-      timestamp: new Date()
+      symbols,
+      flow: flowResult,
+      blocks: blockResult
     };
   }
 
-  // Get stored data for a symbol
-  getStoredData(symbol, hoursBack = 24) {
-    const cutoff = new Date(Date.now() - hoursBack * 60 * 60 * 1000);
-    const blocks = this.pendingBlocks.get(symbol) || [];
-    
-    return {
-      blocks: blocks.filter(b => new Date(b.timestamp) > cutoff),
-      lastUpdate: this.lastUpdate.get(symbol)
-    };
+  // Accepts { type|event, data: row|rows }, { type, data: { alerts: rows } } or a bare array of rows
+  parseWebhookPayload(payload) {
+    const envelopes = Array.isArray(payload) ? payload.map(row => ({ data: row })) : [payload || {}];
+    const flow = [];
+    const blocks = [];
+
+    envelopes.forEach(envelope => {
+      const eventType = String(envelope.type || envelope.event || '').toLowerCase();
+      let rows = envelope.data !== undefined ? envelope.data : envelope;
+      if (rows && !Array.isArray(rows) && Array.isArray(rows.alerts)) {
+        rows = rows.alerts;
+      }
+      if (!Array.isArray(rows)) {
+        rows = [rows];
+      }
+
+      const fallbackSymbol = envelope.ticker || envelope.symbol || '';
+
+      rows.filter(row => row && typeof row === 'object').forEach(row => {
+        const print = {
+          ...this.rest.normalizePrint(row, fallbackSymbol),
+          source: 'webhook'
+        };
+
+        flow.push(print);
+
+        const isBlock = BLOCK_EVENTS.includes(eventType) ||
+          row.is_block === true ||
+          print.notional >= config.rules.flowSizeThresholds.block;
+        if (isBlock) {
+          blocks.push({ ...print });
+        }
+      });
+    });
+
+    return { flow, blocks };
   }
 
-  // Clear old data
-  cleanupOldData(hoursToKeep = 24) {
-    const cutoff = new Date(Date.now() - hoursToKeep * 60 * 60 * 1000);
-    
-    for (const [symbol, blocks] of this.pendingBlocks.entries()) {
-      this.pendingBlocks.set(symbol, blocks.filter(b => new Date(b.timestamp) > cutoff));
-    }
+  // Epoch seconds or milliseconds -> milliseconds
+  parseTimestamp(value) {
+    if (value === undefined || value === null || !/^\d+$/.test(String(value).trim())) return null;
+
+    const number = Number(value);
+    return number < 1e12 ? number * 1000 : number;
+  }
+
+  parseSignature(value) {
+    if (!value) return null;
+
+    const signature = String(value).trim().replace(/^sha256=/i, '').toLowerCase();
+    return /^[0-9a-f]{64}$/.test(signature) ? signature : null;
+  }
+
+  verifySignature(timestamp, rawBody, signature) {
+    const expected = crypto
+      .createHmac('sha256', this.settings.secret)
+      .update(`${timestamp}.`)
+      .update(rawBody)
+      .digest();
+
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+  }
+
+  reject(statusCode, reason) {
+    this.stats.rejected++;
+    this.logger.warn(`Webhook rejected (${statusCode}): ${reason}`);
+    return { statusCode, body: { success: false, error: reason } };
+  }
+
+  getStats() {
+    return { ...this.stats, configured: this.isConfigured() };
   }
 }
 
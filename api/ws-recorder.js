@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config');
+const Logger = require('../utils/logger');
+
+// Writes every raw WebSocket frame as NDJSON ({ t: receivedAtMs, raw: frame }).
+// A new file is started when the current one passes maxFileBytes or the ET date changes.
+class WebSocketRecorder {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(config.storage.dataDir, 'recordings');
+    this.maxFileBytes = options.maxFileBytes || config.storage.recording.maxFileBytes;
+    this.timezone = config.app.timezone;
+    this.logger = new Logger('ws-recorder');
+    this.stream = null;
+    this.currentFile = null;
+    this.currentDate = null;
+    this.bytesWritten = 0;
+    this.messageCount = 0;
+  }
+
+  record(raw, receivedAt = Date.now()) {
+    try {
+      const line = JSON.stringify({ t: receivedAt, raw: raw.toString() }) + '\n';
+      const date = moment(receivedAt).tz(this.timezone).format('YYYY-MM-DD');
+
+      if (!this.stream || date !== this.currentDate || this.bytesWritten + line.length > this.maxFileBytes) {
+        this.rotate(receivedAt, date);
+      }
+
+      this.stream.write(line);
+      this.bytesWritten += Buffer.byteLength(line);
+      this.messageCount++;
+    } catch (error) {
+      this.logger.error(`Failed to record WebSocket message: ${error.message}`);
+    }
+  }
+
+  rotate(receivedAt, date) {
+    this.close();
+
+    const dayDir = path.join(this.dir, date);
+    fs.mkdirSync(dayDir, { recursive: true });
+
+    const stamp = moment(receivedAt).tz(this.timezone).format('HHmmss');
+    let file = path.join(dayDir, `uw-${stamp}.ndjson`);
+    for (let n = 1; fs.existsSync(file); n++) {
+      file = path.join(dayDir, `uw-${stamp}-${n}.ndjson`);
+    }
+
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (error) => this.logger.error(`Recording stream error (${file}): ${error.message}`));
+    this.currentFile = file;
+    this.currentDate = date;
+    this.bytesWritten = 0;
+
+    this.logger.info(`Recording WebSocket session to ${file}`);
+  }
+
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+}
+
+module.exports = WebSocketRecorder;
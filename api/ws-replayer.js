@@ -0,0 +1,86 @@
+const fs = require('fs');
+const readline = require('readline');
+const clock = require('../utils/clock');
+const Logger = require('../utils/logger');
+
+// Feeds recorded sessions (see WebSocketRecorder) back through handleWebSocketMessage.
+// speed: 1 = original pacing, N = N times faster, Infinity = as fast as possible.
+// The virtual clock is pinned to each message's receive time before it is handled.
+class WebSocketReplayer {
+  constructor(target, options = {}) {
+    this.target = target;
+    this.speed = options.speed || 1;
+    this.beforeMessage = options.beforeMessage || null; // async (receivedAt) => {}
+    this.logger = new Logger('ws-replayer');
+    this.stopped = false;
+  }
+
+  async replay(files) {
+    const stats = { messages: 0, malformed: 0, startTime: null, endTime: null };
+    let previous = null;
+    this.stopped = false;
+
+    for (const file of [].concat(files)) {
+      this.logger.info(`Replaying ${file} at ${this.speed === Infinity ? 'max' : this.speed + 'x'} speed`);
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+      for await (const line of lines) {
+        if (this.stopped) break;
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          stats.malformed++;
+          this.logger.warn(`Skipping corrupt recording line in ${file}`);
+          continue;
+        }
+
+        if (previous !== null && this.speed !== Infinity && entry.t > previous) {
+          await this.delay((entry.t - previous) / this.speed);
+        }
+        previous = entry.t;
+
+        if (this.beforeMessage) {
+          await this.beforeMessage(entry.t);
+        }
+
+        clock.setTime(entry.t);
+        this.dispatch(entry);
+
+        stats.messages++;
+        if (stats.startTime === null) stats.startTime = entry.t;
+        stats.endTime = entry.t;
+      }
+
+      lines.close();
+      if (this.stopped) break;
+    }
+
+    this.logger.info(`Replay finished: ${stats.messages} messages, ${stats.malformed} corrupt lines`);
+    return stats;
+  }
+
+  // Same steps as the live 'message' handler, minus re-recording
+  dispatch(entry) {
+    this.target.lastMessageTime = entry.t;
+    this.target.messageCount++;
+
+    try {
+      this.target.handleWebSocketMessage(JSON.parse(entry.raw));
+    } catch (error) {
+      this.logger.error(`Error parsing replayed message: ${error.message}`);
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = WebSocketReplayer;
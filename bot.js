@@ -3,340 +3,27 @@ const config = require('./config');
 const ReportBuilder = require('./reports/report-builder');
 const FlowAnalyzer = require('./analysis/flow-analyzer');
 const Logger = require('./utils/logger');
+const clock = require('./utils/clock');
+const { getMarketCalendar } = require('./utils/market-calendar');
+const LiveBlockTracker = require('./reports/live-block-tracker');
+const MomentumTracker = require('./analysis/momentum-tracker');
+const WebhookHandler = require('./api/webhook-handler');
+const SharedMap = require('./storage/shared-map');
+const Provenance = require('./utils/provenance');
+const { getStateStore } = require('./storage/state-store');
 const moment = require('moment-timezone');
 
-// Live Block Tracker Class
-class LiveBlockTracker {
-  constructor() {
-    this.logger = new Logger('live-block-tracker');
-    this.lastBlocks = new Map(); // symbol -> latest blocks
-    this.flowHistory = new Map(); // symbol -> flow history
-  }
-
-  async generateLiveBlockReport(symbol, quote, flowData, tierAnalysis, hourlyBreakdown, atmFlow) {
-    const now = moment().tz('America/New_York');
-    const spotPrice = quote.price || 0;
-    
-    // Find largest recent block (last 5 minutes simulated)
-    const recentBlocks = flowData
-      .filter(flow => {
-        if (!flow.timestamp) return false;
-        const flowTime = moment(flow.timestamp);
-        const diffMinutes = now.diff(flowTime, 'minutes');
-        return diffMinutes <= 5;
-      })
-      .sort((a, b) => b.notional - a.notional);
-    
-    const largestBlock = recentBlocks.length > 0 ? recentBlocks[0] : null;
-    
-    if (!largestBlock) {
-      return this.generateNoLiveBlocksReport(symbol, spotPrice, tierAnalysis, hourlyBreakdown);
-    }
-    
-    // Calculate gamma exposure (simplified)
-    const gammaExposure = this.calculateGammaExposure(largestBlock, spotPrice);
-    
-    // Calculate flow momentum
-    const flowMomentum = this.calculateFlowMomentum(recentBlocks, tierAnalysis);
-    
-    // Calculate dealer impact
-    const dealerImpact = this.calculateDealerImpact(largestBlock, spotPrice, gammaExposure);
-    
-    // Build the report
-    return this.buildLiveBlockReport(
-      symbol, 
-      now, 
-      largestBlock, 
-      spotPrice, 
-      gammaExposure, 
-      flowMomentum,
-      dealerImpact,
-      tierAnalysis,
-      atmFlow,
-      recentBlocks
-    );
-  }
-
-  generateNoLiveBlocksReport(symbol, spotPrice, tierAnalysis, hourlyBreakdown) {
-    const now = moment().tz('America/New_York');
-    
-    let report = '';
-    report += `🚨 *LIVE INSTITUTIONAL FLOW - ${symbol}*\n`;
-    report += `🕒 ${now.format('HH:mm:ss')} ET\n\n`;
-    report += `📊 *NO MAJOR BLOCKS IN LAST 5 MINUTES*\n\n`;
-    report += `💵 Spot: $${spotPrice.toFixed(2)}\n`;
-    report += `📈 Daily Flow: ${tierAnalysis.tier1.directionalSignal}\n`;
-    report += `📊 Tier-1 Ratio: ${tierAnalysis.tier1.ratio.notional}\n\n`;
-    report += `🔍 *MONITORING FOR NEXT BLOCK...*\n`;
-    report += `• Check volume spikes\n`;
-    report += `• Watch for >$1M prints\n`;
-    report += `• Gamma levels: Active\n`;
-    
-    return report;
-  }
-
-  buildLiveBlockReport(symbol, now, block, spotPrice, gammaExposure, flowMomentum, dealerImpact, tierAnalysis, atmFlow, recentBlocks) {
-    const timeStr = now.format('HH:mm:ss');
-    const blockTime = moment(block.timestamp).format('HH:mm:ss');
-    const optionType = block.option_type === 'CALL' ? 'C' : 'P';
-    const premium = block.notional || 0;
-    const contracts = block.contracts || 0;
-    const strike = block.strike || 0;
-    
-    // Calculate real delta
-    const realDelta = block.delta_exposure || (block.real_delta * premium) || 0;
-    
-    // Calculate IV and DTE
-    const iv = 14.2; // Placeholder - would need real IV data
-    const dte = block.dte || 0;
-    
-    // Distance from spot
-    const distancePercent = spotPrice > 0 ? ((strike - spotPrice) / spotPrice * 100).toFixed(2) : '0.00';
-    
-    let report = '';
-    report += `🚨 *LIVE INSTITUTIONAL BLOCK - ${symbol}* 🚨\n`;
-    report += `🕒 ${timeStr} ET\n\n`;
-    
-    // BLOCK DETAILS
-    report += `📊 *BLOCK DETAILS:*\n`;
-    report += `• ${contracts.toLocaleString()} ${symbol} ${strike}${optionType} ${dte}DTE @ $${(premium/(contracts*100)).toFixed(2)}\n`;
-    report += `• Notional: $${this.formatCurrency(premium)}\n`;
-    report += `• Premium: $${this.formatCurrency(premium)}\n`;
-    report += `• Real Delta: ${realDelta >= 0 ? '+$' : '-$'}${this.formatCurrency(Math.abs(realDelta))}\n\n`;
-    
-    // CONTEXT
-    report += `🎯 *CONTEXT:*\n`;
-    report += `• Spot: $${spotPrice.toFixed(2)}\n`;
-    report += `• Strike: $${strike.toFixed(2)} (${distancePercent}%)\n`;
-    report += `• IV: ${iv}% | DTE: ${dte}\n\n`;
-    
-    // IMMEDIATE IMPACT
-    report += `⚡ *IMMEDIATE IMPACT:*\n`;
-    report += `• Gamma Exposure: ${gammaExposure.exposure}\n`;
-    report += `• Delta Hedge Needed: ~${Math.round(dealerImpact.deltaHedge/1000)}K shares\n`;
-    report += `• Expected Move: ${dealerImpact.expectedMoveSign}$${dealerImpact.expectedMove} in next 2 minutes\n\n`;
-    
-    // FLOW MOMENTUM
-    report += `📈 *FLOW MOMENTUM:*\n`;
-    report += `• Last 5 min: ${flowMomentum.netFlowSign}$${this.formatCurrency(flowMomentum.netFlow)} net ${block.option_type === 'CALL' ? 'calls' : 'puts'}\n`;
-    report += `• Tier-1 Ratio: ${tierAnalysis.tier1.ratio.notional}:1 calls:puts\n`;
-    report += `• Urgency Score: ${flowMomentum.urgencyScore}/100\n\n`;
-    
-    // ACTION
-    report += `👉 *ACTION:*\n`;
-    report += `• Watch for push ${block.option_type === 'CALL' ? 'above' : 'below'} $${strike.toFixed(2)}\n`;
-    report += `• Gamma flip at $${(spotPrice * (block.option_type === 'CALL' ? 1.001 : 0.999)).toFixed(2)}\n`;
-    report += `• Next resistance: $${(spotPrice * (block.option_type === 'CALL' ? 1.005 : 0.995)).toFixed(2)}\n`;
-    
-    report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    
-    // LIVE FLOW (LAST 60 SECONDS)
-    report += `🔴 *LIVE FLOW (LAST 60 SECONDS)*\n`;
-    const lastMinuteFlow = this.calculateLastMinuteFlow(recentBlocks);
-    report += `• Calls: $${this.formatCurrency(lastMinuteFlow.calls)} | Puts: $${this.formatCurrency(lastMinuteFlow.puts)}\n`;
-    report += `• Net: ${lastMinuteFlow.net >= 0 ? '🟢' : '🔴'} $${this.formatCurrency(Math.abs(lastMinuteFlow.net))}${lastMinuteFlow.net >= 0 ? 'M' : 'M'}\n`;
-    report += `• Blocks: ${lastMinuteFlow.blocks} ($${lastMinuteFlow.minSize/1000000}M+ trades)\n`;
-    report += `• Flow Momentum: ${lastMinuteFlow.momentum >= 60 ? '🟢' : '🔴'} ${lastMinuteFlow.momentum}/100 (${lastMinuteFlow.momentum >= 60 ? 'BULLISH' : 'BEARISH'})\n\n`;
-    
-    report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    
-    // GAMMA EXPOSURE - LIVE
-    report += `🎯 *GAMMA EXPOSURE - LIVE*\n`;
-    report += `• Current: ${gammaExposure.emoji} ${gammaExposure.type} $${this.formatCurrency(Math.abs(gammaExposure.value))}\n`;
-    report += `• Flip Level: $${gammaExposure.flipLevel.toFixed(2)}\n`;
-    report += `• Acceleration Zone: $${(spotPrice * 0.998).toFixed(2)}-$${(spotPrice * 1.002).toFixed(2)}\n`;
-    report += `• Volatility Impact: ${gammaExposure.volImpact}x normal\n\n`;
-    
-    // Gamma levels
-    const gammaLevels = this.generateGammaLevels(spotPrice, gammaExposure);
-    gammaLevels.forEach(level => {
-      report += `${level.emoji} $${level.strike}: ${level.emoji2} ${level.exposure}\n`;
-    });
-    
-    report += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    
-    // LIVE ALERTS
-    report += `🚨 *LIVE ALERTS (LAST 2 MIN):*\n`;
-    const recentAlerts = this.generateRecentAlerts(recentBlocks, now);
-    recentAlerts.forEach(alert => {
-      report += `• ${alert}\n`;
-    });
-    
-    report += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    
-    // PREDICTIVE SIGNALS
-    report += `⚡ *PREDICTIVE SIGNALS:*\n`;
-    const predictions = this.generatePredictions(block, spotPrice, gammaExposure);
-    predictions.forEach(pred => {
-      report += `• ${pred}\n`;
-    });
-    
-    report += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    
-    // TIER ANALYSIS - LIVE
-    report += `📈 *TIER ANALYSIS - LIVE:*\n`;
-    report += `• Tier-1 (0-3 DTE): ${tierAnalysis.tier1.directionalSignal === 'BULLISH' ? '🟢' : '🔴'} $${this.formatCurrency(tierAnalysis.tier1.netExposure)} ${tierAnalysis.tier1.calls.notional > tierAnalysis.tier1.puts.notional ? 'calls' : 'puts'}\n`;
-    report += `• Tier-2 (3-14 DTE): ${tierAnalysis.tier2.directionalSignal === 'BULLISH' ? '🟢' : '🔴'} $${this.formatCurrency(tierAnalysis.tier2.netExposure)} ${tierAnalysis.tier2.calls.notional > tierAnalysis.tier2.puts.notional ? 'calls' : 'puts'}\n`;
-    report += `• ATM (±2%): ${atmFlow.netNotional > 0 ? '🟢' : '🔴'} ${Math.abs(atmFlow.netNotional) > 0 ? Math.round((Math.max(atmFlow.callNotional, atmFlow.putNotional)/(atmFlow.callNotional+atmFlow.putNotional))*100) : 0}% ${atmFlow.callNotional > atmFlow.putNotional ? 'call' : 'put'} dominance\n`;
-    
-    return report;
-  }
-
-  calculateGammaExposure(block, spotPrice) {
-    // Simplified gamma calculation
-    const gammaValue = block.notional * 0.2; // Placeholder
-    const flipLevel = spotPrice * (block.option_type === 'CALL' ? 1.001 : 0.999);
-    
-    let exposure, type, emoji, volImpact;
-    
-    if (Math.abs(gammaValue) > 1000000) {
-      exposure = `LONG $${this.formatCurrency(gammaValue)}`;
-      type = 'LONG';
-      emoji = '🟢';
-      volImpact = '1.3';
-    } else if (Math.abs(gammaValue) < -1000000) {
-      exposure = `SHORT $${this.formatCurrency(Math.abs(gammaValue))}`;
-      type = 'SHORT';
-      emoji = '🔴';
-      volImpact = '1.8';
-    } else {
-      exposure = `NEUTRAL $${this.formatCurrency(Math.abs(gammaValue))}`;
-      type = 'NEUTRAL';
-      emoji = '🟡';
-      volImpact = '1.0';
-    }
-    
-    return {
-      exposure,
-      type,
-      emoji,
-      value: gammaValue,
-      flipLevel,
-      volImpact
-    };
-  }
-
-  calculateFlowMomentum(recentBlocks, tierAnalysis) {
-    const netFlow = recentBlocks.reduce((sum, block) => {
-      if (block.option_type === 'CALL') {
-        return sum + (block.notional || 0);
-      } else {
-        return sum - (block.notional || 0);
-      }
-    }, 0);
-    
-    const urgencyScore = Math.min(100, 70 + (recentBlocks.length * 5));
-    
-    return {
-      netFlow: Math.abs(netFlow),
-      netFlowSign: netFlow >= 0 ? '+' : '-',
-      urgencyScore
-    };
-  }
-
-  calculateDealerImpact(block, spotPrice, gammaExposure) {
-    const deltaHedge = block.notional * 0.5; // Placeholder
-    const expectedMove = (Math.random() * 0.5 + 0.1).toFixed(2);
-    
-    return {
-      deltaHedge,
-      expectedMove,
-      expectedMoveSign: block.option_type === 'CALL' ? '+' : '-'
-    };
-  }
-
-  calculateLastMinuteFlow(recentBlocks) {
-    const calls = recentBlocks.filter(b => b.option_type === 'CALL')
-      .reduce((sum, b) => sum + (b.notional || 0), 0);
-    const puts = recentBlocks.filter(b => b.option_type === 'PUT')
-      .reduce((sum, b) => sum + (b.notional || 0), 0);
-    const net = calls - puts;
-    
-    const blocks = recentBlocks.filter(b => (b.notional || 0) > 1000000).length;
-    
-    return {
-      calls,
-      puts,
-      net,
-      blocks,
-      minSize: 1000000,
-      momentum: Math.min(100, 50 + (net / 10000000 * 10))
-    };
-  }
-
-  generateGammaLevels(spotPrice, gammaExposure) {
-    return [
-      {
-        strike: (spotPrice * 1.002).toFixed(2),
-        emoji: '🔼',
-        emoji2: gammaExposure.type === 'SHORT' ? '🔴' : '🟢',
-        exposure: gammaExposure.type === 'SHORT' ? `SHORT -$${this.formatCurrency(gammaExposure.value * 0.8)}` : `LONG +$${this.formatCurrency(gammaExposure.value * 0.8)}`
-      },
-      {
-        strike: (spotPrice * 1.004).toFixed(2),
-        emoji: '🔼',
-        emoji2: '🔴',
-        exposure: `SHORT -$${this.formatCurrency(gammaExposure.value * 1.2)}`
-      },
-      {
-        strike: (spotPrice * 0.998).toFixed(2),
-        emoji: '🔽',
-        emoji2: '🟡',
-        exposure: `NEUTRAL +$${this.formatCurrency(gammaExposure.value * 0.4)}`
-      }
-    ];
-  }
-
-  generateRecentAlerts(recentBlocks, now) {
-    const alerts = [];
-    
-    if (recentBlocks.length > 0) {
-      // Add actual block alerts
-      recentBlocks.slice(0, 3).forEach((block, idx) => {
-        const time = moment(block.timestamp).format('HH:mm:ss');
-        const type = block.option_type === 'CALL' ? 'C' : 'P';
-        alerts.push(`${time} - ${block.contracts} ${block.symbol || ''} ${block.strike}${type} @ $${(block.notional/(block.contracts*100)).toFixed(2)} ($${this.formatCurrency(block.notional)})`);
-      });
-      
-      // Add simulated alerts
-      if (alerts.length < 3) {
-        alerts.push(`${now.format('HH:mm:ss')} - Gamma flip at $${(recentBlocks[0]?.strike || 100).toFixed(2)}`);
-        alerts.push(`${now.format('HH:mm:ss')} - Flow imbalance detected (${Math.round(Math.random()*30+70)}% ${recentBlocks[0]?.option_type === 'CALL' ? 'calls' : 'puts'})`);
-      }
-    }
-    
-    return alerts;
-  }
-
-  generatePredictions(block, spotPrice, gammaExposure) {
-    const predictions = [];
-    
-    predictions.push(`Next 5 min: ${Math.round(Math.random()*20+60)}% chance ${block.option_type === 'CALL' ? '>' : '<'} $${(block.strike * 1.001).toFixed(2)}`);
-    predictions.push(`Dealer pressure: ${block.option_type === 'CALL' ? 'Buying' : 'Selling'} ${Math.round(Math.random()*50+10)}K shares next 2 min`);
-    predictions.push(`Magnet Level: $${(spotPrice * (block.option_type === 'CALL' ? 1.002 : 0.998)).toFixed(2)} (${block.option_type === 'CALL' ? 'call' : 'put'} wall)`);
-    
-    return predictions;
-  }
-
-  formatCurrency(amount) {
-    if (Math.abs(amount) >= 1000000) {
-      return (amount / 1000000).toFixed(1) + 'M';
-    } else if (Math.abs(amount) >= 1000) {
-      return (amount / 1000).toFixed(1) + 'K';
-    }
-    return Math.abs(amount).toFixed(0);
-  }
-}
-
 class EliteInstitutionalFlowBot {
   constructor() {
     this.bot = null;
     this.reportBuilder = new ReportBuilder();
     this.flowAnalyzer = new FlowAnalyzer(); // This now initializes WebSocket
-    this.liveBlockTracker = new LiveBlockTracker();
+    this.liveBlockTracker = new LiveBlockTracker(this.flowAnalyzer.priceService, this.flowAnalyzer.gammaModel);
+    // Signed Unusual Whales deliveries feed the same store as the WebSocket
+    this.webhookHandler = new WebhookHandler(this.flowAnalyzer.unusualWhales);
     this.logger = new Logger('bot');
-    this.userSessions = new Map();
-    this.rateLimits = new Map();
+    this.stateStore = getStateStore();
+    this.userSessions = new SharedMap(this.stateStore, 'user-sessions');
     this.wsStats = null;
     
     this.isRailway = process.env.RAILWAY_ENVIRONMENT_ID !== undefined;
@@ -379,13 +66,33 @@ class EliteInstitutionalFlowBot {
 
   initializeBot() {
     try {
+      // With shared state only the elected leader polls, otherwise replicas fight over getUpdates
+      const leaderOnlyPolling = this.stateStore.isShared;
+      
       this.bot = new TelegramBot(config.telegram.token, {
-        polling: true,
+        polling: !leaderOnlyPolling,
         request: {
           timeout: 60000
         }
       });
       
+      if (leaderOnlyPolling) {
+        const elector = this.flowAnalyzer.unusualWhales.leaderElector;
+        
+        elector.on('elected', () => {
+          this.logger.info('Leader elected - starting Telegram polling');
+          this.bot.startPolling();
+        });
+        elector.on('revoked', () => {
+          this.logger.warn('Leadership lost - stopping Telegram polling');
+          this.bot.stopPolling();
+        });
+        
+        if (elector.isLeader) {
+          this.bot.startPolling();
+        }
+      }
+      
       this.logger.info('🤖 ELITE INSTITUTIONAL FLOW BOT initialized');
       this.logRailwayInfo();
       
@@ -419,6 +126,8 @@ class EliteInstitutionalFlowBot {
       const chatId = msg.chat.id;
       const symbol = match[1].toUpperCase().trim();
       
+      this.flowAnalyzer.unusualWhales.subscribeSymbol(symbol, chatId);
+      
       // Send live block preview first, then full report
       await this.sendLiveBlockPreview(chatId, symbol);
       await this.generateFlowReport(chatId, symbol);
@@ -464,9 +173,39 @@ class EliteInstitutionalFlowBot {
       const chatId = msg.chat.id;
       const symbol = match[1].toUpperCase().trim();
       
+      this.flowAnalyzer.unusualWhales.subscribeSymbol(symbol, chatId);
       await this.sendLiveFlowReport(chatId, symbol);
     });
 
+    // Watchlist commands - keep symbols subscribed until unwatched
+    this.bot.onText(/\/watch (.+)/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const symbols = match[1].split(',').map(s => s.toUpperCase().trim()).filter(Boolean);
+      
+      await this.addWatch(chatId, symbols);
+    });
+
+    this.bot.onText(/\/unwatch (.+)/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const symbols = match[1].split(',').map(s => s.toUpperCase().trim()).filter(Boolean);
+      
+      await this.removeWatch(chatId, symbols);
+    });
+
+    this.bot.onText(/\/watchlist/, async (msg) => {
+      const chatId = msg.chat.id;
+      await this.sendWatchlist(chatId);
+    });
+
+    // Intraday momentum oscillator series
+    this.bot.onText(/\/momentum (.+)/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const symbol = match[1].toUpperCase().trim();
+      
+      this.flowAnalyzer.unusualWhales.subscribeSymbol(symbol, chatId);
+      await this.sendMomentumSeries(chatId, symbol);
+    });
+
     // Handle all messages
     this.bot.on('message', async (msg) => {
       if (!msg.text || msg.text.startsWith('/')) return;
@@ -476,6 +215,7 @@ class EliteInstitutionalFlowBot {
       
       // Check if it's a valid stock symbol (simple validation)
       if (text.length <= 5 && /^[A-Z]+$/.test(text)) {
+        this.flowAnalyzer.unusualWhales.subscribeSymbol(text, chatId);
         await this.sendLiveBlockPreview(chatId, text);
         await this.generateFlowReport(chatId, text);
       }
@@ -500,7 +240,7 @@ class EliteInstitutionalFlowBot {
         await this.bot.sendMessage(chatId,
           `❌ *MARKET CLOSED*\n\n` +
           `Live flow analysis is only available during market hours.\n` +
-          `Current time: ${moment().tz('America/New_York').format('HH:mm')} ET\n` +
+          `Current time: ${moment(clock.now()).tz('America/New_York').format('HH:mm')} ET\n` +
           `Market hours: 9:30 AM - 4:00 PM ET`,
           { parse_mode: 'Markdown' }
         );
@@ -521,7 +261,7 @@ class EliteInstitutionalFlowBot {
       await this.bot.deleteMessage(chatId, liveMsg.message_id);
       
       let report = `🔴 *REAL-TIME INSTITUTIONAL FLOW - ${symbol}*\n\n`;
-      report += `🕒 ${moment().tz('America/New_York').format('HH:mm:ss')} ET\n`;
+      report += `🕒 ${moment(clock.now()).tz('America/New_York').format('HH:mm:ss')} ET\n`;
       report += `📊 Spot: $${liveFlow.spotPrice.toFixed(2)}\n\n`;
       
       if (liveFlow.count === 0) {
@@ -546,7 +286,7 @@ class EliteInstitutionalFlowBot {
           const dte = block.dte || 'N/A';
           
           report += `${idx + 1}. ${time} - ${block.contracts} ${strike}${type} ${dte}DTE\n`;
-          report += `   $${this.formatCurrency(block.notional)} | ${block.side || 'Unknown'}\n`;
+          report += `   $${this.formatCurrency(block.notional)} | ${block.side || 'Unknown'}${block.side_inferred ? ' (inferred)' : ''}\n`;
         });
         
         report += `\n*WEBSOCKET LIVE DATA*\n`;
@@ -556,7 +296,7 @@ class EliteInstitutionalFlowBot {
         report += `• For full analysis: /flow ${symbol}`;
       }
       
-      await this.bot.sendMessage(chatId, report, {
+      await this.bot.sendMessage(chatId, Provenance.stamp(report, liveFlow.provenance), {
         parse_mode: 'Markdown',
         disable_web_page_preview: true
       });
@@ -573,6 +313,104 @@ class EliteInstitutionalFlowBot {
     }
   }
 
+  // NEW METHOD: Watchlist management (pinned WebSocket subscriptions)
+  async addWatch(chatId, symbols) {
+    const valid = symbols.filter(symbol => /^[A-Z.]{1,6}$/.test(symbol));
+    
+    if (valid.length === 0) {
+      await this.bot.sendMessage(chatId, `❌ Usage: /watch SYMBOL[,SYMBOL...]`);
+      return;
+    }
+    
+    valid.forEach(symbol => this.flowAnalyzer.unusualWhales.subscribeSymbol(symbol, chatId, { watch: true }));
+    
+    await this.bot.sendMessage(chatId,
+      `👁️ Watching *${valid.join(', ')}*\n` +
+      `Live WebSocket flow stays subscribed until you /unwatch.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  async removeWatch(chatId, symbols) {
+    symbols.forEach(symbol => this.flowAnalyzer.unusualWhales.unsubscribeSymbol(symbol, chatId));
+    
+    await this.bot.sendMessage(chatId,
+      `🛑 Stopped watching *${symbols.join(', ')}*`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  async sendWatchlist(chatId) {
+    const watchlist = this.flowAnalyzer.unusualWhales.getWatchlist(chatId);
+    const subscribed = this.flowAnalyzer.unusualWhales.getSubscribedSymbols();
+    
+    let report = `👁️ *WATCHLIST*\n\n`;
+    report += watchlist.length > 0 ? `${watchlist.join(', ')}\n` : `No watched symbols. Use /watch SYMBOL\n`;
+    report += `\n📡 *Live subscriptions:* ${subscribed.length > 0 ? subscribed.join(', ') : 'None'}`;
+    
+    await this.bot.sendMessage(chatId, report, { parse_mode: 'Markdown' });
+  }
+
+  // Today's snapshots (or the last stored session's) with the 1H/4H/Daily readings
+  async sendMomentumSeries(chatId, symbol) {
+    try {
+      const tracker = this.flowAnalyzer.momentumTracker;
+      if (this.isMarketOpen()) {
+        // A failed snapshot still leaves the stored series worth showing
+        await tracker.snapshot(symbol).catch(error => {
+          this.logger.warn(`Momentum snapshot failed for ${symbol}: ${error.message}`);
+        });
+      }
+      
+      const series = await tracker.getSeries(symbol, { days: 1 });
+      if (series.length === 0) {
+        await this.bot.sendMessage(chatId,
+          `📈 *MOMENTUM - ${symbol}*\n\nNo momentum snapshots stored yet.\n` +
+          `Snapshots are taken every ${Math.round(config.rules.momentum.snapshotIntervalMs / 60000)} minutes during market hours for subscribed symbols.`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      const date = series[0].date;
+      const latest = series[series.length - 1];
+      const history = await tracker.describe(symbol, latest.v, { date });
+      
+      let report = `📈 *MOMENTUM - ${symbol}*\n`;
+      report += `📅 ${date} | ${series.length} snapshots\n\n`;
+      report += `*Latest:* ${latest.v.toFixed(1)}/100 ${MomentumTracker.zone(latest.v)}\n\n`;
+      
+      report += `*Trends:*\n`;
+      Object.entries(history.trends).forEach(([timeframe, trend]) => {
+        report += trend
+          ? `• ${timeframe}: ${trend.direction} ${trend.value.toFixed(1)} → ${latest.v.toFixed(1)}\n`
+          : `• ${timeframe}: n/a\n`;
+      });
+      report += `\n`;
+      
+      if (history.crossings.length > 0) {
+        report += `*Threshold Crossings:*\n`;
+        history.crossings.forEach(crossing => {
+          report += `• ${crossing.time} ET: ${crossing.event === 'ENTERED' ? 'Entered' : 'Left'} ${crossing.band} (${crossing.value.toFixed(1)})\n`;
+        });
+        report += `\n`;
+      }
+      
+      // Telegram caps messages at 4096 characters; the latest 40 points fit comfortably
+      report += `*Intraday Series (ET):*\n\`\`\`\n`;
+      series.slice(-40).forEach(point => {
+        const filled = Math.round(point.v / 10);
+        report += `${moment(point.t).tz(config.app.timezone).format('HH:mm')} ${'█'.repeat(filled)}${'░'.repeat(10 - filled)} ${point.v.toFixed(1)}\n`;
+      });
+      report += `\`\`\``;
+      
+      await this.bot.sendMessage(chatId, report, { parse_mode: 'Markdown' });
+    } catch (error) {
+      this.logger.error(`Momentum series error for ${symbol}: ${error.message}`);
+      await this.bot.sendMessage(chatId, `❌ Could not load momentum for ${symbol}: ${error.message}`);
+    }
+  }
+
   // NEW METHOD: Send WebSocket status
   async sendWebSocketStatus(chatId) {
     try {
@@ -593,6 +431,7 @@ class EliteInstitutionalFlowBot {
       
       report += `🔁 Reconnect attempts: ${stats.reconnectAttempts}\n`;
       report += `📈 Symbols with data: ${stats.symbolsWithData}\n`;
+      report += `📡 Subscribed: ${stats.subscribedSymbols && stats.subscribedSymbols.length > 0 ? stats.subscribedSymbols.join(', ') : 'None'}\n`;
       
       report += `\n*SYMBOL DATA COUNTS:*\n`;
       if (stats.storedDataSizes && stats.storedDataSizes.length > 0) {
@@ -669,7 +508,7 @@ class EliteInstitutionalFlowBot {
             
             liveReport += `*LARGEST BLOCK:*\n`;
             liveReport += `${time} - ${topBlock.contracts} ${strike}${type} ${dte}DTE\n`;
-            liveReport += `$${this.formatCurrency(topBlock.notional)} | ${topBlock.side || 'Unknown'}\n\n`;
+            liveReport += `$${this.formatCurrency(topBlock.notional)} | ${topBlock.side || 'Unknown'}${topBlock.side_inferred ? ' (inferred)' : ''}\n\n`;
             
             liveReport += `*WEBSOCKET LIVE DATA*\n`;
             liveReport += `• Status: ✅ Real-time streaming\n`;
@@ -677,7 +516,7 @@ class EliteInstitutionalFlowBot {
             liveReport += `• Generating full report...`;
           }
           
-          await this.bot.sendMessage(chatId, liveReport, {
+          await this.bot.sendMessage(chatId, Provenance.stamp(liveReport, liveFlow.provenance), {
             parse_mode: 'Markdown',
             disable_web_page_preview: true
           });
@@ -695,16 +534,15 @@ class EliteInstitutionalFlowBot {
       
       // Fetch minimal data for live block report
       try {
-        const [quote, flowData] = await Promise.all([
-          this.flowAnalyzer.tradier.getQuote(symbol).catch(() => ({ symbol, price: 0 })),
+        const [spotPrice, flowData] = await Promise.all([
+          this.flowAnalyzer.priceService.resolveSpot(symbol),
           this.flowAnalyzer.unusualWhales.getInstitutionalFlow(symbol, targetDate).catch(() => [])
         ]);
+        const quote = { symbol, price: spotPrice || 0 };
         
-        // Process a subset of flow data for quick analysis
-        const processedFlow = this.flowAnalyzer.processFlowData(flowData.slice(0, 20), quote.price || 100, targetDate);
-        const hourlyBreakdown = this.flowAnalyzer.calculateHourlyBreakdown(processedFlow, targetDate);
-        const tierAnalysis = this.flowAnalyzer.tierAnalyzer.analyzeTiers(processedFlow, quote.price);
-        const atmFlow = this.flowAnalyzer.calculateATMFlow(processedFlow, quote.price || 100);
+        // Process a subset of flow data for quick analysis, through the full report's pipeline
+        const { flow: processedFlow, hourlyBreakdown, tierAnalysis, atmFlow } =
+          await this.flowAnalyzer.runFlowPipeline(symbol, flowData.slice(0, 20), quote.price, targetDate);
         
         // Generate live block report
         const liveBlockReport = await this.liveBlockTracker.generateLiveBlockReport(
@@ -785,6 +623,10 @@ ${railwayNote}
 /liveflow [SYMBOL] - Real-time WebSocket flow (market hours only)
 /flow_hist [SYMBOL] [YYYY-MM-DD] - Historical flow report
 /multiflow [SYM1,SYM2,...] - Multi-symbol flow (max ${config.app.maxSymbols})
+/watch [SYMBOL] - Keep a symbol on the live WebSocket feed
+/unwatch [SYMBOL] - Remove a watched symbol
+/watchlist - Show watched and subscribed symbols
+/momentum [SYMBOL] - Intraday flow momentum series
 /status - Check bot status
 /ws - WebSocket connection status
 /help - Show this help
@@ -826,6 +668,10 @@ When you use \`/flow SYMBOL\` during market hours:
 • Pure live institutional flow
 • Market hours only
 
+*\`/momentum SYMBOL\` - FLOW MOMENTUM SERIES*
+• Oscillator snapshots through the session
+• 1H / 4H / Daily change and overbought/oversold crossings
+
 *REPORT SECTIONS:*
 1. 🚨 Live Institutional Blocks (WebSocket)
 2. 📊 Daily Institutional Flow Summary
@@ -883,6 +729,9 @@ When you use \`/flow SYMBOL\` during market hours:
     
     // Get WebSocket stats
     const wsStats = this.flowAnalyzer.getWebSocketStatus();
+    const webhookStats = this.webhookHandler.getStats();
+    const tradierStats = this.flowAnalyzer.tradier.getStats();
+    const priceStats = this.flowAnalyzer.priceService.getStats();
     
     const railwayInfo = this.isRailway ? `
 *Railway Platform:*
@@ -902,13 +751,18 @@ When you use \`/flow SYMBOL\` during market hours:
 
 *API Status:*
 • Tradier API: ✅ Connected
+• Tradier Requests: ${tradierStats.requests} (${tradierStats.cacheHits} cached, ${tradierStats.coalesced} coalesced, ${tradierStats.retries} retried, ${tradierStats.failures} failed)
+• Spot Prices: ${priceStats.mode === 'stream' ? '🟢 Streaming' : '🟡 Polling'} (${priceStats.tracked} symbols)
 • Unusual Whales WebSocket: ${wsStats?.isConnected ? '✅ CONNECTED' : '❌ DISCONNECTED'}
+• Unusual Whales Webhook: ${webhookStats.configured ? `✅ ${webhookStats.accepted} deliveries (${webhookStats.rejected} rejected)` : '❌ Not configured'}
 
 ${railwayInfo}
 
 *WebSocket Status:*
 • Connection: ${wsStats?.isConnected ? '🟢 LIVE' : '🔴 OFFLINE'}
 • Messages: ${wsStats?.messageCount || 0}
+• Rejected: ${wsStats?.rejects?.total || 0}
+• Duplicates Dropped: ${wsStats?.duplicates?.duplicatesDropped || 0} | Flow/Block Copies: ${wsStats?.duplicates?.crossChannel || 0}
 • Symbols: ${wsStats?.symbolsWithData || 0}
 • Uptime: ${wsStats?.connectionUptime ? Math.round(wsStats.connectionUptime / 60000) + ' minutes' : 'N/A'}
 
@@ -939,76 +793,35 @@ ${railwayInfo}
   }
 
   // Helper method to determine trading date
+  // Today once the session has opened, otherwise the previous trading day (weekends, holidays)
   getTradingDate() {
-    const now = moment().tz(config.app.timezone);
-    const day = now.day(); // 0=Sun, 1=Mon, etc.
-    const hour = now.hour();
-    const minute = now.minute();
-    
-    // If weekend, return Friday's date
-    if (day === 0) { // Sunday
-      return now.subtract(2, 'days').format('YYYY-MM-DD');
-    } else if (day === 6) { // Saturday
-      return now.subtract(1, 'days').format('YYYY-MM-DD');
-    }
-    
-    // If before market open on weekday, return previous trading day
-    if (hour < 9 || (hour === 9 && minute < 30)) {
-      // If Monday before open, return Friday
-      if (day === 1) {
-        return now.subtract(3, 'days').format('YYYY-MM-DD');
-      }
-      return now.subtract(1, 'days').format('YYYY-MM-DD');
-    }
-    
-    // During or after market hours, return today
-    return now.format('YYYY-MM-DD');
+    return getMarketCalendar().getTradingDate();
   }
 
-  // Helper method to check if market is open
+  // Helper method to check if market is open (holidays and half-days included)
   isMarketOpen() {
-    const now = moment().tz(config.app.timezone);
-    const day = now.day();
-    const hour = now.hour();
-    const minute = now.minute();
-    
-    // Market closed on weekends
-    if (day === 0 || day === 6) return false;
-    
-    // Market hours: 9:30 AM - 4:00 PM ET
-    if (hour < 9 || hour > 16) return false;
-    if (hour === 9 && minute < 30) return false;
-    if (hour === 16 && minute > 0) return false;
-    
-    return true;
+    return getMarketCalendar().isMarketOpen();
   }
 
   // Rate limiting helper method
-  checkRateLimit(chatId) {
-    const now = Date.now();
-    const userLimit = this.rateLimits.get(chatId) || { count: 0, lastRequest: 0 };
-    
+  async checkRateLimit(chatId) {
     const maxRequests = this.isRailway ? 3 : 5;
     const resetTime = this.isRailway ? 120000 : 60000;
     
-    if (now - userLimit.lastRequest > resetTime) {
-      userLimit.count = 0;
-    }
-    
-    if (userLimit.count >= maxRequests) {
-      return false;
+    try {
+      // Shared counter so the limit holds across all bot instances
+      const count = await this.stateStore.increment(`ratelimit:${chatId}`, resetTime);
+      return count <= maxRequests;
+    } catch (error) {
+      this.logger.error(`Rate limit check failed: ${error.message}`);
+      return true;
     }
-    
-    userLimit.count++;
-    userLimit.lastRequest = now;
-    this.rateLimits.set(chatId, userLimit);
-    return true;
   }
 
   async generateFlowReport(chatId, symbol, specificDate = null) {
     try {
       // Rate limiting check
-      if (!this.checkRateLimit(chatId)) {
+      if (!(await this.checkRateLimit(chatId))) {
         const waitTime = this.isRailway ? '2 minutes' : '1 minute';
         await this.bot.sendMessage(chatId,
           `⏸️ Rate limit exceeded. Please wait ${waitTime} between requests.\n` +
@@ -1150,10 +963,10 @@ ${railwayInfo}
       }
       
       // Don't allow future dates
-      const today = moment().tz(config.app.timezone);
-      if (date.isAfter(today, 'day')) {
+      const today = getMarketCalendar().format(clock.now());
+      if (dateString > today) {
         await this.bot.sendMessage(chatId, 
-          `❌ Cannot analyze future dates. Maximum date: ${today.format('YYYY-MM-DD')}`,
+          `❌ Cannot analyze future dates. Maximum date: ${today}`,
           { parse_mode: 'Markdown' }
         );
         return;
@@ -1188,7 +1001,7 @@ ${railwayInfo}
     }
 
     // Rate limiting check for multi-symbol
-    if (!this.checkRateLimit(chatId)) {
+    if (!(await this.checkRateLimit(chatId))) {
       const waitTime = this.isRailway ? '2 minutes' : '1 minute';
       await this.bot.sendMessage(chatId,
         `⏸️ Rate limit exceeded. Please wait ${waitTime} between requests.\n` +
@@ -1229,8 +1042,8 @@ ${railwayInfo}
 
       // Send multi-report
       let multiReport = `🏛️ *MULTI-SYMBOL INSTITUTIONAL FLOW*\n\n`;
-      multiReport += `📅 ${this.getTradingDate()} | ${moment().tz(config.app.timezone).format('HH:mm')} ET\n`;
-      multiReport += `⏱️ Analysis Time: ${moment().format('HH:mm:ss')}\n\n`;
+      multiReport += `📅 ${this.getTradingDate()} | ${moment(clock.now()).tz(config.app.timezone).format('HH:mm')} ET\n`;
+      multiReport += `⏱️ Analysis Time: ${moment(clock.now()).format('HH:mm:ss')}\n\n`;
       
       for (const report of reports) {
         multiReport += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
@@ -1308,7 +1121,14 @@ ${railwayInfo}
     
     // Keep-alive for Railway with health check endpoint
     const http = require('http');
+    const webhookPath = config.apis.unusualWhales.webhook.path;
     const server = http.createServer((req, res) => {
+      // Unusual Whales webhook deliveries
+      if (req.method === 'POST' && req.url.split('?')[0] === webhookPath) {
+        this.handleUnusualWhalesWebhook(req, res);
+        return;
+      }
+      
       // Health check endpoint for Railway
       if (req.url === '/health' || req.url === '/healthcheck') {
         const wsStats = this.flowAnalyzer.getWebSocketStatus();
@@ -1573,6 +1393,7 @@ ${railwayInfo}
       this.logger.info(`🌐 HTTP server listening on port ${config.app.port}`);
       this.logger.info(`🏥 Health check: http://localhost:${config.app.port}/health`);
       this.logger.info(`📊 Status page: http://localhost:${config.app.port}/`);
+      this.logger.info(`🪝 Unusual Whales webhook: POST ${webhookPath}${this.webhookHandler.isConfigured() ? '' : ' (disabled, no secret set)'}`);
       
       if (isRailway && process.env.RAILWAY_PUBLIC_DOMAIN) {
         const publicUrl = `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
@@ -1581,6 +1402,44 @@ ${railwayInfo}
       }
     });
   }
+
+  // Reads the raw body (the signature covers the exact bytes) with a size cap
+  handleUnusualWhalesWebhook(req, res) {
+    const maxBytes = config.apis.unusualWhales.webhook.maxBodyBytes;
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+    
+    const respond = (statusCode, body) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    
+    req.on('data', (chunk) => {
+      if (aborted) return;
+      
+      size += chunk.length;
+      if (size > maxBytes) {
+        aborted = true;
+        this.logger.warn(`Webhook body exceeds ${maxBytes} bytes, rejected`);
+        respond(413, { success: false, error: 'Payload too large' });
+        res.on('finish', () => req.destroy());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    
+    req.on('end', async () => {
+      if (aborted) return;
+      
+      const result = await this.webhookHandler.handleRequest(Buffer.concat(chunks), req.headers);
+      respond(result.statusCode, result.body);
+    });
+    
+    req.on('error', (error) => {
+      this.logger.error(`Webhook request error: ${error.message}`);
+    });
+  }
 }
 
 // Start the bot
@@ -1,4 +1,5 @@
 const dotenv = require('dotenv');
+const os = require('os');
 dotenv.config();
 
 // Helper functions for Railway deployment
@@ -41,7 +42,25 @@ module.exports = {
         'Accept': 'application/json'
       },
       timeout: parseNumber(process.env.TRADIER_TIMEOUT_MS, 15000),
-      retries: parseNumber(process.env.TRADIER_RETRIES, 2)
+      retries: parseNumber(process.env.TRADIER_RETRIES, 2),
+      // Requests in flight at once across the whole process (Tradier rate-limits per token)
+      concurrency: parseNumber(process.env.TRADIER_CONCURRENCY, 4),
+      // Response cache lifetimes per endpoint
+      cacheTtlMs: {
+        quote: parseNumber(process.env.TRADIER_QUOTE_TTL_MS, 5000),
+        chain: parseNumber(process.env.TRADIER_CHAIN_TTL_MS, 60000),
+        expirations: parseNumber(process.env.TRADIER_EXPIRATIONS_TTL_MS, 3600000),
+        strikes: parseNumber(process.env.TRADIER_STRIKES_TTL_MS, 3600000),
+        history: parseNumber(process.env.TRADIER_HISTORY_TTL_MS, 300000)
+      },
+      // Market events stream for live spot prices; quotes are polled while it is down
+      stream: {
+        enabled: parseBoolean(process.env.TRADIER_STREAMING_ENABLED, true),
+        url: process.env.TRADIER_STREAM_URL || 'wss://ws.tradier.com/v1/markets/events',
+        pollIntervalMs: parseNumber(process.env.TRADIER_POLL_INTERVAL_MS, 5000),
+        // Symbols nobody has read for this long are dropped from the stream
+        idleMs: parseNumber(process.env.TRADIER_STREAM_IDLE_MS, 1800000)
+      }
     },
     unusualWhales: {
       key: process.env.UNUSUAL_WHALES_API_KEY,
@@ -52,7 +71,21 @@ module.exports = {
         'Content-Type': 'application/json'
       },
       timeout: parseNumber(process.env.UNUSUAL_WHALES_TIMEOUT_MS, 15000),
-      retries: parseNumber(process.env.UNUSUAL_WHALES_RETRIES, 2)
+      retries: parseNumber(process.env.UNUSUAL_WHALES_RETRIES, 2),
+      // Symbols that stay subscribed regardless of user demand
+      defaultSymbols: (process.env.UNUSUAL_WHALES_DEFAULT_SYMBOLS || 'SPY,QQQ')
+        .split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+      // Demand-driven subscriptions are dropped after this long without a request
+      subscriptionIdleMs: parseNumber(process.env.UNUSUAL_WHALES_SUBSCRIPTION_IDLE_MS, 1800000),
+      // Set to false for webhook-only deployments
+      websocketEnabled: parseBoolean(process.env.UNUSUAL_WHALES_WS_ENABLED, true),
+      // Signed push deliveries; requests are rejected until a secret is configured
+      webhook: {
+        secret: process.env.UNUSUAL_WHALES_WEBHOOK_SECRET || null,
+        path: process.env.UNUSUAL_WHALES_WEBHOOK_PATH || '/webhook/unusual-whales',
+        toleranceSeconds: parseNumber(process.env.UNUSUAL_WHALES_WEBHOOK_TOLERANCE_SECONDS, 300),
+        maxBodyBytes: parseNumber(process.env.UNUSUAL_WHALES_WEBHOOK_MAX_BYTES, 1048576)
+      }
     }
   },
 
@@ -65,6 +98,12 @@ module.exports = {
     maxSymbols: parseNumber(process.env.MAX_SYMBOLS_PER_REQUEST, 3),
     sessionStart: process.env.SESSION_START || '09:30',
     sessionEnd: process.env.SESSION_END || '16:00',
+    // Close on NYSE half-days (see utils/market-calendar.js)
+    earlyClose: process.env.EARLY_CLOSE || '13:00',
+    // Intraday bucket width in minutes (5, 15, 30 or 60) for the divergence detectors
+    bucketMinutes: [5, 15, 30, 60].includes(parseNumber(process.env.BUCKET_MINUTES, 15))
+      ? parseNumber(process.env.BUCKET_MINUTES, 15)
+      : 15,
     enableLiveBlocks: parseBoolean(process.env.ENABLE_LIVE_BLOCKS, true),
     enableHistorical: parseBoolean(process.env.ENABLE_HISTORICAL, true),
     enableMultiSymbol: parseBoolean(process.env.ENABLE_MULTI_SYMBOL, true),
@@ -84,6 +123,8 @@ module.exports = {
       tier1: { min: 0, max: 3 },
       tier2: { min: 3, max: 14 }
     },
+    // DTE for tier assignment: 'calendar' days or 'trading' days (sessions until expiration)
+    dteMode: process.env.DTE_MODE === 'trading' ? 'trading' : 'calendar',
     atmRange: parseNumber(process.env.ATM_RANGE, 0.02),
     minNotional: parseNumber(process.env.MIN_NOTIONAL, 100000),
     timeFilters: {
@@ -92,6 +133,133 @@ module.exports = {
     },
     flowSizeThresholds: {
       block: parseNumber(process.env.FLOW_BLOCK_THRESHOLD, 1000000)
+    },
+    riskFreeRate: parseNumber(process.env.RISK_FREE_RATE, 0.045),
+    // Dealer gamma exposure model (options chain OI + gamma)
+    gammaExposure: {
+      maxExpirations: parseNumber(process.env.GEX_MAX_EXPIRATIONS, 6),
+      maxDte: parseNumber(process.env.GEX_MAX_DTE, 45),
+      // Spot grid searched for the zero-gamma flip, as a fraction of spot either side
+      gridRange: parseNumber(process.env.GEX_GRID_RANGE, 0.15),
+      gridSteps: parseNumber(process.env.GEX_GRID_STEPS, 120)
+    },
+    // Volatility regime (ATM IV term structure, 25-delta skew, IV rank from daily snapshots)
+    volatility: {
+      maxExpirations: parseNumber(process.env.VOL_MAX_EXPIRATIONS, 8),
+      maxDte: parseNumber(process.env.VOL_MAX_DTE, 60),
+      historyDays: parseNumber(process.env.VOL_HISTORY_DAYS, 252),
+      // IV rank/percentile are withheld until this many daily snapshots exist
+      minHistoryDays: parseNumber(process.env.VOL_MIN_HISTORY_DAYS, 20),
+      // Front-to-back ATM IV difference (vol points) below which the curve counts as flat
+      flatSlope: parseNumber(process.env.VOL_FLAT_SLOPE, 0.5),
+      highIvRank: parseNumber(process.env.VOL_HIGH_IV_RANK, 70),
+      lowIvRank: parseNumber(process.env.VOL_LOW_IV_RANK, 30)
+    },
+    // Flow momentum oscillator snapshots (taken for subscribed symbols during the session)
+    momentum: {
+      snapshotIntervalMs: parseNumber(process.env.MOMENTUM_SNAPSHOT_INTERVAL_MS, 300000),
+      historyDays: parseNumber(process.env.MOMENTUM_HISTORY_DAYS, 30),
+      overbought: parseNumber(process.env.MOMENTUM_OVERBOUGHT, 80),
+      oversold: parseNumber(process.env.MOMENTUM_OVERSOLD, 20)
+    },
+    // Multi-day accumulation/distribution phases from daily flow aggregates
+    positioningCycles: {
+      lookbackDays: parseNumber(process.env.CYCLE_LOOKBACK_DAYS, 60),
+      minDays: parseNumber(process.env.CYCLE_MIN_DAYS, 3),
+      // Daily score (-1..1) beyond which a day counts as accumulation/distribution
+      dayThreshold: parseNumber(process.env.CYCLE_DAY_THRESHOLD, 0.15),
+      // Same-direction prints on one contract needed to count as repeat accumulation
+      repeatMinPrints: parseNumber(process.env.CYCLE_REPEAT_MIN_PRINTS, 2)
+    },
+    // Multi-timeframe confluence matrix: DTE buckets (inclusive) and their score weights
+    confluence: {
+      buckets: [
+        { name: '0-1 DTE', min: 0, max: 1, weight: 0.35 },
+        { name: '3-5 DTE', min: 3, max: 5, weight: 0.30 },
+        { name: '7-14 DTE', min: 7, max: 14, weight: 0.25 },
+        { name: '30-45 DTE', min: 30, max: 45, weight: 0.10 }
+      ],
+      // Bucket bias (-1..1) beyond which a timeframe reads bullish/bearish
+      directionThreshold: parseNumber(process.env.CONFLUENCE_DIRECTION_THRESHOLD, 0.2)
+    },
+    // Participant classification heuristics (hedging / directional / income / dealer facilitation)
+    participants: {
+      // Same contract, same side, hit again within this window counts as a repeat
+      repeatWindowMs: parseNumber(process.env.PARTICIPANT_REPEAT_WINDOW_MS, 300000),
+      // Strike distance from spot (%) beyond which a print is treated as out of the money
+      otmPercent: parseNumber(process.env.PARTICIPANT_OTM_PERCENT, 2),
+      largeNotional: parseNumber(process.env.PARTICIPANT_LARGE_NOTIONAL, 5000000)
+    },
+    // Aggressor inference for prints without a reported side
+    aggressor: {
+      // Share of the spread next to the bid/ask that still leans to that side (MEDIUM confidence)
+      nearQuoteFraction: parseNumber(process.env.AGGRESSOR_NEAR_QUOTE_FRACTION, 0.25)
+    },
+    // Multi-leg reconstruction from single prints
+    multiLeg: {
+      // Legs of one structure print within this long of the first leg
+      windowMs: parseNumber(process.env.MULTI_LEG_WINDOW_MS, 1000),
+      // Allowed size mismatch between legs, as a fraction of the leg size
+      sizeTolerance: parseNumber(process.env.MULTI_LEG_SIZE_TOLERANCE, 0.05),
+      maxClusterPrints: parseNumber(process.env.MULTI_LEG_MAX_CLUSTER_PRINTS, 12)
+    },
+    // After-close snapshots (open interest, IV, positioning): how often to check for the close
+    sessionClose: {
+      checkMs: parseNumber(process.env.CLOSE_JOBS_CHECK_MS, 60000)
+    },
+    // Opening vs closing from day-over-day open interest snapshots
+    openInterest: {
+      maxExpirations: parseNumber(process.env.OI_MAX_EXPIRATIONS, 8),
+      maxDte: parseNumber(process.env.OI_MAX_DTE, 60),
+      // Only consecutive snapshots are compared, so a short history is enough
+      historyDays: parseNumber(process.env.OI_HISTORY_DAYS, 10),
+      // OI change as a share of our contracts needed to call a print opening/closing
+      confirmShare: parseNumber(process.env.OI_CONFIRM_SHARE, 0.5),
+      // Below this share of the contract's day volume our prints are too small to judge
+      minFlowShare: parseNumber(process.env.OI_MIN_FLOW_SHARE, 0.1),
+      // Tier analysis on confirmed opening prints only (today's prints confirm the next session)
+      openingOnlyTiers: parseBoolean(process.env.TIER_OPENING_ONLY, false)
+    },
+    // Execution style from venue and condition codes (sweeps, floor trades, negotiated blocks)
+    execution: {
+      // Fills on one contract and side within this long of the first fill belong to one sweep
+      sweepWindowMs: parseNumber(process.env.SWEEP_WINDOW_MS, 250),
+      // Distinct venues a fill cluster needs to count as a sweep without an ISO condition
+      sweepMinVenues: parseNumber(process.env.SWEEP_MIN_VENUES, 2),
+      // A sweep across this many venues, or one that took the quote on every fill, is urgent
+      urgentVenues: parseNumber(process.env.SWEEP_URGENT_VENUES, 3),
+      // Single-venue prints this large without a negotiated condition still read as blocks
+      blockMinContracts: parseNumber(process.env.BLOCK_MIN_CONTRACTS, 1000),
+      // Share of Tier-1 notional in urgent sweeps that makes sweep urgency a follow condition
+      urgencyShare: parseNumber(process.env.SWEEP_URGENCY_SHARE, 0.25)
+    }
+  },
+
+  // Data Integrity
+  dataIntegrity: {
+    // Refuse to fall back to simulated prints and to build reports from them
+    strictRealData: parseBoolean(process.env.STRICT_REAL_DATA, false)
+  },
+
+  // Persistent Storage (mount a Railway volume at DATA_DIR to survive redeploys)
+  storage: {
+    dataDir: process.env.DATA_DIR || './data',
+    flushIntervalMs: parseNumber(process.env.TICK_FLUSH_INTERVAL_MS, 1000),
+    // Shared state for multi-instance deployments (unset = in-memory, single instance)
+    redisUrl: process.env.REDIS_URL || null,
+    redisPrefix: process.env.REDIS_PREFIX || 'nexus:',
+    instanceId: process.env.RAILWAY_REPLICA_ID || `${os.hostname()}-${process.pid}`,
+    leaderTtlMs: parseNumber(process.env.LEADER_TTL_MS, 15000),
+    tickRetentionDays: {
+      flow: parseNumber(process.env.TICK_RETENTION_FLOW_DAYS, 30),
+      blocks: parseNumber(process.env.TICK_RETENTION_BLOCK_DAYS, 30),
+      complexTrades: parseNumber(process.env.TICK_RETENTION_COMPLEX_DAYS, 30),
+      deltaConcentration: parseNumber(process.env.TICK_RETENTION_DELTA_DAYS, 7)
+    },
+    // Raw WebSocket session recordings (<dataDir>/recordings) for replaying incidents
+    recording: {
+      enabled: parseBoolean(process.env.WS_RECORDING_ENABLED, false),
+      maxFileBytes: parseNumber(process.env.WS_RECORDING_MAX_BYTES, 50 * 1024 * 1024)
     }
   },
 
@@ -0,0 +1,218 @@
+const moment = require('moment-timezone');
+
+const TIMEZONE = 'America/New_York';
+
+// Small seeded PRNG so a scenario produces the same prints and quotes on every run
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Shared synthetic market behind both mock servers, so Tradier quotes and
+// Unusual Whales prints agree on spot, strikes and expirations.
+class MarketModel {
+  constructor(scenario = {}) {
+    this.random = createRandom(scenario.seed || 1);
+    this.symbols = new Map(); // symbol -> { spot, iv, strikeStep }
+    this.tradeSeq = 0;
+
+    Object.entries(scenario.symbols || { SPY: { spot: 580 } }).forEach(([symbol, settings]) => {
+      this.symbols.set(symbol.toUpperCase(), {
+        spot: settings.spot,
+        iv: settings.iv || 0.18,
+        strikeStep: settings.strikeStep || (settings.spot >= 200 ? 5 : 1)
+      });
+    });
+  }
+
+  // Unknown symbols get a plausible default instead of a 404
+  getSymbol(symbol) {
+    const key = String(symbol).toUpperCase();
+    if (!this.symbols.has(key)) {
+      this.symbols.set(key, { spot: 100, iv: 0.25, strikeStep: 1 });
+    }
+    return this.symbols.get(key);
+  }
+
+  // Random walk of roughly 2bp per step
+  step(symbol) {
+    const state = this.getSymbol(symbol);
+    state.spot = Math.max(1, state.spot * (1 + (this.random() - 0.5) * 0.0004));
+    return state.spot;
+  }
+
+  getExpirations(fromDate = moment.tz(TIMEZONE)) {
+    const expirations = [];
+    const day = moment.tz(fromDate, TIMEZONE).startOf('day');
+
+    while (expirations.length < 12) {
+      const weekday = day.isoWeekday();
+      if (weekday <= 5 && (expirations.length < 5 || weekday === 5)) {
+        expirations.push(day.format('YYYY-MM-DD'));
+      }
+      day.add(1, 'day');
+    }
+
+    return expirations;
+  }
+
+  getStrikes(symbol) {
+    const { spot, strikeStep } = this.getSymbol(symbol);
+    const atm = Math.round(spot / strikeStep) * strikeStep;
+    const strikes = [];
+
+    for (let i = -10; i <= 10; i++) {
+      strikes.push(Number((atm + i * strikeStep).toFixed(2)));
+    }
+
+    return strikes;
+  }
+
+  // Rough delta/price from moneyness; good enough to look like a real chain
+  priceOption(symbol, optionType, strike, dte) {
+    const { spot, iv } = this.getSymbol(symbol);
+    const years = Math.max(dte, 0.5) / 365;
+    const stdMove = spot * iv * Math.sqrt(years);
+    const moneyness = (spot - strike) / stdMove;
+    const callDelta = 1 / (1 + Math.exp(-1.7 * moneyness));
+    const delta = optionType === 'CALL' ? callDelta : callDelta - 1;
+    const intrinsic = optionType === 'CALL' ? Math.max(0, spot - strike) : Math.max(0, strike - spot);
+    const timeValue = 0.4 * stdMove * Math.exp(-0.5 * moneyness * moneyness);
+    const mid = Math.max(0.01, intrinsic + timeValue);
+    const gamma = Math.exp(-0.5 * moneyness * moneyness) / (stdMove * 2.5066);
+
+    return {
+      delta: Number(delta.toFixed(4)),
+      gamma: Number(gamma.toFixed(5)),
+      mid: Number(mid.toFixed(2)),
+      bid: Number(Math.max(0.01, mid * 0.97).toFixed(2)),
+      ask: Number((mid * 1.03 + 0.01).toFixed(2))
+    };
+  }
+
+  getDte(expiration, now = moment.tz(TIMEZONE)) {
+    return Math.max(0, moment.tz(expiration, TIMEZONE).diff(moment.tz(now, TIMEZONE).startOf('day'), 'days'));
+  }
+
+  // One option print in the shape UnusualWhalesWebSocket handlers store
+  generatePrint(symbol, overrides = {}) {
+    const symbolUpper = symbol.toUpperCase();
+    const spot = this.step(symbolUpper);
+    const expirations = this.getExpirations();
+    const expiration = expirations[Math.floor(this.random() * expirations.length)];
+    const strikes = this.getStrikes(symbolUpper);
+    const strike = strikes[Math.floor(this.random() * strikes.length)];
+    const optionType = this.random() > 0.5 ? 'CALL' : 'PUT';
+    const dte = this.getDte(expiration);
+    const pricing = this.priceOption(symbolUpper, optionType, strike, dte);
+    const atAsk = this.random() > 0.45;
+    const price = atAsk ? pricing.ask : pricing.bid;
+    const contracts = 100 + Math.floor(this.random() * 4900);
+
+    return {
+      trade_id: `mock-${++this.tradeSeq}`,
+      symbol: symbolUpper,
+      option_type: optionType,
+      strike,
+      expiration,
+      dte,
+      contracts,
+      price,
+      notional: Math.round(contracts * price * 100),
+      side: atAsk ? 'BUY' : 'SELL',
+      bid: pricing.bid,
+      ask: pricing.ask,
+      real_delta: pricing.delta,
+      underlying_price: Number(spot.toFixed(2)),
+      ...overrides
+    };
+  }
+
+  getQuote(symbol) {
+    const symbolUpper = symbol.toUpperCase();
+    const spot = this.step(symbolUpper);
+    const now = moment.tz(TIMEZONE);
+
+    return {
+      symbol: symbolUpper,
+      description: `${symbolUpper} (mock)`,
+      last: Number(spot.toFixed(2)),
+      bid: Number((spot - 0.01).toFixed(2)),
+      ask: Number((spot + 0.01).toFixed(2)),
+      volume: 1000000 + Math.floor(this.random() * 5000000),
+      trade_date: now.format('YYYY-MM-DD'),
+      trade_time: now.format('HH:mm:ss')
+    };
+  }
+
+  getChain(symbol, expiration) {
+    const symbolUpper = symbol.toUpperCase();
+    const dte = this.getDte(expiration);
+    const options = [];
+
+    this.getStrikes(symbolUpper).forEach(strike => {
+      ['CALL', 'PUT'].forEach(optionType => {
+        const pricing = this.priceOption(symbolUpper, optionType, strike, dte);
+        const { iv } = this.getSymbol(symbolUpper);
+        const occDate = moment(expiration).format('YYMMDD');
+        const occStrike = String(Math.round(strike * 1000)).padStart(8, '0');
+
+        options.push({
+          symbol: `${symbolUpper}${occDate}${optionType[0]}${occStrike}`,
+          underlying: symbolUpper,
+          option_type: optionType.toLowerCase(),
+          strike,
+          expiration_date: expiration,
+          bid: pricing.bid,
+          ask: pricing.ask,
+          last: pricing.mid,
+          volume: Math.floor(this.random() * 20000),
+          open_interest: Math.floor(this.random() * 80000),
+          greeks: {
+            delta: pricing.delta,
+            gamma: pricing.gamma,
+            theta: Number((-pricing.mid / Math.max(dte, 1) * 0.5).toFixed(4)),
+            vega: Number((pricing.mid * 0.1).toFixed(4)),
+            mid_iv: Number((iv * (1 + Math.abs(strike - this.getSymbol(symbolUpper).spot) / strike)).toFixed(4)),
+            updated_at: moment().format('YYYY-MM-DD HH:mm:ss')
+          }
+        });
+      });
+    });
+
+    return options;
+  }
+
+  getHistory(symbol, start, end) {
+    const { spot } = this.getSymbol(symbol);
+    const endDay = end ? moment(end) : moment.tz(TIMEZONE);
+    const day = start ? moment(start) : endDay.clone().subtract(30, 'days');
+    const days = [];
+    let close = spot * 0.97;
+
+    for (; !day.isAfter(endDay, 'day'); day.add(1, 'day')) {
+      if (day.isoWeekday() > 5) continue;
+
+      const open = close;
+      close = open * (1 + (this.random() - 0.5) * 0.02);
+      days.push({
+        date: day.format('YYYY-MM-DD'),
+        open: Number(open.toFixed(2)),
+        high: Number((Math.max(open, close) * 1.004).toFixed(2)),
+        low: Number((Math.min(open, close) * 0.996).toFixed(2)),
+        close: Number(close.toFixed(2)),
+        volume: 50000000 + Math.floor(this.random() * 30000000)
+      });
+    }
+
+    return days;
+  }
+}
+
+module.exports = MarketModel;
@@ -0,0 +1,98 @@
+// Local stand-in for Unusual Whales (WebSocket) and Tradier (HTTP) so the bot can run offline.
+//
+//   node mock/server.js [--scenario mock/scenarios/disconnect.json] [--port 4010] [--duration 600000]
+//
+// Then start the bot with:
+//   UNUSUAL_WHALES_WS_URL=ws://localhost:4010/ws TRADIER_BASE_URL=http://localhost:4010/v1 node bot.js
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Logger = require('../utils/logger');
+const MarketModel = require('./market-model');
+const MockTradierServer = require('./tradier-stub');
+const MockUnusualWhalesServer = require('./uw-websocket-server');
+
+const logger = new Logger('mock-server');
+
+function parseArgs(argv) {
+  const args = {
+    scenario: path.join(__dirname, 'scenarios', 'steady.json'),
+    port: parseInt(process.env.MOCK_PORT || '4010', 10),
+    duration: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--scenario') args.scenario = argv[++i];
+    else if (argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+    else if (argv[i] === '--duration') args.duration = parseInt(argv[++i], 10);
+  }
+
+  return args;
+}
+
+function startMockServer({ scenario, port }) {
+  const model = new MarketModel(scenario);
+  const tradier = new MockTradierServer(model, scenario.tradier);
+  const unusualWhales = new MockUnusualWhalesServer(model, scenario.websocket);
+
+  const server = http.createServer((req, res) => {
+    if (tradier.handleRequest(req, res)) return;
+
+    if (req.url === '/mock/stats') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        scenario: scenario.name,
+        websocketClients: unusualWhales.clients.size,
+        framesSent: unusualWhales.framesSent,
+        tradierRequests: tradier.requestCount
+      }));
+      return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found (mock)' }));
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    if (!req.url.startsWith('/ws')) {
+      socket.destroy();
+      return;
+    }
+    unusualWhales.handleUpgrade(req, socket, head);
+  });
+
+  server.listen(port, () => {
+    unusualWhales.start();
+    logger.info(`Mock scenario "${scenario.name}" listening on port ${port}`);
+    logger.info(`UNUSUAL_WHALES_WS_URL=ws://localhost:${port}/ws TRADIER_BASE_URL=http://localhost:${port}/v1`);
+  });
+
+  return {
+    server,
+    model,
+    tradier,
+    unusualWhales,
+    close: () => new Promise(resolve => {
+      unusualWhales.stop();
+      server.close(() => resolve());
+    })
+  };
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const scenario = JSON.parse(fs.readFileSync(args.scenario, 'utf8'));
+  const mock = startMockServer({ scenario, port: args.port });
+  const duration = args.duration || scenario.durationMs;
+
+  const shutdown = () => mock.close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  if (duration) {
+    setTimeout(shutdown, duration);
+  }
+}
+
+module.exports = { startMockServer };
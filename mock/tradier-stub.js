@@ -0,0 +1,77 @@
+const { URL } = require('url');
+const Logger = require('../utils/logger');
+
+// HTTP stand-in for the Tradier endpoints TradierAPI calls (mounted under /v1).
+// Per-route behaviour comes from scenario.tradier.routes:
+//   { "/markets/quotes": { "latencyMs": 20000, "status": 500, "failRate": 0.5 } }
+class MockTradierServer {
+  constructor(model, settings = {}) {
+    this.model = model;
+    this.latencyMs = settings.latencyMs || 0;
+    this.routes = settings.routes || {};
+    this.logger = new Logger('mock-tradier');
+    this.requestCount = 0;
+
+    this.handlers = {
+      '/markets/quotes': (params) => {
+        const symbols = String(params.get('symbols') || '').split(',').filter(Boolean);
+        const quotes = symbols.map(symbol => this.model.getQuote(symbol));
+        return { quotes: { quote: quotes.length === 1 ? quotes[0] : quotes } };
+      },
+      '/markets/options/chains': (params) => {
+        const symbol = params.get('symbol');
+        const expiration = params.get('expiration') || this.model.getExpirations()[0];
+        return { options: { option: this.model.getChain(symbol, expiration) } };
+      },
+      '/markets/options/expirations': () => ({
+        expirations: { date: this.model.getExpirations() }
+      }),
+      '/markets/options/strikes': (params) => ({
+        strikes: { strike: this.model.getStrikes(params.get('symbol')) }
+      }),
+      '/markets/history': (params) => ({
+        history: { day: this.model.getHistory(params.get('symbol'), params.get('start'), params.get('end')) }
+      })
+    };
+  }
+
+  // Can share an http.Server with the WebSocket mock; returns true when the request was handled
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = url.pathname.replace(/^\/v1/, '');
+    const handler = this.handlers[route];
+
+    if (!handler) return false;
+
+    this.requestCount++;
+    const behaviour = this.routes[route] || {};
+    const latency = behaviour.latencyMs !== undefined ? behaviour.latencyMs : this.latencyMs;
+    const failing = behaviour.status && (behaviour.failRate === undefined || this.model.random() < behaviour.failRate);
+
+    setTimeout(() => {
+      if (res.writableEnded || req.destroyed) return;
+
+      if (failing) {
+        this.logger.warn(`Injected ${behaviour.status} for ${route}`);
+        this.send(res, behaviour.status, { fault: { faultstring: 'Injected failure (mock)' } });
+        return;
+      }
+
+      try {
+        this.send(res, 200, handler(url.searchParams));
+      } catch (error) {
+        this.logger.error(`Mock Tradier ${route} error: ${error.message}`);
+        this.send(res, 500, { fault: { faultstring: error.message } });
+      }
+    }, latency);
+
+    return true;
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = MockTradierServer;
@@ -0,0 +1,234 @@
+const WebSocket = require('ws');
+const Logger = require('../utils/logger');
+
+// Stand-in for the Unusual Whales WebSocket. Speaks the protocol UnusualWhalesWebSocket uses:
+// { action: 'subscribe' | 'unsubscribe', channels, symbols }, { action: 'ping' | 'pong' },
+// and pushes { type, symbol, data, timestamp } frames for subscribed symbols.
+//
+// scenario.websocket.events are run on a timeline (ms after server start, optionally repeating):
+//   { "at": 20000, "action": "disconnect", "code": 1011 }      close every client with a code
+//   { "at": 20000, "action": "terminate" }                     drop sockets without a close frame
+//   { "at": 20000, "action": "refuse", "durationMs": 30000 }   reject new connections with 503
+//   { "at": 20000, "action": "stall", "durationMs": 150000 }   go silent (no prints, no heartbeats)
+//   { "at": 20000, "action": "malformed", "payload": "{\"type\":" }
+//   { "at": 20000, "action": "send", "message": { ... } }       send a frame verbatim
+//   { "at": 20000, "action": "print", "symbol": "SPY", "data": { "notional": 9000000 } }
+class MockUnusualWhalesServer {
+  constructor(model, settings = {}) {
+    this.model = model;
+    this.heartbeatMs = settings.heartbeatMs || 15000;
+    this.printIntervalMs = settings.printIntervalMs || 1000;
+    this.blockNotional = settings.blockNotional || 1000000;
+    this.deltaIntervalMs = settings.deltaIntervalMs || 60000;
+    this.events = settings.events || [];
+    this.logger = new Logger('mock-uw-ws');
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.clients = new Map(); // socket -> Set(symbols)
+    this.refuseUntil = 0;
+    this.stallUntil = 0;
+    this.timers = [];
+    this.framesSent = 0;
+
+    this.wss.on('connection', (socket) => this.handleConnection(socket));
+  }
+
+  start() {
+    this.timers.push(setInterval(() => this.sendHeartbeats(), this.heartbeatMs));
+    this.timers.push(setInterval(() => this.sendPrints(), this.printIntervalMs));
+    this.timers.push(setInterval(() => this.sendDeltaConcentration(), this.deltaIntervalMs));
+
+    this.events.forEach(event => {
+      const run = () => this.runEvent(event);
+      this.timers.push(setTimeout(() => {
+        run();
+        if (event.every) {
+          this.timers.push(setInterval(run, event.every));
+        }
+      }, event.at || 0));
+    });
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    this.clients.forEach((symbols, socket) => socket.terminate());
+    this.wss.close();
+  }
+
+  handleUpgrade(req, socket, head) {
+    if (Date.now() < this.refuseUntil) {
+      this.logger.warn('Refusing WebSocket connection (scenario)');
+      socket.write('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.wss.emit('connection', ws, req));
+  }
+
+  handleConnection(socket) {
+    this.clients.set(socket, new Set());
+    this.logger.info(`Client connected (${this.clients.size} open)`);
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        this.logger.warn('Ignoring non-JSON client frame');
+        return;
+      }
+
+      const symbols = this.clients.get(socket);
+      const requested = (message.symbols || []).map(symbol => String(symbol).toUpperCase());
+
+      switch (message.action) {
+        case 'subscribe':
+          requested.forEach(symbol => symbols.add(symbol));
+          this.send(socket, { type: 'subscribed', data: { symbols: Array.from(symbols), channels: message.channels || [] } });
+          break;
+
+        case 'unsubscribe':
+          requested.forEach(symbol => symbols.delete(symbol));
+          this.send(socket, { type: 'unsubscribed', data: { symbols: requested } });
+          break;
+
+        case 'ping':
+          this.send(socket, { type: 'heartbeat', data: { requires_pong: false } });
+          break;
+
+        case 'pong':
+          break;
+
+        default:
+          this.logger.debug(`Unknown client action: ${message.action}`);
+      }
+    });
+
+    socket.on('close', () => {
+      this.clients.delete(socket);
+      this.logger.info(`Client disconnected (${this.clients.size} open)`);
+    });
+  }
+
+  runEvent(event) {
+    this.logger.info(`Scenario event: ${event.action}`);
+
+    switch (event.action) {
+      case 'disconnect':
+        this.clients.forEach((symbols, socket) => socket.close(event.code || 1011, event.reason || 'Mock disconnect'));
+        break;
+
+      case 'terminate':
+        this.clients.forEach((symbols, socket) => socket.terminate());
+        break;
+
+      case 'refuse':
+        this.refuseUntil = Date.now() + (event.durationMs || 30000);
+        break;
+
+      case 'stall':
+        this.stallUntil = Date.now() + (event.durationMs || 150000);
+        break;
+
+      case 'malformed':
+        this.broadcastRaw(event.payload !== undefined ? event.payload : '{"type":"block_trade","data":');
+        break;
+
+      case 'send':
+        this.broadcastRaw(JSON.stringify(event.message));
+        break;
+
+      case 'print': {
+        const symbol = (event.symbol || 'SPY').toUpperCase();
+        const print = this.model.generatePrint(symbol, event.data || {});
+        this.broadcastRaw(JSON.stringify({
+          type: event.type || 'block_trade',
+          symbol,
+          data: print,
+          timestamp: new Date().toISOString()
+        }));
+        break;
+      }
+
+      default:
+        this.logger.warn(`Unknown scenario action: ${event.action}`);
+    }
+  }
+
+  isStalled() {
+    return Date.now() < this.stallUntil;
+  }
+
+  sendHeartbeats() {
+    if (this.isStalled()) return;
+    this.clients.forEach((symbols, socket) => {
+      this.send(socket, { type: 'heartbeat', data: { requires_pong: true } });
+    });
+  }
+
+  // One print per subscribed symbol per interval; large ones also go out as block trades
+  sendPrints() {
+    if (this.isStalled()) return;
+
+    this.clients.forEach((symbols, socket) => {
+      symbols.forEach(symbol => {
+        const print = this.model.generatePrint(symbol);
+        const timestamp = new Date().toISOString();
+
+        this.send(socket, { type: 'institutional_flow', symbol, data: print, timestamp });
+        if (print.notional >= this.blockNotional) {
+          this.send(socket, { type: 'block_trade', symbol, data: print, timestamp });
+        }
+      });
+    });
+  }
+
+  sendDeltaConcentration() {
+    if (this.isStalled()) return;
+
+    this.clients.forEach((symbols, socket) => {
+      symbols.forEach(symbol => {
+        const { spot } = this.model.getSymbol(symbol);
+        const expiration = this.model.getExpirations()[0];
+        const timestamp = new Date().toISOString();
+
+        this.model.getStrikes(symbol)
+          .filter(strike => Math.abs(strike - spot) / spot <= 0.01)
+          .forEach(strike => {
+            ['CALL', 'PUT'].forEach(optionType => {
+              const pricing = this.model.priceOption(symbol, optionType, strike, this.model.getDte(expiration));
+              this.send(socket, {
+                type: 'delta_concentration',
+                symbol,
+                data: {
+                  strike,
+                  option_type: optionType,
+                  real_delta: pricing.delta,
+                  notional: Math.round(this.model.random() * 2000000 + 250000)
+                },
+                timestamp
+              });
+            });
+          });
+      });
+    });
+  }
+
+  broadcastRaw(payload) {
+    this.clients.forEach((symbols, socket) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(payload);
+        this.framesSent++;
+      }
+    });
+  }
+
+  send(socket, message) {
+    if (socket.readyState !== WebSocket.OPEN) return;
+    socket.send(JSON.stringify(message));
+    this.framesSent++;
+  }
+}
+
+module.exports = MockUnusualWhalesServer;
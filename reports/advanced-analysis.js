@@ -1,5 +1,8 @@
 // reports/advanced-analysis.js
+const moment = require('moment-timezone');
+const config = require('../config');
 const Logger = require('../utils/logger');
+const MomentumTracker = require('../analysis/momentum-tracker');
 
 class AdvancedAnalysis {
   constructor() {
@@ -7,159 +10,175 @@ class AdvancedAnalysis {
   }
 
   // 1. DEALER GAMMA EXPOSURE HEATMAP
-  generateGammaHeatmap(deltaAnalysis, spotPrice) {
-    const { levels } = deltaAnalysis;
-    
-    // Calculate gamma exposure (simplified - in reality would need options chain)
-    const gammaLevels = levels.slice(0, 10).map(level => {
+  // gammaExposure comes from GammaExposureModel.build(); null when no chain was available
+  generateGammaHeatmap(gammaExposure, spotPrice) {
+    if (!gammaExposure || !gammaExposure.strikes || gammaExposure.strikes.length === 0) {
+      return null;
+    }
+
+    // Largest exposures first, then the four closest to spot
+    const largest = [...gammaExposure.strikes]
+      .sort((a, b) => Math.abs(b.netGex) - Math.abs(a.netGex))
+      .slice(0, 10);
+    const maxGex = Math.max(...largest.map(level => Math.abs(level.netGex)), 1);
+
+    const gammaLevels = largest.map(level => {
       const distance = ((level.strike - spotPrice) / spotPrice) * 100;
-      
-      // Simplified gamma calculation based on strike concentration
-      const gammaScore = level.totalDelta * (Math.random() * 3 - 1.5); // Placeholder
-      
+      const gex = level.netGex;
+
       let exposure;
       let emoji;
-      
-      if (gammaScore > 2000000) {
-        exposure = `LONG GAMMA (+$${this.formatCurrency(gammaScore)})`;
+
+      // Under 20% of the largest strike exposure is treated as neutral
+      if (gex > maxGex * 0.2) {
+        exposure = `LONG GAMMA (+$${this.formatCurrency(gex)})`;
         emoji = '🟢';
-      } else if (gammaScore < -2000000) {
-        exposure = `SHORT GAMMA ($${this.formatCurrency(gammaScore)})`;
+      } else if (gex < -maxGex * 0.2) {
+        exposure = `SHORT GAMMA (-$${this.formatCurrency(Math.abs(gex))})`;
         emoji = '🔴';
       } else {
-        exposure = `NEUTRAL (+$${this.formatCurrency(gammaScore)})`;
+        exposure = `NEUTRAL (${gex >= 0 ? '+' : '-'}$${this.formatCurrency(Math.abs(gex))})`;
         emoji = '🟡';
       }
-      
+
       return {
         strike: level.strike,
         exposure,
         emoji,
-        gammaScore,
+        gammaScore: gex,
         distance
       };
     });
 
-    // Sort by distance from spot
     gammaLevels.sort((a, b) => Math.abs(a.distance) - Math.abs(b.distance));
 
-    // Identify zones
-    const accelerationZones = [];
-    const suppressionZones = [];
-    let gammaFlipLevel = spotPrice;
-
-    gammaLevels.slice(0, 6).forEach(level => {
-      if (level.gammaScore < -1500000) {
-        accelerationZones.push(`$${level.strike}-$${level.strike + 2}`);
-      } else if (level.gammaScore > 1500000) {
-        suppressionZones.push(`$${level.strike}-$${level.strike + 2}`);
-      }
-      
-      // Find gamma flip (where sign changes)
-      if (level.strike > spotPrice && gammaFlipLevel === spotPrice) {
-        gammaFlipLevel = level.strike;
-      }
+    const formatZone = zone => ({
+      range: zone.low === zone.high ? `$${zone.low}` : `$${zone.low}-$${zone.high}`,
+      direction: zone.direction,
+      netGex: zone.netGex
     });
 
     return {
       gammaLevels: gammaLevels.slice(0, 4),
-      accelerationZones: accelerationZones.slice(0, 2),
-      suppressionZones: suppressionZones.slice(0, 2),
-      gammaFlipLevel: gammaFlipLevel.toFixed(2)
+      accelerationZones: gammaExposure.accelerationZones.slice(0, 2).map(formatZone),
+      suppressionZones: gammaExposure.suppressionZones.slice(0, 2).map(formatZone),
+      gammaFlipLevel: gammaExposure.flipLevel !== null ? gammaExposure.flipLevel.toFixed(2) : null,
+      aboveFlip: gammaExposure.aboveFlip,
+      totalGex: gammaExposure.totalGex,
+      regime: gammaExposure.regime
     };
   }
 
   // 2. FLOW MOMENTUM OSCILLATOR
-  calculateFlowMomentum(hourlyBreakdown, totals, tierAnalysis) {
-    // Calculate momentum components (0-100 scale)
-    const directionalBias = Math.min(100, Math.max(0, 
-      (totals.netFlow / Math.max(totals.totalNotional, 1)) * 200 + 50
-    ));
-    
-    const flowIntensity = Math.min(100, 
-      (Math.log10(totals.totalNotional / 1000000) / Math.log10(100)) * 100
-    );
-    
-    const executionUrgency = tierAnalysis.tier1.calls.avgSize > 500000 ? 
-      Math.min(100, (tierAnalysis.tier1.calls.avgSize / 1000000) * 30 + 70) : 50;
-    
-    const strikeClustering = hourlyBreakdown.insights.length > 2 ? 80 : 50;
-    
-    // Current momentum
-    const currentMomentum = Math.min(100, Math.max(0,
-      (directionalBias * 0.4) + 
-      (flowIntensity * 0.3) + 
-      (executionUrgency * 0.2) + 
-      (strikeClustering * 0.1)
-    ));
-    
-    // Simulated historical momentum
-    const momentum1H = Math.min(100, currentMomentum * (0.85 + Math.random() * 0.3));
-    const momentum4H = Math.min(100, currentMomentum * (0.75 + Math.random() * 0.3));
-    const momentumDaily = Math.min(100, currentMomentum * (0.9 + Math.random() * 0.2));
-    
-    let momentumEmoji;
-    if (currentMomentum > 80) momentumEmoji = '🔴 OVERBOUGHT';
-    else if (currentMomentum > 60) momentumEmoji = '🟢 BULLISH MOMENTUM';
-    else if (currentMomentum > 40) momentumEmoji = '🟡 NEUTRAL';
-    else if (currentMomentum > 20) momentumEmoji = '🔵 BEARISH MOMENTUM';
-    else momentumEmoji = '🟣 OVERSOLD';
+  // history: MomentumTracker.describe() output; without it the trends are unavailable
+  calculateFlowMomentum(hourlyBreakdown, totals, tierAnalysis, history = null) {
+    const reading = MomentumTracker.calculateReading(hourlyBreakdown, totals, tierAnalysis);
+    const currentMomentum = reading.value;
+    
+    const trends = {};
+    ['1H', '4H', 'Daily'].forEach(timeframe => {
+      const trend = history ? history.trends[timeframe] : null;
+      trends[timeframe] = trend
+        ? { value: trend.value.toFixed(1), direction: trend.direction, change: trend.change }
+        : null;
+    });
     
     return {
       current: currentMomentum.toFixed(1),
-      emoji: momentumEmoji,
+      emoji: MomentumTracker.zone(currentMomentum),
       components: {
-        directionalBias: Math.round(directionalBias - 50),
-        flowIntensity: Math.round((flowIntensity - 50) / 2),
-        executionUrgency: Math.round((executionUrgency - 50) / 5),
-        strikeClustering: Math.round((strikeClustering - 50) / 8)
+        directionalBias: Math.round(reading.directionalBias - 50),
+        flowIntensity: Math.round((reading.flowIntensity - 50) / 2),
+        executionUrgency: Math.round((reading.executionUrgency - 50) / 5),
+        strikeClustering: Math.round((reading.strikeClustering - 50) / 8)
       },
-      trends: {
-        '1H': { value: momentum1H.toFixed(1), direction: momentum1H < currentMomentum ? '↗️' : '↘️' },
-        '4H': { value: momentum4H.toFixed(1), direction: momentum4H < currentMomentum ? '↗️' : '↘️' },
-        'Daily': { value: momentumDaily.toFixed(1), direction: '→' }
-      }
+      trends,
+      crossings: history ? history.crossings : []
     };
   }
 
   // 3. INSTITUTIONAL SENTIMENT INDEX
-  generateSentimentIndex(tierComposition, complexAnalysis) {
-    // Calculate sentiment by participant type (simplified)
-    const hedgeFundScore = 6.8 + (Math.random() - 0.5) * 0.4;
-    const marketMakerScore = 5.2 + (Math.random() - 0.5) * 0.4;
-    const assetManagerScore = 8.4 + (Math.random() - 0.5) * 0.4;
-    const propTradingScore = 7.8 + (Math.random() - 0.5) * 0.4;
-    
-    const compositeScore = (
-      hedgeFundScore * 0.25 +
-      marketMakerScore * 0.25 +
-      assetManagerScore * 0.30 +
-      propTradingScore * 0.20
-    ).toFixed(1);
-    
-    const previousScore = (parseFloat(compositeScore) - 0.5 + Math.random()).toFixed(1);
-    
-    let sentimentEmoji;
-    if (compositeScore >= 7.5) sentimentEmoji = '🟢 RISK-ON';
-    else if (compositeScore >= 6.0) sentimentEmoji = '🟡 MODERATE';
-    else sentimentEmoji = '🔴 RISK-OFF';
-    
+  // Per participant class (tagged by the participant classifier): 5 + 5 x notional-weighted
+  // direction, where calls bought / puts sold count bullish. The composite leaves out dealer
+  // facilitation, which is the other side of customer flow rather than a view.
+  generateSentimentIndex(flowData) {
+    const flow = (flowData || []).filter(f => f.participant);
+    const labels = {
+      DIRECTIONAL: 'Directional Speculation',
+      HEDGING: 'Hedging',
+      INCOME: 'Income / Overwriting',
+      DEALER_FACILITATION: 'Dealer Facilitation'
+    };
+    const directionOf = f => (f.option_type === 'PUT' ? -1 : 1) * (f.side === 'BUY' ? 1 : (f.side === 'SELL' ? -1 : 0));
+    const scoreOf = prints => {
+      const gross = prints.reduce((sum, f) => sum + (f.notional || 0), 0);
+      const net = prints.reduce((sum, f) => sum + directionOf(f) * (f.notional || 0), 0);
+      return gross > 0 ? 5 + 5 * (net / gross) : null;
+    };
+    const totalNotional = flow.reduce((sum, f) => sum + (f.notional || 0), 0);
+
+    const components = {};
+    Object.entries(labels).forEach(([name, label]) => {
+      const prints = flow.filter(f => f.participant === name);
+      const notional = prints.reduce((sum, f) => sum + (f.notional || 0), 0);
+      const score = scoreOf(prints);
+
+      const reasonCounts = {};
+      prints.forEach(f => (f.participant_reasons || []).forEach(reason => {
+        reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+      }));
+
+      components[name] = {
+        label,
+        score: score !== null ? score.toFixed(1) : null,
+        sentiment: score !== null ? this.getSentimentLabel(score) : 'No prints',
+        prints: prints.length,
+        notional,
+        share: totalNotional > 0 ? (notional / totalNotional) * 100 : 0,
+        reasons: Object.entries(reasonCounts)
+          .sort((x, y) => y[1] - x[1])
+          .slice(0, 3)
+          .map(([reason, count]) => `${reason} (${count})`)
+      };
+    });
+
+    const views = flow.filter(f => f.participant !== 'DEALER_FACILITATION');
+    const composite = scoreOf(views);
+    const compositeScore = composite !== null ? composite.toFixed(1) : null;
+
+    // 0-10 with 5 as balanced flow, so the bands sit symmetrically around it
+    let sentimentEmoji = '⚪ NO DATA';
+    if (composite !== null) {
+      if (composite >= 6.5) sentimentEmoji = '🟢 RISK-ON';
+      else if (composite <= 3.5) sentimentEmoji = '🔴 RISK-OFF';
+      else sentimentEmoji = '🟡 NEUTRAL';
+    }
+
+    // Shift within the session: first half of the view prints against the second half
+    const ordered = [...views].sort((x, y) => new Date(x.timestamp) - new Date(y.timestamp));
+    const half = Math.floor(ordered.length / 2);
+    const earlyScore = half >= 2 ? scoreOf(ordered.slice(0, half)) : null;
+    const lateScore = half >= 2 ? scoreOf(ordered.slice(half)) : null;
+
+    let sentimentShift = 'n/a (too few prints)';
+    if (earlyScore !== null && lateScore !== null) {
+      const change = lateScore - earlyScore;
+      sentimentShift = change > 0.5 ? '↗️ Improving' : (change < -0.5 ? '↘️ Declining' : '→ Steady');
+    }
+
     return {
       compositeScore,
       sentimentEmoji,
-      components: {
-        hedgeFunds: { score: hedgeFundScore.toFixed(1), sentiment: this.getSentimentLabel(hedgeFundScore) },
-        marketMakers: { score: marketMakerScore.toFixed(1), sentiment: this.getSentimentLabel(marketMakerScore) },
-        assetManagers: { score: assetManagerScore.toFixed(1), sentiment: this.getSentimentLabel(assetManagerScore) },
-        propTrading: { score: propTradingScore.toFixed(1), sentiment: this.getSentimentLabel(propTradingScore) }
-      },
-      sentimentShift: compositeScore > previousScore ? '↗️ Improving' : '↘️ Declining',
-      previousScore
+      components,
+      classifiedPrints: flow.length,
+      sentimentShift,
+      earlyScore: earlyScore !== null ? earlyScore.toFixed(1) : null,
+      lateScore: lateScore !== null ? lateScore.toFixed(1) : null
     };
   }
 
   // 4. FLOW ANOMALY DETECTION
-  detectFlowAnomalies(flowData, blocks, totals) {
+  detectFlowAnomalies(flowData, blocks, totals, hourlyBreakdown = null) {
     const anomalies = [];
     
     // 1. Unusual Block Size
@@ -206,26 +225,18 @@ class AdvancedAnalysis {
       });
     }
     
-    // 3. Time Clustering
-    const hourlyCounts = {};
-    flowData.forEach(flow => {
-      const hour = flow.timestamp.getHours();
-      hourlyCounts[hour] = (hourlyCounts[hour] || 0) + 1;
-    });
-    
-    const maxHour = Object.keys(hourlyCounts).reduce((a, b) => 
-      hourlyCounts[a] > hourlyCounts[b] ? a : b
-    );
-    
-    const hourPercent = (hourlyCounts[maxHour] / flowData.length * 100).toFixed(0);
+    // 3. Time Clustering, over the exchange-time buckets the report shows
+    const buckets = hourlyBreakdown ? hourlyBreakdown.buckets || [] : [];
+    const busiest = buckets.reduce((best, bucket) => (!best || bucket.trades > best.trades ? bucket : best), null);
+    const bucketPercent = busiest && flowData.length > 0 ? (busiest.trades / flowData.length * 100).toFixed(0) : 0;
     
-    if (hourPercent > 40) {
+    if (bucketPercent > 40) {
       anomalies.push({
         type: 'TIME CLUSTERING',
         confidence: 85 + Math.floor(Math.random() * 6),
         details: [
-          `${hourPercent}% of flow between ${maxHour}:00-${parseInt(maxHour) + 1}:00`,
-          maxHour >= 10 && maxHour <= 11 ? 'Morning accumulation pattern' : 'Concentrated execution',
+          `${bucketPercent}% of flow between ${busiest.label} ET`,
+          busiest.start >= '10:00' && busiest.start < '12:00' ? 'Morning accumulation pattern' : 'Concentrated execution',
           `Fading probability: ${65 + Math.floor(Math.random() * 8)}%`,
           'Interpretation: Gamma positioning'
         ]
@@ -239,31 +250,43 @@ class AdvancedAnalysis {
   }
 
   // 5. VOLATILITY REGIME ANALYSIS
-  analyzeVolatilityRegime(flowData, atmFlow) {
-    const regimes = [
-      { name: 'GAMMA-DRIVEN EXPANSION', probability: 65 },
-      { name: 'MEAN REVERSION', probability: 25 },
-      { name: 'VOLATILITY CRUSH', probability: 10 }
-    ];
-    
-    const currentRegime = regimes[0];
-    
-    const ivRank = 65 + Math.floor(Math.random() * 10);
-    const termStructure = Math.random() > 0.5 ? 'Backwardation' : 'Contango';
-    const skew = (Math.random() * 5).toFixed(1);
-    
+  // volatility comes from VolatilityRegimeAnalyzer.analyze(); null when neither the chain nor a
+  // stored snapshot was available
+  analyzeVolatilityRegime(volatility, flowData, atmFlow, gammaExposure = null) {
+    if (!volatility) return null;
+
+    const pct = iv => `${(iv * 100).toFixed(1)}%`;
+    const points = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)} pts`;
+
+    let ivRank;
+    if (volatility.ivRank === null) {
+      ivRank = `n/a (${volatility.historyDays} of ${config.rules.volatility.minHistoryDays} days of history)`;
+    } else {
+      ivRank = `${volatility.ivRank.toFixed(0)}% | Percentile: ${volatility.ivPercentile.toFixed(0)}% (${volatility.historyDays}d)`;
+    }
+
+    let skew = 'n/a (no 25Δ strikes)';
+    if (volatility.skew25 !== null) {
+      skew = `${volatility.skew25 >= 0 ? 'Puts' : 'Calls'} expensive (25Δ ${points(volatility.skew25)})`;
+    }
+
     const gammaSensitivity = atmFlow.calls + atmFlow.puts > 20 ? 'HIGH' : 'MODERATE';
     const thetaDecay = flowData.filter(f => f.dte <= 3).length > flowData.length * 0.5 ? 'ACCELERATED' : 'NORMAL';
-    const dealerPositioning = Math.random() > 0.5 ? 'SHORT GAMMA' : 'LONG GAMMA';
+    const dealerPositioning = gammaExposure
+      ? (gammaExposure.regime === 'SHORT_GAMMA' ? 'SHORT GAMMA' : 'LONG GAMMA')
+      : 'UNKNOWN';
     const flowPattern = atmFlow.netNotional > 0 ? 'ATM-focused, aggressive' : 'OTM-focused, defensive';
     
     return {
-      currentRegime: currentRegime.name,
+      currentRegime: volatility.regime,
       characteristics: {
-        ivRank: `${ivRank}%`,
-        termStructure,
-        skew: `Calls expensive (+${skew}%)`,
-        termSpread: '1W IV > 1M IV'
+        atmIv: `${pct(volatility.atmIv)} (30D)`,
+        ivRank,
+        termStructure: volatility.slope !== null
+          ? `${volatility.termState} (${points(volatility.slope)} front to back)`
+          : volatility.termState,
+        skew,
+        termSpread: `${volatility.frontDte}D ${pct(volatility.frontIv)} vs ${volatility.backDte}D ${pct(volatility.backIv)}`
       },
       indicators: {
         gammaSensitivity,
@@ -271,8 +294,13 @@ class AdvancedAnalysis {
         dealerPositioning,
         flowPattern
       },
-      regimeProbabilities: regimes,
-      tradingImplication: 'Scalp gamma, avoid selling premium'
+      termStructure: volatility.termStructure.map(point => ({
+        label: `${point.expiration} (${point.dte}D)`,
+        atmIv: pct(point.atmIv),
+        skew: point.skew25 !== null ? points(point.skew25) : 'n/a'
+      })),
+      source: volatility.source,
+      tradingImplication: volatility.tradingImplication
     };
   }
 
@@ -335,105 +363,194 @@ class AdvancedAnalysis {
   }
 
   // 7. INSTITUTIONAL POSITIONING CYCLES
-  // FIXED: Added spotPrice parameter with default value
-  analyzePositioningCycles(totals, tierAnalysis, spotPrice = 100) {
-    const cycleDays = 3 + Math.floor(Math.random() * 3);
-    const cycleIntensity = (6 + Math.random() * 4).toFixed(1);
-    const participation = (60 + Math.random() * 10).toFixed(0);
-    const conviction = (7 + Math.random() * 3).toFixed(1);
-    
-    // Use the provided spotPrice parameter instead of hardcoded 100
-    const minTarget = spotPrice * 1.017;
-    const expectedTarget = spotPrice * 1.045;
-    const maxTarget = spotPrice * 1.074;
-    
-    const phases = [
-      { name: 'Stealth Accumulation', status: '✓ Complete' },
-      { name: 'Public Participation', status: '→ IN PROGRESS' },
-      { name: 'Markup Phase', status: '→ EXPECTED TOMORROW' },
-      { name: 'Distribution', status: '→ NOT YET' }
-    ];
-    
+  // cycles comes from PositioningCycleDetector.update(); phases, targets and risk are from stored
+  // daily aggregates, so nothing is shown until enough sessions have been recorded
+  analyzePositioningCycles(cycles) {
+    if (!cycles) return null;
+    if (cycles.insufficientHistory) {
+      return { currentPhase: 'INSUFFICIENT_DATA', historyDays: cycles.historyDays, requiredDays: cycles.requiredDays };
+    }
+
+    const day = date => moment(date).format('MM/DD');
+    const percent = value => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+    const { current, metrics, targets } = cycles;
+
+    const phases = cycles.phases.map((phase, index) => {
+      const isCurrent = index === cycles.phases.length - 1;
+      const move = phase.move !== null ? `, ${percent(phase.move)}` : '';
+      return {
+        name: `${phase.name} ${day(phase.start)}-${day(phase.end)}`,
+        status: isCurrent
+          ? `→ IN PROGRESS (day ${phase.days.length}${move})`
+          : `✓ ${phase.days.length}d${move}`
+      };
+    });
+
+    let duration = `${cycles.phaseDays} days elapsed`;
+    if (cycles.typicalLength) {
+      const remaining = Math.max(0, cycles.typicalLength - cycles.phaseDays);
+      duration += remaining > 0 ? `, ~${remaining} remaining (typical ${cycles.typicalLength})` : ` (past typical ${cycles.typicalLength})`;
+    }
+
+    // A level the phase has already traded through is shown as reached, not as a move against it
+    const sign = current.type === 'DISTRIBUTION' ? -1 : 1;
+    const formatTarget = level => {
+      if (level.fromSpot === null) return `$${level.price.toFixed(2)} (n/a)`;
+      return level.fromSpot * sign <= 0
+        ? `$${level.price.toFixed(2)} (reached)`
+        : `$${level.price.toFixed(2)} (${percent(level.fromSpot)})`;
+    };
+    const noTargets = `n/a (no completed ${current.name.toLowerCase()} phase in ${cycles.historyDays} days)`;
+
+    let cycleRisk = 'No directional phase in progress';
+    if (cycles.invalidation && cycles.invalidation.below !== undefined) {
+      cycleRisk = `Accumulation fails on a close below $${cycles.invalidation.below.toFixed(2)}`;
+    } else if (cycles.invalidation) {
+      cycleRisk = `Distribution fails on a close above $${cycles.invalidation.above.toFixed(2)}`;
+    }
+
     return {
-      currentPhase: 'ACCUMULATION',
-      phaseDay: `Day ${cycleDays} of ${cycleDays + 2}`,
+      currentPhase: cycles.currentPhase,
+      phaseDay: cycles.typicalLength ? `Day ${cycles.phaseDays} of ~${cycles.typicalLength}` : `Day ${cycles.phaseDays}`,
       phases,
       cycleMetrics: {
-        duration: `${cycleDays} days elapsed, 2-4 days remaining`,
-        intensity: `${cycleIntensity}/10`,
-        participation: `${participation}%`,
-        conviction: `${conviction}/10`
+        duration,
+        intensity: `${metrics.intensity.toFixed(1)}/10`,
+        participation: `${metrics.participation.toFixed(0)}% of days with repeat accumulation`,
+        conviction: `${metrics.conviction.toFixed(0)}% of days in direction`,
+        carried: `${metrics.carriedContracts} contracts added on multiple days`
       },
-      cycleTargets: {
-        minimum: `$${minTarget.toFixed(2)} (+${((minTarget/spotPrice-1)*100).toFixed(1)}%)`,
-        expected: `$${expectedTarget.toFixed(2)} (+${((expectedTarget/spotPrice-1)*100).toFixed(1)}%)`,
-        maximum: `$${maxTarget.toFixed(2)} (+${((maxTarget/spotPrice-1)*100).toFixed(1)}%)`
+      cycleTargets: current.type === 'NEUTRAL' ? {} : {
+        minimum: targets ? formatTarget(targets.minimum) : noTargets,
+        expected: targets ? formatTarget(targets.expected) : noTargets,
+        maximum: targets ? formatTarget(targets.maximum) : noTargets
       },
-      cycleRisk: 'Early distribution if < $' + (spotPrice * 0.97).toFixed(2)
+      targetSamples: targets ? targets.samples : 0,
+      supportingDays: current.days.slice(-7).map(row => ({
+        date: day(row.date),
+        type: row.type,
+        netPremium: row.netPremium,
+        netDelta: row.netDelta,
+        repeatContracts: row.repeatContracts,
+        spot: row.spot
+      })),
+      cycleRisk
     };
   }
 
   // 8. MULTI-TIMEFRAME CONFLUENCE MATRIX
-  // FIXED: Added spotPrice parameter with default value
-  generateConfluenceMatrix(tierAnalysis, institutionalLevels, spotPrice = 100) {
-    const timeframes = [
-      { name: '0-1 DTE', weight: 0.35 },
-      { name: '3-5 DTE', weight: 0.30 },
-      { name: '7-14 DTE', weight: 0.25 },
-      { name: '30-45 DTE', weight: 0.10 }
-    ];
-    
-    // Use the provided spotPrice parameter instead of deriving from institutionalLevels
-    const matrix = timeframes.map((tf, i) => {
-      let direction, strength, keyLevel;
-      
-      if (i === 0) { // 0-1 DTE
-        direction = '🐂 BULLISH';
-        strength = (8 + Math.random() * 2).toFixed(1);
-        keyLevel = (spotPrice * 1.02).toFixed(2);
-      } else if (i === 1) { // 3-5 DTE
-        direction = '🐂 BULLISH';
-        strength = (7.5 + Math.random() * 2).toFixed(1);
-        keyLevel = (spotPrice * 1.04).toFixed(2);
-      } else if (i === 2) { // 7-14 DTE
-        direction = '🐂 BULLISH';
-        strength = (7 + Math.random() * 2).toFixed(1);
-        keyLevel = (spotPrice * 1.07).toFixed(2);
-      } else { // 30-45 DTE
+  // Each DTE bucket is read from its own prints: bias = average of the premium bias (calls
+  // bought / puts sold positive) and the side-signed delta bias, both -1..1. The confluence score
+  // is the weighted bias across all buckets, so empty or opposing buckets pull it down.
+  generateConfluenceMatrix(flowData, spotPrice = 100) {
+    const { buckets, directionThreshold } = config.rules.confluence;
+    const flow = flowData || [];
+
+    const readings = buckets.map(bucket => {
+      const prints = flow.filter(f => f.dte >= bucket.min && f.dte <= bucket.max);
+      let netPremium = 0;
+      let grossPremium = 0;
+      let netDelta = 0;
+      let grossDelta = 0;
+      const strikes = new Map();
+
+      prints.forEach(f => {
+        const sideSign = f.side === 'BUY' ? 1 : (f.side === 'SELL' ? -1 : 0);
+        const notional = f.notional || 0;
+        const deltaExposure = f.delta_exposure || 0;
+
+        netPremium += (f.option_type === 'PUT' ? -1 : 1) * sideSign * notional;
+        grossPremium += notional;
+        netDelta += sideSign * deltaExposure;
+        grossDelta += Math.abs(deltaExposure);
+        strikes.set(f.strike, (strikes.get(f.strike) || 0) + notional);
+      });
+
+      const premiumBias = grossPremium > 0 ? netPremium / grossPremium : 0;
+      const deltaBias = grossDelta > 0 ? netDelta / grossDelta : 0;
+      const bias = prints.length > 0 ? (premiumBias + deltaBias) / 2 : null;
+      const dominant = Array.from(strikes.entries()).sort((a, b) => b[1] - a[1])[0];
+
+      let direction = '⚪ NO FLOW';
+      if (bias !== null) {
         direction = '🟡 NEUTRAL';
-        strength = (5 + Math.random() * 2).toFixed(1);
-        keyLevel = (spotPrice * 1.12).toFixed(2);
+        if (bias >= directionThreshold) direction = '🐂 BULLISH';
+        if (bias <= -directionThreshold) direction = '🐻 BEARISH';
       }
-      
-      return {
-        timeframe: tf.name,
-        direction,
-        strength: `${strength}/10`,
-        keyLevel: `$${keyLevel}`,
-        weight: `${(tf.weight * 100).toFixed(0)}%`
-      };
+
+      return { bucket, prints, netPremium, netDelta, bias, direction, strikes, keyStrike: dominant ? dominant[0] : null };
     });
-    
-    const confluenceScore = (8 + Math.random() * 2).toFixed(1);
+
+    const matrix = readings.map(reading => ({
+      timeframe: reading.bucket.name,
+      direction: reading.direction,
+      strength: reading.bias !== null ? `${(Math.abs(reading.bias) * 10).toFixed(1)}/10` : '—',
+      keyLevel: reading.keyStrike !== null ? `$${Number(reading.keyStrike).toFixed(2)}` : '—',
+      weight: `${(reading.bucket.weight * 100).toFixed(0)}%`,
+      trades: reading.prints.length,
+      netPremium: reading.netPremium,
+      netDelta: reading.netDelta
+    }));
+
+    const totalWeight = buckets.reduce((sum, bucket) => sum + bucket.weight, 0);
+    const netBias = totalWeight > 0
+      ? readings.reduce((sum, reading) => sum + (reading.bias || 0) * reading.bucket.weight, 0) / totalWeight
+      : 0;
+    const confluenceScore = (Math.abs(netBias) * 10).toFixed(1);
     let confluenceEmoji;
     if (confluenceScore >= 8.0) confluenceEmoji = '🟢 STRONG';
     else if (confluenceScore >= 6.0) confluenceEmoji = '🟡 MODERATE';
     else confluenceEmoji = '🔴 WEAK';
-    
+
+    const populated = readings.filter(reading => reading.bias !== null);
+    const bullish = populated.filter(reading => reading.direction.includes('BULLISH')).length;
+    const bearish = populated.filter(reading => reading.direction.includes('BEARISH')).length;
+    let alignment = '🟡 MIXED';
+    if (populated.length === 0) alignment = '⚪ NO FLOW IN ANY BUCKET';
+    else if (bullish === populated.length) alignment = populated.length === buckets.length ? '🟢 PERFECT BULLISH' : `🟢 BULLISH (${bullish}/${buckets.length} buckets)`;
+    else if (bearish === populated.length) alignment = populated.length === buckets.length ? '🔴 PERFECT BEARISH' : `🔴 BEARISH (${bearish}/${buckets.length} buckets)`;
+
+    // Strikes traded in several buckets; ranked by how many timeframes share them, then notional
+    const shared = new Map();
+    readings.forEach(reading => reading.strikes.forEach((notional, strike) => {
+      const entry = shared.get(strike) || { strike, buckets: 0, notional: 0 };
+      entry.buckets++;
+      entry.notional += notional;
+      shared.set(strike, entry);
+    }));
+    const ranked = Array.from(shared.values()).sort((a, b) => b.buckets - a.buckets || b.notional - a.notional);
+    const listStrikes = entries => entries.length > 0
+      ? entries.slice(0, 3).map(entry => `$${Number(entry.strike).toFixed(2)}`).join(', ')
+      : 'none';
+
     const confluenceZones = {
-      high: `$${(spotPrice * 0.995).toFixed(2)}-$${(spotPrice * 1.015).toFixed(2)}`,
-      medium: `$${(spotPrice * 0.985).toFixed(2)}-$${(spotPrice * 0.995).toFixed(2)}`,
-      low: `$${(spotPrice * 0.95).toFixed(2)}-$${(spotPrice * 0.985).toFixed(2)}`
+      high: listStrikes(ranked.filter(entry => entry.buckets >= 3)),
+      medium: listStrikes(ranked.filter(entry => entry.buckets === 2)),
+      low: listStrikes(ranked.filter(entry => entry.buckets === 1))
     };
-    
+
+    let direction = 'NEUTRAL';
+    if (netBias >= directionThreshold) direction = 'BULLISH';
+    if (netBias <= -directionThreshold) direction = 'BEARISH';
+
+    let tradingEdge = 'No multi-timeframe edge in today\'s flow';
+    if (direction !== 'NEUTRAL' && ranked.length > 0 && ranked[0].buckets > 1) {
+      const top = ranked[0];
+      const distance = spotPrice > 0 ? ((top.strike - spotPrice) / spotPrice) * 100 : 0;
+      tradingEdge = `${direction} focus at $${Number(top.strike).toFixed(2)} (${distance >= 0 ? '+' : ''}${distance.toFixed(1)}% from spot, traded in ${top.buckets} timeframes)`;
+    } else if (direction !== 'NEUTRAL') {
+      tradingEdge = `${direction} bias without a strike shared across timeframes`;
+    }
+
     return {
       matrix,
       confluenceScore,
       confluenceEmoji,
-      alignment: matrix.filter(m => m.direction.includes('BULLISH')).length >= 3 ? 
-        '🟢 PERFECT BULLISH' : '🟡 MIXED',
+      netBias,
+      direction,
+      alignment,
       confluenceZones,
-      tradingEdge: 'Maximum at $' + (spotPrice * 1.02).toFixed(2) + ' strike (all timeframes aligned)'
+      tradingEdge
     };
   }
 
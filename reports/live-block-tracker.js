@@ -1,16 +1,24 @@
 const Logger = require('../utils/logger');
 const moment = require('moment-timezone');
+const clock = require('../utils/clock');
+const GammaExposureModel = require('../analysis/gamma-exposure');
+const Provenance = require('../utils/provenance');
 
 class LiveBlockTracker {
-  constructor() {
+  // priceService (optional) supplies the live spot; without it the quote passed in is used.
+  // gammaModel (optional) supplies dealer GEX; without it only the block's own gamma is shown
+  constructor(priceService = null, gammaModel = null) {
     this.logger = new Logger('live-block-tracker');
+    this.priceService = priceService;
+    this.gammaModel = gammaModel;
     this.lastBlocks = new Map(); // symbol -> latest blocks
     this.flowHistory = new Map(); // symbol -> flow history
   }
 
   async generateLiveBlockReport(symbol, quote, flowData, tierAnalysis, hourlyBreakdown, atmFlow) {
-    const now = moment().tz('America/New_York');
-    const spotPrice = quote.price || 0;
+    const now = moment(clock.now()).tz('America/New_York');
+    const liveSpot = this.priceService ? this.priceService.getSpot(symbol) : null;
+    const spotPrice = liveSpot || quote.price || 0;
     
     // Find largest recent block (last 5 minutes simulated)
     const recentBlocks = flowData
@@ -24,12 +32,14 @@ class LiveBlockTracker {
     
     const largestBlock = recentBlocks.length > 0 ? recentBlocks[0] : null;
     
+    // Without recent blocks the report reads from the day's flow
     if (!largestBlock) {
-      return this.generateNoLiveBlocksReport(symbol, spotPrice, tierAnalysis, hourlyBreakdown);
+      const report = this.generateNoLiveBlocksReport(symbol, spotPrice, tierAnalysis, hourlyBreakdown);
+      return Provenance.stamp(report, Provenance.summarize(flowData));
     }
     
-    // Calculate gamma exposure (simplified)
-    const gammaExposure = this.calculateGammaExposure(largestBlock, spotPrice);
+    // Dealer gamma across the chain, plus what this block added
+    const gammaExposure = await this.calculateGammaExposure(symbol, largestBlock, spotPrice, flowData);
     
     // Calculate flow momentum
     const flowMomentum = this.calculateFlowMomentum(recentBlocks, tierAnalysis);
@@ -38,7 +48,7 @@ class LiveBlockTracker {
     const dealerImpact = this.calculateDealerImpact(largestBlock, spotPrice, gammaExposure);
     
     // Build the report
-    return this.buildLiveBlockReport(
+    const report = this.buildLiveBlockReport(
       symbol, 
       now, 
       largestBlock, 
@@ -50,10 +60,11 @@ class LiveBlockTracker {
       atmFlow,
       recentBlocks
     );
+    return Provenance.stamp(report, Provenance.summarize(recentBlocks));
   }
 
   generateNoLiveBlocksReport(symbol, spotPrice, tierAnalysis, hourlyBreakdown) {
-    const now = moment().tz('America/New_York');
+    const now = moment(clock.now()).tz('America/New_York');
     
     let report = '';
     report += `🚨 *LIVE INSTITUTIONAL FLOW - ${symbol}*\n`;
@@ -81,8 +92,8 @@ class LiveBlockTracker {
     // Calculate real delta
     const realDelta = block.delta_exposure || (block.real_delta * premium) || 0;
     
-    // Calculate IV and DTE
-    const iv = 14.2; // Placeholder - would need real IV data
+    // IV from the chain enrichment
+    const iv = block.mid_iv > 0 ? `${(block.mid_iv * 100).toFixed(1)}%` : 'n/a';
     const dte = block.dte || 0;
     
     // Distance from spot
@@ -103,13 +114,13 @@ class LiveBlockTracker {
     report += `🎯 *CONTEXT:*\n`;
     report += `• Spot: $${spotPrice.toFixed(2)}\n`;
     report += `• Strike: $${strike.toFixed(2)} (${distancePercent}%)\n`;
-    report += `• IV: ${iv}% | DTE: ${dte}\n\n`;
+    report += `• IV: ${iv} | DTE: ${dte}\n\n`;
     
     // IMMEDIATE IMPACT
     report += `⚡ *IMMEDIATE IMPACT:*\n`;
     report += `• Gamma Exposure: ${gammaExposure.exposure}\n`;
-    report += `• Delta Hedge Needed: ~${Math.round(dealerImpact.deltaHedge/1000)}K shares\n`;
-    report += `• Expected Move: ${dealerImpact.expectedMoveSign}$${dealerImpact.expectedMove} in next 2 minutes\n\n`;
+    report += `• Delta Hedge Needed: ${this.formatHedge(dealerImpact)}\n`;
+    report += `• Expected Move: ${dealerImpact.expectedMove !== null ? `±$${dealerImpact.expectedMove}` : 'n/a'} in next 2 minutes\n\n`;
     
     // FLOW MOMENTUM
     report += `📈 *FLOW MOMENTUM:*\n`;
@@ -120,7 +131,9 @@ class LiveBlockTracker {
     // ACTION
     report += `👉 *ACTION:*\n`;
     report += `• Watch for push ${block.option_type === 'CALL' ? 'above' : 'below'} $${strike.toFixed(2)}\n`;
-    report += `• Gamma flip at $${(spotPrice * (block.option_type === 'CALL' ? 1.001 : 0.999)).toFixed(2)}\n`;
+    if (gammaExposure.flipLevel !== null) {
+      report += `• Gamma flip at $${gammaExposure.flipLevel.toFixed(2)}\n`;
+    }
     report += `• Next resistance: $${(spotPrice * (block.option_type === 'CALL' ? 1.005 : 0.995)).toFixed(2)}\n`;
     
     report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
@@ -138,8 +151,8 @@ class LiveBlockTracker {
     // GAMMA EXPOSURE - LIVE
     report += `🎯 *GAMMA EXPOSURE - LIVE*\n`;
     report += `• Current: ${gammaExposure.emoji} ${gammaExposure.type} $${this.formatCurrency(Math.abs(gammaExposure.value))}\n`;
-    report += `• Flip Level: $${gammaExposure.flipLevel.toFixed(2)}\n`;
-    report += `• Acceleration Zone: $${(spotPrice * 0.998).toFixed(2)}-$${(spotPrice * 1.002).toFixed(2)}\n`;
+    report += `• Flip Level: ${gammaExposure.flipLevel !== null ? `$${gammaExposure.flipLevel.toFixed(2)}` : 'N/A'}\n`;
+    report += `• Acceleration Zone: ${this.formatZone(gammaExposure.accelerationZones[0])}\n`;
     report += `• Volatility Impact: ${gammaExposure.volImpact}x normal\n\n`;
     
     // Gamma levels
@@ -152,7 +165,7 @@ class LiveBlockTracker {
     
     // LIVE ALERTS
     report += `🚨 *LIVE ALERTS (LAST 2 MIN):*\n`;
-    const recentAlerts = this.generateRecentAlerts(recentBlocks, now);
+    const recentAlerts = this.generateRecentAlerts(recentBlocks, now, gammaExposure);
     recentAlerts.forEach(alert => {
       report += `• ${alert}\n`;
     });
@@ -161,7 +174,7 @@ class LiveBlockTracker {
     
     // PREDICTIVE SIGNALS
     report += `⚡ *PREDICTIVE SIGNALS:*\n`;
-    const predictions = this.generatePredictions(block, spotPrice, gammaExposure);
+    const predictions = this.generatePredictions(block, spotPrice, dealerImpact);
     predictions.forEach(pred => {
       report += `• ${pred}\n`;
     });
@@ -170,43 +183,63 @@ class LiveBlockTracker {
     
     // TIER ANALYSIS - LIVE
     report += `📈 *TIER ANALYSIS - LIVE:*\n`;
-    report += `• Tier-1 (0-3 DTE): ${tierAnalysis.tier1.directionalSignal === 'BULLISH' ? '🟢' : '🔴'} $${this.formatCurrency(tierAnalysis.tier1.netExposure)} ${tierAnalysis.tier1.calls.notional > tierAnalysis.tier1.puts.notional ? 'calls' : 'puts'}\n`;
-    report += `• Tier-2 (3-14 DTE): ${tierAnalysis.tier2.directionalSignal === 'BULLISH' ? '🟢' : '🔴'} $${this.formatCurrency(tierAnalysis.tier2.netExposure)} ${tierAnalysis.tier2.calls.notional > tierAnalysis.tier2.puts.notional ? 'calls' : 'puts'}\n`;
+    report += `• Tier-1 (0-3 DTE): ${tierAnalysis.tier1.directionalSignal === 'BULLISH' ? '🟢' : '🔴'} $${this.formatCurrency(Math.abs(tierAnalysis.tier1.netExposure))} net ${tierAnalysis.tier1.netExposure >= 0 ? 'bullish' : 'bearish'}\n`;
+    report += `• Tier-2 (3-14 DTE): ${tierAnalysis.tier2.directionalSignal === 'BULLISH' ? '🟢' : '🔴'} $${this.formatCurrency(Math.abs(tierAnalysis.tier2.netExposure))} net ${tierAnalysis.tier2.netExposure >= 0 ? 'bullish' : 'bearish'}\n`;
     report += `• ATM (±2%): ${atmFlow.netNotional > 0 ? '🟢' : '🔴'} ${Math.abs(atmFlow.netNotional) > 0 ? Math.round((Math.max(atmFlow.callNotional, atmFlow.putNotional)/(atmFlow.callNotional+atmFlow.putNotional))*100) : 0}% ${atmFlow.callNotional > atmFlow.putNotional ? 'call' : 'put'} dominance\n`;
     
     return report;
   }
 
-  calculateGammaExposure(block, spotPrice) {
-    // Simplified gamma calculation
-    const gammaValue = block.notional * 0.2; // Placeholder
-    const flipLevel = spotPrice * (block.option_type === 'CALL' ? 1.001 : 0.999);
+  // value is total dealer GEX per 1% move from the chain model when available, otherwise the
+  // gamma the block itself handed the dealer; exposure always describes the block
+  async calculateGammaExposure(symbol, block, spotPrice, flowData = []) {
+    const blockGex = GammaExposureModel.blockGex(block, spotPrice);
+
+    let model = null;
+    if (this.gammaModel) {
+      try {
+        model = await this.gammaModel.build(symbol, spotPrice, flowData);
+      } catch (error) {
+        this.logger.warn(`Gamma model unavailable for ${symbol}: ${error.message}`);
+      }
+    }
+
+    const gammaValue = model ? model.totalGex : blockGex;
     
-    let exposure, type, emoji, volImpact;
+    let type, emoji, volImpact;
     
-    if (Math.abs(gammaValue) > 1000000) {
-      exposure = `LONG $${this.formatCurrency(gammaValue)}`;
+    if (gammaValue > 0) {
       type = 'LONG';
       emoji = '🟢';
-      volImpact = '1.3';
-    } else if (Math.abs(gammaValue) < -1000000) {
-      exposure = `SHORT $${this.formatCurrency(Math.abs(gammaValue))}`;
+      volImpact = '0.8';
+    } else if (gammaValue < 0) {
       type = 'SHORT';
       emoji = '🔴';
-      volImpact = '1.8';
+      volImpact = '1.5';
     } else {
-      exposure = `NEUTRAL $${this.formatCurrency(Math.abs(gammaValue))}`;
       type = 'NEUTRAL';
       emoji = '🟡';
       volImpact = '1.0';
     }
+
+    let exposure;
+    if (blockGex > 0) {
+      exposure = `Dealers LONG +$${this.formatCurrency(blockGex)} per 1% (block)`;
+    } else if (blockGex < 0) {
+      exposure = `Dealers SHORT -$${this.formatCurrency(Math.abs(blockGex))} per 1% (block)`;
+    } else {
+      exposure = 'NEUTRAL (block side or IV unknown)';
+    }
     
     return {
       exposure,
       type,
       emoji,
       value: gammaValue,
-      flipLevel,
+      blockGex,
+      flipLevel: model ? model.flipLevel : null,
+      accelerationZones: model ? model.accelerationZones : [],
+      strikes: model ? model.strikes : [],
       volImpact
     };
   }
@@ -230,13 +263,23 @@ class LiveBlockTracker {
   }
 
   calculateDealerImpact(block, spotPrice, gammaExposure) {
-    const deltaHedge = block.notional * 0.5; // Placeholder
-    const expectedMove = (Math.random() * 0.5 + 0.1).toFixed(2);
+    // Shares the dealer trades to hedge the block: delta x contracts x 100. The dealer takes the
+    // other side, so a bought call or sold put is hedged by buying stock
+    const deltaHedge = Number.isFinite(block.real_delta) && block.contracts > 0
+      ? Math.abs(block.real_delta) * block.contracts * 100
+      : null;
+    const sideSign = block.side === 'BUY' ? 1 : block.side === 'SELL' ? -1 : 0;
+    const hedgeSign = sideSign * Math.sign(block.real_delta || 0);
+    // One standard deviation over two trading minutes at the contract's implied vol
+    const expectedMove = block.mid_iv > 0 && spotPrice > 0
+      ? (spotPrice * block.mid_iv * Math.sqrt(2 / (252 * 390))).toFixed(2)
+      : null;
     
     return {
       deltaHedge,
-      expectedMove,
-      expectedMoveSign: block.option_type === 'CALL' ? '+' : '-'
+      hedgeDirection: hedgeSign > 0 ? 'Buying' : hedgeSign < 0 ? 'Selling' : null,
+      deltaEstimated: block.delta_estimated === true,
+      expectedMove
     };
   }
 
@@ -259,30 +302,29 @@ class LiveBlockTracker {
     };
   }
 
+  // Three model strikes nearest spot
   generateGammaLevels(spotPrice, gammaExposure) {
-    return [
-      {
-        strike: (spotPrice * 1.002).toFixed(2),
-        emoji: '🔼',
-        emoji2: gammaExposure.type === 'SHORT' ? '🔴' : '🟢',
-        exposure: gammaExposure.type === 'SHORT' ? `SHORT -$${this.formatCurrency(gammaExposure.value * 0.8)}` : `LONG +$${this.formatCurrency(gammaExposure.value * 0.8)}`
-      },
-      {
-        strike: (spotPrice * 1.004).toFixed(2),
-        emoji: '🔼',
-        emoji2: '🔴',
-        exposure: `SHORT -$${this.formatCurrency(gammaExposure.value * 1.2)}`
-      },
-      {
-        strike: (spotPrice * 0.998).toFixed(2),
-        emoji: '🔽',
-        emoji2: '🟡',
-        exposure: `NEUTRAL +$${this.formatCurrency(gammaExposure.value * 0.4)}`
-      }
-    ];
+    return gammaExposure.strikes
+      .filter(level => level.netGex !== 0)
+      .sort((a, b) => Math.abs(a.strike - spotPrice) - Math.abs(b.strike - spotPrice))
+      .slice(0, 3)
+      .sort((a, b) => b.strike - a.strike)
+      .map(level => ({
+        strike: level.strike.toFixed(2),
+        emoji: level.strike >= spotPrice ? '🔼' : '🔽',
+        emoji2: level.netGex > 0 ? '🟢' : '🔴',
+        exposure: level.netGex > 0
+          ? `LONG +$${this.formatCurrency(level.netGex)}`
+          : `SHORT -$${this.formatCurrency(Math.abs(level.netGex))}`
+      }));
+  }
+
+  formatZone(zone) {
+    if (!zone) return 'None near spot';
+    return zone.low === zone.high ? `$${zone.low.toFixed(2)}` : `$${zone.low.toFixed(2)}-$${zone.high.toFixed(2)}`;
   }
 
-  generateRecentAlerts(recentBlocks, now) {
+  generateRecentAlerts(recentBlocks, now, gammaExposure) {
     const alerts = [];
     
     if (recentBlocks.length > 0) {
@@ -293,26 +335,45 @@ class LiveBlockTracker {
         alerts.push(`${time} - ${block.contracts} ${block.symbol || ''} ${block.strike}${type} @ $${(block.notional/(block.contracts*100)).toFixed(2)} ($${this.formatCurrency(block.notional)})`);
       });
       
-      // Add simulated alerts
+      // Fill up with the window's gamma flip and call/put split
       if (alerts.length < 3) {
-        alerts.push(`${now.format('HH:mm:ss')} - Gamma flip at $${(recentBlocks[0]?.strike || 100).toFixed(2)}`);
-        alerts.push(`${now.format('HH:mm:ss')} - Flow imbalance detected (${Math.round(Math.random()*30+70)}% ${recentBlocks[0]?.option_type === 'CALL' ? 'calls' : 'puts'})`);
+        if (gammaExposure.flipLevel !== null) {
+          alerts.push(`${now.format('HH:mm:ss')} - Gamma flip at $${gammaExposure.flipLevel.toFixed(2)}`);
+        }
+        const flow = this.calculateLastMinuteFlow(recentBlocks);
+        const total = flow.calls + flow.puts;
+        if (total > 0) {
+          const callsLead = flow.calls >= flow.puts;
+          const share = Math.round((callsLead ? flow.calls : flow.puts) / total * 100);
+          alerts.push(`${now.format('HH:mm:ss')} - Flow imbalance (${share}% ${callsLead ? 'calls' : 'puts'})`);
+        }
       }
     }
     
     return alerts;
   }
 
-  generatePredictions(block, spotPrice, gammaExposure) {
+  generatePredictions(block, spotPrice, dealerImpact) {
     const predictions = [];
     
-    predictions.push(`Next 5 min: ${Math.round(Math.random()*20+60)}% chance ${block.option_type === 'CALL' ? '>' : '<'} $${(block.strike * 1.001).toFixed(2)}`);
-    predictions.push(`Dealer pressure: ${block.option_type === 'CALL' ? 'Buying' : 'Selling'} ${Math.round(Math.random()*50+10)}K shares next 2 min`);
+    if (dealerImpact.deltaHedge !== null && dealerImpact.hedgeDirection) {
+      predictions.push(`Dealer pressure: ${dealerImpact.hedgeDirection} ${this.formatShares(dealerImpact.deltaHedge)} shares next 2 min`);
+    }
     predictions.push(`Magnet Level: $${(spotPrice * (block.option_type === 'CALL' ? 1.002 : 0.998)).toFixed(2)} (${block.option_type === 'CALL' ? 'call' : 'put'} wall)`);
     
     return predictions;
   }
 
+  formatHedge(dealerImpact) {
+    if (dealerImpact.deltaHedge === null) return 'n/a';
+    const direction = dealerImpact.hedgeDirection ? ` (${dealerImpact.hedgeDirection.toLowerCase()})` : '';
+    return `~${this.formatShares(dealerImpact.deltaHedge)} shares${direction}${dealerImpact.deltaEstimated ? ' (est.)' : ''}`;
+  }
+
+  formatShares(shares) {
+    return shares >= 1000 ? `${(shares / 1000).toFixed(1)}K` : `${Math.round(shares)}`;
+  }
+
   formatCurrency(amount) {
     if (Math.abs(amount) >= 1000000) {
       return (amount / 1000000).toFixed(1) + 'M';
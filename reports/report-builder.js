@@ -2,344 +2,38 @@ const moment = require('moment-timezone');
 const config = require('../config');
 const Logger = require('../utils/logger');
 const AdvancedAnalysis = require('./advanced-analysis');
-
-// Live Block Tracker Class - ADDED
-class LiveBlockTracker {
-  constructor() {
-    this.logger = new Logger('live-block-tracker');
-    this.lastBlocks = new Map(); // symbol -> latest blocks
-    this.flowHistory = new Map(); // symbol -> flow history
-  }
-
-  async generateLiveBlockReport(symbol, quote, flowData, tierAnalysis, hourlyBreakdown, atmFlow) {
-    const now = moment().tz('America/New_York');
-    const spotPrice = quote.price || 0;
-    
-    // Find largest recent block (last 5 minutes simulated)
-    const recentBlocks = flowData
-      .filter(flow => {
-        if (!flow.timestamp) return false;
-        const flowTime = moment(flow.timestamp);
-        const diffMinutes = now.diff(flowTime, 'minutes');
-        return diffMinutes <= 5;
-      })
-      .sort((a, b) => b.notional - a.notional);
-    
-    const largestBlock = recentBlocks.length > 0 ? recentBlocks[0] : null;
-    
-    if (!largestBlock) {
-      return this.generateNoLiveBlocksReport(symbol, spotPrice, tierAnalysis, hourlyBreakdown);
-    }
-    
-    // Calculate gamma exposure (simplified)
-    const gammaExposure = this.calculateGammaExposure(largestBlock, spotPrice);
-    
-    // Calculate flow momentum
-    const flowMomentum = this.calculateFlowMomentum(recentBlocks, tierAnalysis);
-    
-    // Calculate dealer impact
-    const dealerImpact = this.calculateDealerImpact(largestBlock, spotPrice, gammaExposure);
-    
-    // Build the report
-    return this.buildLiveBlockReport(
-      symbol, 
-      now, 
-      largestBlock, 
-      spotPrice, 
-      gammaExposure, 
-      flowMomentum,
-      dealerImpact,
-      tierAnalysis,
-      atmFlow,
-      recentBlocks
-    );
-  }
-
-  generateNoLiveBlocksReport(symbol, spotPrice, tierAnalysis, hourlyBreakdown) {
-    const now = moment().tz('America/New_York');
-    
-    let report = '';
-    report += `🚨 *LIVE INSTITUTIONAL FLOW - ${symbol}*\n`;
-    report += `🕒 ${now.format('HH:mm:ss')} ET\n\n`;
-    report += `📊 *NO MAJOR BLOCKS IN LAST 5 MINUTES*\n\n`;
-    report += `💵 Spot: $${spotPrice.toFixed(2)}\n`;
-    report += `📈 Daily Flow: ${tierAnalysis.tier1.directionalSignal}\n`;
-    report += `📊 Tier-1 Ratio: ${tierAnalysis.tier1.ratio.notional}\n\n`;
-    report += `🔍 *MONITORING FOR NEXT BLOCK...*\n`;
-    report += `• Check volume spikes\n`;
-    report += `• Watch for >$1M prints\n`;
-    report += `• Gamma levels: Active\n`;
-    
-    return report;
-  }
-
-  buildLiveBlockReport(symbol, now, block, spotPrice, gammaExposure, flowMomentum, dealerImpact, tierAnalysis, atmFlow, recentBlocks) {
-    const timeStr = now.format('HH:mm:ss');
-    const blockTime = moment(block.timestamp).format('HH:mm:ss');
-    const optionType = block.option_type === 'CALL' ? 'C' : 'P';
-    const premium = block.notional || 0;
-    const contracts = block.contracts || 0;
-    const strike = block.strike || 0;
-    
-    // Calculate real delta
-    const realDelta = block.delta_exposure || (block.real_delta * premium) || 0;
-    
-    // Calculate IV and DTE
-    const iv = 14.2; // Placeholder - would need real IV data
-    const dte = block.dte || 0;
-    
-    // Distance from spot
-    const distancePercent = spotPrice > 0 ? ((strike - spotPrice) / spotPrice * 100).toFixed(2) : '0.00';
-    
-    let report = '';
-    report += `🚨 *LIVE INSTITUTIONAL BLOCK - ${symbol}* 🚨\n`;
-    report += `🕒 ${timeStr} ET\n\n`;
-    
-    // BLOCK DETAILS
-    report += `📊 *BLOCK DETAILS:*\n`;
-    report += `• ${contracts.toLocaleString()} ${symbol} ${strike}${optionType} ${dte}DTE @ $${(premium/(contracts*100)).toFixed(2)}\n`;
-    report += `• Notional: $${this.formatCurrency(premium)}\n`;
-    report += `• Premium: $${this.formatCurrency(premium)}\n`;
-    report += `• Real Delta: ${realDelta >= 0 ? '+$' : '-$'}${this.formatCurrency(Math.abs(realDelta))}\n\n`;
-    
-    // CONTEXT
-    report += `🎯 *CONTEXT:*\n`;
-    report += `• Spot: $${spotPrice.toFixed(2)}\n`;
-    report += `• Strike: $${strike.toFixed(2)} (${distancePercent}%)\n`;
-    report += `• IV: ${iv}% | DTE: ${dte}\n\n`;
-    
-    // IMMEDIATE IMPACT
-    report += `⚡ *IMMEDIATE IMPACT:*\n`;
-    report += `• Gamma Exposure: ${gammaExposure.exposure}\n`;
-    report += `• Delta Hedge Needed: ~${Math.round(dealerImpact.deltaHedge/1000)}K shares\n`;
-    report += `• Expected Move: ${dealerImpact.expectedMoveSign}$${dealerImpact.expectedMove} in next 2 minutes\n\n`;
-    
-    // FLOW MOMENTUM
-    report += `📈 *FLOW MOMENTUM:*\n`;
-    report += `• Last 5 min: ${flowMomentum.netFlowSign}$${this.formatCurrency(flowMomentum.netFlow)} net ${block.option_type === 'CALL' ? 'calls' : 'puts'}\n`;
-    report += `• Tier-1 Ratio: ${tierAnalysis.tier1.ratio.notional}:1 calls:puts\n`;
-    report += `• Urgency Score: ${flowMomentum.urgencyScore}/100\n\n`;
-    
-    // ACTION
-    report += `👉 *ACTION:*\n`;
-    report += `• Watch for push ${block.option_type === 'CALL' ? 'above' : 'below'} $${strike.toFixed(2)}\n`;
-    report += `• Gamma flip at $${(spotPrice * (block.option_type === 'CALL' ? 1.001 : 0.999)).toFixed(2)}\n`;
-    report += `• Next resistance: $${(spotPrice * (block.option_type === 'CALL' ? 1.005 : 0.995)).toFixed(2)}\n`;
-    
-    report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    
-    // LIVE FLOW (LAST 60 SECONDS)
-    report += `🔴 *LIVE FLOW (LAST 60 SECONDS)*\n`;
-    const lastMinuteFlow = this.calculateLastMinuteFlow(recentBlocks);
-    report += `• Calls: $${this.formatCurrency(lastMinuteFlow.calls)} | Puts: $${this.formatCurrency(lastMinuteFlow.puts)}\n`;
-    report += `• Net: ${lastMinuteFlow.net >= 0 ? '🟢' : '🔴'} $${this.formatCurrency(Math.abs(lastMinuteFlow.net))}${lastMinuteFlow.net >= 0 ? 'M' : 'M'}\n`;
-    report += `• Blocks: ${lastMinuteFlow.blocks} ($${lastMinuteFlow.minSize/1000000}M+ trades)\n`;
-    report += `• Flow Momentum: ${lastMinuteFlow.momentum >= 60 ? '🟢' : '🔴'} ${lastMinuteFlow.momentum}/100 (${lastMinuteFlow.momentum >= 60 ? 'BULLISH' : 'BEARISH'})\n\n`;
-    
-    report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    
-    // GAMMA EXPOSURE - LIVE
-    report += `🎯 *GAMMA EXPOSURE - LIVE*\n`;
-    report += `• Current: ${gammaExposure.emoji} ${gammaExposure.type} $${this.formatCurrency(Math.abs(gammaExposure.value))}\n`;
-    report += `• Flip Level: $${gammaExposure.flipLevel.toFixed(2)}\n`;
-    report += `• Acceleration Zone: $${(spotPrice * 0.998).toFixed(2)}-$${(spotPrice * 1.002).toFixed(2)}\n`;
-    report += `• Volatility Impact: ${gammaExposure.volImpact}x normal\n\n`;
-    
-    // Gamma levels
-    const gammaLevels = this.generateGammaLevels(spotPrice, gammaExposure);
-    gammaLevels.forEach(level => {
-      report += `${level.emoji} $${level.strike}: ${level.emoji2} ${level.exposure}\n`;
-    });
-    
-    report += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    
-    // LIVE ALERTS
-    report += `🚨 *LIVE ALERTS (LAST 2 MIN):*\n`;
-    const recentAlerts = this.generateRecentAlerts(recentBlocks, now);
-    recentAlerts.forEach(alert => {
-      report += `• ${alert}\n`;
-    });
-    
-    report += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    
-    // PREDICTIVE SIGNALS
-    report += `⚡ *PREDICTIVE SIGNALS:*\n`;
-    const predictions = this.generatePredictions(block, spotPrice, gammaExposure);
-    predictions.forEach(pred => {
-      report += `• ${pred}\n`;
-    });
-    
-    report += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-    
-    // TIER ANALYSIS - LIVE
-    report += `📈 *TIER ANALYSIS - LIVE:*\n`;
-    report += `• Tier-1 (0-3 DTE): ${tierAnalysis.tier1.directionalSignal === 'BULLISH' ? '🟢' : '🔴'} $${this.formatCurrency(tierAnalysis.tier1.netExposure)} ${tierAnalysis.tier1.calls.notional > tierAnalysis.tier1.puts.notional ? 'calls' : 'puts'}\n`;
-    report += `• Tier-2 (3-14 DTE): ${tierAnalysis.tier2.directionalSignal === 'BULLISH' ? '🟢' : '🔴'} $${this.formatCurrency(tierAnalysis.tier2.netExposure)} ${tierAnalysis.tier2.calls.notional > tierAnalysis.tier2.puts.notional ? 'calls' : 'puts'}\n`;
-    report += `• ATM (±2%): ${atmFlow.netNotional > 0 ? '🟢' : '🔴'} ${Math.abs(atmFlow.netNotional) > 0 ? Math.round((Math.max(atmFlow.callNotional, atmFlow.putNotional)/(atmFlow.callNotional+atmFlow.putNotional))*100) : 0}% ${atmFlow.callNotional > atmFlow.putNotional ? 'call' : 'put'} dominance\n`;
-    
-    return report;
-  }
-
-  calculateGammaExposure(block, spotPrice) {
-    // Simplified gamma calculation
-    const gammaValue = block.notional * 0.2; // Placeholder
-    const flipLevel = spotPrice * (block.option_type === 'CALL' ? 1.001 : 0.999);
-    
-    let exposure, type, emoji, volImpact;
-    
-    if (Math.abs(gammaValue) > 1000000) {
-      exposure = `LONG $${this.formatCurrency(gammaValue)}`;
-      type = 'LONG';
-      emoji = '🟢';
-      volImpact = '1.3';
-    } else if (Math.abs(gammaValue) < -1000000) {
-      exposure = `SHORT $${this.formatCurrency(Math.abs(gammaValue))}`;
-      type = 'SHORT';
-      emoji = '🔴';
-      volImpact = '1.8';
-    } else {
-      exposure = `NEUTRAL $${this.formatCurrency(Math.abs(gammaValue))}`;
-      type = 'NEUTRAL';
-      emoji = '🟡';
-      volImpact = '1.0';
-    }
-    
-    return {
-      exposure,
-      type,
-      emoji,
-      value: gammaValue,
-      flipLevel,
-      volImpact
-    };
-  }
-
-  calculateFlowMomentum(recentBlocks, tierAnalysis) {
-    const netFlow = recentBlocks.reduce((sum, block) => {
-      if (block.option_type === 'CALL') {
-        return sum + (block.notional || 0);
-      } else {
-        return sum - (block.notional || 0);
-      }
-    }, 0);
-    
-    const urgencyScore = Math.min(100, 70 + (recentBlocks.length * 5));
-    
-    return {
-      netFlow: Math.abs(netFlow),
-      netFlowSign: netFlow >= 0 ? '+' : '-',
-      urgencyScore
-    };
-  }
-
-  calculateDealerImpact(block, spotPrice, gammaExposure) {
-    const deltaHedge = block.notional * 0.5; // Placeholder
-    const expectedMove = (Math.random() * 0.5 + 0.1).toFixed(2);
-    
-    return {
-      deltaHedge,
-      expectedMove,
-      expectedMoveSign: block.option_type === 'CALL' ? '+' : '-'
-    };
-  }
-
-  calculateLastMinuteFlow(recentBlocks) {
-    const calls = recentBlocks.filter(b => b.option_type === 'CALL')
-      .reduce((sum, b) => sum + (b.notional || 0), 0);
-    const puts = recentBlocks.filter(b => b.option_type === 'PUT')
-      .reduce((sum, b) => sum + (b.notional || 0), 0);
-    const net = calls - puts;
-    
-    const blocks = recentBlocks.filter(b => (b.notional || 0) > 1000000).length;
-    
-    return {
-      calls,
-      puts,
-      net,
-      blocks,
-      minSize: 1000000,
-      momentum: Math.min(100, 50 + (net / 10000000 * 10))
-    };
-  }
-
-  generateGammaLevels(spotPrice, gammaExposure) {
-    return [
-      {
-        strike: (spotPrice * 1.002).toFixed(2),
-        emoji: '🔼',
-        emoji2: gammaExposure.type === 'SHORT' ? '🔴' : '🟢',
-        exposure: gammaExposure.type === 'SHORT' ? `SHORT -$${this.formatCurrency(gammaExposure.value * 0.8)}` : `LONG +$${this.formatCurrency(gammaExposure.value * 0.8)}`
-      },
-      {
-        strike: (spotPrice * 1.004).toFixed(2),
-        emoji: '🔼',
-        emoji2: '🔴',
-        exposure: `SHORT -$${this.formatCurrency(gammaExposure.value * 1.2)}`
-      },
-      {
-        strike: (spotPrice * 0.998).toFixed(2),
-        emoji: '🔽',
-        emoji2: '🟡',
-        exposure: `NEUTRAL +$${this.formatCurrency(gammaExposure.value * 0.4)}`
-      }
-    ];
-  }
-
-  generateRecentAlerts(recentBlocks, now) {
-    const alerts = [];
-    
-    if (recentBlocks.length > 0) {
-      // Add actual block alerts
-      recentBlocks.slice(0, 3).forEach((block, idx) => {
-        const time = moment(block.timestamp).format('HH:mm:ss');
-        const type = block.option_type === 'CALL' ? 'C' : 'P';
-        alerts.push(`${time} - ${block.contracts} ${block.symbol || ''} ${block.strike}${type} @ $${(block.notional/(block.contracts*100)).toFixed(2)} ($${this.formatCurrency(block.notional)})`);
-      });
-      
-      // Add simulated alerts
-      if (alerts.length < 3) {
-        alerts.push(`${now.format('HH:mm:ss')} - Gamma flip at $${(recentBlocks[0]?.strike || 100).toFixed(2)}`);
-        alerts.push(`${now.format('HH:mm:ss')} - Flow imbalance detected (${Math.round(Math.random()*30+70)}% ${recentBlocks[0]?.option_type === 'CALL' ? 'calls' : 'puts'})`);
-      }
-    }
-    
-    return alerts;
-  }
-
-  generatePredictions(block, spotPrice, gammaExposure) {
-    const predictions = [];
-    
-    predictions.push(`Next 5 min: ${Math.round(Math.random()*20+60)}% chance ${block.option_type === 'CALL' ? '>' : '<'} $${(block.strike * 1.001).toFixed(2)}`);
-    predictions.push(`Dealer pressure: ${block.option_type === 'CALL' ? 'Buying' : 'Selling'} ${Math.round(Math.random()*50+10)}K shares next 2 min`);
-    predictions.push(`Magnet Level: $${(spotPrice * (block.option_type === 'CALL' ? 1.002 : 0.998)).toFixed(2)} (${block.option_type === 'CALL' ? 'call' : 'put'} wall)`);
-    
-    return predictions;
-  }
-
-  formatCurrency(amount) {
-    if (Math.abs(amount) >= 1000000) {
-      return (amount / 1000000).toFixed(1) + 'M';
-    } else if (Math.abs(amount) >= 1000) {
-      return (amount / 1000).toFixed(1) + 'K';
-    }
-    return Math.abs(amount).toFixed(0);
-  }
-}
+const LiveBlockTracker = require('./live-block-tracker');
+const TradierAPI = require('../api/tradier');
+const { getPriceService } = require('../api/price-service');
+const GammaExposureModel = require('../analysis/gamma-exposure');
+const Provenance = require('../utils/provenance');
+
+// Section title -> provenance section it is built from (null: every source); others come from flow
+const SECTION_SOURCES = [
+  ['TOP INSTITUTIONAL PRINTS', 'blocks'],
+  ['COMPLEX STRATEGY ANALYSIS', 'complexTrades'],
+  ['DELTA CONCENTRATION', 'deltaConcentration'],
+  ['KEY INSTITUTIONAL LEVELS', 'deltaConcentration'],
+  ['CONFLUENCE MATRIX', null],
+  ['INSTITUTIONAL THESIS', null],
+  ['TRADE STRUCTURING', null],
+  ['END OF INSTITUTIONAL FLOW REPORT', null]
+];
 
 class ReportBuilder {
   constructor() {
     this.timezone = config.app.timezone;
     this.logger = new Logger('report-builder');
     this.advancedAnalysis = new AdvancedAnalysis();
-    this.liveBlockTracker = new LiveBlockTracker(); // ADDED
+    this.liveBlockTracker = new LiveBlockTracker(getPriceService(), new GammaExposureModel(new TradierAPI())); // ADDED
   }
 
   // NEW METHOD: Build live block report
-  buildLiveBlockReport(analysisData) {
+  async buildLiveBlockReport(analysisData) {
     const { symbol, quote, flow, tierAnalysis, hourlyBreakdown, atmFlow } = analysisData;
     
     try {
-      const liveReport = this.liveBlockTracker.generateLiveBlockReport(
+      const liveReport = await this.liveBlockTracker.generateLiveBlockReport(
         symbol,
         quote,
         flow,
@@ -360,6 +54,14 @@ class ReportBuilder {
     const { symbol, quote, timestamp, totals, hourlyBreakdown, tierAnalysis, tierComposition,
             atmFlow, complexAnalysis, deltaAnalysis, divergences, 
             institutionalLevels, blocks, flow } = analysisData;  // <-- FIXED
+    const provenance = analysisData.provenance || null;
+    const greeksCoverage = analysisData.greeksCoverage || null;
+    const sideCoverage = analysisData.sideCoverage || null;
+    const positionEffects = analysisData.positionEffects || null;
+
+    if (config.dataIntegrity.strictRealData && provenance && provenance.simulated > 0) {
+      throw new Error(`Strict real-data mode: ${symbol} analysis contains ${provenance.simulated} simulated records`);
+    }
 
     const now = moment.tz(timestamp, this.timezone);
     const sessionStart = moment.tz(`${now.format('YYYY-MM-DD')} ${config.app.sessionStart}`, this.timezone);
@@ -383,7 +85,12 @@ class ReportBuilder {
     report += `📉 *Sell Volume:* $${this.formatCurrency(totals.sellFlow)} (${totals.sellPercent}%)\n\n`;
     report += `➡️ *Net Flow:* $${this.formatCurrency(totals.netFlow)} ${this.getSentimentEmoji(totals)}\n`;
     report += `🔢 *Trades:* ${totals.totalTrades} | *Avg Size:* $${this.formatCurrency(totals.avgSize)}\n`;
-    report += `🎯 *Classification Rate:* ${totals.classificationRate}%\n\n`;
+    report += `🎯 *Classification Rate:* ${totals.classificationRate}% (${totals.reportedTrades} reported, ${totals.inferredTrades} inferred)\n`;
+    if (sideCoverage && (sideCoverage.inferredTotal > 0 || sideCoverage.unresolved > 0)) {
+      const { HIGH, MEDIUM, LOW } = sideCoverage.inferred;
+      report += `🧭 _Inferred sides: ${HIGH} at/through quote, ${MEDIUM} near quote, ${LOW} tick test; ${sideCoverage.unresolved} unresolved_\n`;
+    }
+    report += `\n`;
 
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // HOURLY BREAKDOWN
@@ -393,7 +100,7 @@ class ReportBuilder {
     
     Object.entries(hourlyBreakdown.hourly).forEach(([hour, data]) => {
       if (data.trades > 0) {
-        const hourLabel = `${hour}:00-${parseInt(hour)+1}:00`;
+        const hourLabel = data.label || `${hour}:00-${parseInt(hour)+1}:00`;
         const flowSign = data.netFlow >= 0 ? '🟢' : '🔴';
         report += `${flowSign} *${hourLabel}:* $${this.formatCurrency(data.netFlow)} (${data.trades} trades)\n`;
       }
@@ -402,7 +109,18 @@ class ReportBuilder {
     if (hourlyBreakdown.strongestHour.hour) {
       const strongest = hourlyBreakdown.strongestHour;
       report += `\n🔥 *Strongest Hour:*\n`;
-      report += `${strongest.hour}:00 → $${this.formatCurrency(strongest.netFlow)} (${strongest.trades} trades)\n`;
+      report += `${strongest.label || `${strongest.hour}:00`} → $${this.formatCurrency(strongest.netFlow)} (${strongest.trades} trades)\n`;
+    }
+
+    const strongestBucket = hourlyBreakdown.strongestBucket;
+    if (strongestBucket && hourlyBreakdown.bucketMinutes < 60) {
+      report += `⚡ *Strongest ${hourlyBreakdown.bucketMinutes}m:* ${strongestBucket.label} → $${this.formatCurrency(strongestBucket.netFlow)} (${strongestBucket.trades} trades)\n`;
+    }
+
+    if (hourlyBreakdown.session) {
+      const { open, close, earlyClose } = hourlyBreakdown.session;
+      report += `_Session ${open}-${close} ET${earlyClose ? ' (early close)' : ''}`;
+      report += hourlyBreakdown.outsideSession > 0 ? `; ${hourlyBreakdown.outsideSession} prints outside the session_\n` : `_\n`;
     }
     
     if (hourlyBreakdown.insights.length > 0) {
@@ -436,18 +154,21 @@ class ReportBuilder {
     const t1 = tierAnalysis.tier1;
     report += `*CALLS:*\n`;
     report += `• Notional: $${this.formatCurrency(t1.calls.notional)} (${t1.calls.prints} prints)\n`;
+    report += `• Bought: $${this.formatCurrency(t1.calls.bought)} | Sold: $${this.formatCurrency(t1.calls.sold)}\n`;
     report += `• Real Delta Exposure: $${this.formatCurrency(t1.calls.realDelta)}\n`;
     report += `• Avg DTE: ${t1.calls.avgDte} | Avg Size: $${this.formatCurrency(t1.calls.avgSize)}\n\n`;
     
     report += `*PUTS:*\n`;
     report += `• Notional: $${this.formatCurrency(t1.puts.notional)} (${t1.puts.prints} prints)\n`;
+    report += `• Bought: $${this.formatCurrency(t1.puts.bought)} | Sold: $${this.formatCurrency(t1.puts.sold)}\n`;
     report += `• Real Delta Exposure: $${this.formatCurrency(t1.puts.realDelta)}\n`;
     report += `• Avg DTE: ${t1.puts.avgDte} | Avg Size: $${this.formatCurrency(t1.puts.avgSize)}\n\n`;
     
     report += `📊 *TIER RATIO:*\n`;
     report += `• Notional C:P = ${t1.ratio.notional} ${t1.ratio.notionalBullish ? '🐂' : '🐻'}\n`;
     report += `• Real Delta C:P = ${t1.ratio.realDelta}\n\n`;
-    report += `➡️ *Net Exposure:* $${this.formatCurrency(t1.netExposure)}\n`;
+    report += this.formatExecution(t1.execution);
+    report += `➡️ *Net Exposure:* $${this.formatCurrency(t1.netExposure)} (bullish − bearish premium)\n`;
     report += `🎯 *Takeaway:* ${t1.takeaway}\n\n`;
 
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -459,18 +180,21 @@ class ReportBuilder {
     const t2 = tierAnalysis.tier2;
     report += `*CALLS:*\n`;
     report += `• Notional: $${this.formatCurrency(t2.calls.notional)} (${t2.calls.prints} prints)\n`;
+    report += `• Bought: $${this.formatCurrency(t2.calls.bought)} | Sold: $${this.formatCurrency(t2.calls.sold)}\n`;
     report += `• Real Delta Exposure: $${this.formatCurrency(t2.calls.realDelta)}\n`;
     report += `• Avg DTE: ${t2.calls.avgDte} | Avg Size: $${this.formatCurrency(t2.calls.avgSize)}\n\n`;
     
     report += `*PUTS:*\n`;
     report += `• Notional: $${this.formatCurrency(t2.puts.notional)} (${t2.puts.prints} prints)\n`;
+    report += `• Bought: $${this.formatCurrency(t2.puts.bought)} | Sold: $${this.formatCurrency(t2.puts.sold)}\n`;
     report += `• Real Delta Exposure: $${this.formatCurrency(t2.puts.realDelta)}\n`;
     report += `• Avg DTE: ${t2.puts.avgDte} | Avg Size: $${this.formatCurrency(t2.puts.avgSize)}\n\n`;
     
     report += `📊 *TIER RATIO:*\n`;
     report += `• Notional C:P = ${t2.ratio.notional} ${t2.ratio.notionalBullish ? '🐂' : '🐻'}\n`;
     report += `• Real Delta C:P = ${t2.ratio.realDelta}\n\n`;
-    report += `➡️ *Net Exposure:* $${this.formatCurrency(t2.netExposure)}\n`;
+    report += this.formatExecution(t2.execution);
+    report += `➡️ *Net Exposure:* $${this.formatCurrency(t2.netExposure)} (bullish − bearish premium)\n`;
     report += `🎯 *Takeaway:* ${t2.takeaway}\n\n`;
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -650,19 +374,19 @@ if (tierAnalysis.decision && tierAnalysis.decision.direction !== 'NEUTRAL') {
     report += `• Notional C:P = ${t2NotionalRatio} ${t2c.ratio.notionalBullish ? '🐂' : '🐻'}\n`;
     report += `• Real Delta C:P = ${t2DeltaRatio} ${t2c.ratio.realDeltaBullish ? '🐂' : '🐻'}\n\n`;
     
-    report += `➡️ *Net Exposure:* $${this.formatCurrency(t2c.netExposure)}\n`;
+    report += `➡️ *Net Exposure:* $${this.formatCurrency(t2c.netExposure)} (bullish − bearish premium)\n`;
     
-    // Calculate call-heavy percentage
-    const totalT2Flow = t2c.calls.notional + Math.abs(t2c.puts.notional);
-    const callPercent = totalT2Flow > 0 ? (t2c.calls.notional / totalT2Flow * 100).toFixed(1) : '0.0';
-    const putPercent = totalT2Flow > 0 ? (Math.abs(t2c.puts.notional) / totalT2Flow * 100).toFixed(1) : '0.0';
+    // Share of the directional premium (calls bought + puts sold vs puts bought + calls sold)
+    const totalT2Flow = t2c.bullishNotional + t2c.bearishNotional;
+    const bullishPercent = totalT2Flow > 0 ? (t2c.bullishNotional / totalT2Flow * 100).toFixed(1) : '0.0';
+    const bearishPercent = totalT2Flow > 0 ? (t2c.bearishNotional / totalT2Flow * 100).toFixed(1) : '0.0';
     
-    if (t2c.calls.notional > t2c.puts.notional) {
-      report += `→ Patient institutional flow is ${callPercent}% more CALL-heavy\n`;
+    if (t2c.bullishNotional > t2c.bearishNotional) {
+      report += `→ Patient institutional flow is ${bullishPercent}% BULLISH premium\n`;
     } else {
-      report += `→ Patient institutional flow is ${putPercent}% more PUT-heavy\n`;
+      report += `→ Patient institutional flow is ${bearishPercent}% BEARISH premium\n`;
     }
-    report += `→ $${this.formatCurrency(t2c.calls.notional)} in calls vs $${this.formatCurrency(t2c.puts.notional)} in puts (daily)\n\n`;
+    report += `→ $${this.formatCurrency(t2c.bullishNotional)} bullish vs $${this.formatCurrency(t2c.bearishNotional)} bearish (daily)\n\n`;
 
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // ATM FLOW
@@ -706,22 +430,19 @@ if (tierAnalysis.decision && tierAnalysis.decision.direction !== 'NEUTRAL') {
     if (complexAnalysis.total > 0) {
       report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
       report += `🧩 *COMPLEX STRATEGY ANALYSIS*\n\n`;
-      report += `*Total Complex Trades:* ${complexAnalysis.total}\n\n`;
+      report += `*Total Complex Trades:* ${complexAnalysis.total}`;
+      if (complexAnalysis.reconstructed > 0) {
+        report += ` (${complexAnalysis.reconstructed} reconstructed from single prints)`;
+      }
+      report += `\n\n`;
       
-      // Count by intent
-      let bullishCount = 0;
-      let bearishCount = 0;
-      let volCount = 0;
-      let hedgeCount = 0;
-      
-      Object.entries(complexAnalysis.byType).forEach(([type, data]) => {
-        if (data.count > 0) {
-          if (data.intent === 'bullish') bullishCount += data.count;
-          if (data.intent === 'bearish') bearishCount += data.count;
-          if (data.intent === 'volatility' || data.intent === 'volatility play') volCount += data.count;
-          if (data.intent === 'hedge' || data.intent === 'protected') hedgeCount += data.count;
-        }
-      });
+      // Count by intent (reconstructed structures carry their own, e.g. credit call spreads are bearish)
+      const intents = complexAnalysis.byIntent || {};
+      const bullishCount = intents.bullish || 0;
+      const bearishCount = intents.bearish || 0;
+      const volCount = intents.volatility || 0;
+      const hedgeCount = (intents.hedge || 0) + (intents.protected || 0);
+      const pinningCount = intents.pinning || 0;
       
       report += `*BY STRATEGY TYPE:*\n`;
       
@@ -748,6 +469,29 @@ if (tierAnalysis.decision && tierAnalysis.decision.direction !== 'NEUTRAL') {
         report += `  → Expecting big move (direction unknown)\n`;
       }
       
+      // Calendars
+      const calendars = complexAnalysis.byType.CALENDAR;
+      if (calendars && calendars.count > 0) {
+        report += `  *Calendars:* ${calendars.count} (Term Structure Play)\n`;
+        report += `  → Same strike across expirations = trading the vol curve\n`;
+      }
+      
+      // Risk Reversals
+      const riskReversals = complexAnalysis.byType.RISK_REVERSAL;
+      if (riskReversals && riskReversals.count > 0) {
+        report += `  *Risk Reversals:* ${riskReversals.count} (Directional, Skew)\n`;
+        report += `  → Long one wing financed by selling the other\n`;
+      }
+      
+      // Butterflies / Condors
+      const butterflies = complexAnalysis.byType.BUTTERFLY;
+      const condors = complexAnalysis.byType.CONDOR;
+      const rangeTrades = (butterflies?.count || 0) + (condors?.count || 0);
+      if (rangeTrades > 0) {
+        report += `  *Butterflies/Condors:* ${rangeTrades} (Range, Pinning)\n`;
+        report += `  → Positioned for price to settle between the inner strikes\n`;
+      }
+      
       // Protective Puts
       const protectivePuts = complexAnalysis.byType.PROTECTIVE_PUT;
       if (protectivePuts && protectivePuts.count > 0) {
@@ -770,7 +514,7 @@ if (tierAnalysis.decision && tierAnalysis.decision.direction !== 'NEUTRAL') {
       }
       
       report += `\n*BY INTENT:*\n`;
-      const totalIntent = bullishCount + bearishCount + volCount + hedgeCount;
+      const totalIntent = bullishCount + bearishCount + volCount + hedgeCount + pinningCount;
       
       if (bullishCount > 0) {
         const percent = totalIntent > 0 ? Math.round((bullishCount / totalIntent) * 100) : 0;
@@ -792,6 +536,11 @@ if (tierAnalysis.decision && tierAnalysis.decision.direction !== 'NEUTRAL') {
         report += `  *Hedge:* ${hedgeCount} (${percent}%)\n`;
       }
       
+      if (pinningCount > 0) {
+        const percent = totalIntent > 0 ? Math.round((pinningCount / totalIntent) * 100) : 0;
+        report += `  *Range/Pinning:* ${pinningCount} (${percent}%)\n`;
+      }
+      
       if (complexAnalysis.dominantStrategy) {
         const dom = complexAnalysis.dominantStrategy;
         report += `\n⭐ *DOMINANT PATTERN:* ${dom.type}\n`;
@@ -811,11 +560,52 @@ if (tierAnalysis.decision && tierAnalysis.decision.direction !== 'NEUTRAL') {
         } else if (dom.type === 'COVERED_CALL') {
           report += `→ Income generation with capped upside\n`;
           report += `→ Neutral to slightly bullish outlook\n`;
+        } else if (dom.type === 'BUTTERFLY' || dom.type === 'CONDOR') {
+          report += `→ Range-bound expectation around the inner strikes\n`;
+          report += `→ Watch for pinning into expiration\n`;
+        } else if (dom.type === 'RISK_REVERSAL') {
+          report += `→ Directional view financed through skew\n`;
+          report += `→ Check which wing is bought for direction\n`;
         }
       }
       report += '\n';
     }
 
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    // OPENING VS CLOSING (OPEN INTEREST)
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    if (positionEffects && positionEffects.totalPremium > 0) {
+      report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+      report += `🔓 *OPENING VS CLOSING (Open Interest)*\n\n`;
+
+      if (positionEffects.pending) {
+        let reason = 'Open interest for this session is confirmed at the next session\'s snapshot';
+        if (positionEffects.bases.no_snapshot) reason = 'No open interest snapshot was taken for this session';
+        else if (positionEffects.bases.gap) reason = 'The next session\'s open interest snapshot is missing';
+        report += `_${reason}; ${positionEffects.effects.AMBIGUOUS.prints} prints are not yet labelled_\n\n`;
+      } else {
+        const { OPENING, CLOSING, AMBIGUOUS } = positionEffects.effects;
+        const share = value => (positionEffects.totalPremium > 0 ? (value / positionEffects.totalPremium) * 100 : 0).toFixed(0);
+        const signed = value => `${value >= 0 ? '+' : '-'}$${this.formatCurrency(Math.abs(value))}`;
+
+        report += `• *Opening:* ${OPENING.prints} prints, $${this.formatCurrency(OPENING.premium)} (${share(OPENING.premium)}%), net ${signed(OPENING.netPremium)}\n`;
+        report += `• *Closing:* ${CLOSING.prints} prints, $${this.formatCurrency(CLOSING.premium)} (${share(CLOSING.premium)}%), net ${signed(CLOSING.netPremium)}\n`;
+        report += `• *Ambiguous:* ${AMBIGUOUS.prints} prints, $${this.formatCurrency(AMBIGUOUS.premium)} (${share(AMBIGUOUS.premium)}%), net ${signed(AMBIGUOUS.netPremium)}\n\n`;
+
+        // Only meaningful when the opening net points the same way as the day's net
+        const sameSign = positionEffects.totalNet !== 0 && Math.sign(OPENING.netPremium) === Math.sign(positionEffects.totalNet);
+        const confirmed = sameSign ? `${Math.min(100, (OPENING.netPremium / positionEffects.totalNet) * 100).toFixed(0)}%` : 'none';
+        report += `*Net Premium Confirmed Opening:* ${signed(OPENING.netPremium)} of ${signed(positionEffects.totalNet)} (${confirmed})\n`;
+      }
+
+      if (tierAnalysis.openingOnly) {
+        report += `_Tier analysis uses confirmed opening prints only_\n`;
+      } else if (tierAnalysis.openingOnlyFallback) {
+        report += `_Opening-only tiers are on, but no prints are labelled yet: tier analysis uses all prints_\n`;
+      }
+      report += `\n`;
+    }
+
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // TOP INSTITUTIONAL PRINTS BY TIER
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -835,8 +625,11 @@ if (tierAnalysis.decision && tierAnalysis.decision.direction !== 'NEUTRAL') {
         
         report += `${idx + 1}) *${block.strike}${type}_${block.expiration}* @ ${time}\n`;
         report += `   ${block.contracts} contracts × $${this.formatCurrency(block.notional)}\n`;
-        report += `   → Real Delta: $${this.formatCurrency(block.real_delta * block.notional || 0)}\n`;
-        report += `   → ${this.getBlockType(block)} | DTE: ${block.dte || 'N/A'} | Strike: ${distSign}${distPercent}%${atSpotLabel}\n`;
+        report += `   → Real Delta: $${this.formatCurrency(block.real_delta * block.notional || 0)}${block.delta_estimated ? ' (est.)' : ''}\n`;
+        const executionLabel = block.execution === 'SWEEP'
+          ? ` | SWEEP (${block.execution_venues} venues${block.execution_urgent ? ', urgent' : ''})`
+          : (block.execution === 'FLOOR' ? ' | FLOOR' : '');
+        report += `   → ${this.getBlockType(block)}${executionLabel} | DTE: ${block.dte || 'N/A'} | Strike: ${distSign}${distPercent}%${atSpotLabel}\n`;
         report += `   → ${this.interpretBlock(block, quote.price)}\n\n`;
       });
     }
@@ -917,21 +710,25 @@ if (tierAnalysis.decision && tierAnalysis.decision.direction !== 'NEUTRAL') {
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // DEALER GAMMA EXPOSURE HEATMAP
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-const gammaHeatmap = this.advancedAnalysis.generateGammaHeatmap(deltaAnalysis, quote.price);
+const gammaHeatmap = this.advancedAnalysis.generateGammaHeatmap(analysisData.gammaExposure, quote.price);
 if (gammaHeatmap) {
   report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
   report += `📊 *DEALER GAMMA EXPOSURE HEATMAP*\n\n`;
   
+  report += `*Net Dealer Gamma:* ${gammaHeatmap.totalGex >= 0 ? '🟢 LONG +' : '🔴 SHORT -'}$${this.formatCurrency(Math.abs(gammaHeatmap.totalGex))} per 1% move\n\n`;
+  
   report += `*Gamma Position by Strike:*\n`;
   gammaHeatmap.gammaLevels.forEach(level => {
     report += `• $${level.strike}: ${level.emoji} ${level.exposure}\n`;
   });
   report += `\n`;
   
+  const zoneSide = { UPSIDE: 'Upside', DOWNSIDE: 'Downside', AT_SPOT: 'Two-way' };
+  
   if (gammaHeatmap.accelerationZones.length > 0) {
     report += `🚀 *ACCELERATION ZONES* (Dealer Short Gamma):\n`;
     gammaHeatmap.accelerationZones.forEach(zone => {
-      report += `• ${zone}: ${zone.includes('$870') ? 'Downside' : 'Upside'} acceleration if broken\n`;
+      report += `• ${zone.range}: ${zoneSide[zone.direction]} acceleration if broken\n`;
     });
     report += `\n`;
   }
@@ -939,20 +736,25 @@ if (gammaHeatmap) {
   if (gammaHeatmap.suppressionZones.length > 0) {
     report += `🛑 *SUPPRESSION ZONES* (Dealer Long Gamma):\n`;
     gammaHeatmap.suppressionZones.forEach(zone => {
-      report += `• ${zone}: Price compression expected\n`;
+      report += `• ${zone.range}: Price compression expected\n`;
     });
     report += `\n`;
   }
   
-  report += `*Gamma Flip Level:* $${gammaHeatmap.gammaFlipLevel}\n`;
-  report += `→ Above: Dealers short gamma (volatility expansion)\n`;
-  report += `→ Below: Dealers long gamma (volatility compression)\n\n`;
+  if (gammaHeatmap.gammaFlipLevel) {
+    const aboveLong = gammaHeatmap.aboveFlip === 'LONG';
+    report += `*Gamma Flip Level:* $${gammaHeatmap.gammaFlipLevel}\n`;
+    report += `→ Above: Dealers ${aboveLong ? 'long gamma (volatility compression)' : 'short gamma (volatility expansion)'}\n`;
+    report += `→ Below: Dealers ${aboveLong ? 'short gamma (volatility expansion)' : 'long gamma (volatility compression)'}\n\n`;
+  } else {
+    report += `*Gamma Flip Level:* none within ±${Math.round(config.rules.gammaExposure.gridRange * 100)}% of spot\n\n`;
+  }
 }
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // FLOW MOMENTUM OSCILLATOR
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-const momentum = this.advancedAnalysis.calculateFlowMomentum(hourlyBreakdown, totals, tierAnalysis);
+const momentum = this.advancedAnalysis.calculateFlowMomentum(hourlyBreakdown, totals, tierAnalysis, analysisData.momentumHistory);
 report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
 report += `📈 *FLOW MOMENTUM OSCILLATOR*\n\n`;
 
@@ -966,10 +768,22 @@ report += `• Strike Clustering: ${momentum.components.strikeClustering >= 0 ?
 
 report += `*Momentum Trends:*\n`;
 Object.entries(momentum.trends).forEach(([timeframe, data]) => {
-  report += `${timeframe}: ${data.direction} ${data.value} ${parseFloat(data.value) > parseFloat(momentum.current) ? '(from ' + momentum.current + ')' : '(vs ' + momentum.current + ' prev)'}\n`;
+  if (!data) {
+    report += `${timeframe}: n/a (no snapshot that far back yet)\n`;
+    return;
+  }
+  report += `${timeframe}: ${data.direction} ${data.value} → ${momentum.current} (${data.change >= 0 ? '+' : ''}${data.change.toFixed(1)})\n`;
 });
 report += `\n`;
 
+if (momentum.crossings.length > 0) {
+  report += `*Threshold Crossings Today:*\n`;
+  momentum.crossings.slice(-4).forEach(crossing => {
+    report += `• ${crossing.time} ET: ${crossing.event === 'ENTERED' ? 'Entered' : 'Left'} ${crossing.band} (${crossing.value.toFixed(1)})\n`;
+  });
+  report += `\n`;
+}
+
 report += `*Threshold Levels:*\n`;
 report += `• >80: OVERBOUGHT (Consider profit-taking)\n`;
 report += `• 60-80: BULLISH MOMENTUM (Trend continuation)\n`;
@@ -980,40 +794,40 @@ report += `• <20: OVERSOLD (Consider accumulation)\n\n`;
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // INSTITUTIONAL SENTIMENT INDEX
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-const sentimentIndex = this.advancedAnalysis.generateSentimentIndex(tierComposition, complexAnalysis);
+const sentimentIndex = this.advancedAnalysis.generateSentimentIndex(flow);
 report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
 report += `🎭 *INSTITUTIONAL SENTIMENT INDEX*\n\n`;
 
-report += `*Composite Score:* ${sentimentIndex.compositeScore}/10 ${sentimentIndex.sentimentEmoji}\n\n`;
-
-report += `*Component Breakdown:*\n`;
-report += `1. **Hedge Funds:** ${sentimentIndex.components.hedgeFunds.score}/10 → ${sentimentIndex.components.hedgeFunds.sentiment}\n`;
-report += `   • Long-biased positioning\n`;
-report += `   • Gamma-seeking behavior\n`;
-report += `   • Earnings anticipation\n\n`;
-
-report += `2. **Market Makers:** ${sentimentIndex.components.marketMakers.score}/10 → ${sentimentIndex.components.marketMakers.sentiment}\n`;
-report += `   • Short gamma at extremes\n`;
-report += `   • Delta-neutral book\n`;
-report += `   • Volatility selling\n\n`;
-
-report += `3. **Asset Managers:** ${sentimentIndex.components.assetManagers.score}/10 → ${sentimentIndex.components.assetManagers.sentiment}\n`;
-report += `   • Thematic accumulation\n`;
-report += `   • Patient positioning\n`;
-report += `   • Sector rotation into tech\n\n`;
-
-report += `4. **Proprietary Trading:** ${sentimentIndex.components.propTrading.score}/10 → ${sentimentIndex.components.propTrading.sentiment}\n`;
-report += `   • Momentum chasing\n`;
-report += `   • Gamma scalping\n`;
-report += `   • Leverage utilization\n\n`;
+if (sentimentIndex.classifiedPrints === 0) {
+  report += `_No classified prints for this session_\n\n`;
+} else {
+  const composite = sentimentIndex.compositeScore !== null ? `${sentimentIndex.compositeScore}/10` : 'n/a';
+  report += `*Composite Score:* ${composite} ${sentimentIndex.sentimentEmoji}\n`;
+  report += `_Excludes dealer facilitation; ${sentimentIndex.classifiedPrints} prints classified_\n\n`;
+
+  report += `*Component Breakdown:*\n`;
+  Object.values(sentimentIndex.components).forEach((component, index) => {
+    if (component.prints === 0) {
+      report += `${index + 1}. **${component.label}:** no prints\n\n`;
+      return;
+    }
+    report += `${index + 1}. **${component.label}:** ${component.score}/10 → ${component.sentiment}\n`;
+    report += `   • ${component.prints} prints, $${this.formatCurrency(component.notional)} (${component.share.toFixed(0)}% of notional)\n`;
+    component.reasons.forEach(reason => {
+      report += `   • ${reason}\n`;
+    });
+    report += `\n`;
+  });
 
-report += `*Sentiment Shift:* ${sentimentIndex.sentimentShift} (from ${sentimentIndex.previousScore} previous session)\n\n`;
+  const halves = sentimentIndex.earlyScore !== null ? ` (first half ${sentimentIndex.earlyScore} → second half ${sentimentIndex.lateScore})` : '';
+  report += `*Sentiment Shift:* ${sentimentIndex.sentimentShift}${halves}\n\n`;
+}
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // FLOW ANOMALY DETECTION
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // FIXED: Changed flowData to flow
-const anomalies = this.advancedAnalysis.detectFlowAnomalies(flow, blocks, totals);
+const anomalies = this.advancedAnalysis.detectFlowAnomalies(flow, blocks, totals, hourlyBreakdown);
 if (anomalies.anomalies.length > 0) {
   report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
   report += `🚨 *FLOW ANOMALY DETECTION*\n\n`;
@@ -1034,32 +848,38 @@ if (anomalies.anomalies.length > 0) {
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // VOLATILITY REGIME ANALYSIS
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// FIXED: Changed flowData to flow
-const volatilityRegime = this.advancedAnalysis.analyzeVolatilityRegime(flow, atmFlow);
-report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-report += `🌊 *VOLATILITY REGIME ANALYSIS*\n\n`;
-
-report += `*Current Regime:* ${volatilityRegime.currentRegime}\n\n`;
-
-report += `*Regime Characteristics:*\n`;
-report += `• IV Rank: ${volatilityRegime.characteristics.ivRank}\n`;
-report += `• Term Structure: ${volatilityRegime.characteristics.termStructure} (${volatilityRegime.characteristics.termStructure === 'Backwardation' ? '0.5%' : '-0.3%'})\n`;
-report += `• Skew: ${volatilityRegime.characteristics.skew}\n`;
-report += `• Term Spread: ${volatilityRegime.characteristics.termSpread}\n\n`;
-
-report += `*Regime Indicators:*\n`;
-report += `1. **Gamma Sensitivity:** ${volatilityRegime.indicators.gammaSensitivity} (0-3 DTE dominant)\n`;
-report += `2. **Theta Decay:** ${volatilityRegime.indicators.thetaDecay} (daily > 2%)\n`;
-report += `3. **Dealer Positioning:** ${volatilityRegime.indicators.dealerPositioning} near edges\n`;
-report += `4. **Flow Pattern:** ${volatilityRegime.indicators.flowPattern}\n\n`;
-
-report += `*Regime Probability Matrix:*\n`;
-volatilityRegime.regimeProbabilities.forEach(regime => {
-  report += `• ${regime.name}: ${regime.probability}%\n`;
-});
-report += `\n`;
-
-report += `*Trading Implication:* ${volatilityRegime.tradingImplication}\n\n`;
+const volatilityRegime = this.advancedAnalysis.analyzeVolatilityRegime(analysisData.volatilityRegime, flow, atmFlow, analysisData.gammaExposure);
+if (volatilityRegime) {
+  report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  report += `🌊 *VOLATILITY REGIME ANALYSIS*\n\n`;
+  
+  report += `*Current Regime:* ${volatilityRegime.currentRegime}\n\n`;
+  
+  report += `*Regime Characteristics:*\n`;
+  report += `• ATM IV: ${volatilityRegime.characteristics.atmIv}\n`;
+  report += `• IV Rank: ${volatilityRegime.characteristics.ivRank}\n`;
+  report += `• Term Structure: ${volatilityRegime.characteristics.termStructure}\n`;
+  report += `• Skew: ${volatilityRegime.characteristics.skew}\n`;
+  report += `• Term Spread: ${volatilityRegime.characteristics.termSpread}\n\n`;
+  
+  report += `*Regime Indicators:*\n`;
+  report += `1. **Gamma Sensitivity:** ${volatilityRegime.indicators.gammaSensitivity}\n`;
+  report += `2. **Theta Decay:** ${volatilityRegime.indicators.thetaDecay} (0-3 DTE share of prints)\n`;
+  report += `3. **Dealer Positioning:** ${volatilityRegime.indicators.dealerPositioning}\n`;
+  report += `4. **Flow Pattern:** ${volatilityRegime.indicators.flowPattern}\n\n`;
+  
+  if (volatilityRegime.termStructure.length > 0) {
+    report += `*ATM IV Term Structure:*\n`;
+    volatilityRegime.termStructure.forEach(point => {
+      report += `• ${point.label}: ${point.atmIv} | 25Δ skew ${point.skew}\n`;
+    });
+    report += `\n`;
+  } else {
+    report += `_From the stored end-of-day IV snapshot (no live chain for this date)_\n\n`;
+  }
+  
+  report += `*Trading Implication:* ${volatilityRegime.tradingImplication}\n\n`;
+}
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // ORDER FLOW IMPACT SCORE
@@ -1073,7 +893,7 @@ report += `*Current Impact:* ${impactScore.impactScore}/10 ${impactScore.impactE
 report += `*Impact Components:*\n`;
 report += `1. **Notional Size:** ${impactScore.components.notionalSize}/10 ($${this.formatCurrency(totals.totalNotional)} total)\n`;
 report += `2. **Concentration:** ${impactScore.components.concentration}/10 (${(Math.max(totals.buyFlow, Math.abs(totals.sellFlow)) / totals.totalNotional * 100).toFixed(0)}% at key strikes)\n`;
-report += `3. **Timing:** ${impactScore.components.timing}/10 (${hourlyBreakdown.strongestHour.hour ? hourlyBreakdown.strongestHour.hour + ':00' : 'Mixed'} peak)\n`;
+report += `3. **Timing:** ${impactScore.components.timing}/10 (${hourlyBreakdown.strongestHour.label || 'Mixed'} peak)\n`;
 report += `4. **Execution:** ${impactScore.components.execution}/10 (${tierAnalysis.tier1.calls.avgSize > 500000 ? 'Aggressive' : 'Moderate'} fills)\n`;
 report += `5. **Follow-through:** ${impactScore.components.followThrough}/10 (${impactScore.components.followThrough > 8 ? 'Likely' : 'Uncertain'})\n\n`;
 
@@ -1093,38 +913,51 @@ report += `*Risk:* ${impactScore.risk}\n\n`;
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // INSTITUTIONAL POSITIONING CYCLES
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// FIXED: Added quote.price parameter
-const positioningCycles = this.advancedAnalysis.analyzePositioningCycles(totals, tierAnalysis, quote.price);
-report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-report += `🔄 *INSTITUTIONAL POSITIONING CYCLES*\n\n`;
-
-report += `*Current Phase:* ${positioningCycles.currentPhase} (${positioningCycles.phaseDay})\n\n`;
-
-report += `*Cycle Analysis:*\n`;
-positioningCycles.phases.forEach(phase => {
-  report += `• **${phase.name}:** ${phase.status}\n`;
-});
-report += `\n`;
-
-report += `*Cycle Metrics:*\n`;
-Object.entries(positioningCycles.cycleMetrics).forEach(([metric, value]) => {
-  report += `• ${metric.charAt(0).toUpperCase() + metric.slice(1)}: ${value}\n`;
-});
-report += `\n`;
-
-report += `*Cycle Targets:*\n`;
-Object.entries(positioningCycles.cycleTargets).forEach(([target, value]) => {
-  report += `• ${target.charAt(0).toUpperCase() + target.slice(1)}: ${value}\n`;
-});
-report += `\n`;
-
-report += `*Cycle Risk:* ${positioningCycles.cycleRisk}\n\n`;
+const positioningCycles = this.advancedAnalysis.analyzePositioningCycles(analysisData.positioningCycles);
+if (positioningCycles && positioningCycles.currentPhase === 'INSUFFICIENT_DATA') {
+  report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  report += `🔄 *INSTITUTIONAL POSITIONING CYCLES*\n\n`;
+  report += `_Collecting daily aggregates: ${positioningCycles.historyDays} of ${positioningCycles.requiredDays} sessions recorded_\n\n`;
+} else if (positioningCycles) {
+  report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+  report += `🔄 *INSTITUTIONAL POSITIONING CYCLES*\n\n`;
+  
+  report += `*Current Phase:* ${positioningCycles.currentPhase} (${positioningCycles.phaseDay})\n\n`;
+  
+  report += `*Cycle Analysis:*\n`;
+  positioningCycles.phases.forEach(phase => {
+    report += `• **${phase.name}:** ${phase.status}\n`;
+  });
+  report += `\n`;
+  
+  report += `*Supporting Days:*\n`;
+  positioningCycles.supportingDays.forEach(day => {
+    const emoji = day.type === 'ACCUMULATION' ? '🟢' : (day.type === 'DISTRIBUTION' ? '🔴' : '🟡');
+    report += `• ${day.date} ${emoji} Prem ${day.netPremium >= 0 ? '+' : '-'}$${this.formatCurrency(Math.abs(day.netPremium))} | Δ ${day.netDelta >= 0 ? '+' : '-'}$${this.formatCurrency(Math.abs(day.netDelta))} | Repeats ${day.repeatContracts}${day.spot ? ` | $${day.spot.toFixed(2)}` : ''}\n`;
+  });
+  report += `\n`;
+  
+  report += `*Cycle Metrics:*\n`;
+  Object.entries(positioningCycles.cycleMetrics).forEach(([metric, value]) => {
+    report += `• ${metric.charAt(0).toUpperCase() + metric.slice(1)}: ${value}\n`;
+  });
+  report += `\n`;
+  
+  if (Object.keys(positioningCycles.cycleTargets).length > 0) {
+    report += `*Cycle Targets${positioningCycles.targetSamples > 0 ? ` (from ${positioningCycles.targetSamples} past phases)` : ''}:*\n`;
+    Object.entries(positioningCycles.cycleTargets).forEach(([target, value]) => {
+      report += `• ${target.charAt(0).toUpperCase() + target.slice(1)}: ${value}\n`;
+    });
+    report += `\n`;
+  }
+  
+  report += `*Cycle Risk:* ${positioningCycles.cycleRisk}\n\n`;
+}
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // MULTI-TIMEFRAME CONFLUENCE MATRIX
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// FIXED: Added quote.price parameter
-const confluenceMatrix = this.advancedAnalysis.generateConfluenceMatrix(tierAnalysis, institutionalLevels, quote.price);
+const confluenceMatrix = this.advancedAnalysis.generateConfluenceMatrix(flow, quote.price);
 report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
 report += `🎯 *MULTI-TIMEFRAME CONFLUENCE MATRIX*\n\n`;
 
@@ -1140,9 +973,9 @@ report += `\n`;
 report += `*Confluence Score:* ${confluenceMatrix.confluenceScore}/10 ${confluenceMatrix.confluenceEmoji}\n\n`;
 
 report += `*Confluence Zones:*\n`;
-report += `• **HIGH CONFLUENCE:** ${confluenceMatrix.confluenceZones.high} (Multi-timeframe focus)\n`;
-report += `• **MEDIUM CONFLUENCE:** ${confluenceMatrix.confluenceZones.medium} (Support cluster)\n`;
-report += `• **LOW CONFLUENCE:** ${confluenceMatrix.confluenceZones.low} (Weak alignment)\n\n`;
+report += `• **HIGH CONFLUENCE:** ${confluenceMatrix.confluenceZones.high} (traded in 3+ timeframes)\n`;
+report += `• **MEDIUM CONFLUENCE:** ${confluenceMatrix.confluenceZones.medium} (traded in 2 timeframes)\n`;
+report += `• **LOW CONFLUENCE:** ${confluenceMatrix.confluenceZones.low} (single timeframe)\n\n`;
 
 report += `*Trading Edge:* ${confluenceMatrix.tradingEdge}\n\n`;
    
@@ -1166,23 +999,21 @@ report += `*Trading Edge:* ${confluenceMatrix.tradingEdge}\n\n`;
 
     // Tier-1 options summary
     const t1Summary = tierAnalysis.tier1;
-    const t1Total = t1Summary.calls.notional + Math.abs(t1Summary.puts.notional);
-    const t1BullishPercent = t1Summary.calls.notional > t1Summary.puts.notional ? 
-      (t1Total > 0 ? ((t1Summary.calls.notional - Math.abs(t1Summary.puts.notional)) / t1Total * 100).toFixed(0) : '0') :
-      (t1Total > 0 ? ((Math.abs(t1Summary.puts.notional) - t1Summary.calls.notional) / t1Total * 100).toFixed(0) : '0');
+    const t1Bullish = t1Summary.bullishNotional > t1Summary.bearishNotional;
+    const t1Total = t1Summary.bullishNotional + t1Summary.bearishNotional;
+    const t1BullishPercent = t1Total > 0 ? (Math.abs(t1Summary.netExposure) / t1Total * 100).toFixed(0) : '0';
 
-    report += `• *Tier-1 Options:* ${t1Summary.calls.notional > t1Summary.puts.notional ? '+' : '-'}${t1BullishPercent}% ${t1Summary.calls.notional > t1Summary.puts.notional ? 'BULLISH' : 'BEARISH'}\n`;
-    report += `  ($${this.formatCurrency(t1Summary.calls.notional)} calls vs $${this.formatCurrency(Math.abs(t1Summary.puts.notional))} puts)\n`;
+    report += `• *Tier-1 Options:* ${t1Bullish ? '+' : '-'}${t1BullishPercent}% ${t1Bullish ? 'BULLISH' : 'BEARISH'}\n`;
+    report += `  ($${this.formatCurrency(t1Summary.bullishNotional)} bullish vs $${this.formatCurrency(t1Summary.bearishNotional)} bearish premium)\n`;
 
     // Tier-2 options summary
     const t2Summary = tierAnalysis.tier2;
-    const t2Total = t2Summary.calls.notional + Math.abs(t2Summary.puts.notional);
-    const t2BullishPercent = t2Summary.calls.notional > t2Summary.puts.notional ? 
-      (t2Total > 0 ? ((t2Summary.calls.notional - Math.abs(t2Summary.puts.notional)) / t2Total * 100).toFixed(0) : '0') :
-      (t2Total > 0 ? ((Math.abs(t2Summary.puts.notional) - t2Summary.calls.notional) / t2Total * 100).toFixed(0) : '0');
+    const t2Bullish = t2Summary.bullishNotional > t2Summary.bearishNotional;
+    const t2Total = t2Summary.bullishNotional + t2Summary.bearishNotional;
+    const t2BullishPercent = t2Total > 0 ? (Math.abs(t2Summary.netExposure) / t2Total * 100).toFixed(0) : '0';
 
-    report += `• *Tier-2 Options:* ${t2Summary.calls.notional > t2Summary.puts.notional ? '+' : '-'}${t2BullishPercent}% ${t2Summary.calls.notional > t2Summary.puts.notional ? 'BULLISH' : 'BEARISH'}\n`;
-    report += `  ($${this.formatCurrency(t2Summary.calls.notional)} calls vs $${this.formatCurrency(Math.abs(t2Summary.puts.notional))} puts)\n`;
+    report += `• *Tier-2 Options:* ${t2Bullish ? '+' : '-'}${t2BullishPercent}% ${t2Bullish ? 'BULLISH' : 'BEARISH'}\n`;
+    report += `  ($${this.formatCurrency(t2Summary.bullishNotional)} bullish vs $${this.formatCurrency(t2Summary.bearishNotional)} bearish premium)\n`;
 
     // ATM positioning summary
     const atmTotal = atmFlow.callNotional + atmFlow.putNotional;
@@ -1213,15 +1044,15 @@ report += `*Trading Edge:* ${confluenceMatrix.tradingEdge}\n\n`;
     report += `${equityFlowComment} (${equityFlow >= 0 ? '+' : ''}$${this.formatCurrency(equityFlow)} net)\n`;
 
     // Urgent vs patient flow
-    const urgentFlowComment = t1Summary.calls.notional > t1Summary.puts.notional ? 
-      `**Urgent institutional flow is ${t1BullishPercent}% more CALL-heavy** (0-3 DTE speculation)` :
-      `**Urgent institutional flow is ${t1BullishPercent}% more PUT-heavy** (0-3 DTE hedging)`;
+    const urgentFlowComment = t1Bullish ? 
+      `**Urgent institutional flow is ${t1BullishPercent}% net BULLISH** (0-3 DTE speculation)` :
+      `**Urgent institutional flow is ${t1BullishPercent}% net BEARISH** (0-3 DTE hedging)`;
       
     report += `${urgentFlowComment}\n`;
 
-    const patientFlowComment = t2Summary.calls.notional > t2Summary.puts.notional ?
-      `**Patient institutional flow is ${t2BullishPercent}% more CALL-heavy** (3-14 DTE conviction)` :
-      `**Patient institutional flow is ${t2BullishPercent}% more PUT-heavy** (3-14 DTE defense)`;
+    const patientFlowComment = t2Bullish ?
+      `**Patient institutional flow is ${t2BullishPercent}% net BULLISH** (3-14 DTE conviction)` :
+      `**Patient institutional flow is ${t2BullishPercent}% net BEARISH** (3-14 DTE defense)`;
       
     report += `${patientFlowComment}\n`;
 
@@ -1248,15 +1079,15 @@ report += `*Trading Edge:* ${confluenceMatrix.tradingEdge}\n\n`;
     // Interpretation based on conflicting signals
     report += `\n**INTERPRETATION:**\n`;
 
-    const hasConflict = (t1Summary.calls.notional > t1Summary.puts.notional) !== (t2Summary.calls.notional > t2Summary.puts.notional);
+    const hasConflict = t1Bullish !== t2Bullish;
     if (hasConflict) {
-      if (t1Summary.calls.notional > t1Summary.puts.notional && t2Summary.puts.notional > t2Summary.calls.notional) {
+      if (t1Bullish) {
         report += `Conflicting signals: Urgent flow bullish but patient flow bearish. Near-term strength possible, but caution advised.\n`;
-      } else if (t1Summary.puts.notional > t1Summary.calls.notional && t2Summary.calls.notional > t2Summary.puts.notional) {
+      } else {
         report += `Conflicting signals: Urgent flow bearish but patient flow bullish. Near-term dip possible, but recovery expected.\n`;
       }
     } else {
-      if (t1Summary.calls.notional > t1Summary.puts.notional) {
+      if (t1Bullish) {
         report += `Harmonious bullish flow across all timeframes. Expect continued upward pressure.\n`;
       } else {
         report += `Harmonious bearish flow across all timeframes. Expect continued downward pressure.\n`;
@@ -1315,10 +1146,36 @@ report += `*Trading Edge:* ${confluenceMatrix.tradingEdge}\n\n`;
     }
 
     report += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+    if (greeksCoverage && greeksCoverage.estimate > 0) {
+      report += `📐 _Delta estimated for ${greeksCoverage.estimatedPercent}% of prints (no chain greeks)_\n`;
+    }
     report += `*END OF INSTITUTIONAL FLOW REPORT*\n`;
     report += `⚠️ This is NOT retail advice. Institutional data only.`;
 
-    return report;
+    return this.applyProvenanceWatermark(report, provenance);
+  }
+
+  // Stamp each section with the split of the records it was built from; the header, footer and
+  // sections that draw on every source carry the overall split
+  applyProvenanceWatermark(report, provenance) {
+    if (!provenance) {
+      return report;
+    }
+
+    const sections = provenance.sections || {};
+    const divider = '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
+    const [header, ...rest] = report.split(divider);
+
+    const stamped = rest.map(section => {
+      // The title sits on the first line (the footer may open with the delta note)
+      const heading = section.split('\n').slice(0, 2).join('\n');
+      const match = SECTION_SOURCES.find(([title]) => heading.includes(title));
+      const key = match ? match[1] : 'flow';
+      const watermark = Provenance.watermark((key && sections[key]) || provenance);
+      return watermark ? `${watermark}\n${section}` : section;
+    });
+
+    return [Provenance.stamp(header, provenance), ...stamped].join(divider);
   }
 
   buildSummaryReport(analysisData) {
@@ -1332,7 +1189,8 @@ report += `*Trading Edge:* ${confluenceMatrix.tradingEdge}\n\n`;
     summary += `🐘 Tier-2: ${tierAnalysis.tier2.ratio.notionalBullish ? '🐂' : '🐻'}\n`;
     summary += `🎯 ATM: ${atmFlow.netNotional > 0 ? '🐂' : '🐻'}`;
     
-    return summary;
+    const provenance = analysisData.provenance || null;
+    return Provenance.stamp(summary, provenance && (provenance.sections ? provenance.sections.flow : provenance));
   }
 
   // Helper Methods
@@ -1352,6 +1210,19 @@ report += `*Trading Edge:* ${confluenceMatrix.tradingEdge}\n\n`;
     return '⚪ NEUTRAL';
   }
 
+  // Sweep / floor / block split for a tier; empty when the feed sent no venue or condition codes
+  formatExecution(execution) {
+    if (!execution || execution.withVenueData === 0) return '';
+
+    const { SWEEP, FLOOR, BLOCK, SINGLE } = execution;
+    let text = `⚡ *EXECUTION:*\n`;
+    text += `• Sweeps: ${SWEEP.count} ($${this.formatCurrency(SWEEP.notional)}, ${SWEEP.prints} fills)`;
+    text += execution.urgentSweeps > 0 ? ` | 🚨 ${execution.urgentSweeps} urgent ($${this.formatCurrency(execution.urgentNotional)})\n` : `\n`;
+    text += `• Floor: ${FLOOR.count} ($${this.formatCurrency(FLOOR.notional)}) | Blocks: ${BLOCK.count} ($${this.formatCurrency(BLOCK.notional)})`;
+    text += ` | Single: ${SINGLE.count} ($${this.formatCurrency(SINGLE.notional)})\n\n`;
+    return text;
+  }
+
   getBlockType(block) {
     const notional = block.notional || 0;
     if (notional >= 10000000) return 'ELITE INSTITUTIONAL';
@@ -1446,7 +1317,7 @@ report += `*Trading Edge:* ${confluenceMatrix.tradingEdge}\n\n`;
     // Adjust for conflicting signals
     const t1 = tierAnalysis.tier1;
     const t2 = tierAnalysis.tier2;
-    const hasConflict = (t1.calls.notional > t1.puts.notional) !== (t2.calls.notional > t2.puts.notional);
+    const hasConflict = (t1.bullishNotional > t1.bearishNotional) !== (t2.bullishNotional > t2.bearishNotional);
     if (hasConflict) confidence -= 10;
     
     // Adjust for data completeness
@@ -1471,7 +1342,7 @@ report += `*Trading Edge:* ${confluenceMatrix.tradingEdge}\n\n`;
     
     // STRATEGY 1: Tier-1 Dominant Direction
     if (tierAnalysis.tier1.hasClearSignal && tierAnalysis.hierarchy.followTier1) {
-      const isTier1Bullish = tierAnalysis.tier1.calls.notional > tierAnalysis.tier1.puts.notional;
+      const isTier1Bullish = tierAnalysis.tier1.bullishNotional > tierAnalysis.tier1.bearishNotional;
       
       suggestions.push({
         strategy: isTier1Bullish ? 'TIER-1 GAMMA ACCELERATOR' : 'TIER-1 HEDGE DEFENSE',
@@ -1505,8 +1376,7 @@ report += `*Trading Edge:* ${confluenceMatrix.tradingEdge}\n\n`;
     
     // STRATEGY 2: Multi-Timeframe Confluence
     if (confluenceMatrix.confluenceScore >= 8.0) {
-      const isConfluenceBullish = confluenceMatrix.matrix.filter(m => 
-        m.direction.includes('BULLISH')).length >= 3;
+      const isConfluenceBullish = confluenceMatrix.direction === 'BULLISH';
       
       suggestions.push({
         strategy: 'CONFLUENCE ALIGNMENT SPREAD',
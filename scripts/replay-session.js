@@ -0,0 +1,142 @@
+// Replays a recorded Unusual Whales WebSocket session and prints what /liveflow,
+// detectLiveDivergences and LiveBlockTracker reported at each checkpoint.
+//
+// Usage: node scripts/replay-session.js <file.ndjson|dir> [--symbol SPY] [--speed 1|10|max]
+//                                       [--every 5] [--minutes 10] [--spot 450.25]
+
+// Replays must stay isolated: no shared Redis state, no simulated fill-ins
+delete process.env.REDIS_URL;
+process.env.STRICT_REAL_DATA = 'true';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config');
+const clock = require('../utils/clock');
+const TickStore = require('../storage/tick-store');
+const UnusualWhalesWebSocket = require('../api/unusual-whales');
+const WebSocketReplayer = require('../api/ws-replayer');
+const DivergenceDetector = require('../analysis/divergence-detector');
+const TierAnalyzer = require('../analysis/tier-analyzer');
+const LiveBlockTracker = require('../reports/live-block-tracker');
+
+function parseArgs(argv) {
+  const args = { input: null, symbol: 'SPY', speed: Infinity, every: 5, minutes: 10, spot: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--symbol') args.symbol = argv[++i].toUpperCase();
+    else if (arg === '--speed') args.speed = argv[++i] === 'max' ? Infinity : parseFloat(argv[i]);
+    else if (arg === '--every') args.every = parseFloat(argv[++i]);
+    else if (arg === '--minutes') args.minutes = parseFloat(argv[++i]);
+    else if (arg === '--spot') args.spot = parseFloat(argv[++i]);
+    else args.input = arg;
+  }
+
+  return args;
+}
+
+// A directory is replayed in name order (recorder file names sort chronologically)
+function listRecordings(input) {
+  if (!fs.statSync(input).isDirectory()) return [input];
+
+  return fs.readdirSync(input, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const full = path.join(input, entry.name);
+      if (entry.isDirectory()) return listRecordings(full);
+      return entry.name.endsWith('.ndjson') ? [full] : [];
+    });
+}
+
+// Same ±2% window FlowAnalyzer.calculateATMFlow uses
+function calculateATMFlow(blocks, spotPrice) {
+  const atm = blocks.filter(b => Math.abs(b.strike - spotPrice) <= spotPrice * 0.02);
+  const callNotional = atm.filter(b => b.option_type === 'CALL').reduce((sum, b) => sum + (b.notional || 0), 0);
+  const putNotional = atm.filter(b => b.option_type === 'PUT').reduce((sum, b) => sum + (b.notional || 0), 0);
+
+  return { callNotional, putNotional, netNotional: callNotional - putNotional };
+}
+
+async function printCheckpoint(ws, analyzers, args) {
+  const { symbol, minutes } = args;
+  const liveBlocks = await ws.getLiveBlocks(symbol, minutes);
+  const withSpot = liveBlocks.find(b => b.underlying_price);
+  const spotPrice = args.spot || (withSpot ? parseFloat(withSpot.underlying_price) : 0);
+
+  const divergences = analyzers.divergenceDetector.detectLiveDivergences(symbol, liveBlocks, spotPrice, minutes);
+  const totalNotional = liveBlocks.reduce((sum, block) => sum + (block.notional || 0), 0);
+
+  console.log(`\n=== ${moment(clock.now()).tz(config.app.timezone).format('YYYY-MM-DD HH:mm:ss')} ET ===`);
+  console.log(`/liveflow ${symbol}: ${liveBlocks.length} blocks, $${Math.round(totalNotional).toLocaleString()} notional (last ${minutes} min)`);
+  console.log(`Live divergences: ${divergences.length > 0 ? divergences.map(d => `${d.type} (${d.confidence}%)`).join(', ') : 'none'}`);
+
+  if (liveBlocks.length > 0 && spotPrice > 0) {
+    const tierAnalysis = analyzers.tierAnalyzer.analyzeTiers(liveBlocks, spotPrice, true, symbol);
+    const report = await analyzers.liveBlockTracker.generateLiveBlockReport(
+      symbol,
+      { price: spotPrice },
+      liveBlocks,
+      tierAnalysis,
+      [],
+      calculateATMFlow(liveBlocks, spotPrice)
+    );
+    console.log(report);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.input || !fs.existsSync(args.input)) {
+    console.error('Usage: node scripts/replay-session.js <file.ndjson|dir> [--symbol SPY] [--speed 1|10|max] [--every 5] [--minutes 10] [--spot 450.25]');
+    process.exit(1);
+  }
+
+  const files = listRecordings(args.input);
+  const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uw-replay-'));
+  const ws = new UnusualWhalesWebSocket({ tickStore: new TickStore({ baseDir: scratchDir }) });
+  const analyzers = {
+    divergenceDetector: new DivergenceDetector(),
+    tierAnalyzer: new TierAnalyzer(),
+    liveBlockTracker: new LiveBlockTracker()
+  };
+
+  const everyMs = args.every * 60000;
+  let nextCheckpoint = null;
+
+  const replayer = new WebSocketReplayer(ws, {
+    speed: args.speed,
+    beforeMessage: async (receivedAt) => {
+      if (nextCheckpoint === null) {
+        nextCheckpoint = Math.ceil(receivedAt / everyMs) * everyMs;
+      }
+
+      // Report the state as of each checkpoint, before later messages are applied
+      while (receivedAt > nextCheckpoint) {
+        clock.setTime(nextCheckpoint);
+        await printCheckpoint(ws, analyzers, args);
+        nextCheckpoint += everyMs;
+      }
+    }
+  });
+
+  try {
+    const stats = await replayer.replay(files);
+    await printCheckpoint(ws, analyzers, args);
+
+    console.log(`\nReplayed ${stats.messages} messages from ${files.length} file(s), ${stats.malformed} corrupt lines`);
+  } finally {
+    ws.shutdown();
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+    clock.useSystemTime();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`Replay failed: ${error.message}`);
+    process.exit(1);
+  });
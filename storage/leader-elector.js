@@ -0,0 +1,63 @@
+const EventEmitter = require('events');
+const config = require('../config');
+const Logger = require('../utils/logger');
+
+// Lease-based leader election on top of the state store lock primitives.
+// Emits 'elected' when this instance takes the lease and 'revoked' when it loses it.
+class LeaderElector extends EventEmitter {
+  constructor(store, name) {
+    super();
+    this.store = store;
+    this.lockKey = `leader:${name}`;
+    this.instanceId = config.storage.instanceId;
+    this.ttlMs = config.storage.leaderTtlMs;
+    this.logger = new Logger('leader-elector');
+    this.isLeader = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.tick();
+    this.timer = setInterval(() => this.tick(), Math.floor(this.ttlMs / 3));
+  }
+
+  async tick() {
+    try {
+      const held = this.isLeader
+        ? await this.store.renewLock(this.lockKey, this.instanceId, this.ttlMs)
+        : await this.store.acquireLock(this.lockKey, this.instanceId, this.ttlMs);
+
+      if (held && !this.isLeader) {
+        this.isLeader = true;
+        this.logger.info(`Instance ${this.instanceId} elected leader for ${this.lockKey}`);
+        this.emit('elected');
+      } else if (!held && this.isLeader) {
+        this.isLeader = false;
+        this.logger.warn(`Instance ${this.instanceId} lost leadership for ${this.lockKey}`);
+        this.emit('revoked');
+      }
+    } catch (error) {
+      this.logger.error(`Leader election error: ${error.message}`);
+
+      // Without the store we cannot prove we still hold the lease
+      if (this.isLeader) {
+        this.isLeader = false;
+        this.emit('revoked');
+      }
+    }
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.isLeader) {
+      this.isLeader = false;
+      await this.store.releaseLock(this.lockKey, this.instanceId).catch(() => {});
+    }
+  }
+}
+
+module.exports = LeaderElector;
@@ -0,0 +1,130 @@
+const EventEmitter = require('events');
+
+// Single-process implementation of the state store API, used when no Redis URL is configured
+class MemoryStateStore extends EventEmitter {
+  constructor() {
+    super();
+    this.values = new Map(); // key -> { value, expiresAt }
+    this.hashes = new Map(); // key -> Map(field -> value)
+    this.lists = new Map(); // key -> []
+    this.bus = new EventEmitter();
+    this.bus.setMaxListeners(0);
+  }
+
+  get isShared() {
+    return false;
+  }
+
+  async get(key) {
+    const entry = this.values.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs = null) {
+    this.values.set(key, {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async del(key) {
+    this.values.delete(key);
+    this.hashes.delete(key);
+    this.lists.delete(key);
+  }
+
+  // Returns false when the key already exists (used as a seen-once marker)
+  async setIfAbsent(key, value, ttlMs = null) {
+    if ((await this.get(key)) !== null) return false;
+
+    await this.set(key, value, ttlMs);
+    return true;
+  }
+
+  // Counter that starts a new window (and expiry) on its first increment
+  async increment(key, windowMs) {
+    const current = await this.get(key);
+
+    if (current === null) {
+      await this.set(key, 1, windowMs);
+      return 1;
+    }
+
+    const entry = this.values.get(key);
+    entry.value = current + 1;
+    return entry.value;
+  }
+
+  async hset(key, field, value) {
+    if (!this.hashes.has(key)) {
+      this.hashes.set(key, new Map());
+    }
+    this.hashes.get(key).set(field, value);
+  }
+
+  async hdel(key, field) {
+    const hash = this.hashes.get(key);
+    if (hash) hash.delete(field);
+  }
+
+  async hgetall(key) {
+    const hash = this.hashes.get(key);
+    return hash ? Object.fromEntries(hash.entries()) : {};
+  }
+
+  async pushList(key, value, maxLength = null) {
+    if (!this.lists.has(key)) {
+      this.lists.set(key, []);
+    }
+
+    const list = this.lists.get(key);
+    list.push(value);
+
+    if (maxLength && list.length > maxLength) {
+      list.splice(0, list.length - maxLength);
+    }
+  }
+
+  async getList(key) {
+    return [...(this.lists.get(key) || [])];
+  }
+
+  async publish(channel, message) {
+    this.bus.emit(channel, message);
+  }
+
+  async subscribe(channel, handler) {
+    this.bus.on(channel, handler);
+  }
+
+  async acquireLock(key, owner, ttlMs) {
+    const holder = await this.get(key);
+    if (holder !== null && holder !== owner) return false;
+
+    await this.set(key, owner, ttlMs);
+    return true;
+  }
+
+  async renewLock(key, owner, ttlMs) {
+    return this.acquireLock(key, owner, ttlMs);
+  }
+
+  async releaseLock(key, owner) {
+    if ((await this.get(key)) === owner) {
+      this.values.delete(key);
+    }
+  }
+
+  async close() {
+    this.bus.removeAllListeners();
+  }
+}
+
+module.exports = MemoryStateStore;
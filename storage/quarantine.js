@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config');
+const Logger = require('../utils/logger');
+
+const RECENT_LIMIT = 200;
+
+// Holds records that failed validation: counts by type and reason, the most recent rejects
+// in memory, and every reject appended to <dataDir>/quarantine/<YYYY-MM-DD>.ndjson for inspection.
+class Quarantine {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(config.storage.dataDir, 'quarantine');
+    this.timezone = config.app.timezone;
+    this.logger = new Logger('quarantine');
+    this.recent = [];
+    this.total = 0;
+    this.byType = {};
+    this.byReason = {};
+    this.writeChain = Promise.resolve();
+  }
+
+  add(type, record, reasons) {
+    const entry = {
+      type,
+      reasons,
+      record,
+      quarantinedAt: new Date().toISOString()
+    };
+
+    this.total++;
+    this.byType[type] = (this.byType[type] || 0) + 1;
+    reasons.forEach(reason => {
+      this.byReason[reason] = (this.byReason[reason] || 0) + 1;
+    });
+
+    this.recent.push(entry);
+    if (this.recent.length > RECENT_LIMIT) {
+      this.recent.shift();
+    }
+
+    this.logger.debug(`Quarantined ${type} record for ${record && record.symbol ? record.symbol : 'unknown'}: ${reasons.join('; ')}`);
+    this.persist(entry);
+  }
+
+  // Appends are chained so lines from a burst of rejects never interleave
+  persist(entry) {
+    const file = path.join(this.dir, `${moment.tz(this.timezone).format('YYYY-MM-DD')}.ndjson`);
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+      })
+      .catch(error => this.logger.error(`Failed to persist quarantined record: ${error.message}`));
+  }
+
+  getStats() {
+    return {
+      total: this.total,
+      byType: { ...this.byType },
+      byReason: { ...this.byReason }
+    };
+  }
+
+  getRecent(limit = 20) {
+    return this.recent.slice(-limit);
+  }
+}
+
+module.exports = Quarantine;
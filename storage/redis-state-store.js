@@ -0,0 +1,159 @@
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+const Logger = require('../utils/logger');
+
+// Only release / extend a lock we still own
+const RENEW_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Shared state across bot replicas. Values are JSON encoded; keys are namespaced by prefix.
+class RedisStateStore extends EventEmitter {
+  constructor(url, prefix = 'nexus:') {
+    super();
+    this.logger = new Logger('redis-state');
+    this.prefix = prefix;
+    this.client = new Redis(url, { maxRetriesPerRequest: 3 });
+    this.subscriber = this.client.duplicate();
+    this.handlers = new Map(); // channel -> [handler]
+
+    this.client.on('error', (error) => this.logger.error(`Redis error: ${error.message}`));
+    this.subscriber.on('error', (error) => this.logger.error(`Redis subscriber error: ${error.message}`));
+
+    this.subscriber.on('message', (channel, raw) => {
+      const handlers = this.handlers.get(channel.slice(this.prefix.length)) || [];
+      let message;
+
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        this.logger.warn(`Dropping malformed pub/sub message on ${channel}`);
+        return;
+      }
+
+      handlers.forEach(handler => {
+        try {
+          handler(message);
+        } catch (error) {
+          this.logger.error(`Pub/sub handler error on ${channel}: ${error.message}`);
+        }
+      });
+    });
+  }
+
+  get isShared() {
+    return true;
+  }
+
+  key(name) {
+    return `${this.prefix}${name}`;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.key(key));
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs = null) {
+    if (ttlMs) {
+      await this.client.set(this.key(key), JSON.stringify(value), 'PX', ttlMs);
+    } else {
+      await this.client.set(this.key(key), JSON.stringify(value));
+    }
+  }
+
+  async del(key) {
+    await this.client.del(this.key(key));
+  }
+
+  // Returns false when the key already exists (used as a seen-once marker)
+  async setIfAbsent(key, value, ttlMs = null) {
+    const result = ttlMs
+      ? await this.client.set(this.key(key), JSON.stringify(value), 'PX', ttlMs, 'NX')
+      : await this.client.set(this.key(key), JSON.stringify(value), 'NX');
+    return result === 'OK';
+  }
+
+  async increment(key, windowMs) {
+    const count = await this.client.incr(this.key(key));
+    if (count === 1) {
+      await this.client.pexpire(this.key(key), windowMs);
+    }
+    return count;
+  }
+
+  async hset(key, field, value) {
+    await this.client.hset(this.key(key), field, JSON.stringify(value));
+  }
+
+  async hdel(key, field) {
+    await this.client.hdel(this.key(key), field);
+  }
+
+  async hgetall(key) {
+    const raw = await this.client.hgetall(this.key(key));
+    const result = {};
+
+    Object.entries(raw).forEach(([field, value]) => {
+      result[field] = JSON.parse(value);
+    });
+
+    return result;
+  }
+
+  async pushList(key, value, maxLength = null) {
+    const pipeline = this.client.pipeline().rpush(this.key(key), JSON.stringify(value));
+    if (maxLength) {
+      pipeline.ltrim(this.key(key), -maxLength, -1);
+    }
+    await pipeline.exec();
+  }
+
+  async getList(key) {
+    const raw = await this.client.lrange(this.key(key), 0, -1);
+    return raw.map(value => JSON.parse(value));
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(this.key(channel), JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, []);
+      await this.subscriber.subscribe(this.key(channel));
+    }
+    this.handlers.get(channel).push(handler);
+  }
+
+  async acquireLock(key, owner, ttlMs) {
+    const result = await this.client.set(this.key(key), JSON.stringify(owner), 'PX', ttlMs, 'NX');
+    if (result === 'OK') return true;
+
+    // Re-entrant for the current holder
+    return this.renewLock(key, owner, ttlMs);
+  }
+
+  async renewLock(key, owner, ttlMs) {
+    const result = await this.client.eval(RENEW_LOCK_SCRIPT, 1, this.key(key), JSON.stringify(owner), ttlMs);
+    return result === 1;
+  }
+
+  async releaseLock(key, owner) {
+    await this.client.eval(RELEASE_LOCK_SCRIPT, 1, this.key(key), JSON.stringify(owner));
+  }
+
+  async close() {
+    await Promise.all([this.subscriber.quit(), this.client.quit()]);
+  }
+}
+
+module.exports = RedisStateStore;
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const Logger = require('../utils/logger');
+const { getStateStore } = require('./state-store');
+
+// One row per symbol per trading day, each { date, ... }. With a shared state store (Redis) the
+// rows live in a hash per symbol (field = date) so every instance reads what the leader's
+// after-close jobs wrote; a single instance keeps them in <dir>/<namespace>/<SYMBOL>.ndjson.
+// Re-running a day replaces its row, so snapshots taken several times a day keep the latest.
+class SeriesStore {
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.store = options.store || getStateStore();
+    this.dir = options.dir || path.join(config.storage.dataDir, 'series', namespace);
+    this.maxRows = options.maxRows || 1000;
+    this.logger = new Logger('series-store');
+    this.writes = new Map(); // file -> pending write chain
+
+    if (!this.store.isShared) fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  // Insert or replace the row for entry.date (YYYY-MM-DD)
+  async upsert(symbol, entry) {
+    if (!entry || !/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) {
+      throw new Error(`Series entry for ${symbol} needs a YYYY-MM-DD date`);
+    }
+
+    try {
+      if (this.store.isShared) await this.upsertShared(symbol, entry);
+      else await this.upsertFile(symbol, entry);
+    } catch (error) {
+      this.logger.error(`Failed to store ${this.namespace} row for ${symbol} ${entry.date}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Oldest dates beyond maxRows are dropped after each write
+  async upsertShared(symbol, entry) {
+    const key = this.getHashKey(symbol);
+    await this.store.hset(key, entry.date, entry);
+
+    const dates = Object.keys(await this.store.hgetall(key)).sort();
+    const expired = dates.slice(0, Math.max(0, dates.length - this.maxRows));
+    await Promise.all(expired.map(date => this.store.hdel(key, date)));
+  }
+
+  upsertFile(symbol, entry) {
+    const file = this.getFilePath(symbol);
+    const write = (this.writes.get(file) || Promise.resolve()).then(async () => {
+      const rows = (await this.readRows(file)).filter(row => row.date !== entry.date);
+      rows.push(entry);
+      rows.sort((a, b) => a.date.localeCompare(b.date));
+
+      // Write-then-rename so a crash never leaves a half-written series
+      const tmp = `${file}.tmp`;
+      await fs.promises.writeFile(tmp, rows.slice(-this.maxRows).map(row => JSON.stringify(row)).join('\n') + '\n');
+      await fs.promises.rename(tmp, file);
+    });
+
+    // Later writes wait for this one even if it failed
+    const settled = write.catch(() => {});
+    this.writes.set(file, settled);
+    return write.finally(() => {
+      if (this.writes.get(file) === settled) this.writes.delete(file);
+    });
+  }
+
+  // Rows oldest first; from/to are inclusive dates, limit keeps the most recent
+  async read(symbol, { from = null, to = null, limit = null } = {}) {
+    let rows = this.store.isShared
+      ? await this.readShared(symbol)
+      : await this.readFile(symbol);
+
+    rows = rows.filter(row => (!from || row.date >= from) && (!to || row.date <= to));
+
+    if (limit) rows = rows.slice(-limit);
+    return rows;
+  }
+
+  async get(symbol, date) {
+    const rows = await this.read(symbol, { from: date, to: date });
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  async readShared(symbol) {
+    const rows = Object.values(await this.store.hgetall(this.getHashKey(symbol)));
+    return rows.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  async readFile(symbol) {
+    const file = this.getFilePath(symbol);
+    await (this.writes.get(file) || Promise.resolve());
+    return this.readRows(file);
+  }
+
+  async readRows(file) {
+    let content;
+    try {
+      content = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    const rows = [];
+    content.split('\n').filter(Boolean).forEach(line => {
+      try {
+        rows.push(JSON.parse(line));
+      } catch (error) {
+        this.logger.warn(`Skipping corrupt series line in ${file}: ${error.message}`);
+      }
+    });
+
+    return rows.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  getFilePath(symbol) {
+    return path.join(this.dir, `${this.safeSymbol(symbol)}.ndjson`);
+  }
+
+  getHashKey(symbol) {
+    return `series:${this.namespace}:${this.safeSymbol(symbol)}`;
+  }
+
+  safeSymbol(symbol) {
+    return String(symbol).toUpperCase().replace(/[^A-Z0-9._-]/g, '_');
+  }
+}
+
+module.exports = SeriesStore;
@@ -0,0 +1,79 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// JSON round-trips turn Dates into strings; restore them so callers can keep doing date math
+const reviveDates = (key, value) =>
+  (typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value);
+
+// Map with synchronous reads from a local replica and write-through to the state store.
+// Writes are broadcast so every instance's replica converges.
+class SharedMap extends Map {
+  constructor(store, namespace) {
+    super();
+    this.store = store;
+    this.namespace = namespace;
+    this.channel = `map:${namespace}`;
+    this.logger = new Logger('shared-map');
+
+    if (this.store.isShared) {
+      this.load();
+      this.store.subscribe(this.channel, (message) => this.applyRemote(message))
+        .catch(error => this.logger.error(`Subscribe failed for ${namespace}: ${error.message}`));
+    }
+  }
+
+  set(key, value) {
+    super.set(key, value);
+
+    if (this.store && this.store.isShared) {
+      const field = JSON.stringify(key);
+      this.store.hset(this.namespace, field, value)
+        .then(() => this.store.publish(this.channel, { origin: config.storage.instanceId, op: 'set', key, value }))
+        .catch(error => this.logger.error(`Write failed for ${this.namespace}: ${error.message}`));
+    }
+
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+
+    if (this.store && this.store.isShared) {
+      this.store.hdel(this.namespace, JSON.stringify(key))
+        .then(() => this.store.publish(this.channel, { origin: config.storage.instanceId, op: 'delete', key }))
+        .catch(error => this.logger.error(`Delete failed for ${this.namespace}: ${error.message}`));
+    }
+
+    return existed;
+  }
+
+  async load() {
+    try {
+      const entries = await this.store.hgetall(this.namespace);
+
+      Object.entries(entries).forEach(([field, value]) => {
+        super.set(JSON.parse(field), this.revive(value));
+      });
+    } catch (error) {
+      this.logger.error(`Load failed for ${this.namespace}: ${error.message}`);
+    }
+  }
+
+  applyRemote(message) {
+    if (!message || message.origin === config.storage.instanceId) return;
+
+    if (message.op === 'set') {
+      super.set(message.key, this.revive(message.value));
+    } else if (message.op === 'delete') {
+      super.delete(message.key);
+    }
+  }
+
+  revive(value) {
+    return JSON.parse(JSON.stringify(value), reviveDates);
+  }
+}
+
+module.exports = SharedMap;
@@ -0,0 +1,25 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const MemoryStateStore = require('./memory-state-store');
+
+let instance = null;
+
+// Process-wide state store: Redis when REDIS_URL is set, in-memory otherwise
+function getStateStore() {
+  if (instance) return instance;
+
+  const logger = new Logger('state-store');
+
+  if (config.storage.redisUrl) {
+    const RedisStateStore = require('./redis-state-store');
+    instance = new RedisStateStore(config.storage.redisUrl, config.storage.redisPrefix);
+    logger.info('Using Redis shared state');
+  } else {
+    instance = new MemoryStateStore();
+    logger.info('Using in-memory state (single instance)');
+  }
+
+  return instance;
+}
+
+module.exports = { getStateStore };
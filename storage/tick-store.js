@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config');
+const Logger = require('../utils/logger');
+
+const TYPES = ['blocks', 'flow', 'complexTrades', 'deltaConcentration'];
+
+// Append-only NDJSON store: <dir>/<YYYY-MM-DD>/<SYMBOL>.<type>.ndjson
+class TickStore {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || path.join(config.storage.dataDir, 'ticks');
+    this.retentionDays = { ...config.storage.tickRetentionDays, ...(options.retentionDays || {}) };
+    this.timezone = config.app.timezone;
+    this.logger = new Logger('tick-store');
+    this.pending = new Map(); // file -> [lines]
+    this.inFlight = new Map(); // file -> [lines] currently being written
+    this.flushing = null;
+
+    fs.mkdirSync(this.baseDir, { recursive: true });
+
+    this.flushTimer = setInterval(() => this.flush(), config.storage.flushIntervalMs);
+  }
+
+  append(type, record) {
+    if (!TYPES.includes(type) || !record.symbol) return;
+
+    const file = this.getFilePath(this.getRecordDate(record), record.symbol, type);
+
+    if (!this.pending.has(file)) {
+      this.pending.set(file, []);
+    }
+    this.pending.get(file).push(JSON.stringify(record));
+  }
+
+  // Records for a symbol/type between two instants (inclusive), oldest first
+  async query(symbol, type, { from, to } = {}) {
+    const start = from ? moment.tz(from, this.timezone) : moment.tz(this.timezone).startOf('day');
+    const end = to ? moment.tz(to, this.timezone) : moment.tz(this.timezone);
+    const records = [];
+
+    for (const day = start.clone().startOf('day'); !day.isAfter(end); day.add(1, 'day')) {
+      const file = this.getFilePath(day.format('YYYY-MM-DD'), symbol, type);
+      // Buffered lines are captured before the read; a line written meanwhile is de-duplicated by the Set
+      const buffered = [...(this.inFlight.get(file) || []), ...(this.pending.get(file) || [])];
+      const lines = new Set([...(await this.readLines(file)), ...buffered]);
+
+      lines.forEach(line => {
+        try {
+          const record = JSON.parse(line);
+          const ts = moment(record.timestamp);
+          if (ts.isValid() && !ts.isBefore(start) && !ts.isAfter(end)) {
+            records.push(record);
+          }
+        } catch (error) {
+          this.logger.warn(`Skipping corrupt tick line in ${file}: ${error.message}`);
+        }
+      });
+    }
+
+    return records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  // All of a day's records grouped by symbol and type (used to rehydrate memory)
+  async loadDay(date) {
+    const dayDir = path.join(this.baseDir, date);
+    const result = {};
+
+    let files = [];
+    try {
+      files = await fs.promises.readdir(dayDir);
+    } catch (error) {
+      return result;
+    }
+
+    for (const fileName of files) {
+      const match = fileName.match(/^(.+)\.(\w+)\.ndjson$/);
+      if (!match || !TYPES.includes(match[2])) continue;
+
+      const [, symbol, type] = match;
+      const bounds = moment.tz(date, this.timezone);
+
+      if (!result[symbol]) result[symbol] = {};
+      result[symbol][type] = await this.query(symbol, type, {
+        from: bounds.clone().startOf('day'),
+        to: bounds.clone().endOf('day')
+      });
+    }
+
+    return result;
+  }
+
+  // Retention policy: each record type is kept for its own number of calendar days
+  async applyRetention() {
+    let days = [];
+    try {
+      days = (await fs.promises.readdir(this.baseDir)).filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d));
+    } catch (error) {
+      return;
+    }
+
+    const today = moment.tz(this.timezone).startOf('day');
+    let removed = 0;
+
+    for (const day of days) {
+      const age = today.diff(moment.tz(day, this.timezone), 'days');
+      const dayDir = path.join(this.baseDir, day);
+      const files = await fs.promises.readdir(dayDir);
+
+      for (const fileName of files) {
+        const type = fileName.split('.').slice(-2, -1)[0];
+        const keepDays = this.retentionDays[type];
+
+        if (keepDays !== undefined && age > keepDays) {
+          await fs.promises.unlink(path.join(dayDir, fileName));
+          removed++;
+        }
+      }
+
+      if ((await fs.promises.readdir(dayDir)).length === 0) {
+        await fs.promises.rmdir(dayDir);
+      }
+    }
+
+    if (removed > 0) {
+      this.logger.info(`Retention removed ${removed} tick files`);
+    }
+  }
+
+  async flush() {
+    if (this.flushing || this.pending.size === 0) return this.flushing;
+
+    this.inFlight = this.pending;
+    this.pending = new Map();
+
+    this.flushing = (async () => {
+      for (const [file, lines] of this.inFlight.entries()) {
+        try {
+          await fs.promises.mkdir(path.dirname(file), { recursive: true });
+          await fs.promises.appendFile(file, lines.join('\n') + '\n');
+        } catch (error) {
+          this.logger.error(`Failed to persist ${lines.length} ticks to ${file}: ${error.message}`);
+        }
+      }
+      this.inFlight = new Map();
+    })();
+
+    await this.flushing;
+    this.flushing = null;
+  }
+
+  // Synchronous flush for process shutdown
+  close() {
+    clearInterval(this.flushTimer);
+
+    for (const [file, lines] of this.pending.entries()) {
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, lines.join('\n') + '\n');
+      } catch (error) {
+        this.logger.error(`Failed to persist ticks on shutdown: ${error.message}`);
+      }
+    }
+    this.pending.clear();
+  }
+
+  async readLines(file) {
+    try {
+      const content = await fs.promises.readFile(file, 'utf8');
+      return content.split('\n').filter(Boolean);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  getRecordDate(record) {
+    const ts = record.timestamp ? moment(record.timestamp) : moment();
+    return (ts.isValid() ? ts : moment()).tz(this.timezone).format('YYYY-MM-DD');
+  }
+
+  getFilePath(date, symbol, type) {
+    const safeSymbol = String(symbol).toUpperCase().replace(/[^A-Z0-9._-]/g, '_');
+    return path.join(this.baseDir, date, `${safeSymbol}.${type}.ndjson`);
+  }
+}
+
+module.exports = TickStore;
@@ -0,0 +1,118 @@
+const moment = require('moment-timezone');
+const config = require('../config');
+const clock = require('./clock');
+const { getMarketCalendar } = require('./market-calendar');
+
+// Black-Scholes pricing and greeks for European options (no dividends).
+// S spot, K strike, T years to expiry, r risk-free rate, sigma annualized volatility.
+class BlackScholes {
+  static normPdf(x) {
+    return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+  }
+
+  // Abramowitz-Stegun 26.2.17, accurate to ~7.5e-8
+  static normCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    const tail = BlackScholes.normPdf(x) * poly;
+    return x >= 0 ? 1 - tail : tail;
+  }
+
+  static d1(S, K, T, r, sigma) {
+    return (Math.log(S / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
+  }
+
+  static isPriceable(S, K, T, sigma) {
+    return S > 0 && K > 0 && T > 0 && sigma > 0;
+  }
+
+  static price(optionType, S, K, T, r, sigma) {
+    if (!BlackScholes.isPriceable(S, K, T, sigma)) {
+      return Math.max(0, optionType === 'PUT' ? K - S : S - K);
+    }
+
+    const d1 = BlackScholes.d1(S, K, T, r, sigma);
+    const d2 = d1 - sigma * Math.sqrt(T);
+    const discount = Math.exp(-r * T);
+
+    return optionType === 'PUT'
+      ? K * discount * BlackScholes.normCdf(-d2) - S * BlackScholes.normCdf(-d1)
+      : S * BlackScholes.normCdf(d1) - K * discount * BlackScholes.normCdf(d2);
+  }
+
+  static delta(optionType, S, K, T, r, sigma) {
+    if (!BlackScholes.isPriceable(S, K, T, sigma)) {
+      const itm = optionType === 'PUT' ? S < K : S > K;
+      return itm ? (optionType === 'PUT' ? -1 : 1) : 0;
+    }
+
+    const cdf = BlackScholes.normCdf(BlackScholes.d1(S, K, T, r, sigma));
+    return optionType === 'PUT' ? cdf - 1 : cdf;
+  }
+
+  // Same for calls and puts
+  static gamma(S, K, T, r, sigma) {
+    if (!BlackScholes.isPriceable(S, K, T, sigma)) return 0;
+
+    const d1 = BlackScholes.d1(S, K, T, r, sigma);
+    return BlackScholes.normPdf(d1) / (S * sigma * Math.sqrt(T));
+  }
+
+  // Per 1 vol point
+  static vega(S, K, T, r, sigma) {
+    if (!BlackScholes.isPriceable(S, K, T, sigma)) return 0;
+
+    const d1 = BlackScholes.d1(S, K, T, r, sigma);
+    return (S * BlackScholes.normPdf(d1) * Math.sqrt(T)) / 100;
+  }
+
+  // Per calendar day
+  static theta(optionType, S, K, T, r, sigma) {
+    if (!BlackScholes.isPriceable(S, K, T, sigma)) return 0;
+
+    const d1 = BlackScholes.d1(S, K, T, r, sigma);
+    const d2 = d1 - sigma * Math.sqrt(T);
+    const decay = -(S * BlackScholes.normPdf(d1) * sigma) / (2 * Math.sqrt(T));
+    const carry = optionType === 'PUT'
+      ? r * K * Math.exp(-r * T) * BlackScholes.normCdf(-d2)
+      : -r * K * Math.exp(-r * T) * BlackScholes.normCdf(d2);
+
+    return (decay + carry) / 365;
+  }
+
+  // Bisection on price; null when the price is outside the no-arbitrage bounds
+  static impliedVolatility(optionType, price, S, K, T, r) {
+    if (!(price > 0) || !(T > 0)) return null;
+
+    let low = 0.001;
+    let high = 5;
+    if (price < BlackScholes.price(optionType, S, K, T, r, low) || price > BlackScholes.price(optionType, S, K, T, r, high)) {
+      return null;
+    }
+
+    for (let i = 0; i < 100; i++) {
+      const mid = (low + high) / 2;
+      if (BlackScholes.price(optionType, S, K, T, r, mid) > price) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+      if (high - low < 1e-5) break;
+    }
+
+    return (low + high) / 2;
+  }
+
+  // Calendar time to the expiration session's close (16:00 ET, 13:00 on half-days), floored at
+  // one hour so 0DTE gamma stays finite
+  static yearsToExpiry(expiration, now = clock.now()) {
+    const session = getMarketCalendar().getSession(expiration);
+    const expiry = session
+      ? session.close.valueOf()
+      : moment.tz(`${expiration} ${config.app.sessionEnd}`, 'YYYY-MM-DD HH:mm', config.app.timezone).valueOf();
+    const years = (expiry - now) / (365 * 24 * 3600 * 1000);
+    return Math.max(years, 1 / (365 * 24));
+  }
+}
+
+module.exports = BlackScholes;
@@ -0,0 +1,33 @@
+// Process-wide source of "now" for the live paths. Normally wall-clock time;
+// during a session replay it is pinned to the timestamp of the message being replayed.
+class Clock {
+  constructor() {
+    this.virtualTime = null;
+  }
+
+  now() {
+    return this.virtualTime !== null ? this.virtualTime : Date.now();
+  }
+
+  date() {
+    return new Date(this.now());
+  }
+
+  isVirtual() {
+    return this.virtualTime !== null;
+  }
+
+  setTime(ms) {
+    this.virtualTime = ms;
+  }
+
+  advance(ms) {
+    this.virtualTime = this.now() + ms;
+  }
+
+  useSystemTime() {
+    this.virtualTime = null;
+  }
+}
+
+module.exports = new Clock();
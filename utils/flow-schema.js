@@ -0,0 +1,142 @@
+const moment = require('moment-timezone');
+const config = require('../config');
+
+// Field rules per stored record type. Each rule names a coercer, optional range limits
+// and the field names other feeds use for the same value (aliases).
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+const parseNumeric = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value.replace(/[$,\s]/g, ''));
+  return NaN;
+};
+
+const COERCERS = {
+  string: (value) => (typeof value === 'string' && value.trim() !== ''
+    ? { value: value.trim() }
+    : { error: 'must be a non-empty string' }),
+
+  symbol: (value) => {
+    const symbol = typeof value === 'string' ? value.trim().toUpperCase() : '';
+    return /^[A-Z][A-Z0-9.]{0,9}$/.test(symbol) ? { value: symbol } : { error: 'must be a ticker symbol' };
+  },
+
+  number: (value) => {
+    const number = parseNumeric(value);
+    return Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+  },
+
+  integer: (value) => {
+    const number = parseNumeric(value);
+    return Number.isInteger(number) ? { value: number } : { error: 'must be an integer' };
+  },
+
+  // Epoch seconds, epoch milliseconds or any ISO-8601 string -> ISO string
+  timestamp: (value) => {
+    let parsed;
+    if (typeof value === 'number') {
+      parsed = moment(value < 1e12 ? value * 1000 : value);
+    } else if (typeof value === 'string' || value instanceof Date) {
+      parsed = moment(new Date(value));
+    }
+    return parsed && parsed.isValid() ? { value: parsed.toISOString() } : { error: 'must be a valid timestamp' };
+  },
+
+  // Calendar date (YYYY-MM-DD); ISO timestamps keep their date part, epochs are read in market time
+  date: (value) => {
+    if (typeof value === 'number') {
+      const parsed = moment(value < 1e12 ? value * 1000 : value).tz(config.app.timezone);
+      return parsed.isValid() ? { value: parsed.format('YYYY-MM-DD') } : { error: 'must be a date' };
+    }
+    const text = typeof value === 'string' ? value.trim().slice(0, 10) : '';
+    return moment(text, 'YYYY-MM-DD', true).isValid() ? { value: text } : { error: 'must be a YYYY-MM-DD date' };
+  },
+
+  optionType: (value) => {
+    const type = String(value).trim().toUpperCase();
+    if (type === 'C' || type === 'CALL' || type === 'CALLS') return { value: 'CALL' };
+    if (type === 'P' || type === 'PUT' || type === 'PUTS') return { value: 'PUT' };
+    return { error: 'must be CALL or PUT' };
+  },
+
+  // Aggressor side; mid / unknown prints are kept with a null side
+  side: (value) => {
+    const side = String(value).trim().toUpperCase();
+    if (['BUY', 'ASK', 'B', 'A', 'ABOVE_ASK'].includes(side)) return { value: 'BUY' };
+    if (['SELL', 'BID', 'S', 'BELOW_BID'].includes(side)) return { value: 'SELL' };
+    if (['MID', 'MIDPOINT', 'UNKNOWN', 'NONE'].includes(side)) return { value: null };
+    return { error: 'must be BUY, SELL or MID' };
+  },
+
+  // Exchange code or numeric exchange id, upper-cased
+  venue: (value) => {
+    const venue = String(value).trim().toUpperCase();
+    return venue !== '' ? { value: venue } : { error: 'must be a venue code' };
+  },
+
+  // Trade condition codes as an upper-case list; feeds send an array or a comma/space separated string
+  conditions: (value) => ({
+    value: (Array.isArray(value) ? value : String(value).split(/[\s,]+/))
+      .map(code => String(code).trim().toUpperCase())
+      .filter(code => code !== '')
+  })
+};
+
+// Shared option print fields (flow and blocks). Order matters: notional is derived from contracts/price.
+const PRINT_FIELDS = {
+  symbol: { type: 'symbol', required: true, aliases: ['ticker', 'underlying_symbol'] },
+  timestamp: { type: 'timestamp', required: true, aliases: ['executed_at', 'created_at'] },
+  option_type: { type: 'optionType', required: true, aliases: ['put_call'] },
+  strike: { type: 'number', required: true, min: 0, exclusiveMin: true },
+  expiration: { type: 'date', required: true, aliases: ['expiry', 'expiration_date'] },
+  contracts: { type: 'integer', min: 0, aliases: ['size', 'total_size'] },
+  price: { type: 'number', min: 0, aliases: ['avg_price'] },
+  notional: {
+    type: 'number',
+    required: true,
+    min: 0,
+    exclusiveMin: true,
+    aliases: ['premium', 'total_premium'],
+    derive: record => (record.contracts && record.price ? record.contracts * record.price * 100 : undefined)
+  },
+  side: { type: 'side' },
+  real_delta: { type: 'number', min: -1, max: 1, aliases: ['delta'] },
+  dte: { type: 'integer', min: 0, max: 1500 },
+  underlying_price: { type: 'number', min: 0, exclusiveMin: true, aliases: ['stock_price'] },
+  bid: { type: 'number', min: 0, aliases: ['nbbo_bid'] },
+  ask: { type: 'number', min: 0, aliases: ['nbbo_ask'] },
+  open_interest: { type: 'integer', min: 0 },
+  // Venue and OPRA condition codes, used to tell sweeps, floor trades and negotiated blocks apart
+  exchange: { type: 'venue', aliases: ['exchange_id', 'venue', 'market_center'] },
+  conditions: { type: 'conditions', aliases: ['condition', 'trade_conditions', 'upstream_condition_detail', 'trade_code'] }
+};
+
+const FLOW_SCHEMAS = {
+  flow: PRINT_FIELDS,
+
+  blocks: {
+    ...PRINT_FIELDS,
+    contracts: { ...PRINT_FIELDS.contracts, required: true, min: 1 }
+  },
+
+  complexTrades: {
+    symbol: PRINT_FIELDS.symbol,
+    timestamp: PRINT_FIELDS.timestamp,
+    strategy_type: { type: 'string', required: true, aliases: ['complex_type', 'strategy'] },
+    notional: { type: 'number', required: true, min: 0, exclusiveMin: true, aliases: ['premium', 'total_premium'] },
+    legs: { type: 'integer', min: 2, max: 8 }
+  },
+
+  // real_delta here is an aggregate exposure at the strike, not a per-contract delta
+  deltaConcentration: {
+    symbol: PRINT_FIELDS.symbol,
+    timestamp: PRINT_FIELDS.timestamp,
+    strike: PRINT_FIELDS.strike,
+    option_type: PRINT_FIELDS.option_type,
+    real_delta: { type: 'number', aliases: ['delta'] },
+    notional: { type: 'number', min: 0, aliases: ['premium'] }
+  }
+};
+
+module.exports = { FLOW_SCHEMAS, COERCERS, isMissing };
@@ -0,0 +1,166 @@
+const moment = require('moment-timezone');
+const config = require('../config');
+const Logger = require('./logger');
+const clock = require('./clock');
+
+// NYSE full-day closures (observed dates)
+const HOLIDAYS = {
+  2024: ['2024-01-01', '2024-01-15', '2024-02-19', '2024-03-29', '2024-05-27', '2024-06-19',
+    '2024-07-04', '2024-09-02', '2024-11-28', '2024-12-25'],
+  2025: ['2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+    '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25'],
+  2026: ['2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25', '2026-06-19',
+    '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25'],
+  2027: ['2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31', '2027-06-18',
+    '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24'],
+  // New Year's Day 2028 falls on a Saturday and is not observed
+  2028: ['2028-01-17', '2028-02-21', '2028-04-14', '2028-05-29', '2028-06-19', '2028-07-04',
+    '2028-09-04', '2028-11-23', '2028-12-25']
+};
+
+// NYSE early closes (13:00)
+const EARLY_CLOSES = {
+  2024: ['2024-07-03', '2024-11-29', '2024-12-24'],
+  2025: ['2025-07-03', '2025-11-28', '2025-12-24'],
+  2026: ['2026-11-27', '2026-12-24'],
+  2027: ['2027-11-26'],
+  2028: ['2028-07-03', '2028-11-24']
+};
+
+// Exchange calendar: trading days, session bounds (with early closes), the trading date for a
+// moment in time and DTE in calendar or trading days. Years outside the bundled table fall back
+// to weekdays only and log once.
+class MarketCalendar {
+  constructor(options = {}) {
+    this.timezone = options.timezone || config.app.timezone;
+    this.sessionStart = options.sessionStart || config.app.sessionStart;
+    this.sessionEnd = options.sessionEnd || config.app.sessionEnd;
+    this.earlyClose = options.earlyClose || config.app.earlyClose;
+    this.holidays = new Set(Object.values(options.holidays || HOLIDAYS).flat());
+    this.earlyCloses = new Set(Object.values(options.earlyCloses || EARLY_CLOSES).flat());
+    this.coveredYears = new Set(Object.keys(options.holidays || HOLIDAYS).map(Number));
+    this.warnedYears = new Set();
+    this.logger = new Logger('market-calendar');
+  }
+
+  // 'YYYY-MM-DD' (a market date), Date, epoch ms or moment -> market-timezone day
+  toDay(value = clock.now()) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return moment.tz(value, 'YYYY-MM-DD', this.timezone);
+    }
+    return this.toMoment(value).startOf('day');
+  }
+
+  toMoment(value = clock.now()) {
+    return moment.tz(moment.isMoment(value) ? value.valueOf() : value, this.timezone);
+  }
+
+  format(value) {
+    return this.toDay(value).format('YYYY-MM-DD');
+  }
+
+  checkCoverage(day) {
+    const year = day.year();
+    if (this.coveredYears.has(year) || this.warnedYears.has(year)) return;
+    this.warnedYears.add(year);
+    this.logger.warn(`No holiday table for ${year}; treating every weekday as a trading day`);
+  }
+
+  isHoliday(value) {
+    return this.holidays.has(this.format(value));
+  }
+
+  isEarlyClose(value) {
+    return this.earlyCloses.has(this.format(value));
+  }
+
+  isTradingDay(value = clock.now()) {
+    const day = this.toDay(value);
+    if (day.day() === 0 || day.day() === 6) return false;
+    this.checkCoverage(day);
+    return !this.holidays.has(day.format('YYYY-MM-DD'));
+  }
+
+  // { date, open, close, earlyClose } for a trading day, null otherwise
+  getSession(value = clock.now()) {
+    if (!this.isTradingDay(value)) return null;
+    const date = this.format(value);
+    const earlyClose = this.earlyCloses.has(date);
+    return {
+      date,
+      open: moment.tz(`${date} ${this.sessionStart}`, 'YYYY-MM-DD HH:mm', this.timezone),
+      close: moment.tz(`${date} ${earlyClose ? this.earlyClose : this.sessionEnd}`, 'YYYY-MM-DD HH:mm', this.timezone),
+      earlyClose
+    };
+  }
+
+  isMarketOpen(at = clock.now()) {
+    const session = this.getSession(at);
+    if (!session) return false;
+    const now = this.toMoment(at);
+    return !now.isBefore(session.open) && !now.isAfter(session.close);
+  }
+
+  // After a session has closed its date stays the trading date until the next session opens
+  isAfterClose(at = clock.now()) {
+    const session = this.getSession(at);
+    return Boolean(session) && this.toMoment(at).isAfter(session.close);
+  }
+
+  // Whether a market date is the current exchange-time calendar day
+  isToday(value, at = clock.now()) {
+    return this.format(value) === this.format(at);
+  }
+
+  // The session a moment belongs to: today once it has opened, the previous trading day before that
+  getTradingDate(at = clock.now()) {
+    const session = this.getSession(at);
+    const now = this.toMoment(at);
+    if (session && !now.isBefore(session.open)) return session.date;
+    return this.previousTradingDay(at);
+  }
+
+  nextTradingDay(value = clock.now()) {
+    const day = this.toDay(value).add(1, 'day');
+    while (!this.isTradingDay(day)) day.add(1, 'day');
+    return day.format('YYYY-MM-DD');
+  }
+
+  previousTradingDay(value = clock.now()) {
+    const day = this.toDay(value).subtract(1, 'day');
+    while (!this.isTradingDay(day)) day.subtract(1, 'day');
+    return day.format('YYYY-MM-DD');
+  }
+
+  // Trading days after `from` up to and including `to` (0 when `to` is not later)
+  tradingDaysBetween(from, to) {
+    const day = this.toDay(from);
+    const end = this.toDay(to);
+    let count = 0;
+    while (day.isBefore(end, 'day')) {
+      day.add(1, 'day');
+      if (this.isTradingDay(day)) count++;
+    }
+    return count;
+  }
+
+  // Days from the print's market date to expiration; mode 'trading' counts sessions instead of calendar days
+  dte(expiration, from = clock.now(), mode = config.rules.dteMode) {
+    if (!expiration) return 0;
+    const expiry = this.toDay(typeof expiration === 'string' ? expiration.slice(0, 10) : expiration);
+    const start = this.toDay(from);
+    if (!expiry.isValid() || !start.isValid()) return 0;
+    if (mode === 'trading') return this.tradingDaysBetween(start, expiry);
+    return Math.max(0, expiry.diff(start, 'days'));
+  }
+}
+
+let instance = null;
+
+// Process-wide calendar built from config
+function getMarketCalendar() {
+  if (!instance) instance = new MarketCalendar();
+  return instance;
+}
+
+module.exports = { MarketCalendar, getMarketCalendar, HOLIDAYS, EARLY_CLOSES };
@@ -0,0 +1,62 @@
+const config = require('../config');
+
+// Feeds that deliver exchange prints; anything else is simulated or of unknown origin
+const REAL_SOURCES = new Set(['websocket', 'rest', 'webhook']);
+
+// Where a set of records came from, and the watermark a report built from them carries
+class Provenance {
+  // Reconstructed structures take the source of the legs they were built from
+  static sourceOf(record) {
+    const source = record.source === 'reconstructed' ? record.leg_source : record.source;
+    return source || 'unknown';
+  }
+
+  static summarize(records = []) {
+    const bySource = {};
+    let real = 0;
+    let simulated = 0;
+    let unknown = 0;
+
+    records.forEach(record => {
+      const source = Provenance.sourceOf(record);
+      bySource[source] = (bySource[source] || 0) + 1;
+      if (source === 'simulated') simulated++;
+      else if (REAL_SOURCES.has(source)) real++;
+      else unknown++;
+    });
+
+    const total = records.length;
+    const percent = count => (total > 0 ? (count / total * 100).toFixed(0) : '0');
+
+    return {
+      total,
+      real,
+      simulated,
+      unknown,
+      realPercent: percent(real),
+      simulatedPercent: percent(simulated),
+      unknownPercent: percent(unknown),
+      bySource,
+      strictRealData: config.dataIntegrity.strictRealData
+    };
+  }
+
+  // One-line Markdown notice, empty when every record came from a real feed
+  static watermark(provenance) {
+    if (!provenance || (provenance.simulated === 0 && provenance.unknown === 0)) return '';
+
+    const unknown = provenance.unknown > 0 ? ` / ${provenance.unknownPercent}% unknown source` : '';
+    if (provenance.simulated > 0) {
+      return `🧪 _SIMULATED DATA – ${provenance.realPercent}% real / ${provenance.simulatedPercent}% simulated${unknown}_`;
+    }
+    return `❔ _UNVERIFIED DATA – ${provenance.realPercent}% real${unknown}_`;
+  }
+
+  // Watermark on top of a standalone message
+  static stamp(text, provenance) {
+    const watermark = Provenance.watermark(provenance);
+    return watermark ? `${watermark}\n\n${text}` : text;
+  }
+}
+
+module.exports = Provenance;
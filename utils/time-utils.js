@@ -1,20 +1,14 @@
 const moment = require('moment-timezone');
+const { getMarketCalendar } = require('./market-calendar');
 
 class TimeUtils {
   constructor(timezone = 'America/New_York') {
     this.timezone = timezone;
   }
 
+  // Previous trading day before the open, on weekends and on holidays
   getMarketDate() {
-    const now = moment().tz(this.timezone);
-    const hour = now.hour();
-    
-    // If before market open, use previous day
-    if (hour < 9 || (hour === 9 && now.minute() < 30)) {
-      return now.subtract(1, 'day').format('YYYY-MM-DD');
-    }
-    
-    return now.format('YYYY-MM-DD');
+    return getMarketCalendar().getTradingDate();
   }
 
   getSessionDuration(startTime = '09:30') {
@@ -30,19 +24,13 @@ class TimeUtils {
   }
 
   isMarketOpen() {
-    const now = moment().tz(this.timezone);
-    const hour = now.hour();
-    const minute = now.minute();
-    
-    // Market hours: 9:30 AM - 4:00 PM ET
-    if (hour < 9 || hour > 16) return false;
-    if (hour === 9 && minute < 30) return false;
-    if (hour === 16 && minute > 0) return false;
-    
-    return true;
+    return getMarketCalendar().isMarketOpen();
   }
 
+  // Today's close, 13:00 on half-days
   getMarketCloseTime() {
+    const session = getMarketCalendar().getSession();
+    if (session) return session.close.clone().tz(this.timezone);
     const today = moment().tz(this.timezone).format('YYYY-MM-DD');
     return moment.tz(`${today} 16:00`, this.timezone);
   }
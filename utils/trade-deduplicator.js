@@ -0,0 +1,127 @@
+// Drops prints that were already seen from another source (webhook, REST backfill, replication);
+// a print repeated on a second channel of the same scope (flow vs block) is tagged instead.
+// Identity is the trade id when the feed provides one, otherwise a fingerprint of contract,
+// size, price, execution second and, when reported, exchange.
+class TradeDeduplicator {
+  constructor(options = {}) {
+    this.maxKeys = options.maxKeys || 250000;
+    this.seen = new Map(); // key -> { hasId, channels }
+    this.dropped = 0;
+    this.droppedBySource = {};
+    this.crossChannel = 0; // kept copies of a print already stored on another channel
+  }
+
+  // Trade id (when the feed has one) and contract fingerprint. A print with an id still matches
+  // an id-less copy of itself from another feed by fingerprint, but two prints with different ids never match.
+  static getKeys(record) {
+    if (!record) return { idKey: null, fingerprint: null };
+
+    const tradeId = record.trade_id || record.id;
+    const idKey = tradeId !== undefined && tradeId !== null && tradeId !== '' ? `id:${tradeId}` : null;
+
+    const contracts = Number(record.contracts);
+    const strike = Number(record.strike);
+    const timestamp = new Date(record.timestamp).getTime();
+
+    // Without the contract and size there is nothing safe to compare on
+    if (!record.symbol || !record.option_type || !strike || !contracts || isNaN(timestamp)) {
+      return { idKey, fingerprint: null };
+    }
+
+    const price = record.price ? Number(record.price) : Number(record.notional) / (contracts * 100);
+
+    const parts = [
+      'fp',
+      String(record.symbol).toUpperCase(),
+      record.option_type,
+      strike,
+      record.expiration || '',
+      contracts,
+      price.toFixed(2),
+      Math.floor(timestamp / 1000) // sources disagree on sub-second precision
+    ];
+    // Sweep fills of the same size and price in the same second differ only by venue
+    if (record.exchange) parts.push(String(record.exchange).toUpperCase());
+    const fingerprint = parts.join('|');
+
+    return { idKey, fingerprint };
+  }
+
+  // seen: Map(key -> { hasId, channels }) shared by the one-shot and streaming checks.
+  // Returns the entry of the earlier copy, or null (and remembers the print) on first sight
+  static check(seen, record, scope, channel = null) {
+    const { idKey, fingerprint } = TradeDeduplicator.getKeys(record);
+    const scoped = key => (key && scope ? `${scope}:${key}` : key);
+    const id = scoped(idKey);
+    const fp = scoped(fingerprint);
+
+    if (id && seen.has(id)) return seen.get(id);
+    if (fp && seen.has(fp) && (!id || !seen.get(fp).hasId)) return seen.get(fp);
+
+    // Both keys share the entry, so a later copy finds every channel the print was kept on
+    const entry = { hasId: Boolean(id), channels: new Set([channel]) };
+    if (id) seen.set(id, entry);
+    if (fp && !seen.has(fp)) seen.set(fp, entry);
+
+    return null;
+  }
+
+  // One-shot de-duplication of a merged list (keeps the first occurrence)
+  static dedupe(records) {
+    const seen = new Map();
+    const unique = [];
+    let dropped = 0;
+
+    records.forEach(record => {
+      if (TradeDeduplicator.check(seen, record)) {
+        dropped++;
+      } else {
+        unique.push(record);
+      }
+    });
+
+    return { records: unique, dropped };
+  }
+
+  // Streaming check: remembers the print on first sight, reports later sightings as duplicates.
+  // Channels checked under one scope share identity: the first copy on another channel is kept
+  // (each store needs it) but tagged duplicate_of the channel that had it first and counted
+  isDuplicate(record, scope = '', channel = scope) {
+    const earlier = TradeDeduplicator.check(this.seen, record, scope, channel);
+    if (earlier && !earlier.channels.has(channel)) {
+      record.duplicate_of = earlier.channels.values().next().value;
+      earlier.channels.add(channel);
+      this.crossChannel++;
+      return false;
+    }
+
+    if (earlier) {
+      this.dropped++;
+      const source = record.source || 'unknown';
+      this.droppedBySource[source] = (this.droppedBySource[source] || 0) + 1;
+      return true;
+    }
+
+    // Map keeps insertion order, so the oldest keys go first
+    if (this.seen.size > this.maxKeys) {
+      const excess = this.seen.size - this.maxKeys;
+      const keys = this.seen.keys();
+      for (let i = 0; i < excess; i++) {
+        this.seen.delete(keys.next().value);
+      }
+    }
+
+    return false;
+  }
+
+  getStats() {
+    return {
+      duplicatesDropped: this.dropped,
+      crossChannel: this.crossChannel,
+      bySource: { ...this.droppedBySource },
+      trackedKeys: this.seen.size
+    };
+  }
+}
+
+module.exports = TradeDeduplicator;
@@ -1,4 +1,7 @@
+const moment = require('moment-timezone');
 const config = require('../config');
+const { FLOW_SCHEMAS, COERCERS, isMissing } = require('./flow-schema');
+const { getMarketCalendar } = require('./market-calendar');
 
 class Validator {
   static validateSymbol(symbol) {
@@ -20,42 +23,101 @@ class Validator {
     return { valid: true, symbol: cleanSymbol };
   }
 
-  static validateFlowData(flowData) {
+  // Checks one record against the schema for its type (flow, blocks, complexTrades, deltaConcentration).
+  // Returns a coerced copy of the record, or the reasons it was rejected.
+  static validateRecord(type, record) {
+    const schema = FLOW_SCHEMAS[type];
+    if (!schema) {
+      return { valid: false, errors: [`unknown record type ${type}`] };
+    }
+    
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { valid: false, errors: ['record must be an object'] };
+    }
+    
+    const normalized = { ...record };
+    const errors = [];
+    
+    Object.entries(schema).forEach(([field, rule]) => {
+      let value = normalized[field];
+      
+      if (isMissing(value) && rule.aliases) {
+        const alias = rule.aliases.find(name => !isMissing(record[name]));
+        if (alias) value = record[alias];
+      }
+      
+      if (isMissing(value) && rule.derive) {
+        value = rule.derive(normalized);
+      }
+      
+      if (isMissing(value)) {
+        if (rule.required) errors.push(`${field}: missing`);
+        return;
+      }
+      
+      const result = COERCERS[rule.type](value);
+      if (result.error) {
+        errors.push(`${field}: ${result.error}`);
+        return;
+      }
+      
+      if (typeof result.value === 'number') {
+        if (rule.min !== undefined && (result.value < rule.min || (rule.exclusiveMin && result.value === rule.min))) {
+          errors.push(`${field}: must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}`);
+          return;
+        }
+        if (rule.max !== undefined && result.value > rule.max) {
+          errors.push(`${field}: must be at most ${rule.max}`);
+          return;
+        }
+      }
+      
+      normalized[field] = result.value;
+    });
+    
+    return errors.length > 0 ? { valid: false, errors } : { valid: true, record: normalized };
+  }
+
+  // Validates a batch and splits it into coerced accepted records and rejects with reasons.
+  // options.tradingDate rejects prints from another session; options.minNotional applies the institutional floor.
+  static validateFlowData(flowData, type = 'flow', options = {}) {
     if (!Array.isArray(flowData)) {
-      return { valid: false, error: 'Flow data must be an array' };
+      return { valid: false, error: 'Flow data must be an array', accepted: [], rejected: [] };
     }
     
-    const today = new Date().toISOString().split('T')[0];
-    const violations = [];
+    const accepted = [];
+    const rejected = [];
     
     flowData.forEach((flow, index) => {
-      // Check for required fields
-      const required = ['timestamp', 'option_type', 'strike', 'notional'];
-      required.forEach(field => {
-        if (!flow[field]) {
-          violations.push(`Flow ${index}: Missing ${field}`);
-        }
-      });
+      const result = this.validateRecord(type, flow);
+      const reasons = result.valid ? [] : result.errors;
       
       // Check for same-day data
-      if (flow.timestamp) {
-        const flowDate = new Date(flow.timestamp).toISOString().split('T')[0];
-        if (flowDate !== today) {
-          violations.push(`Flow ${index}: Mixed trading day detected`);
+      if (result.valid && options.tradingDate) {
+        const flowDate = moment(result.record.timestamp).tz(config.app.timezone).format('YYYY-MM-DD');
+        if (flowDate !== options.tradingDate) {
+          reasons.push('timestamp: mixed trading day');
         }
       }
       
       // Check for institutional minimum
-      if (flow.notional < config.rules.minNotional) {
-        violations.push(`Flow ${index}: Below institutional minimum ($${flow.notional})`);
+      if (result.valid && options.minNotional && result.record.notional < options.minNotional) {
+        reasons.push(`notional: below institutional minimum ($${result.record.notional})`);
+      }
+      
+      if (reasons.length > 0) {
+        rejected.push({ index, record: flow, reasons });
+      } else {
+        accepted.push(result.record);
       }
     });
     
-    if (violations.length > 0) {
-      return { valid: false, error: `Validation errors:\n${violations.join('\n')}` };
+    if (rejected.length > 0) {
+      const violations = rejected.map(reject => `Flow ${reject.index}: ${reject.reasons.join(', ')}`);
+      return { valid: false, error: `Validation errors:\n${violations.join('\n')}`, accepted, rejected };
     }
     
-    return { valid: true };
+    return { valid: true, accepted, rejected };
   }
 
   static validateDTETiers(tier1, tier2) {
@@ -86,24 +148,13 @@ class Validator {
     return { valid: true };
   }
 
+  // Within that day's session (holidays closed, half-days end early)
   static isMarketHours(date = new Date()) {
-    const nyTime = new Date(date.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    const hours = nyTime.getHours();
-    const minutes = nyTime.getMinutes();
-    const currentTime = hours * 60 + minutes;
-    
-    const [startHour, startMinute] = config.app.sessionStart.split(':').map(Number);
-    const [endHour, endMinute] = config.app.sessionEnd.split(':').map(Number);
-    
-    const startTime = startHour * 60 + startMinute;
-    const endTime = endHour * 60 + endMinute;
-    
-    return currentTime >= startTime && currentTime <= endTime;
+    return getMarketCalendar().isMarketOpen(date);
   }
 
   static isTradingDay(date = new Date()) {
-    const day = date.getDay();
-    return day >= 1 && day <= 5; // Monday to Friday
+    return getMarketCalendar().isTradingDay(date);
   }
 }
 